@@ -0,0 +1,259 @@
+/**
+ * Server Tests
+ * Request-level checks against the app in-process: auth roles, the error envelope,
+ * the http provider's address block, stale analyses, library import and pins
+ *
+ * To run: npm test (node's built-in test runner, no network needed)
+ * Run as a plain script - `node --test` mixes the server's logs into its reporter stream
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const tar = require('tar-stream');
+
+// Everything the server writes goes to a scratch directory
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'visualizer-server-test-'));
+Object.assign(process.env, {
+  MP3_DIR: path.join(TEST_DIR, 'mp3files'),
+  ANALYSIS_DIR: path.join(TEST_DIR, 'analysis'),
+  CACHE_META_PATH: path.join(TEST_DIR, 'cache-meta.json'),
+  CATALOG_PATH: path.join(TEST_DIR, 'catalog.json'),
+  API_KEYS: 'admin-key:admin,write-key:write,read-key:read',
+  ANONYMOUS_ROLE: 'read',
+  ENABLE_FAKE_PROVIDER: 'true',
+  ANALYZE_AFTER_DOWNLOAD: 'false'
+});
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Send a request as an API key (or anonymously) - returns { status, body }
+ */
+async function request(method, route, { key, body, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: {
+      ...(key ? { 'X-API-Key': key } : {}),
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    // Not JSON - keep the text
+  }
+  return { status: response.status, body: parsed };
+}
+
+/**
+ * Poll a job until it succeeds or fails
+ */
+async function waitForJob(jobId, key) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await request('GET', `/jobs/${jobId}`, { key });
+    if (body.status === 'done' || body.status === 'error') return body;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+// ==================== AUTH ====================
+
+test('anonymous callers get the anonymous role', async () => {
+  const { status, body } = await request('GET', '/auth');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.role, 'read');
+  assert.strictEqual(body.via, 'anonymous');
+});
+
+test('each API key gets its role', async () => {
+  for (const role of ['read', 'write', 'admin']) {
+    const { body } = await request('GET', '/auth', { key: `${role}-key` });
+    assert.strictEqual(body.role, role);
+    assert.strictEqual(body.via, 'apiKey');
+  }
+});
+
+test('an unknown X-API-Key is rejected, an unknown Bearer token is anonymous', async () => {
+  const badKey = await request('GET', '/auth', { key: 'not-a-key' });
+  assert.strictEqual(badKey.status, 401);
+  assert.strictEqual(badKey.body.code, 'unauthorized');
+
+  const bearer = await request('GET', '/auth', { headers: { Authorization: 'Bearer spotify-token' } });
+  assert.strictEqual(bearer.status, 200);
+  assert.strictEqual(bearer.body.via, 'anonymous');
+});
+
+test('write routes need the write role', async () => {
+  const body = { provider: 'fake', artist: 'Role', song: 'Check' };
+  assert.strictEqual((await request('POST', '/get-mp3', { body })).status, 401);
+  assert.strictEqual((await request('POST', '/get-mp3', { key: 'read-key', body })).status, 403);
+
+  const accepted = await request('POST', '/get-mp3', { key: 'write-key', body });
+  assert.strictEqual(accepted.status, 202);
+  const job = await waitForJob(accepted.body.jobId, 'write-key');
+  assert.strictEqual(job.status, 'done');
+});
+
+test('admin routes need the admin role', async () => {
+  assert.strictEqual((await request('DELETE', '/mp3files/missing.mp3', { key: 'write-key' })).status, 403);
+  assert.strictEqual((await request('DELETE', '/mp3files/missing.mp3', { key: 'admin-key' })).status, 404);
+
+  const force = await request('POST', '/get-mp3', { key: 'write-key', body: { provider: 'fake', artist: 'Role', song: 'Check', force: true } });
+  assert.strictEqual(force.status, 403);
+  assert.strictEqual(force.body.requiredRole, 'admin');
+});
+
+// ==================== VALIDATION ====================
+
+test('invalid requests get the error envelope', async () => {
+  const { status, body } = await request('POST', '/get-mp3', { key: 'write-key', body: { provider: 'fake' } });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.error, 'Invalid request');
+  assert.strictEqual(body.code, 'invalid_request');
+  assert.deepStrictEqual(body.details, ['body must have url, or artist and song']);
+});
+
+test('unknown routes get the error envelope', async () => {
+  const { status, body } = await request('GET', '/no-such-route');
+  assert.strictEqual(status, 404);
+  assert.strictEqual(body.code, 'not_found');
+});
+
+// ==================== HTTP PROVIDER ====================
+
+test('the http provider refuses private addresses', async () => {
+  for (const host of ['127.0.0.1', 'localhost', '0x7f000001']) {
+    const accepted = await request('POST', '/get-mp3', {
+      key: 'write-key',
+      body: { provider: 'http', url: `${baseUrl.replace('127.0.0.1', host)}/health`, artist: 'Blocked', song: host }
+    });
+    assert.strictEqual(accepted.status, 202);
+    const job = await waitForJob(accepted.body.jobId, 'write-key');
+    assert.strictEqual(job.status, 'error');
+    assert.match(`${job.error} ${job.details}`, /not a public address/);
+  }
+  assert.deepStrictEqual(fs.readdirSync(process.env.MP3_DIR).filter(f => f.startsWith('blocked')), []);
+});
+
+test('auto never picks the http provider for hosts that are not allowed', async () => {
+  // The fake provider takes any URL, so it's the one left for auto
+  const accepted = await request('POST', '/get-mp3', {
+    key: 'write-key',
+    body: { url: 'http://example.com/track.mp3', artist: 'Auto', song: 'Http' }
+  });
+  assert.strictEqual(accepted.status, 202);
+  const job = await waitForJob(accepted.body.jobId, 'write-key');
+  assert.strictEqual(job.provider, 'fake');
+});
+
+// ==================== ANALYSIS SCHEMA ====================
+
+test('analyses from before FFT extraction are stale', async () => {
+  fs.writeFileSync(path.join(process.env.ANALYSIS_DIR, 'stale-track.json'), JSON.stringify({
+    duration: 1,
+    sampleRate: 44100,
+    features: { melSpectrogram: [], hpcpChroma: [], pitch: [], rhythm: { bpm: 120, beats: [], beatDensity: [] } }
+  }));
+
+  const { status, body } = await request('GET', '/get-analysis?artist=stale&song=track');
+  assert.strictEqual(status, 409);
+  assert.strictEqual(body.code, 'analysis_stale');
+  assert.strictEqual(body.needsReanalysis, true);
+});
+
+// ==================== LIBRARY ====================
+
+/**
+ * Rewrite the manifest of a library archive (.tar.gz) - every other entry is copied as is
+ */
+async function rewriteManifest(archive, rewrite) {
+  const extract = tar.extract();
+  const pack = tar.pack();
+  const packed = new Promise((resolve, reject) => {
+    const chunks = [];
+    pack.on('data', chunk => chunks.push(chunk)).on('end', () => resolve(Buffer.concat(chunks))).on('error', reject);
+  });
+
+  extract.on('entry', (header, contents, next) => {
+    const chunks = [];
+    contents.on('data', chunk => chunks.push(chunk));
+    contents.on('end', () => {
+      let data = Buffer.concat(chunks);
+      if (header.name === 'manifest.json') data = Buffer.from(JSON.stringify(rewrite(JSON.parse(data))));
+      pack.entry({ name: header.name }, data, next);
+    });
+  });
+  extract.on('finish', () => pack.finalize());
+  extract.end(zlib.gunzipSync(archive));
+  return zlib.gzipSync(await packed);
+}
+
+test('library export and import keep the catalog duration', async () => {
+  const accepted = await request('POST', '/get-mp3', {
+    key: 'write-key',
+    body: { provider: 'fake', artist: 'Library', song: 'Round Trip', trackId: 'exportedTrack', durationMs: 5000 }
+  });
+  assert.strictEqual((await waitForJob(accepted.body.jobId, 'write-key')).status, 'done');
+
+  const exported = await fetch(`${baseUrl}/library/export?mp3=true`, { headers: { 'X-API-Key': 'admin-key' } });
+  assert.strictEqual(exported.status, 200);
+
+  // Seed the track under another ID, as a second server would see it
+  const archive = await rewriteManifest(Buffer.from(await exported.arrayBuffer()), manifest => ({
+    ...manifest,
+    catalog: Object.fromEntries(Object.values(manifest.catalog)
+      .filter(entry => entry.trackId === 'exportedTrack')
+      .map(entry => ['importedTrack', { ...entry, trackId: 'importedTrack' }]))
+  }));
+  const imported = await fetch(`${baseUrl}/library/import`, {
+    method: 'POST',
+    headers: { 'X-API-Key': 'admin-key', 'Content-Type': 'application/gzip' },
+    body: archive
+  });
+  const report = await imported.json();
+  assert.strictEqual(imported.status, 200);
+  assert.strictEqual(report.catalog.added, 1);
+
+  const { body: entry } = await request('GET', '/catalog/importedTrack');
+  assert.strictEqual(entry.audioFile, 'library-round_trip.mp3');
+  assert.strictEqual(entry.durationMs, 5000);
+});
+
+// ==================== PINS ====================
+
+test('pins only apply to cached files', async () => {
+  for (const route of ['/mp3files', '/analysis']) {
+    for (const method of ['POST', 'DELETE']) {
+      assert.strictEqual((await request(method, `${route}/..%2Fcache-meta.json/pin`, { key: 'admin-key' })).status, 400);
+      assert.strictEqual((await request(method, `${route}/missing.mp3/pin`, { key: 'admin-key' })).status, 404);
+    }
+  }
+
+  const pinned = await request('POST', '/mp3files/role-check.mp3/pin', { key: 'admin-key' });
+  assert.deepStrictEqual(pinned.body, { message: 'MP3 pinned', filename: 'role-check.mp3', pinned: true });
+  const unpinned = await request('DELETE', '/mp3files/role-check.mp3/pin', { key: 'admin-key' });
+  assert.strictEqual(unpinned.body.pinned, false);
+});
@@ -0,0 +1,202 @@
+// Compact Binary Analysis Format
+// Analysis JSON stores every value as a full-precision double and repeats a
+// `time` key on each frame. This encoding stores each feature as a quantized
+// typed array and rebuilds frame times from the start time and interval in the header.
+//
+// Layout:
+//   0   4 bytes  magic "SVAB"
+//   4   uint16   format version (little-endian)
+//   6   uint16   reserved
+//   8   uint32   header length in bytes (little-endian)
+//   12  header   UTF-8 JSON - metadata, frame timing and the section table
+//   ... sections, each 4-byte aligned; offsets are relative to the end of the
+//       header (padded to 4 bytes) so typed arrays can be read in place
+//
+// Quantized sections record `min`/`max`: value = min + q / levels * (max - min).
+// Log-quantized sections (power-scaled mel bands, which span many orders of magnitude)
+// also record `logFloor`: the formula gives log10(value + logFloor).
+// Anything the format has no section for travels as JSON in the header.
+//
+// The decoder lives in src/analysisBinary.js - keep the two in sync.
+
+const ANALYSIS_BINARY_TYPE = 'application/x-analysis-binary';
+const BINARY_FORMAT_VERSION = 4;
+
+const MAGIC = 'SVAB';
+const PREFIX_SIZE = 12;
+
+// Frame times further than this from startTime + i * interval are stored explicitly
+const TIME_TOLERANCE = 0.001;
+
+// Log quantization covers this range below the section's peak (1e-10 = 100 dB)
+const LOG_FLOOR = 1e-10;
+
+const TYPES = {
+  uint8: { ArrayType: Uint8Array, levels: 255 },
+  uint16: { ArrayType: Uint16Array, levels: 65535 },
+  float32: { ArrayType: Float32Array, levels: null }
+};
+
+const align4 = n => Math.ceil(n / 4) * 4;
+
+/**
+ * Collects typed-array sections and tracks their offsets
+ */
+function createSectionWriter() {
+  const chunks = [];
+  let size = 0;
+
+  /**
+   * Append values as a section
+   * @param {number[]} values - Values to store
+   * @param {string} type - uint8, uint16 or float32
+   * @param {boolean|string} quantize - Scale values to the type's range (uint types only);
+   *                                    'log' scales their logarithm instead
+   * @returns {Object} - Section table entry
+   */
+  function add(values, type, quantize = false) {
+    const { ArrayType, levels } = TYPES[type];
+    const section = { type, offset: size, length: values.length };
+    const array = new ArrayType(values.length);
+
+    if (quantize === 'log') {
+      let peak = 0;
+      for (const value of values) {
+        if (value > peak) peak = value;
+      }
+      section.logFloor = peak > 0 ? peak * LOG_FLOOR : 1;
+      values = values.map(value => Math.log10(Math.max(0, value) + section.logFloor));
+    }
+
+    if (quantize) {
+      let min = Infinity;
+      let max = -Infinity;
+      for (const value of values) {
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+      if (!values.length) min = max = 0;
+
+      const range = max - min;
+      for (let i = 0; i < values.length; i++) {
+        array[i] = range > 0 ? Math.round(((values[i] - min) / range) * levels) : 0;
+      }
+      section.min = min;
+      section.max = max;
+    } else {
+      array.set(values);
+    }
+
+    const bytes = Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+    const padded = align4(bytes.length);
+    chunks.push(bytes, Buffer.alloc(padded - bytes.length));
+    size += padded;
+
+    return section;
+  }
+
+  return { add, toBuffer: () => Buffer.concat(chunks) };
+}
+
+/**
+ * Describe the timing of a frame list - times are only stored when the frames are irregular
+ */
+function describeTiming(frames, writer) {
+  const count = frames.length;
+  const startTime = count ? frames[0].time : 0;
+  const interval = count > 1 ? frames[1].time - frames[0].time : 0;
+  const timing = { count, startTime, interval };
+
+  const regular = frames.every((frame, i) => Math.abs(frame.time - (startTime + i * interval)) < TIME_TOLERANCE);
+  if (!regular) {
+    timing.times = writer.add(frames.map(frame => frame.time), 'float32');
+  }
+
+  return timing;
+}
+
+/**
+ * Flatten fixed-width per-frame arrays (mel bands, chroma) into one list
+ */
+function flattenFrames(frames, key) {
+  const width = frames.length ? frames[0][key].length : 0;
+  const values = new Array(frames.length * width);
+  frames.forEach((frame, i) => {
+    for (let j = 0; j < width; j++) values[i * width + j] = frame[key][j];
+  });
+  return { width, values };
+}
+
+/**
+ * Encode analysis data (current schema) in the binary format
+ * @param {Object} analysis - Analysis data as stored in analysis/*.json
+ * @returns {Buffer}
+ */
+function encodeAnalysis(analysis) {
+  const { features, ...meta } = analysis;
+  const { melSpectrogram = [], hpcpChroma = [], pitch = [], rhythm = {}, onsets = {}, ...otherFeatures } = features;
+  const { beats = [], beatDensity = [], meter = {}, ...rhythmMeta } = rhythm;
+  const { downbeats = [], ...meterMeta } = meter;
+  const { times: onsetTimes = [], strength: onsetStrength = [], ...onsetMeta } = onsets;
+
+  const writer = createSectionWriter();
+
+  const mel = flattenFrames(melSpectrogram, 'bands');
+  const chroma = flattenFrames(hpcpChroma, 'chroma');
+
+  // Linear quantization would round nearly every power band to 0
+  const melQuantize = meta.melBands && meta.melBands.scaling === 'power' ? 'log' : true;
+
+  const header = {
+    meta,
+    features: otherFeatures,
+    rhythm: rhythmMeta,
+    meter: meterMeta,
+    melSpectrogram: {
+      ...describeTiming(melSpectrogram, writer),
+      width: mel.width,
+      bands: writer.add(mel.values, 'uint8', melQuantize)
+    },
+    hpcpChroma: {
+      ...describeTiming(hpcpChroma, writer),
+      width: chroma.width,
+      chroma: writer.add(chroma.values, 'uint8', true)
+    },
+    pitch: {
+      ...describeTiming(pitch, writer),
+      pitch: writer.add(pitch.map(frame => frame.pitch), 'uint16', true),
+      confidence: writer.add(pitch.map(frame => frame.confidence), 'uint8', true)
+    },
+    // Beat times keep full float32 precision - beat flashes are timed against them
+    beats: writer.add(beats, 'float32'),
+    // Downbeats are beats - same precision, so they still match
+    downbeats: writer.add(downbeats, 'float32'),
+    beatDensity: {
+      ...describeTiming(beatDensity, writer),
+      beats: writer.add(beatDensity.map(frame => frame.beats), 'uint8')
+    },
+    onsets: onsetMeta,
+    // Onset times keep full precision too, for the same reason
+    onsetTimes: writer.add(onsetTimes, 'float32'),
+    onsetStrength: {
+      ...describeTiming(onsetStrength, writer),
+      strength: writer.add(onsetStrength.map(frame => frame.strength), 'uint8', true)
+    }
+  };
+
+  const headerBytes = Buffer.from(JSON.stringify(header), 'utf8');
+  const prefix = Buffer.alloc(PREFIX_SIZE);
+  prefix.write(MAGIC, 0, 'ascii');
+  prefix.writeUInt16LE(BINARY_FORMAT_VERSION, 4);
+  prefix.writeUInt32LE(headerBytes.length, 8);
+
+  const headerPadding = Buffer.alloc(align4(PREFIX_SIZE + headerBytes.length) - PREFIX_SIZE - headerBytes.length);
+
+  return Buffer.concat([prefix, headerBytes, headerPadding, writer.toBuffer()]);
+}
+
+module.exports = {
+  ANALYSIS_BINARY_TYPE,
+  BINARY_FORMAT_VERSION,
+  encodeAnalysis
+};
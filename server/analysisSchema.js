@@ -0,0 +1,283 @@
+// Analysis File Schema - versioning, validation and migration
+// Every analysis JSON carries a `schemaVersion`. Files from before versioning
+// count as version 1. Older files are upgraded by the migrators below, or
+// flagged with `needsReanalysis` when they can't be repaired.
+//
+// Keep ANALYSIS_SCHEMA_VERSION in sync with src/audioAnalysisService.js.
+
+const Ajv = require('ajv');
+const { melFluxOnsets } = require('./onsetDetection');
+const { estimateMeter } = require('./meterEstimation');
+
+const ANALYSIS_SCHEMA_VERSION = 5;
+
+// Frame rates the current extractors produce (frames per second)
+const FRAME_RATES = {
+  mel: 10,
+  chroma: 30,
+  pitch: 30,
+  beatDensity: 10,
+  onsets: 30
+};
+
+const CHROMA_BINS = 12;
+
+/**
+ * JSON Schema for the current analysis format
+ */
+const analysisJsonSchema = {
+  $id: 'analysis',
+  type: 'object',
+  required: ['schemaVersion', 'duration', 'sampleRate', 'frameRates', 'melBands', 'features'],
+  properties: {
+    schemaVersion: { const: ANALYSIS_SCHEMA_VERSION },
+    duration: { type: 'number', exclusiveMinimum: 0 },
+    sampleRate: { type: 'number', exclusiveMinimum: 0 },
+    analysisTime: { type: 'number', minimum: 0 },
+    frameRates: {
+      type: 'object',
+      required: ['mel', 'chroma', 'pitch', 'beatDensity', 'onsets'],
+      additionalProperties: { type: 'number', exclusiveMinimum: 0 }
+    },
+    // Mel band layout - lets clients label bands in Hz (see melFilterbank.js)
+    melBands: {
+      type: 'object',
+      required: ['scale', 'count', 'fmin', 'fmax', 'scaling'],
+      properties: {
+        scale: { enum: ['mel', 'linear'] },
+        count: { type: 'integer', minimum: 1 },
+        fmin: { type: 'number', minimum: 0 },
+        fmax: { type: 'number', exclusiveMinimum: 0 },
+        scaling: { enum: ['log', 'power'] },
+        fftSize: { type: 'integer', minimum: 4 }
+      }
+    },
+    // Optional - maps Spotify playback time onto analysis time (see analysisAlignment.js)
+    alignment: {
+      type: 'object',
+      required: ['offset', 'stretch', 'method'],
+      properties: {
+        offset: { type: 'number' },
+        stretch: { type: 'number', exclusiveMinimum: 0 },
+        method: { enum: ['none', 'silence', 'stretch', 'onset'] },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        spotifyDuration: { type: ['number', 'null'] }
+      }
+    },
+    features: {
+      type: 'object',
+      required: ['melSpectrogram', 'hpcpChroma', 'pitch', 'rhythm', 'onsets'],
+      properties: {
+        melSpectrogram: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['time', 'bands'],
+            properties: {
+              time: { type: 'number', minimum: 0 },
+              // Length is melBands.count (checked in validateAnalysis)
+              bands: { type: 'array', minItems: 1, items: { type: 'number' } }
+            }
+          }
+        },
+        hpcpChroma: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['time', 'chroma'],
+            properties: {
+              time: { type: 'number', minimum: 0 },
+              chroma: { type: 'array', minItems: CHROMA_BINS, maxItems: CHROMA_BINS, items: { type: 'number' } }
+            }
+          }
+        },
+        pitch: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['time', 'pitch', 'confidence'],
+            properties: {
+              time: { type: 'number', minimum: 0 },
+              pitch: { type: 'number' },
+              confidence: { type: 'number' }
+            }
+          }
+        },
+        rhythm: {
+          type: 'object',
+          required: ['bpm', 'beats', 'beatDensity', 'confidence', 'meter'],
+          properties: {
+            bpm: { type: 'number' },
+            beats: { type: 'array', items: { type: 'number' } },
+            beatDensity: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['time', 'beats'],
+                properties: {
+                  time: { type: 'number' },
+                  beats: { type: 'integer', minimum: 0 }
+                }
+              }
+            },
+            confidence: { type: 'number' },
+            // Beats per bar and bar boundaries (see meterEstimation.js)
+            meter: {
+              type: 'object',
+              required: ['beatsPerBar', 'downbeats', 'confidence'],
+              properties: {
+                beatsPerBar: { type: 'integer', minimum: 1 },
+                downbeats: { type: 'array', items: { type: 'number' } },
+                confidence: { type: 'number', minimum: 0, maximum: 1 }
+              }
+            }
+          }
+        },
+        // Onset strength curve and onset times (see onsetDetection.js)
+        onsets: {
+          type: 'object',
+          required: ['method', 'times', 'strength'],
+          properties: {
+            method: { enum: ['flux-hfc', 'mel-flux'] },
+            times: { type: 'array', items: { type: 'number', minimum: 0 } },
+            strength: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['time', 'strength'],
+                properties: {
+                  time: { type: 'number', minimum: 0 },
+                  strength: { type: 'number', minimum: 0, maximum: 1 }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: false });
+const validateSchema = ajv.compile(analysisJsonSchema);
+
+/**
+ * Validate analysis data against the current schema
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateAnalysis(data) {
+  if (!validateSchema(data)) {
+    return { valid: false, errors: validateSchema.errors.map(e => `${e.instancePath || '/'} ${e.message}`) };
+  }
+
+  const { count } = data.melBands;
+  const index = data.features.melSpectrogram.findIndex(frame => frame.bands.length !== count);
+  if (index !== -1) {
+    return { valid: false, errors: [`/features/melSpectrogram/${index}/bands must have melBands.count (${count}) items`] };
+  }
+  return { valid: true, errors: [] };
+}
+
+/**
+ * Estimate frames per second from frame timestamps (median spacing)
+ */
+function inferFrameRate(frames, fallback) {
+  if (!Array.isArray(frames) || frames.length < 2) return fallback;
+  const gaps = [];
+  for (let i = 1; i < Math.min(frames.length, 200); i++) {
+    gaps.push(frames[i].time - frames[i - 1].time);
+  }
+  gaps.sort((a, b) => a - b);
+  const median = gaps[Math.floor(gaps.length / 2)];
+  return median > 0 ? Math.round(1 / median) : fallback;
+}
+
+/**
+ * Migrator for files whose spectra may be aliased - they can only be re-analyzed
+ */
+function rejectAliasedSpectra() {
+  throw new Error('Spectra from schema v2 and older may be aliased (pre-FFT extraction) - re-analyze the audio');
+}
+
+/**
+ * Migrators: MIGRATIONS[n] upgrades a version n file to version n + 1
+ * Each returns the upgraded data, or throws if the file can't be repaired
+ */
+const MIGRATIONS = {
+  // v1 and v2 → v3: not possible. Spectra from before the FFT module came from a decimated DFT
+  // that folded everything above ~2.7kHz back down onto the bands and chroma, and v2
+  // files from before and after it can't be told apart - so all of them are re-analyzed
+  1: rejectAliasedSpectra,
+  2: rejectAliasedSpectra,
+
+  // v3 → v4: onset detection - approximated from the stored mel frames,
+  // re-analyzing the audio gets the full-resolution curve
+  3: ({ schemaVersion, ...data }) => {
+    const features = data.features || {};
+    const onsets = melFluxOnsets(features.melSpectrogram || [], data.melBands, data.duration, data.sampleRate || 44100);
+    return {
+      schemaVersion: 4,
+      ...data,
+      frameRates: {
+        ...data.frameRates,
+        onsets: inferFrameRate(onsets.strength, FRAME_RATES.mel)
+      },
+      features: { ...features, onsets }
+    };
+  },
+
+  // v4 → v5: meter and downbeats - estimated from the stored beats, chroma, mel and onsets,
+  // the same as a fresh analysis
+  4: ({ schemaVersion, ...data }) => {
+    const features = data.features || {};
+    return {
+      schemaVersion: 5,
+      ...data,
+      features: {
+        ...features,
+        rhythm: { ...features.rhythm, meter: estimateMeter(features, data.melBands) }
+      }
+    };
+  }
+};
+
+/**
+ * Upgrade analysis data to the current schema version
+ * @returns {{analysis: Object, migrated: boolean, needsReanalysis: boolean, errors: string[]}}
+ */
+function migrateAnalysis(data) {
+  const originalVersion = (data && data.schemaVersion) || 1;
+  let analysis = data;
+  let version = originalVersion;
+
+  if (version > ANALYSIS_SCHEMA_VERSION) {
+    return { analysis, migrated: false, needsReanalysis: true, errors: [`Unknown schema version ${version}`] };
+  }
+
+  try {
+    while (version < ANALYSIS_SCHEMA_VERSION) {
+      if (!MIGRATIONS[version]) throw new Error(`No migration from schema version ${version}`);
+      analysis = MIGRATIONS[version](analysis);
+      version = analysis.schemaVersion;
+    }
+  } catch (error) {
+    return { analysis: data, migrated: false, needsReanalysis: true, errors: [error.message] };
+  }
+
+  // Whatever comes out of migration still has to be a valid current file
+  const { valid, errors } = validateAnalysis(analysis);
+  return {
+    analysis: valid ? analysis : data,
+    migrated: valid && version !== originalVersion,
+    needsReanalysis: !valid,
+    errors
+  };
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA_VERSION,
+  FRAME_RATES,
+  analysisJsonSchema,
+  validateAnalysis,
+  migrateAnalysis
+};
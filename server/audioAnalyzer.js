@@ -0,0 +1,199 @@
+// Server-side Audio Analysis using Essentia.js (Node)
+// The extractors are the browser's (featureExtractors.js, a mirror of src/featureExtractors.js),
+// so files written here have exactly the schema getAnalysisAtTime reads.
+//
+// Runs inside a worker thread (see analyzeInWorker) so the heavy WASM work
+// never blocks the Express event loop.
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { signalEnvelope, estimateAlignment } = require('./analysisAlignment');
+const { resolveMelLayout } = require('./melFilterbank');
+const { FRAME_SIZE, computeMelSpectrogram, computeHPCPChroma, computePitch, computeRhythm } = require('./featureExtractors');
+const { detectOnsets } = require('./onsetDetection');
+const { estimateMeter } = require('./meterEstimation');
+const { spawn } = require('child_process');
+const { ANALYSIS_SCHEMA_VERSION, FRAME_RATES } = require('./analysisSchema');
+
+// Sample rate audio is decoded at (same as the browser)
+const SAMPLE_RATE = 44100;
+
+let essentia = null;
+
+/**
+ * Load Essentia.js (synchronous in Node)
+ */
+function loadEssentia() {
+  if (!essentia) {
+    const { Essentia, EssentiaWASM } = require('essentia.js');
+    essentia = new Essentia(EssentiaWASM);
+  }
+  return essentia;
+}
+
+/**
+ * Decode any audio file to a mono Float32Array with ffmpeg
+ * @param {string} filePath - Audio file to decode
+ * @param {string} ffmpegPath - ffmpeg binary
+ */
+function decodeAudioFile(filePath, ffmpegPath = 'ffmpeg', sampleRate = SAMPLE_RATE) {
+  return new Promise((resolve, reject) => {
+    const args = ['-loglevel', 'error', '-i', filePath, '-f', 'f32le', '-ac', '1', '-ar', String(sampleRate), 'pipe:1'];
+    const child = spawn(ffmpegPath, args);
+    const chunks = [];
+    let stderr = '';
+
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.stderr.on('data', chunk => { stderr += chunk.toString(); });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code !== 0) {
+        return reject(new Error(stderr.trim().split('\n').pop() || `ffmpeg exited with code ${code}`));
+      }
+      const buffer = Buffer.concat(chunks);
+      // Copy into an aligned buffer - Buffer.concat may return an unaligned view
+      const samples = new Float32Array(buffer.length / 4);
+      new Uint8Array(samples.buffer).set(buffer.subarray(0, samples.length * 4));
+      resolve(samples);
+    });
+  });
+}
+
+/**
+ * Extract Mel Spectrogram (10fps, 40 mel bands by default)
+ * @param {Object} melOptions - Band layout { count, fmin, fmax, scaling } (see melFilterbank.js)
+ */
+function extractMelSpectrogram(audioSignal, sampleRate = SAMPLE_RATE, melOptions = {}) {
+  return computeMelSpectrogram(audioSignal, sampleRate, melOptions);
+}
+
+/**
+ * Extract HPCP Chroma (30fps, 12 pitch classes)
+ */
+function extractHPCPChroma(audioSignal, sampleRate = SAMPLE_RATE) {
+  return computeHPCPChroma(audioSignal, sampleRate);
+}
+
+/**
+ * Extract Pitch with PitchMelodia
+ */
+function extractPitch(audioSignal, sampleRate = SAMPLE_RATE) {
+  return computePitch(loadEssentia(), audioSignal, sampleRate);
+}
+
+/**
+ * Extract BPM, beat positions and 10fps beat density
+ */
+function extractRhythm(audioSignal, sampleRate = SAMPLE_RATE) {
+  return computeRhythm(loadEssentia(), audioSignal, sampleRate);
+}
+
+/**
+ * Run every extractor over a decoded signal
+ * Each extractor is wrapped in try-catch so one failure doesn't lose the rest,
+ * with the same fallbacks analyzeAudio uses in the browser
+ * @param {function} onProgress - Called with (message, percent)
+ * @param {number|null} spotifyDuration - Spotify track length (seconds) to align against
+ * @param {Object} melOptions - Mel band layout { count, fmin, fmax, scaling }
+ */
+function analyzeSignal(audioSignal, sampleRate = SAMPLE_RATE, onProgress = () => {}, spotifyDuration = null, melOptions = {}) {
+  const startTime = Date.now();
+  const duration = audioSignal.length / sampleRate;
+  const melBands = resolveMelLayout(melOptions, sampleRate, FRAME_SIZE);
+
+  let melSpectrogram = [];
+  let hpcpChroma = [];
+  let pitch = [];
+  let rhythm = { bpm: 120, beats: [], beatDensity: [], confidence: 0 };
+  let onsets = { method: 'flux-hfc', times: [], strength: [] };
+
+  const steps = [
+    ['rhythm', () => { rhythm = extractRhythm(audioSignal, sampleRate); }],
+    ['pitch', () => { pitch = extractPitch(audioSignal, sampleRate); }],
+    ['mel spectrogram', () => { melSpectrogram = extractMelSpectrogram(audioSignal, sampleRate, melBands); }],
+    ['chroma', () => { hpcpChroma = extractHPCPChroma(audioSignal, sampleRate); }],
+    ['onsets', () => { onsets = detectOnsets(audioSignal, sampleRate); }]
+  ];
+
+  steps.forEach(([name, run], i) => {
+    onProgress(`Extracting ${name}...`, (i / steps.length) * 100);
+    try {
+      run();
+    } catch (error) {
+      console.warn(`⚠️ ${name} extraction failed:`, error.message);
+    }
+  });
+
+  // Meter works from the other features, so it runs last
+  rhythm.meter = estimateMeter({ melSpectrogram, hpcpChroma, pitch, rhythm, onsets }, melBands);
+
+  const alignment = estimateAlignment(signalEnvelope(audioSignal, sampleRate), duration, spotifyDuration);
+
+  return {
+    schemaVersion: ANALYSIS_SCHEMA_VERSION,
+    duration,
+    sampleRate,
+    frameRates: { ...FRAME_RATES },
+    melBands,
+    alignment,
+    analysisTime: parseFloat(((Date.now() - startTime) / 1000).toFixed(2)),
+    features: {
+      melSpectrogram,
+      hpcpChroma,
+      pitch,
+      rhythm,
+      onsets
+    }
+  };
+}
+
+/**
+ * Decode and analyze an audio file in a worker thread
+ * @param {string} filePath - Audio file to analyze
+ * @param {Object} options - { ffmpegPath, spotifyDuration (seconds), mel (band layout), onProgress(message, percent) }
+ * @returns {Promise<Object>} - Analysis data in the same shape as the browser's analyzeAudio
+ */
+function analyzeInWorker(filePath, { ffmpegPath = 'ffmpeg', spotifyDuration = null, mel = {}, onProgress = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { filePath, ffmpegPath, spotifyDuration, mel } });
+
+    worker.on('message', ({ type, message, percent, analysis }) => {
+      if (type === 'progress') {
+        onProgress(message, percent);
+      } else if (type === 'result') {
+        resolve(analysis);
+      } else if (type === 'error') {
+        reject(new Error(message));
+      }
+    });
+    worker.on('error', reject);
+    worker.on('exit', code => {
+      if (code !== 0) reject(new Error(`Analysis worker exited with code ${code}`));
+    });
+  });
+}
+
+// Worker entry point
+if (!isMainThread && workerData && workerData.filePath) {
+  (async () => {
+    try {
+      parentPort.postMessage({ type: 'progress', message: 'Decoding audio...', percent: 0 });
+      const signal = await decodeAudioFile(workerData.filePath, workerData.ffmpegPath);
+      const analysis = analyzeSignal(signal, SAMPLE_RATE, (message, percent) => {
+        parentPort.postMessage({ type: 'progress', message, percent });
+      }, workerData.spotifyDuration, workerData.mel);
+      parentPort.postMessage({ type: 'result', analysis });
+    } catch (error) {
+      parentPort.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+  })();
+}
+
+module.exports = {
+  analyzeInWorker,
+  analyzeSignal,
+  decodeAudioFile,
+  extractMelSpectrogram,
+  extractHPCPChroma,
+  extractPitch,
+  extractRhythm
+};
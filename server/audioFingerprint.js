@@ -0,0 +1,174 @@
+// Acoustic Fingerprints - tell identical recordings apart from look-alike names
+// Cache filenames come from artist/song strings, so one recording can be stored
+// under several names and a different recording (live, remix) under the right one.
+//
+// A fingerprint is built from the same chroma extractor the analysis uses:
+// chroma frames are averaged into ~0.27s blocks and each block becomes a 24-bit
+// code - 12 bits for "pitch class i is louder than i+1" and 12 for "pitch class i
+// got louder since the last block". Re-encodes of the same audio flip few bits;
+// unrelated audio agrees on about half of them.
+//
+// Runs in a worker thread like the analysis (see fingerprintInWorker).
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { decodeAudioFile, extractHPCPChroma } = require('./audioAnalyzer');
+
+const FINGERPRINT_VERSION = 1;
+// Chroma only needs up to 4kHz - decoding at a quarter of the usual rate is much cheaper
+const FINGERPRINT_SAMPLE_RATE = 11025;
+// Chroma frames (30fps) averaged into one code
+const BLOCK_FRAMES = 8;
+const BITS_PER_CODE = 24;
+// Leading/trailing samples quieter than this are trimmed before fingerprinting
+const SILENCE_THRESHOLD = 0.01;
+
+// Codes two fingerprints may be shifted by when aligning them (~2s)
+const MAX_OFFSET_BLOCKS = 8;
+// Recordings whose (trimmed) durations differ by more than this are never the same
+const MAX_DURATION_DIFFERENCE = 2;
+// Share of matching bits needed to call two files the same recording
+const FINGERPRINT_MATCH_THRESHOLD = 0.85;
+
+/**
+ * Drop leading and trailing silence so padding differences don't shift the codes
+ */
+function trimSilence(signal) {
+  let start = 0;
+  let end = signal.length;
+  while (start < end && Math.abs(signal[start]) < SILENCE_THRESHOLD) start++;
+  while (end > start && Math.abs(signal[end - 1]) < SILENCE_THRESHOLD) end--;
+  return signal.subarray(start, end);
+}
+
+/**
+ * Fingerprint a decoded mono signal
+ * @param {Float32Array} signal - Samples at `sampleRate`
+ * @returns {{version: number, duration: number, codes: string}} - codes is base64 of little-endian uint32s
+ */
+function computeFingerprint(signal, sampleRate = FINGERPRINT_SAMPLE_RATE) {
+  const trimmed = trimSilence(signal);
+  const chroma = extractHPCPChroma(trimmed, sampleRate);
+
+  const codes = new Uint32Array(Math.floor(chroma.length / BLOCK_FRAMES));
+  let previous = null;
+
+  for (let b = 0; b < codes.length; b++) {
+    const block = new Array(12).fill(0);
+    for (let f = b * BLOCK_FRAMES; f < (b + 1) * BLOCK_FRAMES; f++) {
+      chroma[f].chroma.forEach((value, i) => { block[i] += value; });
+    }
+
+    let code = 0;
+    for (let i = 0; i < 12; i++) {
+      if (block[i] > block[(i + 1) % 12]) code |= 1 << i;
+      if (previous && block[i] > previous[i]) code |= 1 << (12 + i);
+    }
+    codes[b] = code;
+    previous = block;
+  }
+
+  return {
+    version: FINGERPRINT_VERSION,
+    duration: parseFloat((trimmed.length / sampleRate).toFixed(2)),
+    codes: Buffer.from(codes.buffer).toString('base64')
+  };
+}
+
+/**
+ * Decode stored codes back into a Uint32Array
+ */
+function decodeCodes(codes) {
+  const bytes = Buffer.from(codes, 'base64');
+  const aligned = new Uint8Array(bytes.length - (bytes.length % 4));
+  aligned.set(bytes.subarray(0, aligned.length));
+  return new Uint32Array(aligned.buffer);
+}
+
+/**
+ * Number of set bits in a 32-bit integer
+ */
+function popcount(n) {
+  n -= (n >>> 1) & 0x55555555;
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Similarity of two fingerprints (0-1): best share of matching bits over small alignment shifts
+ * Fingerprints of different versions or clearly different lengths score 0
+ */
+function compareFingerprints(a, b) {
+  if (!a || !b || a.version !== b.version) return 0;
+  if (Math.abs(a.duration - b.duration) > MAX_DURATION_DIFFERENCE) return 0;
+
+  const codesA = decodeCodes(a.codes);
+  const codesB = decodeCodes(b.codes);
+  const minOverlap = Math.ceil(Math.min(codesA.length, codesB.length) * 0.8);
+  if (minOverlap === 0) return 0;
+
+  let best = 0;
+  for (let offset = -MAX_OFFSET_BLOCKS; offset <= MAX_OFFSET_BLOCKS; offset++) {
+    let differingBits = 0;
+    let overlap = 0;
+    for (let i = Math.max(0, -offset); i < codesA.length && i + offset < codesB.length; i++) {
+      differingBits += popcount(codesA[i] ^ codesB[i + offset]);
+      overlap++;
+    }
+    if (overlap < minOverlap) continue;
+    best = Math.max(best, 1 - differingBits / (overlap * BITS_PER_CODE));
+  }
+  return Math.round(best * 1000) / 1000;
+}
+
+/**
+ * Whether two fingerprints belong to the same recording
+ */
+function isSameRecording(a, b) {
+  return compareFingerprints(a, b) >= FINGERPRINT_MATCH_THRESHOLD;
+}
+
+/**
+ * Decode and fingerprint an audio file in a worker thread
+ * @param {string} filePath - Audio file to fingerprint
+ * @param {Object} options - { ffmpegPath }
+ * @returns {Promise<Object>} - Fingerprint (see computeFingerprint)
+ */
+function fingerprintInWorker(filePath, { ffmpegPath = 'ffmpeg' } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { fingerprintFile: filePath, ffmpegPath } });
+
+    worker.on('message', ({ type, message, fingerprint }) => {
+      if (type === 'result') {
+        resolve(fingerprint);
+      } else if (type === 'error') {
+        reject(new Error(message));
+      }
+    });
+    worker.on('error', reject);
+    worker.on('exit', code => {
+      if (code !== 0) reject(new Error(`Fingerprint worker exited with code ${code}`));
+    });
+  });
+}
+
+// Worker entry point
+if (!isMainThread && workerData && workerData.fingerprintFile) {
+  (async () => {
+    try {
+      const signal = await decodeAudioFile(workerData.fingerprintFile, workerData.ffmpegPath, FINGERPRINT_SAMPLE_RATE);
+      parentPort.postMessage({ type: 'result', fingerprint: computeFingerprint(signal) });
+    } catch (error) {
+      parentPort.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+  })();
+}
+
+module.exports = {
+  FINGERPRINT_VERSION,
+  FINGERPRINT_SAMPLE_RATE,
+  FINGERPRINT_MATCH_THRESHOLD,
+  computeFingerprint,
+  compareFingerprints,
+  isSameRecording,
+  fingerprintInWorker
+};
@@ -0,0 +1,82 @@
+// Mirror Check - the modules the server and the web app both need
+// The server image only ships server/ and create-react-app only compiles src/, so these
+// modules exist twice: src/ (ES modules, the source of truth) and server/ (CommonJS).
+// The server copy must be the src file with import/export turned into require/module.exports.
+//
+//   npm test                         → exits 1 and shows the first difference if a pair drifted
+//   node checkMirrors.js --write     → regenerate the server copies from src/
+
+const fs = require('fs');
+const path = require('path');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+
+// analysisBinary isn't here: the server only encodes and the browser only decodes
+const MIRRORED_MODULES = ['analysisAlignment', 'fft', 'melFilterbank', 'onsetDetection', 'meterEstimation', 'featureExtractors'];
+
+/**
+ * The CommonJS server copy a src module should have
+ */
+function toServerModule(name, source) {
+  const exported = [];
+  const body = source.split('\n').map(line => {
+    if (line === `// See server/${name}.js - keep the two in sync.`) {
+      return `// See src/${name}.js - keep the two in sync.`;
+    }
+    const importMatch = line.match(/^import \{ (.+) \} from '(\.\/[\w-]+)';$/);
+    if (importMatch) return `const { ${importMatch[1]} } = require('${importMatch[2]}');`;
+    const exportMatch = line.match(/^export (?:async )?(?:function|const|let|class) (\w+)/);
+    if (exportMatch) {
+      exported.push(exportMatch[1]);
+      return line.slice('export '.length);
+    }
+    return line;
+  }).join('\n');
+
+  return `${body}\nmodule.exports = {\n${exported.map(e => `  ${e}`).join(',\n')}\n};\n`;
+}
+
+/**
+ * Line number and both versions of the first line that differs
+ */
+function firstDifference(expected, actual) {
+  const expectedLines = expected.split('\n');
+  const actualLines = actual.split('\n');
+  for (let i = 0; i < Math.max(expectedLines.length, actualLines.length); i++) {
+    if (expectedLines[i] !== actualLines[i]) {
+      return { line: i + 1, expected: expectedLines[i], actual: actualLines[i] };
+    }
+  }
+  return null;
+}
+
+function main() {
+  const write = process.argv.includes('--write');
+  let drifted = 0;
+
+  MIRRORED_MODULES.forEach(name => {
+    const serverPath = path.join(__dirname, `${name}.js`);
+    const expected = toServerModule(name, fs.readFileSync(path.join(SRC_DIR, `${name}.js`), 'utf8'));
+    const actual = fs.existsSync(serverPath) ? fs.readFileSync(serverPath, 'utf8') : '';
+    const difference = firstDifference(expected, actual);
+
+    if (!difference) {
+      console.log(`✅ ${name}.js`);
+    } else if (write) {
+      fs.writeFileSync(serverPath, expected);
+      console.log(`📝 ${name}.js regenerated from src/`);
+    } else {
+      drifted++;
+      console.error(`❌ server/${name}.js differs from src/${name}.js at line ${difference.line}`);
+      console.error(`   expected: ${difference.expected === undefined ? '(end of file)' : difference.expected}`);
+      console.error(`   actual:   ${difference.actual === undefined ? '(end of file)' : difference.actual}`);
+    }
+  });
+
+  if (drifted) {
+    console.error(`\n${drifted} mirrored module(s) out of sync - edit src/, then run: node checkMirrors.js --write`);
+    process.exit(1);
+  }
+}
+
+main();
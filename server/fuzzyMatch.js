@@ -0,0 +1,220 @@
+// Fuzzy Track Matching - scores cached filenames against an artist/song query
+// Used when a track isn't in the catalog and has no exact artist-song filename.
+//
+// Both sides are reduced to tokens: accents are stripped, "feat."/"ft." credits
+// become optional tokens, and version words (remix, edit, live, ...) are
+// collected as tags so "Song (Remix)" and "song_remix.mp3" line up while an
+// original never matches its remix. Tokens are compared with edit distance, so
+// small typos still match.
+
+// Words that mark a different recording of a song
+const VERSION_WORDS = {
+  remix: 'remix', mix: 'remix', rmx: 'remix', rework: 'remix', flip: 'remix', bootleg: 'remix', vip: 'remix',
+  edit: 'edit', radio: 'edit',
+  extended: 'extended',
+  remaster: 'remaster', remastered: 'remaster',
+  live: 'live',
+  acoustic: 'acoustic',
+  instrumental: 'instrumental',
+  cover: 'cover',
+  demo: 'demo',
+  sped: 'sped', slowed: 'slowed', reverb: 'slowed',
+  version: null // "Radio Version" etc. - not a tag on its own
+};
+
+// Words that start a featured-artist credit
+const FEATURE_WORDS = ['feat', 'ft', 'featuring'];
+
+const STOP_WORDS = ['the', 'a', 'an', 'and', 'of'];
+
+// Tokens less similar than this count as no match
+const TOKEN_MIN_SIMILARITY = 0.75;
+// Each version tag present on only one side costs this much
+const VERSION_MISMATCH_PENALTY = 0.25;
+
+// A fuzzy candidate must score at least this to be used automatically
+const FUZZY_MIN_SCORE = 0.7;
+// ...and beat the runner-up by at least this much
+const FUZZY_AMBIGUITY_MARGIN = 0.05;
+
+/**
+ * Lowercase, strip accents and apostrophes, turn "&" into "and"
+ */
+function normalizeText(str) {
+  return String(str || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/&/g, ' and ');
+}
+
+/**
+ * Split text into words (letters and digits only)
+ */
+function splitWords(str) {
+  return str.split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Sort a run of words into required/optional tokens and version tags
+ * @param {string[]} words - Words in order
+ * @param {Object} tokens - { required, optional, versions } being filled in
+ * @param {Object} options - optional: the whole run is optional (e.g. a folder name);
+ *                           withAnywhere: "with" opens a credit mid-run too
+ */
+function collectTokens(words, tokens, { optional = false, withAnywhere = false } = {}) {
+  let inFeature = false;
+  words.forEach((word, i) => {
+    // In queries "with" opens a credit only at the start of a run - "(with Quinn XCII)" but
+    // not "Dancing With Myself". Filenames have lost their parentheses, so there it always does
+    if (FEATURE_WORDS.includes(word) || (word === 'with' && (i === 0 || withAnywhere))) {
+      inFeature = true;
+      return;
+    }
+    if (word === 'with') return;
+    if (word in VERSION_WORDS) {
+      if (VERSION_WORDS[word]) tokens.versions.add(VERSION_WORDS[word]);
+      inFeature = false; // "feat. X Remix" - the credit ends at the version word
+    }
+    if (STOP_WORDS.includes(word) || word.length < 2) return;
+    (optional || inFeature ? tokens.optional : tokens.required).push(word);
+  });
+}
+
+/**
+ * Tokenize a free-text query such as "Artist Song (feat. Someone) - Remix"
+ * Parentheticals, brackets and " - " suffixes are scanned separately so a
+ * credit inside them can't swallow the rest of the title
+ */
+function tokenizeQuery(text) {
+  const tokens = { required: [], optional: [], versions: new Set() };
+  const segments = normalizeText(text).split(/[()[\]{}]|\s[-–—]\s/);
+  segments.forEach(segment => collectTokens(splitWords(segment), tokens));
+  return tokens;
+}
+
+/**
+ * Tokenize a cached filename or library path ("artist-song.mp3", "Artist/Album/01 Song.flac")
+ * Folder names only count as optional tokens; a leading track number is dropped
+ */
+function tokenizeFilename(filePath) {
+  const tokens = { required: [], optional: [], versions: new Set() };
+  const parts = normalizeText(filePath).split(/[\\/]/);
+  const basename = parts.pop().replace(/\.[a-z0-9]+$/, '');
+
+  parts.forEach(folder => collectTokens(splitWords(folder), tokens, { optional: true }));
+  const words = splitWords(basename);
+  if (words.length > 1 && /^\d{1,3}$/.test(words[0])) words.shift();
+  collectTokens(words, tokens, { withAnywhere: true });
+  return tokens;
+}
+
+/**
+ * Levenshtein edit distance
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two tokens (0-1) - short tokens must match exactly
+ */
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 4 || b.length < 4) return 0;
+  const similarity = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  return similarity >= TOKEN_MIN_SIMILARITY ? similarity : 0;
+}
+
+/**
+ * Average best similarity of each token in `tokens` against `against`
+ */
+function coverage(tokens, against) {
+  if (tokens.length === 0) return 1;
+  const total = tokens.reduce((sum, token) => {
+    let best = 0;
+    for (const other of against) {
+      best = Math.max(best, tokenSimilarity(token, other));
+      if (best === 1) break;
+    }
+    return sum + best;
+  }, 0);
+  return total / tokens.length;
+}
+
+/**
+ * Score how well a candidate matches a query (0-1)
+ * F1 of query coverage (recall) and candidate coverage (precision) over required
+ * tokens - optional tokens can satisfy a match but are never required - minus a
+ * penalty for each version tag only one side has
+ */
+function scoreTokens(query, candidate) {
+  if (query.required.length === 0) return 0;
+
+  const candidateAll = [...candidate.required, ...candidate.optional];
+  const queryAll = [...query.required, ...query.optional];
+  const recall = coverage(query.required, candidateAll);
+  const precision = coverage(candidate.required, queryAll);
+  if (recall === 0 || precision === 0) return 0;
+
+  let score = (2 * precision * recall) / (precision + recall);
+  for (const tag of new Set([...query.versions, ...candidate.versions])) {
+    if (query.versions.has(tag) !== candidate.versions.has(tag)) score -= VERSION_MISMATCH_PENALTY;
+  }
+  return Math.max(0, Math.round(score * 1000) / 1000);
+}
+
+/**
+ * Rank filenames against a query, best first
+ * @param {string} query - Free text, e.g. "Artist Song"
+ * @param {string[]} filenames - Candidate filenames or relative paths
+ * @param {Object} options - { minScore, limit }
+ * @returns {{filename: string, score: number}[]}
+ */
+function rankCandidates(query, filenames, { minScore = 0, limit = Infinity } = {}) {
+  const queryTokens = tokenizeQuery(query);
+  return filenames
+    .map(filename => ({ filename, score: scoreTokens(queryTokens, tokenizeFilename(filename)) }))
+    .filter(candidate => candidate.score > 0 && candidate.score >= minScore)
+    .sort((a, b) => b.score - a.score || a.filename.localeCompare(b.filename))
+    .slice(0, limit);
+}
+
+/**
+ * Pick the best match, refusing when the top two candidates are too close to call
+ * @returns {{filename: string|null, score: number, ambiguous: boolean, candidates: Object[]}}
+ *          candidates are the near misses worth showing (top few above the threshold)
+ */
+function findBestMatch(query, filenames) {
+  const candidates = rankCandidates(query, filenames, { minScore: FUZZY_MIN_SCORE, limit: 5 });
+  const [best, runnerUp] = candidates;
+
+  if (!best) {
+    return { filename: null, score: 0, ambiguous: false, candidates };
+  }
+  if (runnerUp && best.score - runnerUp.score < FUZZY_AMBIGUITY_MARGIN) {
+    return { filename: null, score: best.score, ambiguous: true, candidates };
+  }
+  return { filename: best.filename, score: best.score, ambiguous: false, candidates };
+}
+
+module.exports = {
+  FUZZY_MIN_SCORE,
+  FUZZY_AMBIGUITY_MARGIN,
+  tokenizeQuery,
+  tokenizeFilename,
+  editDistance,
+  rankCandidates,
+  findBestMatch
+};
@@ -0,0 +1,157 @@
+// Prometheus Metrics - a minimal registry rendered in the text exposition format
+// Counters and histograms are updated as things happen; gauges are read through
+// a collect() callback when /metrics is scraped, so they never go stale.
+//
+// Format reference: https://prometheus.io/docs/instrumenting/exposition_formats/
+
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Default histogram buckets in seconds - tuned for downloads (a few seconds to minutes)
+const DURATION_BUCKETS = [1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+const registry = [];
+
+/**
+ * Escape a label value (backslash, quote, newline)
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {a="1",b="2"} (empty string for no labels)
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Stable key for a label set, used to store one series per combination
+ */
+function seriesKey(labelNames, labels) {
+  return labelNames.map(name => labels[name] ?? '').join('\u0000');
+}
+
+/**
+ * Pick only the declared labels, filling missing ones with ''
+ */
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  labelNames.forEach(name => { picked[name] = labels[name] ?? ''; });
+  return picked;
+}
+
+/**
+ * Monotonic counter
+ * @param {string} name - Metric name (should end in _total)
+ * @param {string} help - One-line description
+ * @param {string[]} labelNames - Label names
+ */
+function createCounter(name, help, labelNames = []) {
+  const series = new Map();
+
+  const counter = {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      series.forEach(({ labels, value }) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+      return lines;
+    }
+  };
+  registry.push(counter);
+  return counter;
+}
+
+/**
+ * Histogram with cumulative buckets, _sum and _count
+ * @param {string} name - Metric name
+ * @param {string} help - One-line description
+ * @param {string[]} labelNames - Label names
+ * @param {number[]} buckets - Upper bounds, ascending (+Inf is added)
+ */
+function createHistogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  const series = new Map();
+
+  const histogram = {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    /**
+     * Start a timer; call the returned function with extra labels to record the elapsed seconds
+     */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (endLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        histogram.observe({ ...labels, ...endLabels }, seconds);
+        return seconds;
+      };
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      series.forEach(({ labels, counts, sum, count }) => {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      });
+      return lines;
+    }
+  };
+  registry.push(histogram);
+  return histogram;
+}
+
+/**
+ * Gauge read at scrape time
+ * @param {string} name - Metric name
+ * @param {string} help - One-line description
+ * @param {Function} collect - Returns [{ labels, value }] (or a plain number for no labels)
+ */
+function createGauge(name, help, collect) {
+  const gauge = {
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      const samples = collect();
+      const list = typeof samples === 'number' ? [{ labels: {}, value: samples }] : samples;
+      list.forEach(({ labels = {}, value }) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+      return lines;
+    }
+  };
+  registry.push(gauge);
+  return gauge;
+}
+
+/**
+ * Render every registered metric in the text exposition format
+ */
+function renderMetrics() {
+  return registry.map(metric => metric.render().join('\n')).join('\n') + '\n';
+}
+
+module.exports = {
+  METRICS_CONTENT_TYPE,
+  DURATION_BUCKETS,
+  createCounter,
+  createHistogram,
+  createGauge,
+  renderMetrics
+};
@@ -0,0 +1,1185 @@
+// OpenAPI Specification - every route, request/response validation and the error envelope
+// The document below is served at /openapi.json and is also what incoming requests
+// are checked against: path and query parameters, and JSON bodies. Responses sent with
+// res.json can be checked too (OPENAPI_VALIDATE_RESPONSES) - mismatches are only logged,
+// so a spec that lags behind a route never breaks clients.
+//
+// Every error response uses one envelope: { error, code, details?, ...context }
+// `error` is a human-readable message (unchanged from before the envelope), `code` a
+// stable machine-readable name, and context fields (filename, retryAfter, ...) stay
+// next to them.
+
+const http = require('http');
+const Ajv = require('ajv');
+const { analysisJsonSchema } = require('./analysisSchema');
+const { ANALYSIS_BINARY_TYPE } = require('./analysisBinary');
+const { version } = require('./package.json');
+
+// Default `code` for each error status - routes can pass a more specific one
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'bad_gateway',
+  503: 'unavailable'
+};
+
+// Shared response definitions for each error status
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  413: 'PayloadTooLarge',
+  429: 'TooManyRequests',
+  500: 'ServerError'
+};
+
+// ==================== SPEC HELPERS ====================
+
+const schemaRef = name => ({ $ref: `#/components/schemas/${name}` });
+const paramRef = name => ({ $ref: `#/components/parameters/${name}` });
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+const arrayOf = items => ({ type: 'array', items });
+
+/**
+ * A JSON response with the given schema
+ */
+function jsonResponse(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Shared error responses for the given statuses (401/403 are added for every route with a role)
+ */
+function errorResponses(...statuses) {
+  return Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` }]));
+}
+
+/**
+ * A required JSON request body
+ */
+function jsonBody(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+/**
+ * An operation - `role` is the least role the route needs (see README - Authentication)
+ */
+function operation(operationId, tag, summary, { role, parameters, requestBody, responses }) {
+  return {
+    operationId,
+    tags: [tag],
+    summary,
+    ...(role ? { 'x-required-role': role } : {}),
+    ...(parameters ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses: { ...responses, ...(role ? errorResponses(401, 403) : {}) }
+  };
+}
+
+// The stored analysis schema, as a component (its $id only matters to analysisSchema.js)
+const analysisSchema = { ...analysisJsonSchema };
+delete analysisSchema.$id;
+
+// ==================== COMPONENTS ====================
+
+const schemas = {
+  Error: {
+    type: 'object',
+    description: 'Error envelope - every 4xx/5xx JSON response has this shape',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string', description: 'Human-readable message' },
+      code: { type: 'string', description: 'Machine-readable error code (invalid_request, not_found, analysis_stale, ...)' },
+      details: { description: 'Extra detail - a message, or a list of validation problems' }
+    }
+  },
+  AuthInfo: {
+    type: 'object',
+    required: ['authEnabled', 'role', 'via', 'user'],
+    properties: {
+      authEnabled: { type: 'boolean' },
+      role: { enum: ['none', 'read', 'write', 'admin'] },
+      via: { enum: ['anonymous', 'apiKey', 'spotify'] },
+      user: nullable({
+        type: 'object',
+        required: ['id', 'name'],
+        properties: { id: { type: 'string' }, name: { type: 'string' } }
+      })
+    }
+  },
+  // artist + song, or a Spotify track ID, or an ISRC
+  TrackQuery: {
+    type: 'object',
+    properties: {
+      artist: { type: 'string', minLength: 1 },
+      song: { type: 'string', minLength: 1 },
+      trackId: { type: 'string', minLength: 1, description: 'Spotify track ID' },
+      isrc: { type: 'string', minLength: 1 }
+    },
+    anyOf: [{ required: ['artist', 'song'] }, { required: ['trackId'] }, { required: ['isrc'] }]
+  },
+  CatalogEntry: {
+    type: 'object',
+    required: ['trackId', 'isrc', 'createdAt', 'updatedAt'],
+    properties: {
+      trackId: { type: ['string', 'null'] },
+      isrc: { type: ['string', 'null'] },
+      artist: { type: ['string', 'null'] },
+      song: { type: ['string', 'null'] },
+      audioFile: { type: ['string', 'null'] },
+      analysisFile: { type: ['string', 'null'] },
+      sourceUrl: { type: ['string', 'null'] },
+      provider: { type: ['string', 'null'] },
+      durationMs: { type: ['number', 'null'] },
+      createdAt: { type: 'number' },
+      updatedAt: { type: 'number' }
+    }
+  },
+  CatalogLookup: {
+    allOf: [schemaRef('CatalogEntry')],
+    required: ['hasAudio', 'hasAnalysis'],
+    properties: {
+      hasAudio: { type: 'boolean' },
+      hasAnalysis: { type: 'boolean' }
+    }
+  },
+  CacheMiss: {
+    type: 'object',
+    description: 'Miss from /check-mp3-cache or /check-analysis-cache. See Mp3CacheHit for why the cache responses differ.',
+    required: ['cached', 'expectedFilename'],
+    properties: {
+      cached: { const: false },
+      expectedFilename: { type: ['string', 'null'], description: 'Filename a download/analysis would use' },
+      ambiguous: { type: 'boolean', description: 'Fuzzy candidates were too close to pick one' },
+      candidates: arrayOf({ type: 'object' })
+    }
+  },
+  Mp3CacheHit: {
+    type: 'object',
+    description: 'The cache and download responses predate this document and differ on purpose: audio has `mp3Url`, ' +
+      'analysis has `url`, a miss has `expectedFilename`, and /get-mp3 sends `cached` as a boolean. Deployed web app ' +
+      'builds read these fields, so they are described as they are instead of being renamed.',
+    required: ['cached', 'mp3Url', 'filename', 'match', 'size'],
+    properties: {
+      cached: { const: true },
+      mp3Url: { type: 'string' },
+      filename: { type: 'string' },
+      match: { enum: ['catalog', 'exact', 'fuzzy'] },
+      score: { type: 'number' },
+      artist: { type: 'string' },
+      song: { type: 'string' },
+      size: { type: 'integer' },
+      created: { type: 'string' }
+    }
+  },
+  AnalysisCacheHit: {
+    type: 'object',
+    description: 'Analysis counterpart of Mp3CacheHit - the file URL is `url`, not `mp3Url` (see Mp3CacheHit).',
+    required: ['cached', 'filename', 'match', 'url', 'size'],
+    properties: {
+      cached: { const: true },
+      filename: { type: 'string' },
+      match: { enum: ['catalog', 'exact', 'fuzzy'] },
+      score: { type: 'number' },
+      url: { type: 'string' },
+      artist: { type: 'string' },
+      song: { type: 'string' },
+      size: { type: 'integer' },
+      created: { type: 'string' }
+    }
+  },
+  Provider: {
+    type: 'object',
+    required: ['name', 'description', 'available'],
+    properties: {
+      name: { type: 'string' },
+      description: { type: 'string' },
+      available: { type: 'boolean' },
+      allowedHosts: { type: 'array', items: { type: 'string' }, description: 'http: hosts used under auto (HTTP_ALLOWED_HOSTS)' }
+    }
+  },
+  GetMp3Request: {
+    type: 'object',
+    properties: {
+      url: { type: ['string', 'null'], description: 'Source URL (YouTube by default) - null lets the provider find the track' },
+      artist: { type: 'string', minLength: 1 },
+      song: { type: 'string', minLength: 1 },
+      trackId: { type: ['string', 'null'] },
+      isrc: { type: ['string', 'null'] },
+      durationMs: { type: ['number', 'null'] },
+      provider: { type: 'string', description: 'Audio source provider (see /providers), default AUDIO_PROVIDER' },
+      analyze: { type: 'boolean', description: 'Analyze on the server once downloaded' },
+      clearOld: { type: 'boolean', description: 'Delete every other cached MP3 (admin)' },
+      force: { type: 'boolean', description: 'Replace the cached copy (admin)' }
+    },
+    anyOf: [{ required: ['url'], properties: { url: { type: 'string', minLength: 1 } } }, { required: ['artist', 'song'] }]
+  },
+  Mp3Result: {
+    type: 'object',
+    description: 'Cached or downloaded MP3 from /get-mp3 (see Mp3CacheHit for how it differs from the cache check).',
+    required: ['mp3Url', 'filename', 'title', 'size', 'cached'],
+    properties: {
+      mp3Url: { type: 'string' },
+      filename: { type: 'string' },
+      match: { enum: ['catalog', 'exact', 'fuzzy'] },
+      title: { type: 'string' },
+      artist: { type: ['string', 'null'] },
+      song: { type: ['string', 'null'] },
+      size: { type: 'integer' },
+      provider: { type: 'string' },
+      cached: { type: 'boolean' }
+    }
+  },
+  JobLocation: {
+    type: 'object',
+    required: ['jobId', 'status', 'statusUrl', 'eventsUrl', 'cached'],
+    properties: {
+      jobId: { type: 'string' },
+      status: { type: 'string' },
+      statusUrl: { type: 'string' },
+      eventsUrl: { type: 'string' },
+      cached: { const: false }
+    }
+  },
+  Job: {
+    type: 'object',
+    required: ['id', 'type', 'status', 'percent', 'createdAt', 'updatedAt'],
+    properties: {
+      id: { type: 'string' },
+      type: { enum: ['download', 'analysis'] },
+      provider: { type: ['string', 'null'] },
+      source: { type: ['string', 'null'] },
+      status: {
+        enum: ['queued', 'downloading', 'converting', 'analyzing', 'done', 'error'],
+        description: 'download: queued → downloading → converting → done | error; analysis: queued → analyzing → done | error'
+      },
+      message: { type: ['string', 'null'] },
+      percent: { type: 'number' },
+      queuePosition: { type: ['integer', 'null'] },
+      artist: { type: ['string', 'null'] },
+      song: { type: ['string', 'null'] },
+      result: { type: ['object', 'null'], description: 'Mp3Result for downloads, { filename, url, size, analysisTime } for analyses' },
+      error: { type: ['string', 'null'] },
+      details: {},
+      createdAt: { type: 'number' },
+      updatedAt: { type: 'number' }
+    }
+  },
+  FileInfo: {
+    type: 'object',
+    required: ['filename', 'url', 'size'],
+    properties: {
+      filename: { type: 'string' },
+      url: { type: 'string' },
+      size: { type: 'integer' },
+      created: { type: 'string' }
+    }
+  },
+  FileList: {
+    type: 'object',
+    required: ['files', 'count'],
+    properties: {
+      files: arrayOf(schemaRef('FileInfo')),
+      count: { type: 'integer' }
+    }
+  },
+  FileDeleted: {
+    type: 'object',
+    required: ['message', 'filename'],
+    properties: { message: { type: 'string' }, filename: { type: 'string' } }
+  },
+  PinState: {
+    type: 'object',
+    required: ['message', 'filename', 'pinned'],
+    properties: { message: { type: 'string' }, filename: { type: 'string' }, pinned: { type: 'boolean' } }
+  },
+  FilesCleared: {
+    type: 'object',
+    required: ['message', 'count'],
+    properties: { message: { type: 'string' }, count: { type: 'integer' } }
+  },
+  Analysis: analysisSchema,
+  SaveAnalysisRequest: {
+    type: 'object',
+    required: ['artist', 'song', 'data'],
+    properties: {
+      artist: { type: 'string', minLength: 1 },
+      song: { type: 'string', minLength: 1 },
+      trackId: { type: ['string', 'null'] },
+      isrc: { type: ['string', 'null'] },
+      data: { type: 'object', description: 'Analysis - older (unversioned) data is upgraded, then checked against Analysis' }
+    }
+  },
+  AnalysisSaved: {
+    type: 'object',
+    required: ['success', 'filename', 'size', 'url'],
+    properties: {
+      success: { const: true },
+      filename: { type: 'string' },
+      size: { type: 'integer' },
+      url: { type: 'string' }
+    }
+  },
+  AnalyzeRequest: {
+    type: 'object',
+    required: ['artist', 'song'],
+    properties: {
+      artist: { type: 'string', minLength: 1 },
+      song: { type: 'string', minLength: 1 },
+      trackId: { type: ['string', 'null'] },
+      isrc: { type: ['string', 'null'] },
+      durationMs: { type: ['number', 'null'] },
+      force: { type: 'boolean', description: 'Analyze again even if an up-to-date analysis exists' }
+    }
+  },
+  AnalysisCached: {
+    type: 'object',
+    required: ['cached', 'filename', 'url'],
+    properties: { cached: { const: true }, filename: { type: 'string' }, url: { type: 'string' } }
+  },
+  UploadRequest: {
+    type: 'object',
+    required: ['file', 'artist', 'song'],
+    properties: {
+      file: { type: 'string', format: 'binary', description: 'MP3, WAV, FLAC or M4A' },
+      artist: { type: 'string' },
+      song: { type: 'string' },
+      trackId: { type: 'string' },
+      isrc: { type: 'string' },
+      durationMs: { type: 'string', description: 'Spotify track length (ms)' },
+      analyze: { enum: ['true', 'false'] },
+      replace: { enum: ['true', 'false'], description: 'Overwrite cached audio (admin)' }
+    }
+  },
+  UploadResult: {
+    type: 'object',
+    required: ['mp3Url', 'filename', 'title', 'artist', 'song', 'size', 'replaced', 'analysis'],
+    properties: {
+      mp3Url: { type: 'string' },
+      filename: { type: 'string' },
+      title: { type: 'string' },
+      artist: { type: 'string' },
+      song: { type: 'string' },
+      size: { type: 'integer' },
+      replaced: { type: 'boolean' },
+      analysis: { oneOf: [schemaRef('JobLocation'), { type: 'null' }] }
+    }
+  },
+  PrewarmRequest: {
+    type: 'object',
+    required: ['tracks'],
+    properties: {
+      tracks: {
+        type: 'array',
+        minItems: 1,
+        description: 'At most PREWARM_MAX_TRACKS (default 50)',
+        items: {
+          type: 'object',
+          required: ['artist', 'song'],
+          properties: {
+            artist: { type: 'string', minLength: 1 },
+            song: { type: 'string', minLength: 1 },
+            trackId: { type: ['string', 'null'] },
+            isrc: { type: ['string', 'null'] },
+            url: { type: ['string', 'null'] },
+            durationMs: { type: ['number', 'null'] }
+          }
+        }
+      },
+      analyze: { type: 'boolean', description: 'Analyze after downloading (default true)' }
+    }
+  },
+  PrewarmAccepted: {
+    type: 'object',
+    required: ['batchId', 'status', 'total', 'statusUrl'],
+    properties: {
+      batchId: { type: 'string' },
+      status: { type: 'string' },
+      total: { type: 'integer' },
+      statusUrl: { type: 'string' }
+    }
+  },
+  PrewarmBatch: {
+    type: 'object',
+    required: ['id', 'status', 'analyze', 'total', 'counts', 'tracks'],
+    properties: {
+      id: { type: 'string' },
+      status: { enum: ['running', 'done', 'cancelled'] },
+      analyze: { type: 'boolean' },
+      total: { type: 'integer' },
+      counts: { type: 'object', additionalProperties: { type: 'integer' } },
+      tracks: arrayOf({
+        type: 'object',
+        required: ['artist', 'song', 'status'],
+        properties: {
+          trackId: { type: ['string', 'null'] },
+          isrc: { type: ['string', 'null'] },
+          artist: { type: 'string' },
+          song: { type: 'string' },
+          url: { type: ['string', 'null'] },
+          durationMs: { type: 'number' },
+          status: {
+            enum: ['pending', 'downloading', 'analyzing', 'ready', 'downloaded', 'error', 'cancelled']
+          },
+          jobId: { type: ['string', 'null'] },
+          cached: { type: 'boolean' },
+          error: { type: ['string', 'null'] },
+          details: {}
+        }
+      }),
+      createdAt: { type: 'number' },
+      updatedAt: { type: 'number' }
+    }
+  },
+  CacheDirStats: {
+    type: 'object',
+    required: ['files', 'bytes', 'pinned', 'maxBytes', 'maxAgeDays', 'oldestAccess'],
+    properties: {
+      files: { type: 'integer' },
+      bytes: { type: 'integer' },
+      pinned: { type: 'integer' },
+      maxBytes: { type: ['number', 'null'] },
+      maxAgeDays: { type: ['number', 'null'] },
+      oldestAccess: { type: ['string', 'null'] }
+    }
+  },
+  CacheStats: {
+    type: 'object',
+    required: ['mp3', 'analysis'],
+    properties: { mp3: schemaRef('CacheDirStats'), analysis: schemaRef('CacheDirStats') }
+  },
+  CachedFile: {
+    type: 'object',
+    required: ['filename', 'size', 'modifiedAt', 'lastAccess', 'pinned', 'url'],
+    properties: {
+      filename: { type: 'string' },
+      size: { type: 'integer' },
+      modifiedAt: { type: 'number' },
+      lastAccess: { type: 'number' },
+      pinned: { type: 'boolean' },
+      url: { type: 'string' }
+    }
+  },
+  CachedTrack: {
+    type: 'object',
+    required: ['key', 'title', 'audio', 'analysis', 'complete', 'duplicateOf'],
+    properties: {
+      key: { type: ['string', 'null'], description: 'Catalog key - null for files no catalog entry points at' },
+      trackId: { type: ['string', 'null'] },
+      isrc: { type: ['string', 'null'] },
+      artist: { type: ['string', 'null'] },
+      song: { type: ['string', 'null'] },
+      sourceUrl: { type: ['string', 'null'] },
+      provider: { type: ['string', 'null'] },
+      durationMs: { type: ['number', 'null'] },
+      title: { type: 'string' },
+      audio: { oneOf: [schemaRef('CachedFile'), { type: 'null' }] },
+      analysis: { oneOf: [schemaRef('CachedFile'), { type: 'null' }] },
+      complete: { type: 'boolean' },
+      duplicateOf: { type: ['string', 'null'] }
+    }
+  },
+  CachedTrackList: {
+    type: 'object',
+    required: ['tracks', 'count', 'complete'],
+    properties: {
+      tracks: arrayOf(schemaRef('CachedTrack')),
+      count: { type: 'integer' },
+      complete: { type: 'integer' }
+    }
+  },
+  SearchResults: {
+    type: 'object',
+    required: ['query', 'results', 'ambiguous'],
+    properties: {
+      query: { type: 'string' },
+      results: arrayOf({
+        type: 'object',
+        required: ['filename', 'type', 'score', 'url'],
+        properties: {
+          filename: { type: 'string' },
+          type: { enum: ['mp3', 'analysis'] },
+          score: { type: 'number' },
+          url: { type: 'string' }
+        }
+      }),
+      ambiguous: { type: 'boolean' }
+    }
+  },
+  DuplicateReport: {
+    type: 'object',
+    required: ['dedupe', 'groups', 'duplicateFiles', 'durationMismatches', 'fingerprinted', 'pending', 'total'],
+    properties: {
+      dedupe: { type: 'boolean' },
+      groups: arrayOf({
+        type: 'object',
+        required: ['original', 'copies'],
+        properties: { original: { type: 'object' }, copies: arrayOf({ type: 'object' }) }
+      }),
+      duplicateFiles: { type: 'integer' },
+      durationMismatches: arrayOf({ type: 'object' }),
+      fingerprinted: { type: 'integer' },
+      pending: { type: 'integer' },
+      total: { type: 'integer' }
+    }
+  },
+  EvictionResult: {
+    type: 'object',
+    required: ['message', 'evicted', 'duplicates', 'count'],
+    properties: {
+      message: { type: 'string' },
+      evicted: {
+        type: 'object',
+        properties: { mp3: arrayOf({ type: 'string' }), analysis: arrayOf({ type: 'string' }) }
+      },
+      duplicates: arrayOf({ type: 'string' }),
+      count: { type: 'integer' }
+    }
+  },
+  ImportReport: {
+    type: 'object',
+    required: ['dryRun', 'imported', 'overwritten', 'unchanged', 'conflicts', 'invalid', 'catalog'],
+    properties: {
+      dryRun: { type: 'boolean' },
+      imported: arrayOf({ type: 'string' }),
+      overwritten: arrayOf({ type: 'string' }),
+      unchanged: arrayOf({ type: 'string' }),
+      conflicts: arrayOf({ type: 'object' }),
+      invalid: arrayOf({ type: 'object' }),
+      catalog: {
+        type: 'object',
+        required: ['added', 'updated', 'unchanged', 'conflicts'],
+        properties: {
+          added: { type: 'integer' },
+          updated: { type: 'integer' },
+          unchanged: { type: 'integer' },
+          conflicts: arrayOf({ type: 'object' })
+        }
+      }
+    }
+  }
+};
+
+const parameters = {
+  TrackQuery: {
+    name: 'track',
+    in: 'query',
+    description: 'artist + song, trackId or isrc (at least one way to identify the track)',
+    style: 'form',
+    explode: true,
+    schema: schemaRef('TrackQuery')
+  },
+  Filename: {
+    name: 'filename',
+    in: 'path',
+    required: true,
+    schema: { type: 'string', minLength: 1 }
+  },
+  JobId: { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+  EventToken: {
+    name: 'access_token',
+    in: 'query',
+    description: 'Token from POST /events/token, for EventSource (which can\'t send auth headers)',
+    schema: { type: 'string' }
+  },
+  BatchId: { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+};
+
+const responses = Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([status, name]) => [
+  name,
+  jsonResponse(http.STATUS_CODES[status], schemaRef('Error'))
+]));
+
+// ==================== PATHS ====================
+
+const fileParam = [paramRef('Filename')];
+
+const paths = {
+  '/openapi.json': {
+    get: operation('getOpenApi', 'System', 'This document', {
+      responses: { 200: jsonResponse('OpenAPI document', { type: 'object' }) }
+    })
+  },
+  '/health': {
+    get: operation('getHealth', 'System', 'Server health check', {
+      responses: {
+        200: jsonResponse('Server is up', {
+          type: 'object',
+          required: ['status'],
+          properties: { status: { const: 'ok' }, message: { type: 'string' } }
+        })
+      }
+    })
+  },
+  '/auth': {
+    get: operation('getAuth', 'System', "Caller's role", {
+      responses: { 200: jsonResponse('Role and how it was granted', schemaRef('AuthInfo')), ...errorResponses(401) }
+    })
+  },
+  '/metrics': {
+    get: operation('getMetrics', 'System', 'Prometheus metrics', {
+      role: 'read',
+      responses: {
+        200: { description: 'Text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } },
+        ...errorResponses(500)
+      }
+    })
+  },
+  '/events': {
+    get: operation('getEvents', 'System', 'Library events (Server-Sent Events)', {
+      role: 'read',
+      parameters: [paramRef('EventToken')],
+      responses: {
+        200: {
+          description: 'download:progress, download:done, analysis:saved and cache:evicted events (see README - Event Stream)',
+          content: { 'text/event-stream': { schema: { type: 'string' } } }
+        }
+      }
+    })
+  },
+  '/events/token': {
+    post: operation('createEventToken', 'System', 'Token for opening the event streams', {
+      role: 'read',
+      responses: {
+        200: jsonResponse('Pass as ?access_token= to /events or /jobs/{id}/events', {
+          type: 'object',
+          required: ['token', 'expiresIn'],
+          properties: { token: { type: 'string' }, expiresIn: { type: 'integer', description: 'Seconds' } }
+        })
+      }
+    })
+  },
+  '/providers': {
+    get: operation('listProviders', 'Audio', 'Audio source providers', {
+      role: 'read',
+      responses: {
+        200: jsonResponse('Providers and the default', {
+          type: 'object',
+          required: ['default', 'providers'],
+          properties: { default: { type: 'string' }, providers: arrayOf(schemaRef('Provider')) }
+        })
+      }
+    })
+  },
+  '/check-mp3-cache': {
+    get: operation('checkMp3Cache', 'Audio', 'Whether a track has cached audio', {
+      role: 'read',
+      parameters: [paramRef('TrackQuery')],
+      responses: {
+        200: jsonResponse('Cache hit or miss', { oneOf: [schemaRef('Mp3CacheHit'), schemaRef('CacheMiss')] }),
+        ...errorResponses(400)
+      }
+    })
+  },
+  '/get-mp3': {
+    post: operation('getMp3', 'Audio', 'Get a cached MP3 or start downloading one', {
+      role: 'write',
+      requestBody: jsonBody(schemaRef('GetMp3Request')),
+      responses: {
+        200: jsonResponse('Already cached', schemaRef('Mp3Result')),
+        202: jsonResponse('Download job started (or an existing one reused)', schemaRef('JobLocation')),
+        ...errorResponses(400, 409, 429, 500)
+      }
+    })
+  },
+  '/upload': {
+    post: operation('uploadAudio', 'Audio', "Upload a track's audio", {
+      role: 'write',
+      requestBody: { required: true, content: { 'multipart/form-data': { schema: schemaRef('UploadRequest') } } },
+      responses: {
+        201: jsonResponse('Stored as the track\'s MP3', schemaRef('UploadResult')),
+        ...errorResponses(400, 409, 413, 429, 500)
+      }
+    })
+  },
+  '/jobs/{id}': {
+    get: operation('getJob', 'Jobs', 'Download or analysis job state', {
+      role: 'read',
+      parameters: [paramRef('JobId')],
+      responses: { 200: jsonResponse('Job', schemaRef('Job')), ...errorResponses(404) }
+    })
+  },
+  '/jobs/{id}/events': {
+    get: operation('getJobEvents', 'Jobs', 'Job progress (Server-Sent Events)', {
+      role: 'read',
+      parameters: [paramRef('JobId'), paramRef('EventToken')],
+      responses: {
+        200: {
+          description: '"progress" events, then "done" or "error" - each carries a Job',
+          content: { 'text/event-stream': { schema: { type: 'string' } } }
+        },
+        ...errorResponses(404)
+      }
+    })
+  },
+  '/catalog': {
+    get: operation('listCatalog', 'Catalog', 'Every catalog entry, newest first', {
+      role: 'read',
+      responses: {
+        200: jsonResponse('Catalog entries', {
+          type: 'object',
+          required: ['entries', 'count'],
+          properties: { entries: arrayOf(schemaRef('CatalogEntry')), count: { type: 'integer' } }
+        })
+      }
+    })
+  },
+  '/catalog/{trackId}': {
+    get: operation('getCatalogEntry', 'Catalog', 'Catalog entry for a Spotify track ID', {
+      role: 'read',
+      parameters: [
+        { name: 'trackId', in: 'path', required: true, schema: { type: 'string' } },
+        { name: 'isrc', in: 'query', schema: { type: 'string' } }
+      ],
+      responses: { 200: jsonResponse('Entry with file availability', schemaRef('CatalogLookup')), ...errorResponses(404) }
+    })
+  },
+  '/mp3files/list': {
+    get: operation('listMp3Files', 'Files', 'Cached MP3s, newest first', {
+      role: 'read',
+      responses: { 200: jsonResponse('MP3 files', schemaRef('FileList')), ...errorResponses(500) }
+    })
+  },
+  '/mp3files/{filename}': {
+    get: operation('getMp3File', 'Files', 'Download a cached MP3', {
+      role: 'read',
+      parameters: fileParam,
+      responses: {
+        200: { description: 'MP3 audio', content: { 'audio/mpeg': { schema: { type: 'string', format: 'binary' } } } },
+        ...errorResponses(404)
+      }
+    }),
+    delete: operation('deleteMp3File', 'Files', 'Delete a cached MP3', {
+      role: 'admin',
+      parameters: fileParam,
+      responses: { 200: jsonResponse('Deleted', schemaRef('FileDeleted')), ...errorResponses(404, 500) }
+    })
+  },
+  '/mp3files/{filename}/pin': {
+    post: operation('pinMp3File', 'Files', 'Never evict an MP3', {
+      role: 'admin',
+      parameters: fileParam,
+      responses: { 200: jsonResponse('Pinned', schemaRef('PinState')), ...errorResponses(400, 404) }
+    }),
+    delete: operation('unpinMp3File', 'Files', 'Let an MP3 be evicted again', {
+      role: 'admin',
+      parameters: fileParam,
+      responses: { 200: jsonResponse('Unpinned', schemaRef('PinState')), ...errorResponses(400, 404) }
+    })
+  },
+  '/mp3files/clear/all': {
+    delete: operation('deleteAllMp3Files', 'Files', 'Delete every cached MP3', {
+      role: 'admin',
+      responses: { 200: jsonResponse('Deleted', schemaRef('FilesCleared')), ...errorResponses(500) }
+    })
+  },
+  '/clear-mp3s': {
+    post: operation('clearMp3Files', 'Files', 'Delete every cached MP3', {
+      role: 'admin',
+      responses: { 200: jsonResponse('Deleted', schemaRef('FilesCleared')), ...errorResponses(500) }
+    })
+  },
+  '/check-analysis-cache': {
+    get: operation('checkAnalysisCache', 'Analysis', 'Whether a track has a cached analysis', {
+      role: 'read',
+      parameters: [paramRef('TrackQuery')],
+      responses: {
+        200: jsonResponse('Cache hit or miss', { oneOf: [schemaRef('AnalysisCacheHit'), schemaRef('CacheMiss')] }),
+        ...errorResponses(400)
+      }
+    })
+  },
+  '/get-analysis': {
+    get: operation('getAnalysis', 'Analysis', "A track's analysis (upgraded to the current schema)", {
+      role: 'read',
+      parameters: [paramRef('TrackQuery')],
+      responses: {
+        200: {
+          description: 'Analysis as JSON, or in the binary format when the Accept header prefers it',
+          content: {
+            'application/json': { schema: schemaRef('Analysis') },
+            [ANALYSIS_BINARY_TYPE]: { schema: { type: 'string', format: 'binary' } }
+          }
+        },
+        ...errorResponses(400, 404, 409, 500)
+      }
+    })
+  },
+  '/save-analysis': {
+    post: operation('saveAnalysis', 'Analysis', 'Store a client-side analysis', {
+      role: 'write',
+      requestBody: jsonBody(schemaRef('SaveAnalysisRequest')),
+      responses: { 200: jsonResponse('Saved', schemaRef('AnalysisSaved')), ...errorResponses(400, 500) }
+    })
+  },
+  '/analyze': {
+    post: operation('analyzeTrack', 'Analysis', 'Analyze a cached MP3 on the server', {
+      role: 'write',
+      requestBody: jsonBody(schemaRef('AnalyzeRequest')),
+      responses: {
+        200: jsonResponse('An up-to-date analysis already exists', schemaRef('AnalysisCached')),
+        202: jsonResponse('Analysis job started (or an existing one reused)', schemaRef('JobLocation')),
+        ...errorResponses(400, 404, 429)
+      }
+    })
+  },
+  '/analysis/list': {
+    get: operation('listAnalysisFiles', 'Files', 'Cached analyses, newest first', {
+      role: 'read',
+      responses: { 200: jsonResponse('Analysis files', schemaRef('FileList')), ...errorResponses(500) }
+    })
+  },
+  '/analysis/{filename}': {
+    get: operation('getAnalysisFile', 'Files', 'Download an analysis file as stored', {
+      role: 'read',
+      parameters: fileParam,
+      responses: {
+        200: jsonResponse('Stored analysis - may be an older schema version (see /get-analysis)', { type: 'object' }),
+        ...errorResponses(404)
+      }
+    }),
+    delete: operation('deleteAnalysisFile', 'Files', 'Delete an analysis file', {
+      role: 'admin',
+      parameters: fileParam,
+      responses: { 200: jsonResponse('Deleted', schemaRef('FileDeleted')), ...errorResponses(404, 500) }
+    })
+  },
+  '/analysis/{filename}/pin': {
+    post: operation('pinAnalysisFile', 'Files', 'Never evict an analysis', {
+      role: 'admin',
+      parameters: fileParam,
+      responses: { 200: jsonResponse('Pinned', schemaRef('PinState')), ...errorResponses(400, 404) }
+    }),
+    delete: operation('unpinAnalysisFile', 'Files', 'Let an analysis be evicted again', {
+      role: 'admin',
+      parameters: fileParam,
+      responses: { 200: jsonResponse('Unpinned', schemaRef('PinState')), ...errorResponses(400, 404) }
+    })
+  },
+  '/prewarm': {
+    post: operation('prewarmTracks', 'Pre-warming', 'Download and analyze upcoming tracks in the background', {
+      role: 'write',
+      requestBody: jsonBody(schemaRef('PrewarmRequest')),
+      responses: { 202: jsonResponse('Batch started', schemaRef('PrewarmAccepted')), ...errorResponses(400, 429) }
+    })
+  },
+  '/prewarm/{id}': {
+    get: operation('getPrewarmBatch', 'Pre-warming', 'Batch progress', {
+      role: 'read',
+      parameters: [paramRef('BatchId')],
+      responses: { 200: jsonResponse('Batch', schemaRef('PrewarmBatch')), ...errorResponses(404) }
+    }),
+    delete: operation('cancelPrewarmBatch', 'Pre-warming', 'Cancel the rest of a batch', {
+      role: 'write',
+      parameters: [paramRef('BatchId')],
+      responses: { 200: jsonResponse('Batch after cancelling', schemaRef('PrewarmBatch')), ...errorResponses(404) }
+    })
+  },
+  '/cache/stats': {
+    get: operation('getCacheStats', 'Cache', 'Cache usage and limits', {
+      role: 'read',
+      responses: { 200: jsonResponse('Usage per cache directory', schemaRef('CacheStats')), ...errorResponses(500) }
+    })
+  },
+  '/cache/tracks': {
+    get: operation('listCachedTracks', 'Cache', 'Cached tracks with their audio and analysis files', {
+      role: 'read',
+      responses: { 200: jsonResponse('Tracks, newest first', schemaRef('CachedTrackList')), ...errorResponses(500) }
+    })
+  },
+  '/cache/search': {
+    get: operation('searchCache', 'Cache', 'Ranked fuzzy search over cached files', {
+      role: 'read',
+      parameters: [
+        { name: 'q', in: 'query', required: true, schema: { type: 'string', pattern: '\\S' } },
+        { name: 'type', in: 'query', schema: { enum: ['mp3', 'analysis', 'all'], default: 'all' } },
+        { name: 'limit', in: 'query', description: 'Capped at 50', schema: { type: 'integer', minimum: 1, default: 10 } }
+      ],
+      responses: { 200: jsonResponse('Matches, best first', schemaRef('SearchResults')), ...errorResponses(400, 500) }
+    })
+  },
+  '/cache/duplicates': {
+    get: operation('listDuplicates', 'Cache', 'Same-recording MP3s and audio that doesn\'t match its track length', {
+      role: 'read',
+      responses: { 200: jsonResponse('Duplicate report', schemaRef('DuplicateReport')), ...errorResponses(500) }
+    })
+  },
+  '/cache/evict': {
+    post: operation('evictCache', 'Cache', 'Enforce cache limits now', {
+      role: 'admin',
+      responses: { 200: jsonResponse('Evicted files', schemaRef('EvictionResult')) }
+    })
+  },
+  '/library/export': {
+    get: operation('exportLibrary', 'Library', 'Download the library as .tar.gz', {
+      role: 'read',
+      parameters: [{ name: 'mp3', in: 'query', schema: { type: 'boolean', default: false } }],
+      responses: {
+        200: { description: 'Library archive', content: { 'application/gzip': { schema: { type: 'string', format: 'binary' } } } },
+        ...errorResponses(429, 500)
+      }
+    })
+  },
+  '/library/import': {
+    post: operation('importLibrary', 'Library', 'Import a library archive', {
+      role: 'admin',
+      parameters: [
+        { name: 'overwrite', in: 'query', schema: { type: 'boolean', default: false } },
+        { name: 'dryRun', in: 'query', schema: { type: 'boolean', default: false } }
+      ],
+      requestBody: { required: true, content: { 'application/gzip': { schema: { type: 'string', format: 'binary' } } } },
+      responses: { 200: jsonResponse('What was imported', schemaRef('ImportReport')), ...errorResponses(400, 413, 500) }
+    })
+  }
+};
+
+const openApiSpec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Spotify Visualizer Audio Server',
+    version,
+    description: 'Audio download, caching and analysis for the Spotify visualizer. See server/README.md.'
+  },
+  components: {
+    schemas,
+    parameters,
+    responses,
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      bearer: { type: 'http', scheme: 'bearer', description: 'API key or Spotify access token' }
+    }
+  },
+  security: [{}, { apiKey: [] }, { bearer: [] }],
+  paths
+};
+
+// ==================== ERROR ENVELOPE ====================
+
+/**
+ * Bring an error body into the envelope: { error, code, ...rest }
+ */
+function toErrorEnvelope(status, { error, code, ...fields }) {
+  return {
+    error: error || http.STATUS_CODES[status] || 'Error',
+    code: code || ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request'),
+    ...fields
+  };
+}
+
+/**
+ * Middleware - every JSON error response goes out in the envelope
+ * Install first so responses from earlier middleware (CORS, auth) are covered too.
+ * res.locals.checkResponse, when set, sees each body as it's sent.
+ */
+function errorEnvelope(req, res, next) {
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const isObject = body && typeof body === 'object' && !Array.isArray(body);
+    const payload = res.statusCode >= 400 && isObject ? toErrorEnvelope(res.statusCode, body) : body;
+    if (res.locals.checkResponse) res.locals.checkResponse(payload);
+    return sendJson(payload);
+  };
+  next();
+}
+
+// ==================== VALIDATION ====================
+
+// Base URI the component schemas are registered under with ajv
+const SPEC_SCHEMA_ID = 'openapi.json';
+
+/**
+ * Resolve a local $ref (#/components/...) against the spec
+ */
+function resolveRef(spec, value) {
+  if (!value || !value.$ref) return value;
+  return value.$ref.slice(2).split('/').reduce((node, key) => node[key], spec);
+}
+
+/**
+ * Point local $refs at the registered spec so ajv can follow them from any schema
+ */
+function anchorRefs(schema) {
+  if (Array.isArray(schema)) return schema.map(anchorRefs);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+    key,
+    key === '$ref' && typeof value === 'string' && value.startsWith('#/') ? `${SPEC_SCHEMA_ID}${value}` : anchorRefs(value)
+  ]));
+}
+
+/**
+ * Message for one ajv error - a failed anyOf of required fields names the alternatives
+ * ("must have artist and song, or trackId, or isrc") instead of "must match a schema in anyOf"
+ */
+function describeError(error) {
+  const branches = error.keyword === 'anyOf' && Array.isArray(error.schema) ? error.schema : [];
+  if (branches.length && branches.every(branch => Array.isArray(branch.required))) {
+    return `must have ${branches.map(branch => branch.required.join(' and ')).join(', or ')}`;
+  }
+  return error.message;
+}
+
+/**
+ * Readable messages for ajv errors, prefixed with where the problem is (body, query, path)
+ * A failed anyOf/oneOf also reports why each alternative failed - only the summary is kept
+ */
+function formatErrors(location, errors) {
+  const alternatives = errors.filter(error => error.keyword === 'anyOf' || error.keyword === 'oneOf');
+  const isBranchError = error => alternatives.some(alternative => error !== alternative &&
+    error.schemaPath.startsWith(`${alternative.schemaPath}/`) && error.instancePath.startsWith(alternative.instancePath));
+  return [...new Set(errors.filter(error => !isBranchError(error)).map(error => `${location}${error.instancePath} ${describeError(error)}`))];
+}
+
+/**
+ * JSON schema for all of an operation's query parameters as one object
+ * Exploded object parameters (TrackQuery) contribute their whole schema
+ */
+function buildQuerySchema(spec, queryParams) {
+  const properties = {};
+  const required = [];
+  const allOf = [];
+  queryParams.forEach(param => {
+    const schema = resolveRef(spec, param.schema);
+    if (param.explode && schema.type === 'object') {
+      allOf.push(param.schema);
+    } else {
+      properties[param.name] = param.schema;
+      if (param.required) required.push(param.name);
+    }
+  });
+  return { type: 'object', properties, required, allOf: allOf.length ? allOf : undefined };
+}
+
+/**
+ * Compile the checks for every operation in the spec
+ * Templates with fewer parameters come first so /mp3files/list wins over /mp3files/{filename}
+ */
+function compileOperations(spec) {
+  // verbose: errors carry their schema, which describeError reads
+  const options = { allErrors: true, strict: false, validateFormats: false, verbose: true };
+  const ajv = new Ajv(options);
+  // Query and path values arrive as strings - coerce copies to the declared types
+  const coercingAjv = new Ajv({ ...options, coerceTypes: true });
+  [ajv, coercingAjv].forEach(instance => instance.addSchema({ components: { schemas: spec.components.schemas } }, SPEC_SCHEMA_ID));
+
+  const compile = (instance, schema) => instance.compile(anchorRefs(JSON.parse(JSON.stringify(schema))));
+  const operations = [];
+
+  Object.entries(spec.paths).forEach(([template, pathItem]) => {
+    const names = [];
+    const pattern = new RegExp('^' + template.split('/').map(segment => {
+      const param = segment.match(/^\{(\w+)\}$/);
+      if (!param) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      names.push(param[1]);
+      return '([^/]+)';
+    }).join('/') + '$');
+
+    Object.entries(pathItem).forEach(([method, op]) => {
+      const params = (op.parameters || []).map(param => resolveRef(spec, param));
+      const pathParams = params.filter(param => param.in === 'path');
+      const queryParams = params.filter(param => param.in === 'query');
+      const bodySchema = op.requestBody && op.requestBody.content['application/json'] &&
+        op.requestBody.content['application/json'].schema;
+
+      const responseChecks = {};
+      Object.entries(op.responses).forEach(([status, response]) => {
+        const content = resolveRef(spec, response).content;
+        const schema = content && content['application/json'] && content['application/json'].schema;
+        if (schema) responseChecks[status] = compile(ajv, schema);
+      });
+
+      operations.push({
+        id: op.operationId,
+        method: method.toUpperCase(),
+        pattern,
+        names,
+        paramCount: names.length,
+        validatePath: pathParams.length ? compile(coercingAjv, {
+          type: 'object',
+          properties: Object.fromEntries(pathParams.map(param => [param.name, param.schema]))
+        }) : null,
+        validateQuery: queryParams.length ? compile(coercingAjv, buildQuerySchema(spec, queryParams)) : null,
+        validateBody: bodySchema ? compile(ajv, bodySchema) : null,
+        responseChecks
+      });
+    });
+  });
+
+  return operations.sort((a, b) => a.paramCount - b.paramCount);
+}
+
+/**
+ * Find the operation for a request, with its decoded path parameters
+ */
+function matchOperation(operations, method, requestPath) {
+  const lookupMethod = method === 'HEAD' ? 'GET' : method;
+  for (const op of operations) {
+    if (op.method !== lookupMethod) continue;
+    const match = requestPath.match(op.pattern);
+    if (!match) continue;
+    try {
+      return { op, params: Object.fromEntries(op.names.map((name, i) => [name, decodeURIComponent(match[i + 1])])) };
+    } catch (error) {
+      return null; // Malformed percent-encoding - let the route answer
+    }
+  }
+  return null;
+}
+
+/**
+ * Middleware - reject requests that don't match the spec with 400 invalid_request
+ * Routes not in the spec pass through untouched. With validateResponses, JSON
+ * responses are checked too and mismatches logged.
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} options - { validateResponses }
+ */
+function validateRequests(spec, { validateResponses = false } = {}) {
+  const operations = compileOperations(spec);
+
+  return (req, res, next) => {
+    const matched = matchOperation(operations, req.method, req.path);
+    if (!matched) return next();
+    const { op, params } = matched;
+
+    const problems = [];
+    if (op.validatePath && !op.validatePath(params)) {
+      problems.push(...formatErrors('path', op.validatePath.errors));
+    }
+    if (op.validateQuery && !op.validateQuery({ ...req.query })) {
+      problems.push(...formatErrors('query', op.validateQuery.errors));
+    }
+    if (op.validateBody && !op.validateBody(req.body)) {
+      problems.push(...formatErrors('body', op.validateBody.errors));
+    }
+    if (problems.length) {
+      return res.status(400).json({ error: 'Invalid request', code: 'invalid_request', details: problems });
+    }
+
+    if (validateResponses) {
+      res.locals.checkResponse = (body) => {
+        const check = op.responseChecks[res.statusCode];
+        if (!check) {
+          console.warn(`⚠️ ${op.id} answered ${res.statusCode}, which the spec doesn't list`);
+        } else if (!check(JSON.parse(JSON.stringify(body)))) {
+          console.warn(`⚠️ ${op.id} ${res.statusCode} response doesn't match the spec: ${formatErrors('response', check.errors).join('; ')}`);
+        }
+      };
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  openApiSpec,
+  errorEnvelope,
+  validateRequests
+};
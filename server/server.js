@@ -3,17 +3,34 @@
 // Uses yt-dlp for audio extraction
 
 const express = require('express');
-const { exec } = require('child_process');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
 const path = require('path');
+const zlib = require('zlib');
+const os = require('os');
+const stream = require('stream');
 const fs = require('fs');
 const cors = require('cors');
+const tar = require('tar-stream');
+const busboy = require('busboy');
+const { analyzeInWorker } = require('./audioAnalyzer');
+const { FINGERPRINT_VERSION, FINGERPRINT_MATCH_THRESHOLD, compareFingerprints, isSameRecording, fingerprintInWorker } = require('./audioFingerprint');
+const { ANALYSIS_SCHEMA_VERSION, validateAnalysis, migrateAnalysis } = require('./analysisSchema');
+const { ANALYSIS_BINARY_TYPE, encodeAnalysis } = require('./analysisBinary');
+const { rankCandidates, findBestMatch } = require('./fuzzyMatch');
+const { METRICS_CONTENT_TYPE, createCounter, createHistogram, createGauge, renderMetrics } = require('./metrics');
+const { openApiSpec, errorEnvelope, validateRequests } = require('./openapi');
 
 const app = express();
 const PORT = process.env.PORT || 3001; // Use Railway's PORT or default to 3001
 
 // Directory to store downloaded MP3 files and analysis data
-const MP3_DIR = path.join(__dirname, 'mp3files');
-const ANALYSIS_DIR = path.join(__dirname, 'analysis');
+const MP3_DIR = process.env.MP3_DIR ? path.resolve(process.env.MP3_DIR) : path.join(__dirname, 'mp3files');
+const ANALYSIS_DIR = process.env.ANALYSIS_DIR ? path.resolve(process.env.ANALYSIS_DIR) : path.join(__dirname, 'analysis');
 
 // Create directories if they don't exist
 if (!fs.existsSync(MP3_DIR)) {
@@ -23,640 +40,3739 @@ if (!fs.existsSync(ANALYSIS_DIR)) {
   fs.mkdirSync(ANALYSIS_DIR, { recursive: true });
 }
 
-// CORS configuration - allow GitHub Pages and localhost
+// CORS configuration - allow GitHub Pages and localhost (plus ALLOWED_ORIGINS)
 const allowedOrigins = [
   'http://localhost:3000',
   'http://127.0.0.1:3000',
-  'https://yerry262.github.io'
+  'https://yerry262.github.io',
+  ...(process.env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean)
 ];
 
+// Every JSON error goes out as { error, code, details? } (see openapi.js)
+app.use(errorEnvelope);
+
+// Reject browser requests from any other site - CORS headers alone only hide the response
+app.use((req, res, next) => {
+  const origin = req.headers.origin;
+  // Allow requests with no origin (like mobile apps or curl) - the auth layer handles those
+  if (!origin || allowedOrigins.includes(origin)) return next();
+  console.log('CORS blocked origin:', origin);
+  res.status(403).json({ error: 'Origin not allowed' });
+});
+
 app.use(cors({
-  origin: function(origin, callback) {
-    // Allow requests with no origin (like mobile apps or curl)
-    if (!origin) return callback(null, true);
-    
-    if (allowedOrigins.some(allowed => origin.startsWith(allowed))) {
-      callback(null, true);
-    } else {
-      console.log('CORS blocked origin:', origin);
-      callback(null, true); // Allow anyway for now, can restrict later
-    }
-  },
-  credentials: true
+  origin: allowedOrigins,
+  credentials: true,
+  // Cross-origin scripts only see these if they're listed - the web app backs off on Retry-After
+  exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining']
 }));
 
 app.use(express.json({ limit: '50mb' })); // Increase limit for analysis data
 
-// Serve static MP3 files
-app.use('/mp3files', express.static(MP3_DIR));
-// Serve static analysis files
-app.use('/analysis', express.static(ANALYSIS_DIR));
+// Behind a reverse proxy (Railway, nginx) set TRUST_PROXY so req.ip is the real client
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : (trustProxy === 'true' || trustProxy));
+}
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', message: 'YouTube to MP3 server is running' });
-});
+// ==================== AUTHENTICATION & ROLES ====================
 
-// Clear all MP3 files endpoint
-app.post('/clear-mp3s', (req, res) => {
-  try {
-    const files = fs.readdirSync(MP3_DIR).filter(f => f.endsWith('.mp3'));
-    let deletedCount = 0;
-    files.forEach(file => {
-      try {
-        fs.unlinkSync(path.join(MP3_DIR, file));
-        deletedCount++;
-      } catch (e) {
-        console.error(`Could not delete ${file}:`, e.message);
-      }
-    });
-    console.log(`🗑️ Cleared ${deletedCount} MP3 files`);
-    res.json({ message: 'MP3 files cleared', count: deletedCount });
-  } catch (error) {
-    res.status(500).json({ error: 'Could not clear files' });
+// Roles in increasing order of privilege
+const ROLES = ['none', 'read', 'write', 'admin'];
+
+/**
+ * Parse an env role setting, falling back on unknown values
+ */
+function readRole(name, fallback) {
+  const role = process.env[name] || fallback;
+  if (!ROLES.includes(role)) {
+    console.warn(`⚠️ Unknown role "${role}" in ${name}, using "${fallback}"`);
+    return fallback;
   }
-});
+  return role;
+}
 
 /**
- * Sanitize filename - remove special characters that could cause issues
+ * Parse API_KEYS ("key:role,key:role") into a Map of key → role
  */
-function sanitizeFilename(str) {
-  return str
-    .toLowerCase()
-    .replace(/[<>:"/\\|?*]/g, '') // Remove invalid filename chars
-    .replace(/\s+/g, '_')          // Replace spaces with underscores
-    .replace(/[^\w\-_.]/g, '')     // Remove other special chars
-    .replace(/_+/g, '_')           // Collapse multiple underscores
-    .substring(0, 100);            // Limit length
+function parseApiKeys(value = '') {
+  const keys = new Map();
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [key, role = 'read'] = entry.split(':').map(part => part.trim());
+    if (!ROLES.includes(role) || role === 'none') {
+      console.warn(`⚠️ Ignoring API key with unknown role "${role}"`);
+      return;
+    }
+    keys.set(key, role);
+  });
+  return keys;
 }
 
+const parseList = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const API_KEYS = parseApiKeys(process.env.API_KEYS);
+
+// Spotify access tokens are checked against the Spotify Web API (/v1/me)
+const SPOTIFY_AUTH = process.env.SPOTIFY_AUTH === 'true';
+const SPOTIFY_ALLOWED_USERS = parseList(process.env.SPOTIFY_ALLOWED_USERS);
+// Any Spotify account can get a token, so verified users only read unless they are listed
+const SPOTIFY_USER_ROLE = readRole('SPOTIFY_USER_ROLE', SPOTIFY_ALLOWED_USERS.length > 0 ? 'write' : 'read');
+const SPOTIFY_ADMIN_USERS = parseList(process.env.SPOTIFY_ADMIN_USERS);
+const SPOTIFY_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+// With no keys and no Spotify auth configured, everyone is admin (local development)
+const AUTH_ENABLED = API_KEYS.size > 0 || SPOTIFY_AUTH;
+const ANONYMOUS_ROLE = AUTH_ENABLED ? readRole('ANONYMOUS_ROLE', 'read') : 'admin';
+
+// Verified Spotify tokens (sha256 of token → { user, expires }) so we don't call Spotify on every request
+const spotifyTokenCache = new Map();
+
 /**
- * Extract keywords from a string for fuzzy matching
- * Returns an array of lowercase words (3+ chars) that are meaningful
+ * Look up the Spotify user behind an access token
+ * @returns {Promise<Object|null>} - The /v1/me profile, or null if Spotify rejects the token
  */
-function extractKeywords(str) {
-  if (!str) return [];
-  return str
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')  // Replace special chars with spaces
-    .split(/\s+/)                   // Split by whitespace
-    .map(word => word.trim())
-    .filter(word => word.length >= 3)  // Only words with 3+ chars
-    .filter(word => !['the', 'and', 'for', 'from', 'with', 'feat', 'featuring'].includes(word)); // Skip common words
+function fetchSpotifyUser(token) {
+  return new Promise((resolve, reject) => {
+    const request = https.get('https://api.spotify.com/v1/me', {
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: 5000
+    }, (response) => {
+      let body = '';
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => {
+        if (response.statusCode === 401 || response.statusCode === 403) return resolve(null);
+        if (response.statusCode !== 200) return reject(new Error(`Spotify returned HTTP ${response.statusCode}`));
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error('Spotify token check timed out')));
+    request.on('error', reject);
+  });
 }
 
 /**
- * Check if a filename contains all the keywords (fuzzy match)
- * Returns true if all keywords are found in the filename
+ * Verify a Spotify access token (cached for a few minutes)
+ * @returns {Promise<{id: string, name: string}|null>}
  */
-function fuzzyMatchFilename(filename, artistKeywords, songKeywords) {
-  const filenameLower = filename.toLowerCase();
-  
-  // Check if at least some artist keywords match (at least 1 if available)
-  const artistMatches = artistKeywords.filter(kw => filenameLower.includes(kw));
-  const hasArtistMatch = artistKeywords.length === 0 || artistMatches.length >= 1;
-  
-  // Check if most song keywords match (at least half, minimum 1)
-  const songMatches = songKeywords.filter(kw => filenameLower.includes(kw));
-  const minSongMatches = Math.max(1, Math.ceil(songKeywords.length / 2));
-  const hasSongMatch = songKeywords.length === 0 || songMatches.length >= minSongMatches;
-  
-  return hasArtistMatch && hasSongMatch;
+async function verifySpotifyToken(token) {
+  const cacheKey = crypto.createHash('sha256').update(token).digest('hex');
+  const cached = spotifyTokenCache.get(cacheKey);
+  if (cached && cached.expires > Date.now()) return cached.user;
+
+  const profile = await fetchSpotifyUser(token);
+  const user = profile ? { id: profile.id, name: profile.display_name || profile.id } : null;
+
+  // Drop expired entries before adding so the cache can't grow without bound
+  for (const [key, entry] of spotifyTokenCache) {
+    if (entry.expires <= Date.now()) spotifyTokenCache.delete(key);
+  }
+  spotifyTokenCache.set(cacheKey, { user, expires: Date.now() + SPOTIFY_TOKEN_TTL_MS });
+  return user;
 }
 
 /**
- * Find a file by fuzzy matching artist and song keywords
- * @param {string} directory - Directory to search in
- * @param {string} artist - Artist name
- * @param {string} song - Song name
- * @param {string} extension - File extension (e.g., '.mp3', '.json')
- * @returns {string|null} - Matching filename or null
+ * Role granted to a verified Spotify user
  */
-function findFileByFuzzyMatch(directory, artist, song, extension) {
+function getSpotifyUserRole(user) {
+  if (SPOTIFY_ADMIN_USERS.includes(user.id)) return 'admin';
+  if (SPOTIFY_ALLOWED_USERS.length > 0 && !SPOTIFY_ALLOWED_USERS.includes(user.id)) return ANONYMOUS_ROLE;
+  return SPOTIFY_USER_ROLE;
+}
+
+/**
+ * Work out who is calling. Sets req.auth = { role, via, user, clientId }
+ * clientId identifies the caller for rate limiting (Spotify user, API key or IP)
+ * Credentials: `X-API-Key: <key>` or `Authorization: Bearer <api key | Spotify access token>`
+ */
+async function authenticate(req, res, next) {
+  req.auth = { role: ANONYMOUS_ROLE, via: 'anonymous', user: null, clientId: `ip:${req.ip}` };
+  if (!AUTH_ENABLED) return next();
+
+  const apiKey = req.get('X-API-Key');
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  const token = apiKey || (bearer && bearer[1].trim());
+  if (!token) return next();
+
+  if (API_KEYS.has(token)) {
+    const keyId = crypto.createHash('sha256').update(token).digest('hex').slice(0, 12);
+    req.auth = { role: API_KEYS.get(token), via: 'apiKey', user: null, clientId: `key:${keyId}` };
+    return next();
+  }
+  if (apiKey) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  // Signed-in web app users send their Spotify token on every request - without
+  // SPOTIFY_AUTH it isn't checked, so an unknown Bearer token is just anonymous
+  if (!SPOTIFY_AUTH) return next();
+
   try {
-    const files = fs.readdirSync(directory).filter(f => f.endsWith(extension));
-    const artistKeywords = extractKeywords(artist);
-    const songKeywords = extractKeywords(song);
-    
-    console.log(`🔍 Fuzzy search: artist=[${artistKeywords.join(', ')}] song=[${songKeywords.join(', ')}]`);
-    
-    for (const file of files) {
-      if (fuzzyMatchFilename(file, artistKeywords, songKeywords)) {
-        console.log(`✅ Fuzzy match found: ${file}`);
-        return file;
-      }
+    const user = await verifySpotifyToken(token);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired Spotify token' });
     }
-    
-    return null;
+    req.auth = { role: getSpotifyUserRole(user), via: 'spotify', user, clientId: `spotify:${user.id}` };
+    next();
   } catch (error) {
-    console.error('❌ Fuzzy search error:', error);
-    return null;
+    console.error('❌ Spotify token check failed:', error.message);
+    res.status(502).json({ error: 'Could not verify Spotify token', details: error.message });
   }
 }
 
 /**
- * Generate cache filename from artist and song name
+ * Whether the caller has at least the given role
  */
-function getCacheFilename(artist, song) {
-  const sanitizedArtist = sanitizeFilename(artist);
-  const sanitizedSong = sanitizeFilename(song);
-  return `${sanitizedArtist}-${sanitizedSong}.mp3`;
+function hasRole(req, role) {
+  return ROLES.indexOf(req.auth.role) >= ROLES.indexOf(role);
 }
 
-// Check if MP3 exists by artist-song name (cache check endpoint)
-app.get('/check-mp3-cache', (req, res) => {
-  const { artist, song } = req.query;
-  
-  if (!artist || !song) {
-    return res.status(400).json({ error: 'Artist and song are required' });
+/**
+ * Route middleware - 401 for anonymous callers, 403 for authenticated callers without the role
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req, role)) return next();
+    if (req.auth.via === 'anonymous') {
+      return res.status(401).json({ error: 'Authentication required', requiredRole: role });
+    }
+    res.status(403).json({ error: 'Insufficient permissions', role: req.auth.role, requiredRole: role });
+  };
+}
+
+// EventSource can't send headers, so the event streams also accept a short-lived token
+// in ?access_token= - issued by POST /events/token to a caller who authenticated normally
+const EVENT_TOKEN_TTL_MS = 60 * 1000;
+const EVENT_TOKEN_SECRET = process.env.EVENT_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Sign the caller's identity into an event stream token: base64url(payload).signature
+ */
+function createEventToken(auth) {
+  const payload = Buffer.from(JSON.stringify({ ...auth, expires: Date.now() + EVENT_TOKEN_TTL_MS })).toString('base64url');
+  const signature = crypto.createHmac('sha256', EVENT_TOKEN_SECRET).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+/**
+ * The identity inside an event stream token, or null if it is forged or expired
+ */
+function readEventToken(token) {
+  const [payload, signature = ''] = String(token).split('.');
+  const expected = crypto.createHmac('sha256', EVENT_TOKEN_SECRET).update(payload).digest('base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
   }
-  
-  const cacheFilename = getCacheFilename(artist, song);
-  const cachePath = path.join(MP3_DIR, cacheFilename);
-  
-  // First try exact match
-  if (fs.existsSync(cachePath)) {
-    const stats = fs.statSync(cachePath);
-    const mp3Url = `/mp3files/${encodeURIComponent(cacheFilename)}`;
-    console.log(`📦 Cache HIT (exact): ${cacheFilename}`);
-    return res.json({
-      cached: true,
-      mp3Url: mp3Url,
-      filename: cacheFilename,
-      artist: artist,
-      song: song,
-      size: stats.size,
-      created: stats.birthtime
-    });
+  try {
+    const { expires, ...auth } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return expires > Date.now() ? auth : null;
+  } catch (error) {
+    return null;
   }
-  
-  // Try fuzzy match as fallback
-  const fuzzyMatch = findFileByFuzzyMatch(MP3_DIR, artist, song, '.mp3');
-  if (fuzzyMatch) {
-    const fuzzyPath = path.join(MP3_DIR, fuzzyMatch);
-    const stats = fs.statSync(fuzzyPath);
-    const mp3Url = `/mp3files/${encodeURIComponent(fuzzyMatch)}`;
-    console.log(`📦 Cache HIT (fuzzy): ${fuzzyMatch}`);
-    return res.json({
-      cached: true,
-      mp3Url: mp3Url,
-      filename: fuzzyMatch,
-      artist: artist,
-      song: song,
-      size: stats.size,
-      created: stats.birthtime
-    });
+}
+
+/**
+ * Route middleware for the event streams - ?access_token= stands in for the auth headers
+ */
+function acceptEventToken(req, res, next) {
+  if (!req.query.access_token) return next();
+  const auth = readEventToken(req.query.access_token);
+  if (!auth) {
+    return res.status(401).json({ error: 'Invalid or expired event stream token' });
   }
-  
-  console.log(`📭 Cache MISS: ${cacheFilename}`);
-  return res.json({ cached: false, expectedFilename: cacheFilename });
+  req.auth = auth;
+  next();
+}
+
+app.use(authenticate);
+
+// Check requests against the OpenAPI document (and responses too, outside production)
+const OPENAPI_VALIDATE_RESPONSES = process.env.OPENAPI_VALIDATE_RESPONSES
+  ? process.env.OPENAPI_VALIDATE_RESPONSES === 'true'
+  : process.env.NODE_ENV !== 'production';
+app.use(validateRequests(openApiSpec, { validateResponses: OPENAPI_VALIDATE_RESPONSES }));
+
+// The API description - open to everyone so clients can be generated from it
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiSpec);
 });
 
-// Main endpoint to extract MP3 from YouTube URL
-app.post('/get-mp3', async (req, res) => {
-  const { url: youtubeUrl, artist, song, clearOld } = req.body;
+// Who am I - lets clients show or hide admin features
+app.get('/auth', (req, res) => {
+  res.json({
+    authEnabled: AUTH_ENABLED,
+    role: req.auth.role,
+    via: req.auth.via,
+    user: req.auth.user
+  });
+});
 
-  // Validate YouTube URL
-  if (!youtubeUrl) {
-    return res.status(400).json({ error: 'YouTube URL is required' });
-  }
+// ==================== RATE LIMITING ====================
 
-  if (!youtubeUrl.includes('youtube.com') && !youtubeUrl.includes('youtu.be')) {
-    return res.status(400).json({ error: 'Invalid YouTube URL' });
-  }
+/**
+ * Read a non-negative integer setting from the environment
+ */
+function readCount(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
 
-  // Extract video ID from URL
-  const videoIdMatch = youtubeUrl.match(/[?&]v=([^&]+)/) || youtubeUrl.match(/youtu\.be\/([^?]+)/);
-  const videoId = videoIdMatch ? videoIdMatch[1] : null;
+// Requests each client may make per window to routes that start work (0 = unlimited)
+const RATE_LIMIT_MAX = readCount('RATE_LIMIT_MAX', 30);
+const RATE_LIMIT_WINDOW_MS = Math.max(1, readCount('RATE_LIMIT_WINDOW_SECONDS', 60)) * 1000;
 
-  // Use artist-song naming if provided (for proper caching)
-  const cacheFilename = (artist && song) ? getCacheFilename(artist, song) : null;
-  
-  // Check cache by artist-song filename FIRST (before clearing old files)
-  if (cacheFilename) {
-    const cachePath = path.join(MP3_DIR, cacheFilename);
-    
-    // Try exact match first
-    if (fs.existsSync(cachePath)) {
-      const stats = fs.statSync(cachePath);
-      const mp3Url = `/mp3files/${encodeURIComponent(cacheFilename)}`;
-      console.log(`📦 Using cached MP3 (exact): ${cacheFilename}`);
-      return res.json({
-        mp3Url: mp3Url,
-        filename: cacheFilename,
-        title: `${artist} - ${song}`,
-        artist: artist,
-        song: song,
-        size: stats.size,
-        cached: true
-      });
-    }
-    
-    // Try fuzzy match as fallback
-    const fuzzyMatch = findFileByFuzzyMatch(MP3_DIR, artist, song, '.mp3');
-    if (fuzzyMatch) {
-      const fuzzyPath = path.join(MP3_DIR, fuzzyMatch);
-      const stats = fs.statSync(fuzzyPath);
-      const mp3Url = `/mp3files/${encodeURIComponent(fuzzyMatch)}`;
-      console.log(`📦 Using cached MP3 (fuzzy): ${fuzzyMatch}`);
-      return res.json({
-        mp3Url: mp3Url,
-        filename: fuzzyMatch,
-        title: `${artist} - ${song}`,
-        artist: artist,
-        song: song,
-        size: stats.size,
-        cached: true
+// Recent request times per route and client (`route|clientId` → timestamps, oldest first)
+const rateLimitHits = new Map();
+
+/**
+ * Route middleware - sliding-window limit per client, 429 with Retry-After when exceeded
+ * Authenticated admins are not limited
+ */
+function rateLimit(route) {
+  return (req, res, next) => {
+    if (!RATE_LIMIT_MAX || (req.auth.via !== 'anonymous' && hasRole(req, 'admin'))) return next();
+
+    const key = `${route}|${req.auth.clientId}`;
+    const now = Date.now();
+    const hits = (rateLimitHits.get(key) || []).filter(time => time > now - RATE_LIMIT_WINDOW_MS);
+
+    if (hits.length >= RATE_LIMIT_MAX) {
+      rateLimitHits.set(key, hits);
+      const retryAfter = Math.max(1, Math.ceil((hits[0] + RATE_LIMIT_WINDOW_MS - now) / 1000));
+      console.log(`🚦 Rate limited ${req.auth.clientId} on ${route} (retry in ${retryAfter}s)`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        retryAfter,
+        limit: RATE_LIMIT_MAX,
+        windowSeconds: RATE_LIMIT_WINDOW_MS / 1000
       });
     }
-  }
 
-  // Clear old MP3 files if requested (but preserve the current cache file if it exists)
-  if (clearOld) {
-    const files = fs.readdirSync(MP3_DIR).filter(f => f.endsWith('.mp3'));
-    let deletedCount = 0;
-    files.forEach(file => {
-      // Don't delete the cache file we're about to create
-      if (cacheFilename && file === cacheFilename) return;
-      try {
-        fs.unlinkSync(path.join(MP3_DIR, file));
-        deletedCount++;
-      } catch (e) {
-        console.error(`Could not delete ${file}:`, e.message);
-      }
+    hits.push(now);
+    rateLimitHits.set(key, hits);
+    res.set({
+      'X-RateLimit-Limit': String(RATE_LIMIT_MAX),
+      'X-RateLimit-Remaining': String(RATE_LIMIT_MAX - hits.length)
     });
-    if (deletedCount > 0) {
-      console.log(`🗑️ Cleared ${deletedCount} old MP3 files`);
-    }
-  }
+    next();
+  };
+}
 
-  // Legacy cache check by video ID (fallback)
-  if (videoId && !cacheFilename) {
-    const existingFiles = fs.readdirSync(MP3_DIR).filter(f => f.endsWith('.mp3'));
-    for (const file of existingFiles) {
-      const filepath = path.join(MP3_DIR, file);
-      const stats = fs.statSync(filepath);
-      const ageMs = Date.now() - stats.mtimeMs;
-      // If file is less than 1 hour old, return it as cached
-      if (ageMs < 3600000) {
-        const mp3Url = `/mp3files/${encodeURIComponent(file)}`;
-        console.log(`✅ Using cached MP3 (legacy): ${file}`);
-        return res.json({
-          mp3Url: mp3Url,
-          filename: file,
-          title: file.replace(/_\d+\.mp3$/, ''),
-          size: stats.size,
-          cached: true
-        });
-      }
-    }
+// Forget clients that have gone quiet
+setInterval(() => {
+  const cutoff = Date.now() - RATE_LIMIT_WINDOW_MS;
+  for (const [key, hits] of rateLimitHits) {
+    if (hits[hits.length - 1] <= cutoff) rateLimitHits.delete(key);
   }
+}, RATE_LIMIT_WINDOW_MS).unref();
 
-  console.log(`📥 Processing: ${youtubeUrl}`);
-  console.log(`   Artist: ${artist || 'unknown'}, Song: ${song || 'unknown'}`);
-
-  // Determine output filename
-  let outputPath;
-  let finalFilename;
-  
-  if (cacheFilename) {
-    // Use artist-song naming for proper caching
-    outputPath = path.join(MP3_DIR, cacheFilename.replace('.mp3', '.%(ext)s'));
-    finalFilename = cacheFilename;
-  } else {
-    // Fallback to timestamp naming
-    const timestamp = Date.now();
-    outputPath = path.join(MP3_DIR, `%(title)s_${timestamp}.%(ext)s`);
-    finalFilename = null; // Will be determined after download
-  }
-
-  // yt-dlp command to extract audio as MP3
-  // Options:
-  //   -x: Extract audio
-  //   --audio-format mp3: Convert to MP3
-  //   --audio-quality 0: Best quality
-  //   --no-playlist: Don't download playlists
-  //   --ffmpeg-location: Specify ffmpeg path (Windows only)
-  
-  // Detect platform and use appropriate binary
-  const isWindows = process.platform === 'win32';
-  const ytDlpPath = isWindows ? path.join(__dirname, 'yt-dlp.exe') : 'yt-dlp';
-  const ffmpegPath = __dirname;
-  
-  // Build command - on Linux, yt-dlp and ffmpeg should be installed globally
-  let command;
-  if (isWindows) {
-    command = `"${ytDlpPath}" --ffmpeg-location "${ffmpegPath}" -x --audio-format mp3 --audio-quality 0 --no-playlist -o "${outputPath}" "${youtubeUrl}"`;
-  } else {
-    // Linux/Railway - use globally installed yt-dlp and ffmpeg
-    command = `yt-dlp -x --audio-format mp3 --audio-quality 0 --no-playlist -o "${outputPath}" "${youtubeUrl}"`;
-  }
-
-  exec(command, { maxBuffer: 1024 * 1024 * 10 }, (error, stdout, stderr) => {
-    console.log('📋 yt-dlp stdout:', stdout);
-    console.log('📋 yt-dlp stderr:', stderr);
-    
-    if (error) {
-      console.error('❌ yt-dlp error:', error.message);
-      console.error('stderr:', stderr);
-      return res.status(500).json({ 
-        error: 'Failed to download MP3',
-        details: error.message 
-      });
-    }
-
-    // Find the downloaded MP3 file
-    let mp3Filename;
-    
-    if (cacheFilename) {
-      // We know the exact filename we requested
-      mp3Filename = cacheFilename;
-    } else {
-      // Fallback: Find file by timestamp pattern
-      const timestamp = Date.now();
-      const files = fs.readdirSync(MP3_DIR);
-      mp3Filename = files
-        .filter(f => f.endsWith('.mp3'))
-        .sort((a, b) => {
-          const statA = fs.statSync(path.join(MP3_DIR, a));
-          const statB = fs.statSync(path.join(MP3_DIR, b));
-          return statB.mtimeMs - statA.mtimeMs;
-        })
-        .shift(); // Get most recent
-    }
-    
-    console.log('📁 Looking for MP3:', mp3Filename);
+// ==================== METRICS ====================
+// Exposed at GET /metrics in the Prometheus text format.
+// Gauges are read when scraped, so they can refer to state defined further down.
 
-    if (!mp3Filename) {
-      console.error('❌ Could not determine MP3 filename');
-      return res.status(500).json({ error: 'Could not determine MP3 filename' });
-    }
+const cacheLookups = createCounter(
+  'cache_lookups_total',
+  'Cache lookups by route and result (hit or miss)',
+  ['route', 'result']
+);
 
-    const mp3Path = path.join(MP3_DIR, mp3Filename);
+const downloadDuration = createHistogram(
+  'download_duration_seconds',
+  'Time spent fetching audio through a provider (ytdlp = yt-dlp)',
+  ['provider', 'result']
+);
 
-    // Verify file exists
-    if (!fs.existsSync(mp3Path)) {
-      console.error('❌ MP3 file not found:', mp3Path);
-      return res.status(500).json({ error: 'MP3 file not found after download' });
-    }
+const downloadFailures = createCounter(
+  'download_failures_total',
+  'Downloads that ended in an error, by provider',
+  ['provider']
+);
 
-    const fileStats = fs.statSync(mp3Path);
-    const mp3Url = `/mp3files/${encodeURIComponent(mp3Filename)}`;
+createGauge('cache_bytes', 'Bytes stored in each cache directory', () =>
+  Object.entries(CACHE_DIRS).map(([cacheType, { dir }]) => ({
+    labels: { directory: path.basename(dir) },
+    value: listCacheEntries(cacheType).reduce((sum, entry) => sum + entry.size, 0)
+  }))
+);
 
-    console.log(`✅ MP3 ready: ${mp3Filename}`);
-    console.log(`📁 Size: ${(fileStats.size / 1024 / 1024).toFixed(2)} MB`);
+createGauge('cache_files', 'Files stored in each cache directory', () =>
+  Object.entries(CACHE_DIRS).map(([cacheType, { dir }]) => ({
+    labels: { directory: path.basename(dir) },
+    value: listCacheEntries(cacheType).length
+  }))
+);
 
-    res.json({
-      mp3Url: mp3Url,
-      filename: mp3Filename,
-      title: (artist && song) ? `${artist} - ${song}` : mp3Filename.replace(/\.mp3$/, ''),
-      artist: artist || null,
-      song: song || null,
-      size: fileStats.size,
-      path: mp3Path,
-      cached: false
-    });
+createGauge('jobs_in_flight', 'Unfinished background jobs by type and status', () => {
+  const counts = new Map();
+  for (const job of jobs.values()) {
+    if (isJobFinished(job)) continue;
+    const key = `${job.type}|${job.status}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts].map(([key, value]) => {
+    const [type, status] = key.split('|');
+    return { labels: { type, status }, value };
   });
 });
 
-// List all downloaded MP3 files
-app.get('/mp3files/list', (req, res) => {
-  try {
-    const files = fs.readdirSync(MP3_DIR)
-      .filter(f => f.endsWith('.mp3'))
-      .map(filename => {
-        const filepath = path.join(MP3_DIR, filename);
-        const stats = fs.statSync(filepath);
-        return {
-          filename,
-          url: `/mp3files/${encodeURIComponent(filename)}`,
-          size: stats.size,
-          created: stats.birthtime
-        };
-      })
-      .sort((a, b) => new Date(b.created) - new Date(a.created));
+createGauge('download_queue_length', 'Download jobs waiting for a free slot', () => downloadQueue.length);
 
-    res.json({ files, count: files.length });
-  } catch (error) {
-    res.status(500).json({ error: 'Could not list files' });
-  }
-});
+createGauge('downloads_active', 'Downloads currently running', () => activeDownloads);
 
-// Delete an MP3 file
-app.delete('/mp3files/:filename', (req, res) => {
-  const filename = decodeURIComponent(req.params.filename);
-  const filepath = path.join(MP3_DIR, filename);
+createGauge('event_subscribers', 'Open /events streams', () => eventSubscribers.size);
 
-  if (!fs.existsSync(filepath)) {
-    return res.status(404).json({ error: 'File not found' });
-  }
+createGauge('process_uptime_seconds', 'Seconds since the server started', () => Math.round(process.uptime()));
 
-  try {
-    fs.unlinkSync(filepath);
-    res.json({ message: 'File deleted', filename });
-  } catch (error) {
-    res.status(500).json({ error: 'Could not delete file' });
-  }
-});
+/**
+ * Count a cache lookup for one of the check/get routes
+ */
+function recordCacheLookup(route, hit) {
+  cacheLookups.inc({ route, result: hit ? 'hit' : 'miss' });
+}
 
-// Clear all MP3 files
-app.delete('/mp3files/clear/all', (req, res) => {
-  try {
-    const files = fs.readdirSync(MP3_DIR).filter(f => f.endsWith('.mp3'));
-    files.forEach(file => fs.unlinkSync(path.join(MP3_DIR, file)));
-    res.json({ message: 'All files deleted', count: files.length });
-  } catch (error) {
-    res.status(500).json({ error: 'Could not clear files' });
-  }
-});
+// ==================== EVENT STREAM ====================
+//
+// GET /events is a Server-Sent Events stream of what happens to the library, so
+// clients hear about downloads and analyses they didn't start (other clients,
+// pre-warming) without polling. Every event carries the track it belongs to:
+//
+//   download:progress  { track, jobId, status, percent, queuePosition }
+//   download:done      { track, jobId, status: 'done' | 'error', filename, error }
+//                      (uploads: jobId null, source 'upload')
+//   analysis:saved     { track, filename, url, source: 'client' | 'server' }
+//   cache:evicted      { track, cacheType, filename }
+//
+// track is { key, trackId, isrc, artist, song } - key is the catalog key, null when
+// the request carried no track ID or ISRC.
 
-// ==================== ANALYSIS DATA ENDPOINTS ====================
+// Open /events responses
+const eventSubscribers = new Set();
+// Progress events per download job are sent at most this often
+const PROGRESS_EVENT_INTERVAL_MS = 1000;
 
 /**
- * Generate analysis filename from artist and song
+ * Track identity attached to every event
  */
-function getAnalysisFilename(artist, song) {
+function describeEventTrack({ trackId, isrc, artist, song }) {
+  return {
+    key: getCatalogKey({ trackId, isrc }),
+    trackId: trackId || null,
+    isrc: isrc || null,
+    artist: artist || null,
+    song: song || null
+  };
+}
+
+/**
+ * Send an event to every /events subscriber
+ * @param {string} event - Event name (download:progress, analysis:saved, ...)
+ * @param {Object} track - { trackId, isrc, artist, song }
+ * @param {Object} fields - Event-specific data
+ */
+function publishEvent(event, track, fields = {}) {
+  if (eventSubscribers.size === 0) return;
+  const data = JSON.stringify({ track: describeEventTrack(track), ...fields, timestamp: Date.now() });
+  eventSubscribers.forEach(res => res.write(`event: ${event}\ndata: ${data}\n\n`));
+}
+
+/**
+ * Publish a download job's state - progress is throttled, status changes always go out
+ */
+function publishDownloadEvent(job, statusChanged) {
+  if (isJobFinished(job)) {
+    publishEvent('download:done', job, {
+      jobId: job.id,
+      status: job.status,
+      filename: job.result ? job.result.filename : null,
+      error: job.error
+    });
+    return;
+  }
+
+  const now = Date.now();
+  if (!statusChanged && now - (job.lastProgressEventAt || 0) < PROGRESS_EVENT_INTERVAL_MS) return;
+  job.lastProgressEventAt = now;
+  publishEvent('download:progress', job, {
+    jobId: job.id,
+    status: job.status,
+    percent: job.percent,
+    queuePosition: job.queuePosition || null
+  });
+}
+
+/**
+ * Catalog entry that points at a cached file, if any
+ */
+function findCatalogEntryByFile(cacheType, filename) {
+  const field = cacheType === 'mp3' ? 'audioFile' : 'analysisFile';
+  return Object.values(catalog).find(entry => entry[field] === filename) || null;
+}
+
+// Token for opening the event streams with EventSource (see acceptEventToken)
+app.post('/events/token', requireRole('read'), (req, res) => {
+  res.json({ token: createEventToken(req.auth), expiresIn: EVENT_TOKEN_TTL_MS / 1000 });
+});
+
+// Library events as Server-Sent Events
+app.get('/events', acceptEventToken, requireRole('read'), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+  });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+
+  eventSubscribers.add(res);
+
+  // Keep-alive comment so idle proxies don't drop the connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventSubscribers.delete(res);
+  });
+});
+
+// ==================== CACHE QUOTAS & LRU EVICTION ====================
+
+// Last-access times and pins, persisted across restarts
+const CACHE_META_PATH = process.env.CACHE_META_PATH || path.join(__dirname, 'cache-meta.json');
+// How often limits are enforced in the background
+const CACHE_SWEEP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+const MB = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a numeric limit from the environment (0 or unset = unlimited)
+ */
+function readLimit(name, unit) {
+  const value = parseFloat(process.env[name]);
+  return value > 0 ? value * unit : 0;
+}
+
+// Size and age limits for each cache directory
+const CACHE_DIRS = {
+  mp3: {
+    dir: MP3_DIR,
+    extension: '.mp3',
+    maxBytes: readLimit('MP3_CACHE_MAX_MB', MB),
+    maxAgeMs: readLimit('MP3_CACHE_MAX_AGE_DAYS', DAY_MS)
+  },
+  analysis: {
+    dir: ANALYSIS_DIR,
+    extension: '.json',
+    maxBytes: readLimit('ANALYSIS_CACHE_MAX_MB', MB),
+    maxAgeMs: readLimit('ANALYSIS_CACHE_MAX_AGE_DAYS', DAY_MS)
+  }
+};
+
+/**
+ * Load cache metadata: { "mp3/<file>": { lastAccess, pinned, fingerprint, duplicateOf } }
+ */
+function loadCacheMeta() {
+  try {
+    return JSON.parse(fs.readFileSync(CACHE_META_PATH, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+const cacheMeta = loadCacheMeta();
+let cacheMetaSaveTimer = null;
+
+/**
+ * Persist cache metadata (debounced - access tracking fires on every file served)
+ */
+function saveCacheMeta() {
+  if (cacheMetaSaveTimer) return;
+  cacheMetaSaveTimer = setTimeout(() => {
+    cacheMetaSaveTimer = null;
+    fs.writeFile(CACHE_META_PATH, JSON.stringify(cacheMeta, null, 2), error => {
+      if (error) console.error('❌ Could not save cache metadata:', error.message);
+    });
+  }, 2000);
+}
+
+/**
+ * Record that a cached file was just used
+ * @param {string} cacheType - 'mp3' or 'analysis'
+ */
+function touchCacheFile(cacheType, filename) {
+  const key = `${cacheType}/${filename}`;
+  cacheMeta[key] = { ...cacheMeta[key], lastAccess: Date.now() };
+  saveCacheMeta();
+}
+
+/**
+ * Forget metadata for a deleted file (pins are kept only while the file exists)
+ * Every deletion goes through here, so this is also where cache:evicted is published
+ */
+function forgetCacheFile(cacheType, filename) {
+  delete cacheMeta[`${cacheType}/${filename}`];
+  saveCacheMeta();
+  publishEvent('cache:evicted', findCatalogEntryByFile(cacheType, filename) || {}, { cacheType, filename });
+}
+
+/**
+ * Pin or unpin a cached file - pinned files are never evicted
+ */
+function setCachePinned(cacheType, filename, pinned) {
+  const key = `${cacheType}/${filename}`;
+  cacheMeta[key] = { ...cacheMeta[key], pinned };
+  saveCacheMeta();
+}
+
+/**
+ * Set a pin from a route's :filename - 400 unless it's a plain filename, 404 unless it's cached
+ * @returns {string|null} - The filename, null if an error response was sent
+ */
+function pinCachedFile(req, res, cacheType, pinned) {
+  const filename = decodeURIComponent(req.params.filename);
+  if (path.basename(filename) !== filename) {
+    res.status(400).json({ error: 'Invalid filename' });
+    return null;
+  }
+  const { dir, extension } = CACHE_DIRS[cacheType];
+  if (!filename.endsWith(extension) || !fs.existsSync(path.join(dir, filename))) {
+    res.status(404).json({ error: cacheType === 'mp3' ? 'File not found' : 'Analysis file not found' });
+    return null;
+  }
+  setCachePinned(cacheType, filename, pinned);
+  return filename;
+}
+
+/**
+ * Files currently being written or read by a job - never evict these
+ */
+function getBusyFiles() {
+  const busy = new Set();
+  for (const job of jobs.values()) {
+    if (isJobFinished(job)) continue;
+    if (job.cacheFilename) busy.add(`mp3/${job.cacheFilename}`);
+    if (job.replaceFilename) busy.add(`mp3/${job.replaceFilename}`);
+    if (job.mp3Filename) busy.add(`mp3/${job.mp3Filename}`);
+    if (job.analysisFilename) busy.add(`analysis/${job.analysisFilename}`);
+  }
+  return busy;
+}
+
+/**
+ * List a cache directory with size, last access and pin state
+ */
+function listCacheEntries(cacheType) {
+  const { dir, extension } = CACHE_DIRS[cacheType];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith(extension))
+    .map(filename => {
+      const stats = fs.statSync(path.join(dir, filename));
+      const meta = cacheMeta[`${cacheType}/${filename}`] || {};
+      return {
+        filename,
+        size: stats.size,
+        modifiedAt: stats.mtimeMs,
+        // Files never served since tracking started count from their last write
+        lastAccess: meta.lastAccess || stats.mtimeMs,
+        pinned: Boolean(meta.pinned)
+      };
+    });
+}
+
+/**
+ * Delete expired files, then least-recently-used files until under the size limit
+ * @returns {string[]} - Evicted filenames
+ */
+function enforceCacheLimits(cacheType) {
+  const { dir, maxBytes, maxAgeMs } = CACHE_DIRS[cacheType];
+  if (!maxBytes && !maxAgeMs) return [];
+
+  const busy = getBusyFiles();
+  const entries = listCacheEntries(cacheType);
+  let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  // Oldest access first
+  const candidates = entries
+    .filter(entry => !entry.pinned && !busy.has(`${cacheType}/${entry.filename}`))
+    .sort((a, b) => a.lastAccess - b.lastAccess);
+
+  const evicted = [];
+  const now = Date.now();
+  for (const entry of candidates) {
+    const expired = maxAgeMs && now - entry.lastAccess > maxAgeMs;
+    const overQuota = maxBytes && totalBytes > maxBytes;
+    if (!expired && !overQuota) continue;
+
+    try {
+      fs.unlinkSync(path.join(dir, entry.filename));
+      forgetCacheFile(cacheType, entry.filename);
+      totalBytes -= entry.size;
+      evicted.push(entry.filename);
+    } catch (e) {
+      console.error(`Could not evict ${entry.filename}:`, e.message);
+    }
+  }
+
+  if (evicted.length > 0) {
+    console.log(`🧹 Evicted ${evicted.length} ${cacheType} file(s), ${(totalBytes / MB).toFixed(1)}MB left`);
+  }
+  return evicted;
+}
+
+/**
+ * Enforce limits on every cache directory
+ */
+function enforceAllCacheLimits() {
+  const evicted = {};
+  Object.keys(CACHE_DIRS).forEach(cacheType => {
+    try {
+      evicted[cacheType] = enforceCacheLimits(cacheType);
+    } catch (error) {
+      console.error(`❌ Cache eviction failed for ${cacheType}:`, error.message);
+      evicted[cacheType] = [];
+    }
+  });
+  return evicted;
+}
+
+setInterval(() => {
+  enforceAllCacheLimits();
+  removeDuplicateCopies();
+}, CACHE_SWEEP_INTERVAL_MS).unref();
+
+// Serve static MP3 files (recording last access for LRU eviction)
+app.use('/mp3files', requireRole('read'), express.static(MP3_DIR, {
+  setHeaders: (res, filePath) => touchCacheFile('mp3', path.basename(filePath))
+}));
+// Serve static analysis files
+app.use('/analysis', requireRole('read'), express.static(ANALYSIS_DIR, {
+  setHeaders: (res, filePath) => touchCacheFile('analysis', path.basename(filePath))
+}));
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', message: 'YouTube to MP3 server is running' });
+});
+
+// Clear all MP3 files endpoint
+app.post('/clear-mp3s', requireRole('admin'), (req, res) => {
+  try {
+    const files = fs.readdirSync(MP3_DIR).filter(f => f.endsWith('.mp3'));
+    let deletedCount = 0;
+    files.forEach(file => {
+      try {
+        fs.unlinkSync(path.join(MP3_DIR, file));
+        forgetCacheFile('mp3', file);
+        deletedCount++;
+      } catch (e) {
+        console.error(`Could not delete ${file}:`, e.message);
+      }
+    });
+    console.log(`🗑️ Cleared ${deletedCount} MP3 files`);
+    res.json({ message: 'MP3 files cleared', count: deletedCount });
+  } catch (error) {
+    res.status(500).json({ error: 'Could not clear files' });
+  }
+});
+
+/**
+ * Sanitize filename - remove special characters that could cause issues
+ */
+function sanitizeFilename(str) {
+  return str
+    .toLowerCase()
+    .replace(/[<>:"/\\|?*]/g, '') // Remove invalid filename chars
+    .replace(/\s+/g, '_')          // Replace spaces with underscores
+    .replace(/[^\w\-_.]/g, '')     // Remove other special chars
+    .replace(/_+/g, '_')           // Collapse multiple underscores
+    .substring(0, 100);            // Limit length
+}
+
+/**
+ * Find a file by ranked fuzzy matching against "artist song"
+ * @param {string} directory - Directory to search in
+ * @param {string} artist - Artist name
+ * @param {string} song - Song name
+ * @param {string} extension - File extension (e.g., '.mp3', '.json')
+ * @returns {{filename: string|null, score: number, ambiguous: boolean, candidates: Object[]}}
+ *          filename is null when nothing scores high enough or the top two are too close
+ */
+function findFileByFuzzyMatch(directory, artist, song, extension) {
+  try {
+    const files = fs.readdirSync(directory).filter(f => f.endsWith(extension));
+    const result = findBestMatch(`${artist} ${song}`, files);
+
+    if (result.filename) {
+      console.log(`✅ Fuzzy match found: ${result.filename} (score ${result.score})`);
+    } else if (result.ambiguous) {
+      console.log(`⚖️ Ambiguous fuzzy match for "${artist} - ${song}": ${result.candidates.map(c => `${c.filename} (${c.score})`).join(', ')}`);
+    }
+    return result;
+  } catch (error) {
+    console.error('❌ Fuzzy search error:', error);
+    return { filename: null, score: 0, ambiguous: false, candidates: [] };
+  }
+}
+
+/**
+ * Generate cache filename from artist and song name
+ */
+function getCacheFilename(artist, song) {
   const sanitizedArtist = sanitizeFilename(artist);
   const sanitizedSong = sanitizeFilename(song);
-  return `${sanitizedArtist}-${sanitizedSong}.json`;
+  return `${sanitizedArtist}-${sanitizedSong}.mp3`;
+}
+
+// ==================== TRACK CATALOG ====================
+//
+// Maps Spotify track IDs (and ISRCs) to the files cached for that exact track, so
+// remixes and re-releases with similar names never get each other's audio or analysis.
+// Entry: { trackId, isrc, artist, song, audioFile, analysisFile, sourceUrl, provider, durationMs, createdAt, updatedAt }
+// durationMs is Spotify's track length - used to spot audio that is another recording
+
+const CATALOG_PATH = process.env.CATALOG_PATH || path.join(__dirname, 'catalog.json');
+
+/**
+ * Load the catalog from disk: { "<trackId or isrc:XXX>": entry }
+ */
+function loadCatalog() {
+  try {
+    return JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+const catalog = loadCatalog();
+
+/**
+ * Write the catalog to disk (writes are rare - only when files are added)
+ */
+function saveCatalog() {
+  try {
+    fs.writeFileSync(CATALOG_PATH, JSON.stringify(catalog, null, 2));
+  } catch (error) {
+    console.error('❌ Could not save catalog:', error.message);
+  }
+}
+
+/**
+ * Catalog key for a track - Spotify ID when known, ISRC otherwise
+ */
+function getCatalogKey({ trackId, isrc }) {
+  if (trackId) return trackId;
+  if (isrc) return `isrc:${isrc.toUpperCase()}`;
+  return null;
+}
+
+/**
+ * Find the catalog entry for a track by Spotify ID, then by ISRC
+ */
+function findCatalogEntry({ trackId, isrc }) {
+  if (trackId && catalog[trackId]) return catalog[trackId];
+  if (isrc) {
+    const wanted = isrc.toUpperCase();
+    return Object.values(catalog).find(entry => entry.isrc === wanted) || null;
+  }
+  return null;
+}
+
+/**
+ * Create or update the catalog entry for a track
+ * Does nothing when the request carried no track ID or ISRC
+ */
+function recordCatalogEntry({ trackId, isrc, ...fields }) {
+  const key = getCatalogKey({ trackId, isrc });
+  if (!key) return null;
+
+  // An entry first created from an ISRC moves under the Spotify ID once we learn it
+  const isrcKey = isrc ? getCatalogKey({ isrc }) : null;
+  const existing = catalog[key] || (isrcKey && catalog[isrcKey]) || {};
+  if (isrcKey && isrcKey !== key) delete catalog[isrcKey];
+
+  const definedFields = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+  catalog[key] = {
+    ...existing,
+    ...definedFields,
+    trackId: trackId || existing.trackId || null,
+    isrc: isrc ? isrc.toUpperCase() : (existing.isrc || null),
+    createdAt: existing.createdAt || Date.now(),
+    updatedAt: Date.now()
+  };
+  saveCatalog();
+  return catalog[key];
+}
+
+/**
+ * Find a cached file for a track: catalog first, then exact filename, then fuzzy match
+ * @param {'audio'|'analysis'} kind - Which file to look for
+ * @param {Object} query - { artist, song, trackId, isrc }
+ * @returns {{filename: string|null, match: string, score?: number, candidates?: Object[]}|null}
+ *          match is 'catalog', 'exact' or 'fuzzy'. When fuzzy candidates are too close to
+ *          pick one, filename is null, match is 'ambiguous' and candidates lists them
+ */
+function findCachedFile(kind, { artist, song, trackId, isrc }) {
+  const directory = kind === 'audio' ? MP3_DIR : ANALYSIS_DIR;
+
+  const entry = findCatalogEntry({ trackId, isrc });
+  const catalogFile = entry && (kind === 'audio' ? entry.audioFile : entry.analysisFile);
+  if (catalogFile && fs.existsSync(path.join(directory, catalogFile))) {
+    return { filename: catalogFile, match: 'catalog' };
+  }
+
+  if (!artist || !song) return null;
+
+  const exactFilename = kind === 'audio' ? getCacheFilename(artist, song) : getAnalysisFilename(artist, song);
+  if (fs.existsSync(path.join(directory, exactFilename))) {
+    return { filename: exactFilename, match: 'exact' };
+  }
+
+  const fuzzy = findFileByFuzzyMatch(directory, artist, song, kind === 'audio' ? '.mp3' : '.json');
+  if (fuzzy.filename) {
+    return { filename: fuzzy.filename, match: 'fuzzy', score: fuzzy.score };
+  }
+  if (fuzzy.ambiguous) {
+    return { filename: null, match: 'ambiguous', candidates: fuzzy.candidates };
+  }
+  return null;
+}
+
+/**
+ * Extra response fields for a cache miss caused by an ambiguous fuzzy match
+ */
+function describeAmbiguity(found) {
+  if (!found || found.match !== 'ambiguous') return {};
+  return { ambiguous: true, candidates: found.candidates };
+}
+
+// Look up a catalog entry by Spotify track ID (or ?isrc=)
+app.get('/catalog/:trackId', requireRole('read'), (req, res) => {
+  const entry = findCatalogEntry({ trackId: req.params.trackId, isrc: req.query.isrc });
+  if (!entry) {
+    return res.status(404).json({ error: 'Track not in catalog' });
+  }
+  res.json({
+    ...entry,
+    hasAudio: Boolean(entry.audioFile && fs.existsSync(path.join(MP3_DIR, entry.audioFile))),
+    hasAnalysis: Boolean(entry.analysisFile && fs.existsSync(path.join(ANALYSIS_DIR, entry.analysisFile)))
+  });
+});
+
+// List the whole catalog
+app.get('/catalog', requireRole('read'), (req, res) => {
+  const entries = Object.values(catalog).sort((a, b) => b.updatedAt - a.updatedAt);
+  res.json({ entries, count: entries.length });
+});
+
+// Check if MP3 exists by track ID or artist-song name (cache check endpoint)
+app.get('/check-mp3-cache', requireRole('read'), (req, res) => {
+  const { artist, song, trackId, isrc } = req.query;
+  
+  // Catalog by track ID first, then exact filename, then fuzzy match
+  const found = findCachedFile('audio', { artist, song, trackId, isrc });
+  if (found && found.filename) {
+    const stats = fs.statSync(path.join(MP3_DIR, found.filename));
+    const mp3Url = `/mp3files/${encodeURIComponent(found.filename)}`;
+    console.log(`📦 Cache HIT (${found.match}): ${found.filename}`);
+    recordCacheLookup('check-mp3-cache', true);
+    // Only trust exact names enough to remember them for this track ID
+    if (found.match === 'exact') {
+      recordCatalogEntry({ trackId, isrc, artist, song, audioFile: found.filename });
+    }
+    return res.json({
+      cached: true,
+      mp3Url: mp3Url,
+      filename: found.filename,
+      match: found.match,
+      score: found.score,
+      artist: artist,
+      song: song,
+      size: stats.size,
+      created: stats.birthtime
+    });
+  }
+  
+  const cacheFilename = (artist && song) ? getCacheFilename(artist, song) : null;
+  console.log(`📭 Cache MISS: ${cacheFilename || trackId || isrc}`);
+  recordCacheLookup('check-mp3-cache', false);
+  return res.json({ cached: false, expectedFilename: cacheFilename, ...describeAmbiguity(found) });
+});
+
+// ==================== AUDIO SOURCE PROVIDERS ====================
+//
+// Every audio source implements the same three methods:
+//   describe()                      → { name, description, available, ... } for /providers
+//   resolve({ url, artist, song, search }, { explicit })
+//                                   → Promise<source | null>, null if it can't handle the request
+//                                     (search: allowed to look the track up without a URL,
+//                                      explicit: the caller named this provider instead of 'auto')
+//   fetch(source, { cacheFilename, onProgress })
+//                                   → Promise<filename> of the MP3 written into MP3_DIR
+// onProgress receives { status: 'downloading' | 'converting', percent }.
+// A source is { key, label, ... } where `key` identifies it for job de-duplication.
+
+// Audio formats the local library provider picks up
+const LOCAL_AUDIO_EXTENSIONS = ['.mp3', '.flac', '.wav', '.m4a', '.aac', '.ogg', '.opus', '.aiff'];
+// How long a local library index is trusted when fs.watch isn't available
+const LOCAL_INDEX_MAX_AGE_MS = 60 * 1000;
+
+// Hostnames the yt-dlp provider accepts URLs from (exact match)
+const YOUTUBE_HOSTS = new Set(['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtu.be']);
+
+// The http provider fetches whatever URL it is given, so it only runs when a request
+// names it (provider: 'http') - or, under 'auto', for hosts listed in HTTP_ALLOWED_HOSTS
+const HTTP_ALLOWED_HOSTS = new Set((process.env.HTTP_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean));
+const HTTP_DOWNLOAD_MAX_BYTES = (parseInt(process.env.HTTP_DOWNLOAD_MAX_MB, 10) || 100) * 1024 * 1024;
+const HTTP_DOWNLOAD_TIMEOUT_MS = parseInt(process.env.HTTP_DOWNLOAD_TIMEOUT_MS, 10) || 60 * 1000;
+
+// Addresses the http provider never connects to: loopback, private, link-local
+// (including the 169.254.169.254 cloud metadata service), CGNAT, multicast and reserved
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is one the http provider must not reach
+ */
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it maps to
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup for the http provider's requests that refuses blocked addresses
+ * Runs for every connection, so redirects and DNS changes between check and connect are covered
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Refusing to connect to ${hostname} (${blocked.address}): not a public address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Parse an http(s) URL (null for anything else)
+ */
+function parseHttpUrl(url) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Path to the ffmpeg binary (bundled on Windows, PATH or FFMPEG_PATH elsewhere)
+ */
+function getFfmpegPath() {
+  if (process.env.FFMPEG_PATH) return process.env.FFMPEG_PATH;
+  return process.platform === 'win32' ? path.join(__dirname, 'ffmpeg.exe') : 'ffmpeg';
+}
+
+/**
+ * Convert any audio file ffmpeg understands into an MP3
+ */
+function convertToMp3(inputPath, outputPath) {
+  return new Promise((resolve, reject) => {
+    const args = ['-y', '-loglevel', 'error', '-i', inputPath, '-vn', '-codec:a', 'libmp3lame', '-q:a', '0', outputPath];
+    const child = spawn(getFfmpegPath(), args);
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk.toString(); });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) return resolve();
+      reject(new Error(stderr.trim().split('\n').pop() || `ffmpeg exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Place an audio file into MP3_DIR under the given name, converting if needed
+ */
+async function storeAsMp3(inputPath, filename, onProgress) {
+  const outputPath = path.join(MP3_DIR, filename);
+  if (path.extname(inputPath).toLowerCase() === '.mp3') {
+    await fs.promises.copyFile(inputPath, outputPath);
+  } else {
+    onProgress({ status: 'converting', percent: 100 });
+    await convertToMp3(inputPath, outputPath);
+  }
+  return filename;
+}
+
+/**
+ * Parse one line of yt-dlp output into a progress update (or null if irrelevant)
+ * Relies on --newline so every progress tick arrives on its own line
+ */
+function parseYtDlpLine(line) {
+  const downloadMatch = line.match(/^\[download\]\s+([\d.]+)%/);
+  if (downloadMatch) {
+    return { status: 'downloading', percent: parseFloat(downloadMatch[1]) };
+  }
+  if (line.startsWith('[ExtractAudio]')) {
+    const destinationMatch = line.match(/Destination:\s+(.+)$/);
+    return {
+      status: 'converting',
+      percent: 100,
+      destination: destinationMatch ? path.basename(destinationMatch[1].trim()) : null
+    };
+  }
+  return null;
+}
+
+/**
+ * YouTube via yt-dlp (the original download path)
+ */
+const ytDlpProvider = {
+  name: 'ytdlp',
+
+  describe() {
+    return {
+      name: this.name,
+      description: 'Extracts audio from YouTube URLs with yt-dlp',
+      available: true
+    };
+  },
+
+  async resolve({ url, artist, song, search }) {
+    // Background requests (pre-warming) have no URL - let yt-dlp search YouTube instead
+    // of spending the client's YouTube Data API quota
+    if (!url && search && artist && song) {
+      const query = `${artist} ${song} official audio`;
+      return { key: `ytdlp:search:${getCacheFilename(artist, song)}`, label: `YouTube search: ${query}`, url: `ytsearch1:${query}` };
+    }
+    const parsed = parseHttpUrl(url);
+    if (!parsed || !YOUTUBE_HOSTS.has(parsed.hostname.toLowerCase())) {
+      return null;
+    }
+    // Extract video ID from URL
+    const videoId = parsed.hostname.toLowerCase() === 'youtu.be'
+      ? parsed.pathname.slice(1).split('/')[0] || null
+      : parsed.searchParams.get('v');
+    return { key: `ytdlp:${videoId || url}`, label: url, url, videoId };
+  },
+
+  fetch(source, { cacheFilename, onProgress }) {
+    // Determine output filename
+    let outputPath;
+
+    if (cacheFilename) {
+      // Use artist-song naming for proper caching
+      outputPath = path.join(MP3_DIR, cacheFilename.replace('.mp3', '.%(ext)s'));
+    } else {
+      // Fallback to timestamp naming
+      const timestamp = Date.now();
+      outputPath = path.join(MP3_DIR, `%(title)s_${timestamp}.%(ext)s`);
+    }
+
+    // yt-dlp arguments to extract audio as MP3
+    // Options:
+    //   -x: Extract audio
+    //   --audio-format mp3: Convert to MP3
+    //   --audio-quality 0: Best quality
+    //   --no-playlist: Don't download playlists
+    //   --newline: Print each progress update on its own line
+    //   --ffmpeg-location: Specify ffmpeg path (Windows only)
+    //   --: Everything after is a URL, so a URL starting with '-' can't pass as an option
+    const args = ['-x', '--audio-format', 'mp3', '--audio-quality', '0', '--no-playlist', '--newline', '-o', outputPath, '--', source.url];
+
+    // Detect platform and use appropriate binary
+    // On Linux/Railway, yt-dlp and ffmpeg should be installed globally
+    const isWindows = process.platform === 'win32';
+    const ytDlpPath = process.env.YTDLP_PATH || (isWindows ? path.join(__dirname, 'yt-dlp.exe') : 'yt-dlp');
+    if (isWindows) {
+      args.unshift('--ffmpeg-location', __dirname);
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(ytDlpPath, args);
+      let destinationFilename = null;
+      let stdoutBuffer = '';
+      let stderr = '';
+
+      child.stdout.on('data', chunk => {
+        stdoutBuffer += chunk.toString();
+        const lines = stdoutBuffer.split(/\r?\n/);
+        stdoutBuffer = lines.pop(); // Keep any partial line for the next chunk
+
+        lines.forEach(line => {
+          const update = parseYtDlpLine(line);
+          if (!update) return;
+          if (update.destination) destinationFilename = update.destination;
+          onProgress({ status: update.status, percent: update.percent });
+        });
+      });
+
+      child.stderr.on('data', chunk => {
+        stderr += chunk.toString();
+      });
+
+      child.on('error', reject);
+
+      child.on('close', code => {
+        if (code !== 0) {
+          console.error(`❌ yt-dlp exited with code ${code}`);
+          console.error('stderr:', stderr);
+          return reject(new Error(stderr.trim().split('\n').pop() || `yt-dlp exited with code ${code}`));
+        }
+
+        if (cacheFilename) {
+          // We know the exact filename we requested
+          return resolve(cacheFilename);
+        }
+        if (destinationFilename) {
+          // yt-dlp told us where it wrote the converted file
+          return resolve(destinationFilename);
+        }
+        // Fallback: most recently modified MP3
+        const newest = fs.readdirSync(MP3_DIR)
+          .filter(f => f.endsWith('.mp3'))
+          .sort((a, b) => {
+            const statA = fs.statSync(path.join(MP3_DIR, a));
+            const statB = fs.statSync(path.join(MP3_DIR, b));
+            return statB.mtimeMs - statA.mtimeMs;
+          })
+          .shift(); // Get most recent
+        resolve(newest || null);
+      });
+    });
+  }
+};
+
+/**
+ * Local music library folder (LOCAL_MUSIC_DIR), matched by artist/song keywords
+ * The folder is indexed recursively and re-indexed whenever it changes
+ */
+const localLibraryProvider = {
+  name: 'local',
+  directory: process.env.LOCAL_MUSIC_DIR ? path.resolve(process.env.LOCAL_MUSIC_DIR) : null,
+  index: null,       // Array of paths relative to `directory`
+  indexedAt: 0,
+  watcher: null,
+
+  describe() {
+    return {
+      name: this.name,
+      description: 'Matches tracks in a local music folder by artist and song',
+      available: Boolean(this.directory && fs.existsSync(this.directory)),
+      directory: this.directory,
+      files: this.index ? this.index.length : null
+    };
+  },
+
+  /**
+   * Start watching the library folder so the index stays fresh
+   * Recursive watching isn't supported everywhere - fall back to index expiry
+   */
+  watch() {
+    if (!this.directory || this.watcher || !fs.existsSync(this.directory)) return;
+    try {
+      this.watcher = fs.watch(this.directory, { recursive: true }, () => {
+        this.index = null;
+      });
+      this.watcher.on('error', () => {
+        this.watcher = null;
+      });
+    } catch (error) {
+      console.warn(`⚠️ Cannot watch ${this.directory}, re-indexing periodically:`, error.message);
+    }
+  },
+
+  /**
+   * List all audio files in the library (cached until the folder changes)
+   */
+  getIndex() {
+    const expired = !this.watcher && Date.now() - this.indexedAt > LOCAL_INDEX_MAX_AGE_MS;
+    if (this.index && !expired) return this.index;
+
+    const files = [];
+    const walk = (dir) => {
+      fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(fullPath);
+        } else if (LOCAL_AUDIO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+          files.push(path.relative(this.directory, fullPath));
+        }
+      });
+    };
+    walk(this.directory);
+
+    this.index = files;
+    this.indexedAt = Date.now();
+    console.log(`📚 Indexed local library: ${files.length} audio files`);
+    return files;
+  },
+
+  async resolve({ artist, song }) {
+    if (!this.directory || !artist || !song || !fs.existsSync(this.directory)) {
+      return null;
+    }
+    this.watch();
+
+    // Match against the whole relative path so "Artist/Album/01 Song.flac" layouts work
+    const { filename: match, ambiguous, candidates } = findBestMatch(`${artist} ${song}`, this.getIndex());
+    if (ambiguous) {
+      console.log(`⚖️ Ambiguous local library match for "${artist} - ${song}": ${candidates.map(c => c.filename).join(', ')}`);
+    }
+    if (!match) return null;
+
+    return { key: `local:${match}`, label: match, filePath: path.join(this.directory, match) };
+  },
+
+  async fetch(source, { cacheFilename, onProgress }) {
+    const filename = cacheFilename || `${sanitizeFilename(path.parse(source.filePath).name)}.mp3`;
+    return storeAsMp3(source.filePath, filename, onProgress);
+  }
+};
+
+/**
+ * Plain HTTP(S) audio URL (any format ffmpeg can decode)
+ */
+const httpProvider = {
+  name: 'http',
+
+  describe() {
+    return {
+      name: this.name,
+      description: 'Downloads an audio file from an HTTP(S) URL',
+      available: true,
+      allowedHosts: [...HTTP_ALLOWED_HOSTS]
+    };
+  },
+
+  async resolve({ url }, { explicit = false } = {}) {
+    const parsed = parseHttpUrl(url);
+    if (!parsed) return null;
+    if (!explicit && !HTTP_ALLOWED_HOSTS.has(parsed.hostname.toLowerCase())) return null;
+    return { key: `http:${url}`, label: url, url };
+  },
+
+  async fetch(source, { cacheFilename, onProgress }) {
+    const urlPath = new URL(source.url).pathname;
+    const extension = path.extname(urlPath).toLowerCase() || '.mp3';
+    const baseName = cacheFilename
+      ? cacheFilename.replace(/\.mp3$/, '')
+      : `${sanitizeFilename(path.basename(urlPath, extension)) || 'download'}_${Date.now()}`;
+    const tempPath = path.join(MP3_DIR, `${baseName}.download${extension}`);
+
+    try {
+      await downloadToFile(source.url, tempPath, onProgress);
+      return await storeAsMp3(tempPath, `${baseName}.mp3`, onProgress);
+    } finally {
+      fs.promises.unlink(tempPath).catch(() => {});
+    }
+  }
+};
+
+/**
+ * Stream an HTTP(S) URL to disk, following redirects and reporting percentage
+ * Only public addresses are contacted (every hop), bodies over HTTP_DOWNLOAD_MAX_BYTES are
+ * cut off and the whole download - redirects included - has HTTP_DOWNLOAD_TIMEOUT_MS
+ */
+function downloadToFile(url, destPath, onProgress, redirectsLeft = 5, deadline = Date.now() + HTTP_DOWNLOAD_TIMEOUT_MS) {
+  const parsed = parseHttpUrl(url);
+  if (!parsed) return Promise.reject(new Error(`Unsupported URL: ${url}`));
+  // IP literals skip the DNS lookup, so check them here
+  const literal = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(literal) && isBlockedAddress(literal)) {
+    return Promise.reject(new Error(`Refusing to connect to ${literal}: not a public address`));
+  }
+
+  const client = parsed.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    let file = null;
+    const request = client.get(parsed, { lookup: publicOnlyLookup }, response => {
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        clearTimeout(timer);
+        if (redirectsLeft === 0) return reject(new Error('Too many redirects'));
+        const nextUrl = new URL(headers.location, url).toString();
+        return resolve(downloadToFile(nextUrl, destPath, onProgress, redirectsLeft - 1, deadline));
+      }
+      if (statusCode !== 200) {
+        response.resume();
+        return fail(new Error(`HTTP ${statusCode} from ${url}`));
+      }
+
+      const totalBytes = parseInt(headers['content-length'], 10) || 0;
+      if (totalBytes > HTTP_DOWNLOAD_MAX_BYTES) {
+        response.resume();
+        return fail(new Error(`File too large (${totalBytes} bytes, limit ${HTTP_DOWNLOAD_MAX_BYTES})`));
+      }
+      let receivedBytes = 0;
+      response.on('data', chunk => {
+        receivedBytes += chunk.length;
+        // Content-Length can be missing or wrong - count what actually arrives
+        if (receivedBytes > HTTP_DOWNLOAD_MAX_BYTES) {
+          return fail(new Error(`File too large (over ${HTTP_DOWNLOAD_MAX_BYTES} bytes)`));
+        }
+        if (totalBytes) {
+          onProgress({ status: 'downloading', percent: (receivedBytes / totalBytes) * 100 });
+        }
+      });
+
+      file = fs.createWriteStream(destPath);
+      response.pipe(file);
+      file.on('finish', () => {
+        clearTimeout(timer);
+        file.close(resolve);
+      });
+      file.on('error', fail);
+      response.on('error', fail);
+    });
+
+    const timer = setTimeout(() => fail(new Error(`Download timed out after ${HTTP_DOWNLOAD_TIMEOUT_MS}ms`)), Math.max(0, deadline - Date.now()));
+
+    function fail(err) {
+      clearTimeout(timer);
+      request.destroy();
+      if (file) file.destroy();
+      reject(err);
+    }
+
+    request.on('error', fail);
+  });
+}
+
+/**
+ * Offline provider for testing - writes a short generated tone, no network needed
+ * Only registered when ENABLE_FAKE_PROVIDER=true
+ */
+const fakeProvider = {
+  name: 'fake',
+
+  describe() {
+    return {
+      name: this.name,
+      description: 'Generates a test tone (offline testing only)',
+      available: true
+    };
+  },
+
+  async resolve({ url, artist, song }) {
+    if (!url && !(artist && song)) return null;
+    return { key: `fake:${url || `${artist}-${song}`}`, label: url || `${artist} - ${song}` };
+  },
+
+  async fetch(source, { cacheFilename, onProgress }) {
+    const filename = cacheFilename || `fake_${Date.now()}.mp3`;
+    // Simulated download ticks so progress reporting can be exercised
+    for (const percent of [25, 50, 75, 100]) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      onProgress({ status: 'downloading', percent });
+    }
+    // WAV data under an .mp3 name - decodeAudioData sniffs the real format
+    await fs.promises.writeFile(path.join(MP3_DIR, filename), createToneWav(5, 440));
+    return filename;
+  }
+};
+
+/**
+ * Build a mono 16-bit PCM WAV containing a sine tone
+ */
+function createToneWav(seconds, frequency, sampleRate = 44100) {
+  const numSamples = Math.floor(seconds * sampleRate);
+  const buffer = Buffer.alloc(44 + numSamples * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + numSamples * 2, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);          // fmt chunk size
+  buffer.writeUInt16LE(1, 20);           // PCM
+  buffer.writeUInt16LE(1, 22);           // Mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+  buffer.writeUInt16LE(2, 32);           // Block align
+  buffer.writeUInt16LE(16, 34);          // Bits per sample
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(numSamples * 2, 40);
+  for (let i = 0; i < numSamples; i++) {
+    const sample = Math.sin(2 * Math.PI * frequency * i / sampleRate) * 0.5;
+    buffer.writeInt16LE(Math.round(sample * 32767), 44 + i * 2);
+  }
+  return buffer;
+}
+
+// Registered providers in auto-detection order
+// The local library goes first so tracks we already own never hit YouTube
+const audioProviders = [localLibraryProvider, ytDlpProvider, httpProvider];
+if (process.env.ENABLE_FAKE_PROVIDER === 'true') {
+  audioProviders.push(fakeProvider);
+}
+
+// Provider used when a request doesn't name one ('auto' tries each in order)
+const DEFAULT_PROVIDER = process.env.AUDIO_PROVIDER || 'auto';
+
+/**
+ * Look up a provider by name
+ */
+function getProvider(name) {
+  return audioProviders.find(provider => provider.name === name) || null;
+}
+
+/**
+ * Pick a provider and resolve the request to a source
+ * @param {Object} request - { url, artist, song }
+ * @param {string} providerName - Provider name or 'auto'
+ * @returns {Promise<{provider, source}|null>}
+ */
+async function resolveAudioSource(request, providerName = DEFAULT_PROVIDER) {
+  const candidates = providerName === 'auto' ? audioProviders : [getProvider(providerName)];
+  for (const provider of candidates) {
+    const source = await provider.resolve(request, { explicit: providerName !== 'auto' });
+    if (source) return { provider, source };
+  }
+  return null;
+}
+
+// ==================== BACKGROUND JOBS ====================
+
+// How long finished jobs stay queryable before being forgotten
+const JOB_RETENTION_MS = 60 * 60 * 1000; // 1 hour
+
+// All known jobs (downloads and analyses), keyed by job ID
+const jobs = new Map();
+
+/**
+ * Create a new job and register it
+ * @param {string} type - 'download' or 'analysis'
+ * @param {Object} fields - Type-specific fields (provider/source, filenames, ...)
+ */
+function createJob(type, { artist, song, ...fields }) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    ...fields,
+    artist: artist || null,
+    song: song || null,
+    // download: queued → downloading → converting → done | error
+    // analysis: queued → analyzing → done | error
+    status: 'queued',
+    percent: 0,
+    result: null,
+    error: null,
+    details: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    listeners: new Set(), // Open SSE responses
+    waiters: new Set() // Promise resolvers from whenJobFinished()
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Check if a job has reached a terminal state
+ */
+function isJobFinished(job) {
+  return job.status === 'done' || job.status === 'error';
+}
+
+/**
+ * Find an unfinished download job for the same source or target file
+ */
+function findActiveJob(source, cacheFilename) {
+  for (const job of jobs.values()) {
+    if (job.type !== 'download' || isJobFinished(job)) continue;
+    if (job.source.key === source.key || (cacheFilename && job.cacheFilename === cacheFilename)) {
+      return job;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolves with the job once it reaches a terminal state
+ */
+function whenJobFinished(job) {
+  if (isJobFinished(job)) return Promise.resolve(job);
+  return new Promise(resolve => job.waiters.add(resolve));
+}
+
+/**
+ * Public view of a job (no listeners or provider internals)
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    provider: job.provider ? job.provider.name : null,
+    source: job.source ? job.source.label : (job.mp3Filename || null),
+    status: job.status,
+    message: job.message || null,
+    percent: job.percent,
+    queuePosition: job.queuePosition || null,
+    artist: job.artist,
+    song: job.song,
+    result: job.result,
+    error: job.error,
+    details: job.details,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+/**
+ * Response body returned when a job is accepted
+ */
+function describeJobLocation(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`,
+    cached: false
+  };
+}
+
+/**
+ * Write a job snapshot to one SSE response
+ * Event name is the job status for terminal states, otherwise "progress"
+ */
+function sendJobEvent(res, job) {
+  const event = isJobFinished(job) ? job.status : 'progress';
+  res.write(`event: ${event}\ndata: ${JSON.stringify(serializeJob(job))}\n\n`);
+}
+
+/**
+ * Update job state and notify all SSE subscribers
+ */
+function updateJob(job, changes) {
+  const statusChanged = changes.status !== undefined && changes.status !== job.status;
+  Object.assign(job, changes, { updatedAt: Date.now() });
+  job.listeners.forEach(res => sendJobEvent(res, job));
+  if (job.type === 'download') publishDownloadEvent(job, statusChanged);
+
+  if (isJobFinished(job)) {
+    job.listeners.forEach(res => res.end());
+    job.listeners.clear();
+    job.waiters.forEach(resolve => resolve(job));
+    job.waiters.clear();
+    // Forget the job after a while so the map doesn't grow forever
+    setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+  }
+}
+
+// Downloads running at once - every yt-dlp/ffmpeg process is heavy, the rest wait in line
+const MAX_CONCURRENT_DOWNLOADS = Math.max(1, readCount('MAX_CONCURRENT_DOWNLOADS', 2));
+// Jobs allowed to wait; /get-mp3 answers 429 when the line is full
+const MAX_QUEUED_DOWNLOADS = readCount('MAX_QUEUED_DOWNLOADS', 20);
+const DOWNLOAD_QUEUE_RETRY_SECONDS = 30;
+
+const downloadQueue = [];
+let activeDownloads = 0;
+
+/**
+ * Whether another download job can be accepted
+ */
+function isDownloadQueueFull() {
+  return activeDownloads >= MAX_CONCURRENT_DOWNLOADS && downloadQueue.length >= MAX_QUEUED_DOWNLOADS;
+}
+
+/**
+ * Add a download job to the queue and start it if a slot is free
+ */
+function queueDownloadJob(job) {
+  downloadQueue.push(job);
+  startQueuedDownloads();
+}
+
+/**
+ * Start queued downloads while slots are free, and tell the rest where they are in line
+ */
+function startQueuedDownloads() {
+  while (activeDownloads < MAX_CONCURRENT_DOWNLOADS && downloadQueue.length > 0) {
+    const job = downloadQueue.shift();
+    activeDownloads++;
+    runDownloadJob(job)
+      .catch(error => {
+        console.error('❌ Download job crashed:', error);
+        updateJob(job, { status: 'error', error: 'Failed to download MP3', details: error.message });
+      })
+      .finally(() => {
+        activeDownloads--;
+        startQueuedDownloads();
+      });
+  }
+
+  downloadQueue.forEach((job, i) => {
+    if (job.queuePosition !== i + 1) {
+      updateJob(job, { queuePosition: i + 1, message: `Waiting for a download slot (#${i + 1} in queue)` });
+    }
+  });
+}
+
+/**
+ * Fetch a job's source through its provider, streaming progress into the job state
+ */
+async function runDownloadJob(job) {
+  const { provider, source, artist, song, cacheFilename, replaceFilename } = job;
+  // Re-downloads (force) are fetched under a temporary name, so a failed attempt
+  // leaves the cached copy alone
+  const targetFilename = cacheFilename || replaceFilename;
+  const fetchFilename = replaceFilename
+    ? targetFilename.replace(/\.mp3$/, `.redownload-${job.id.slice(0, 8)}.mp3`)
+    : cacheFilename;
+
+  updateJob(job, { status: 'downloading', queuePosition: null, message: null });
+
+  const endTimer = downloadDuration.startTimer({ provider: provider.name });
+  // Record the failed attempt and mark the job as errored
+  const fail = (fields) => {
+    endTimer({ result: 'failure' });
+    downloadFailures.inc({ provider: provider.name });
+    if (replaceFilename) {
+      fs.promises.unlink(path.join(MP3_DIR, fetchFilename)).catch(() => {});
+    }
+    return updateJob(job, { status: 'error', ...fields });
+  };
+
+  let mp3Filename;
+  try {
+    mp3Filename = await provider.fetch(source, {
+      cacheFilename: fetchFilename,
+      onProgress: (update) => {
+        // Only broadcast when something visible changed
+        if (update.status !== job.status || Math.floor(update.percent) !== Math.floor(job.percent)) {
+          updateJob(job, update);
+        }
+      }
+    });
+  } catch (error) {
+    console.error(`❌ ${provider.name} download failed:`, error.message);
+    return fail({ error: 'Failed to download MP3', details: error.message });
+  }
+
+  console.log('📁 Looking for MP3:', mp3Filename);
+
+  if (!mp3Filename) {
+    console.error('❌ Could not determine MP3 filename');
+    return fail({ error: 'Could not determine MP3 filename' });
+  }
+
+  let mp3Path = path.join(MP3_DIR, mp3Filename);
+
+  // Verify file exists
+  if (!fs.existsSync(mp3Path)) {
+    console.error('❌ MP3 file not found:', mp3Path);
+    return fail({ error: 'MP3 file not found after download' });
+  }
+
+  // The new copy is complete - swap it in for the cached one
+  if (replaceFilename) {
+    try {
+      fs.renameSync(mp3Path, path.join(MP3_DIR, targetFilename));
+    } catch (error) {
+      console.error(`❌ Could not replace ${replaceFilename}:`, error.message);
+      return fail({ error: 'Could not replace the cached MP3', details: error.message });
+    }
+    if (replaceFilename !== targetFilename) {
+      try {
+        fs.unlinkSync(path.join(MP3_DIR, replaceFilename));
+      } catch (error) {
+        console.error(`⚠️ Could not remove the old copy ${replaceFilename}:`, error.message);
+      }
+      forgetCacheFile('mp3', replaceFilename);
+    }
+    console.log(`🔁 Replaced cached copy ${replaceFilename} with ${targetFilename}`);
+    mp3Filename = targetFilename;
+    mp3Path = path.join(MP3_DIR, mp3Filename);
+  }
+
+  endTimer({ result: 'success' });
+
+  const fileStats = fs.statSync(mp3Path);
+
+  console.log(`✅ MP3 ready: ${mp3Filename}`);
+  console.log(`📁 Size: ${(fileStats.size / 1024 / 1024).toFixed(2)} MB`);
+
+  // New download counts as used; make room for it under the quota
+  touchCacheFile('mp3', mp3Filename);
+  enforceCacheLimits('mp3');
+  queueFingerprint(mp3Filename);
+
+  recordCatalogEntry({
+    trackId: job.trackId,
+    isrc: job.isrc,
+    artist,
+    song,
+    audioFile: mp3Filename,
+    sourceUrl: source.url || source.label,
+    provider: provider.name,
+    durationMs: job.durationMs
+  });
+
+  updateJob(job, {
+    status: 'done',
+    percent: 100,
+    result: {
+      mp3Url: `/mp3files/${encodeURIComponent(mp3Filename)}`,
+      filename: mp3Filename,
+      title: (artist && song) ? `${artist} - ${song}` : mp3Filename.replace(/\.mp3$/, ''),
+      artist: artist || null,
+      song: song || null,
+      size: fileStats.size,
+      provider: provider.name,
+      cached: false
+    }
+  });
+
+  // Optional analysis step - runs in the background, the download job is already done
+  if (job.analyze && artist && song && !fs.existsSync(path.join(ANALYSIS_DIR, getAnalysisFilename(artist, song)))) {
+    const analysisJob = createJob('analysis', {
+      artist,
+      song,
+      trackId: job.trackId,
+      isrc: job.isrc,
+      durationMs: job.durationMs,
+      mp3Filename,
+      analysisFilename: getAnalysisFilename(artist, song)
+    });
+    queueAnalysisJob(analysisJob);
+  }
+}
+
+// List available audio source providers
+app.get('/providers', requireRole('read'), (req, res) => {
+  res.json({
+    default: DEFAULT_PROVIDER,
+    providers: audioProviders.map(provider => provider.describe())
+  });
+});
+
+/**
+ * Read an on/off request field: only true and 'true' switch it on ("false", 1, ... don't)
+ * @param {*} value - Field from the request body
+ * @param {boolean} fallback - Used when the field is missing
+ */
+function parseFlag(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+  return value === true || value === 'true';
+}
+
+// Main endpoint to extract MP3 from a source (YouTube URL by default)
+// Optional `provider` field picks the audio source provider (see /providers)
+app.post('/get-mp3', requireRole('write'), rateLimit('get-mp3'), async (req, res) => {
+  const { url: sourceUrl, artist, song, clearOld, force, trackId, isrc, durationMs } = req.body;
+  // Optionally analyze on the server once the download finishes
+  const analyze = parseFlag(req.body.analyze, ANALYZE_AFTER_DOWNLOAD);
+  const providerName = req.body.provider || DEFAULT_PROVIDER;
+
+  if (providerName !== 'auto' && !getProvider(providerName)) {
+    return res.status(400).json({ error: `Unknown provider: ${providerName}` });
+  }
+
+  // clearOld deletes every other cached MP3, same as /clear-mp3s
+  if (clearOld && !hasRole(req, 'admin')) {
+    return res.status(403).json({ error: 'clearOld requires the admin role', role: req.auth.role, requiredRole: 'admin' });
+  }
+  // force replaces the cached copy (re-download from the cache page)
+  if (force && !hasRole(req, 'admin')) {
+    return res.status(403).json({ error: 'force requires the admin role', role: req.auth.role, requiredRole: 'admin' });
+  }
+
+  // Use artist-song naming if provided (for proper caching)
+  const cacheFilename = (artist && song) ? getCacheFilename(artist, song) : null;
+  
+  // Check cache by track ID / artist-song filename FIRST (before clearing old files)
+  const found = findCachedFile('audio', { artist, song, trackId, isrc });
+  // A forced re-download keeps the cached copy until the new one has arrived (see runDownloadJob)
+  let replaceFilename = null;
+  if (force && found && found.filename) {
+    const busy = getBusyFiles();
+    if (busy.has(`mp3/${found.filename}`)) {
+      return res.status(409).json({ error: 'The cached MP3 is in use by a running job', filename: found.filename });
+    }
+    console.log(`🔁 Re-downloading, replacing cached copy once done: ${found.filename}`);
+    replaceFilename = found.filename;
+  } else if (found && found.filename) {
+    const stats = fs.statSync(path.join(MP3_DIR, found.filename));
+    const mp3Url = `/mp3files/${encodeURIComponent(found.filename)}`;
+    console.log(`📦 Using cached MP3 (${found.match}): ${found.filename}`);
+    return res.json({
+      mp3Url: mp3Url,
+      filename: found.filename,
+      match: found.match,
+      title: `${artist} - ${song}`,
+      artist: artist,
+      song: song,
+      size: stats.size,
+      cached: true
+    });
+  }
+
+  // Clear old MP3 files if requested (but preserve the current cache file if it exists)
+  if (clearOld) {
+    const files = fs.readdirSync(MP3_DIR).filter(f => f.endsWith('.mp3'));
+    let deletedCount = 0;
+    files.forEach(file => {
+      // Don't delete the cache file we're about to create (or replace)
+      if ((cacheFilename && file === cacheFilename) || file === replaceFilename) return;
+      try {
+        fs.unlinkSync(path.join(MP3_DIR, file));
+        forgetCacheFile('mp3', file);
+        deletedCount++;
+      } catch (e) {
+        console.error(`Could not delete ${file}:`, e.message);
+      }
+    });
+    if (deletedCount > 0) {
+      console.log(`🗑️ Cleared ${deletedCount} old MP3 files`);
+    }
+  }
+
+  let resolved;
+  try {
+    // Re-downloads of tracks first found by search have no URL - let yt-dlp search again
+    resolved = await resolveAudioSource({ url: sourceUrl, artist, song, search: Boolean(force) }, providerName);
+  } catch (error) {
+    console.error('❌ Could not resolve audio source:', error);
+    return res.status(500).json({ error: 'Could not resolve audio source', details: error.message });
+  }
+
+  if (!resolved) {
+    return res.status(400).json({
+      error: providerName === 'auto'
+        ? 'No audio provider can handle this request'
+        : `Provider "${providerName}" cannot handle this request`
+    });
+  }
+  const { provider, source } = resolved;
+
+  // Legacy cache check by video ID (fallback)
+  if (source.videoId && !cacheFilename) {
+    const existingFiles = fs.readdirSync(MP3_DIR).filter(f => f.endsWith('.mp3'));
+    for (const file of existingFiles) {
+      const filepath = path.join(MP3_DIR, file);
+      const stats = fs.statSync(filepath);
+      const ageMs = Date.now() - stats.mtimeMs;
+      // If file is less than 1 hour old, return it as cached
+      if (ageMs < 3600000) {
+        const mp3Url = `/mp3files/${encodeURIComponent(file)}`;
+        console.log(`✅ Using cached MP3 (legacy): ${file}`);
+        return res.json({
+          mp3Url: mp3Url,
+          filename: file,
+          title: file.replace(/_\d+\.mp3$/, ''),
+          size: stats.size,
+          cached: true
+        });
+      }
+    }
+  }
+
+  // Reuse an in-flight job for the same track instead of downloading it twice
+  const existingJob = findActiveJob(source, cacheFilename);
+  if (existingJob) {
+    console.log(`🔁 Reusing download job ${existingJob.id} for: ${source.label}`);
+    return res.status(202).json(describeJobLocation(existingJob));
+  }
+
+  if (isDownloadQueueFull()) {
+    console.log(`🚦 Download queue full, turning away: ${source.label}`);
+    res.set('Retry-After', String(DOWNLOAD_QUEUE_RETRY_SECONDS));
+    return res.status(429).json({ error: 'Download queue is full', code: 'queue_full', retryAfter: DOWNLOAD_QUEUE_RETRY_SECONDS });
+  }
+
+  console.log(`📥 Processing (${provider.name}): ${source.label}`);
+  console.log(`   Artist: ${artist || 'unknown'}, Song: ${song || 'unknown'}`);
+
+  const job = createJob('download', { provider, source, artist, song, trackId, isrc, durationMs, cacheFilename, replaceFilename, analyze });
+  queueDownloadJob(job);
+
+  res.status(202).json(describeJobLocation(job));
+});
+
+// Get the current state of a download or analysis job
+app.get('/jobs/:id', requireRole('read'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(serializeJob(job));
+});
+
+// Stream job progress as Server-Sent Events
+app.get('/jobs/:id/events', acceptEventToken, requireRole('read'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  // Send the current state right away so late subscribers catch up
+  sendJobEvent(res, job);
+  if (isJobFinished(job)) {
+    return res.end();
+  }
+
+  job.listeners.add(res);
+
+  // Keep-alive comment so idle proxies don't drop the connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  // Client went away - stop streaming but let the job carry on
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    job.listeners.delete(res);
+  });
+});
+
+// List all downloaded MP3 files
+app.get('/mp3files/list', requireRole('read'), (req, res) => {
+  try {
+    const files = fs.readdirSync(MP3_DIR)
+      .filter(f => f.endsWith('.mp3'))
+      .map(filename => {
+        const filepath = path.join(MP3_DIR, filename);
+        const stats = fs.statSync(filepath);
+        return {
+          filename,
+          url: `/mp3files/${encodeURIComponent(filename)}`,
+          size: stats.size,
+          created: stats.birthtime
+        };
+      })
+      .sort((a, b) => new Date(b.created) - new Date(a.created));
+
+    res.json({ files, count: files.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Could not list files' });
+  }
+});
+
+// Delete an MP3 file
+app.delete('/mp3files/:filename', requireRole('admin'), (req, res) => {
+  const filename = decodeURIComponent(req.params.filename);
+  const filepath = path.join(MP3_DIR, filename);
+
+  if (!fs.existsSync(filepath)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  try {
+    fs.unlinkSync(filepath);
+    forgetCacheFile('mp3', filename);
+    res.json({ message: 'File deleted', filename });
+  } catch (error) {
+    res.status(500).json({ error: 'Could not delete file' });
+  }
+});
+
+// Pin an MP3 so quota/age eviction never removes it
+app.post('/mp3files/:filename/pin', requireRole('admin'), (req, res) => {
+  const filename = pinCachedFile(req, res, 'mp3', true);
+  if (!filename) return;
+  res.json({ message: 'MP3 pinned', filename, pinned: true });
+});
+
+// Unpin an MP3
+app.delete('/mp3files/:filename/pin', requireRole('admin'), (req, res) => {
+  const filename = pinCachedFile(req, res, 'mp3', false);
+  if (!filename) return;
+  res.json({ message: 'MP3 unpinned', filename, pinned: false });
+});
+
+// Clear all MP3 files
+app.delete('/mp3files/clear/all', requireRole('admin'), (req, res) => {
+  try {
+    const files = fs.readdirSync(MP3_DIR).filter(f => f.endsWith('.mp3'));
+    files.forEach(file => {
+      fs.unlinkSync(path.join(MP3_DIR, file));
+      forgetCacheFile('mp3', file);
+    });
+    res.json({ message: 'All files deleted', count: files.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Could not clear files' });
+  }
+});
+
+// ==================== ANALYSIS DATA ENDPOINTS ====================
+
+/**
+ * Generate analysis filename from artist and song
+ */
+function getAnalysisFilename(artist, song) {
+  const sanitizedArtist = sanitizeFilename(artist);
+  const sanitizedSong = sanitizeFilename(song);
+  return `${sanitizedArtist}-${sanitizedSong}.json`;
+}
+
+/**
+ * Read an analysis file, upgrading older schema versions in place
+ * @returns {{analysis: Object, needsReanalysis: boolean, schemaVersion: number, errors: string[]}}
+ */
+function readAnalysisFile(filename) {
+  const analysisPath = path.join(ANALYSIS_DIR, filename);
+  const data = JSON.parse(fs.readFileSync(analysisPath, 'utf8'));
+  const result = migrateAnalysis(data);
+
+  if (result.migrated) {
+    fs.writeFileSync(analysisPath, JSON.stringify(result.analysis, null, 2));
+    console.log(`🔄 Migrated analysis to schema v${ANALYSIS_SCHEMA_VERSION}: ${filename}`);
+  } else if (result.needsReanalysis) {
+    console.warn(`⚠️ Stale analysis (needs re-analysis): ${filename} - ${result.errors.join('; ')}`);
+  }
+
+  return {
+    analysis: result.analysis,
+    needsReanalysis: result.needsReanalysis,
+    schemaVersion: (data && data.schemaVersion) || 1,
+    errors: result.errors
+  };
+}
+
+/**
+ * Send analysis data as JSON, or in the compact binary format when the client's
+ * Accept header prefers it (gzipped if the client accepts gzip)
+ */
+function sendAnalysis(req, res, analysis) {
+  res.vary('Accept');
+  if (req.accepts(['application/json', ANALYSIS_BINARY_TYPE]) !== ANALYSIS_BINARY_TYPE) {
+    return res.json(analysis);
+  }
+
+  let body = encodeAnalysis(analysis);
+  res.vary('Accept-Encoding');
+  res.type(ANALYSIS_BINARY_TYPE);
+  if (req.acceptsEncodings('gzip')) {
+    body = zlib.gzipSync(body);
+    res.set('Content-Encoding', 'gzip');
+  }
+  return res.send(body);
+}
+
+// Check if analysis data exists
+app.get('/check-analysis-cache', requireRole('read'), (req, res) => {
+  const { artist, song, trackId, isrc } = req.query;
+  
+  const found = findCachedFile('analysis', { artist, song, trackId, isrc });
+  if (found && found.filename) {
+    const stats = fs.statSync(path.join(ANALYSIS_DIR, found.filename));
+    console.log(`📦 Analysis cache HIT (${found.match}): ${found.filename}`);
+    recordCacheLookup('check-analysis-cache', true);
+    if (found.match === 'exact') {
+      recordCatalogEntry({ trackId, isrc, artist, song, analysisFile: found.filename });
+    }
+    return res.json({
+      cached: true,
+      filename: found.filename,
+      match: found.match,
+      score: found.score,
+      url: `/analysis/${encodeURIComponent(found.filename)}`,
+      artist: artist,
+      song: song,
+      size: stats.size,
+      created: stats.birthtime
+    });
+  }
+  
+  const analysisFilename = (artist && song) ? getAnalysisFilename(artist, song) : null;
+  console.log(`📭 Analysis cache MISS: ${analysisFilename || trackId || isrc}`);
+  recordCacheLookup('check-analysis-cache', false);
+  return res.json({ cached: false, expectedFilename: analysisFilename, ...describeAmbiguity(found) });
+});
+
+// Get analysis data
+app.get('/get-analysis', requireRole('read'), (req, res) => {
+  const { artist, song, trackId, isrc } = req.query;
+  
+  // Catalog by track ID first, then exact filename, then fuzzy match
+  const found = findCachedFile('analysis', { artist, song, trackId, isrc });
+  if (found && found.filename) {
+    try {
+      const { analysis, needsReanalysis, schemaVersion, errors } = readAnalysisFile(found.filename);
+      if (needsReanalysis) {
+        // A stale file is as good as none to the caller
+        recordCacheLookup('get-analysis', false);
+        return res.status(409).json({
+          error: 'Analysis is stale and needs re-analysis',
+          code: 'analysis_stale',
+          needsReanalysis: true,
+          filename: found.filename,
+          schemaVersion,
+          currentSchemaVersion: ANALYSIS_SCHEMA_VERSION,
+          details: errors
+        });
+      }
+      console.log(`📦 Loaded analysis (${found.match}): ${found.filename}`);
+      recordCacheLookup('get-analysis', true);
+      touchCacheFile('analysis', found.filename);
+      if (found.match === 'exact') {
+        recordCatalogEntry({ trackId, isrc, artist, song, analysisFile: found.filename });
+      }
+      return sendAnalysis(req, res, analysis);
+    } catch (error) {
+      console.error('❌ Failed to read analysis:', error);
+      return res.status(500).json({ error: 'Failed to read analysis data' });
+    }
+  }
+  
+  const analysisFilename = (artist && song) ? getAnalysisFilename(artist, song) : null;
+  recordCacheLookup('get-analysis', false);
+  return res.status(404).json({ error: 'Analysis not found', filename: analysisFilename, ...describeAmbiguity(found) });
+});
+
+// Save analysis data
+app.post('/save-analysis', requireRole('write'), (req, res) => {
+  const { artist, song, data, trackId, isrc } = req.body;
+  
+  // Older clients post unversioned data - upgrade it, then validate
+  const { analysis, needsReanalysis, errors } = migrateAnalysis(data);
+  if (needsReanalysis) {
+    console.warn(`⚠️ Rejected invalid analysis for ${artist} - ${song}: ${errors.join('; ')}`);
+    return res.status(400).json({
+      error: 'Analysis data does not match the schema',
+      currentSchemaVersion: ANALYSIS_SCHEMA_VERSION,
+      details: errors
+    });
+  }
+  
+  const analysisFilename = getAnalysisFilename(artist, song);
+  const analysisPath = path.join(ANALYSIS_DIR, analysisFilename);
+  
+  try {
+    fs.writeFileSync(analysisPath, JSON.stringify(analysis, null, 2));
+    const stats = fs.statSync(analysisPath);
+    console.log(`💾 Saved analysis: ${analysisFilename} (${(stats.size / 1024).toFixed(1)}KB)`);
+    touchCacheFile('analysis', analysisFilename);
+    enforceCacheLimits('analysis');
+    recordCatalogEntry({ trackId, isrc, artist, song, analysisFile: analysisFilename });
+    publishEvent('analysis:saved', { trackId, isrc, artist, song }, {
+      filename: analysisFilename,
+      url: `/analysis/${encodeURIComponent(analysisFilename)}`,
+      source: 'client'
+    });
+    res.json({
+      success: true,
+      filename: analysisFilename,
+      size: stats.size,
+      url: `/analysis/${encodeURIComponent(analysisFilename)}`
+    });
+  } catch (error) {
+    console.error('❌ Failed to save analysis:', error);
+    res.status(500).json({ error: 'Failed to save analysis data' });
+  }
+});
+
+// ==================== SERVER-SIDE ANALYSIS ====================
+
+// Run server-side analysis after every download unless the request says otherwise
+const ANALYZE_AFTER_DOWNLOAD = process.env.ANALYZE_AFTER_DOWNLOAD === 'true';
+
+// Analyses run one at a time - each one keeps a CPU core busy
+let analysisQueue = Promise.resolve();
+
+/**
+ * Queue an analysis job behind any running analysis
+ */
+function queueAnalysisJob(job) {
+  analysisQueue = analysisQueue.then(() => runAnalysisJob(job));
+}
+
+/**
+ * Analyze a job's MP3 in a worker thread and write the result into ANALYSIS_DIR
+ */
+async function runAnalysisJob(job) {
+  const mp3Path = path.join(MP3_DIR, job.mp3Filename);
+  const analysisPath = path.join(ANALYSIS_DIR, job.analysisFilename);
+
+  console.log(`🎼 Analyzing on server: ${job.mp3Filename}`);
+  updateJob(job, { status: 'analyzing', message: 'Starting analysis...' });
+
+  // Spotify's track length lets the analyzer line the audio up with playback
+  const catalogEntry = findCatalogEntry({ trackId: job.trackId, isrc: job.isrc });
+  const durationMs = job.durationMs || (catalogEntry && catalogEntry.durationMs);
+
+  try {
+    const analysis = await analyzeInWorker(mp3Path, {
+      ffmpegPath: getFfmpegPath(),
+      spotifyDuration: durationMs ? durationMs / 1000 : null,
+      onProgress: (message, percent) => updateJob(job, { message, percent })
+    });
+
+    const { valid, errors } = validateAnalysis(analysis);
+    if (!valid) {
+      throw new Error(`Analysis does not match the schema: ${errors.join('; ')}`);
+    }
+
+    fs.writeFileSync(analysisPath, JSON.stringify(analysis, null, 2));
+    const stats = fs.statSync(analysisPath);
+    console.log(`💾 Saved server analysis: ${job.analysisFilename} (${(stats.size / 1024).toFixed(1)}KB, ${analysis.analysisTime}s)`);
+    if (analysis.alignment.method !== 'none') {
+      console.log(`🎯 Alignment (${analysis.alignment.method}): offset ${analysis.alignment.offset}s, stretch ${analysis.alignment.stretch}`);
+    }
+    touchCacheFile('analysis', job.analysisFilename);
+    enforceCacheLimits('analysis');
+    recordCatalogEntry({
+      trackId: job.trackId,
+      isrc: job.isrc,
+      artist: job.artist,
+      song: job.song,
+      audioFile: job.mp3Filename,
+      analysisFile: job.analysisFilename
+    });
+    publishEvent('analysis:saved', job, {
+      filename: job.analysisFilename,
+      url: `/analysis/${encodeURIComponent(job.analysisFilename)}`,
+      source: 'server'
+    });
+
+    updateJob(job, {
+      status: 'done',
+      percent: 100,
+      message: null,
+      result: {
+        filename: job.analysisFilename,
+        url: `/analysis/${encodeURIComponent(job.analysisFilename)}`,
+        size: stats.size,
+        analysisTime: analysis.analysisTime
+      }
+    });
+  } catch (error) {
+    console.error('❌ Server analysis failed:', error.message);
+    updateJob(job, { status: 'error', error: 'Failed to analyze audio', details: error.message });
+  }
+}
+
+/**
+ * Find an unfinished analysis job writing the given file
+ */
+function findActiveAnalysisJob(analysisFilename) {
+  for (const job of jobs.values()) {
+    if (job.type === 'analysis' && !isJobFinished(job) && job.analysisFilename === analysisFilename) {
+      return job;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether an analysis file is unreadable or can't be migrated to the current schema
+ */
+function isAnalysisStale(filename) {
+  try {
+    return readAnalysisFile(filename).needsReanalysis;
+  } catch (error) {
+    return true;
+  }
+}
+
+// Analyze a cached MP3 on the server and store the result in analysis/
+app.post('/analyze', requireRole('write'), rateLimit('analyze'), (req, res) => {
+  const { artist, song, force, trackId, isrc } = req.body;
+  const durationMs = Number.isFinite(req.body.durationMs) ? req.body.durationMs : undefined;
+
+  const analysisFilename = getAnalysisFilename(artist, song);
+
+  // Existing files are reused unless they're stale
+  if (!force && fs.existsSync(path.join(ANALYSIS_DIR, analysisFilename)) && !isAnalysisStale(analysisFilename)) {
+    return res.json({
+      cached: true,
+      filename: analysisFilename,
+      url: `/analysis/${encodeURIComponent(analysisFilename)}`
+    });
+  }
+
+  // Find the MP3 - catalog, exact cache filename, then fuzzy match
+  const foundAudio = findCachedFile('audio', { artist, song, trackId, isrc });
+  if (!foundAudio || !foundAudio.filename) {
+    return res.status(404).json({
+      error: 'MP3 not found - download it first',
+      expectedFilename: getCacheFilename(artist, song),
+      ...describeAmbiguity(foundAudio)
+    });
+  }
+  const mp3Filename = foundAudio.filename;
+
+  // Reuse a pending analysis of the same file
+  const existing = findActiveAnalysisJob(analysisFilename);
+  if (existing) {
+    return res.status(202).json(describeJobLocation(existing));
+  }
+
+  const job = createJob('analysis', { artist, song, trackId, isrc, durationMs, mp3Filename, analysisFilename });
+  queueAnalysisJob(job);
+
+  res.status(202).json(describeJobLocation(job));
+});
+
+// ==================== AUDIO UPLOADS ====================
+//
+// POST /upload takes a track's audio from the user (multipart form, field "file")
+// for songs no provider can find. The file is re-encoded to MP3 with ffmpeg and
+// stored under the same filename and catalog entry a download would use, so
+// /check-mp3-cache, /get-mp3 and /analyze treat it like any other cached track.
+
+// Largest file /upload accepts
+const UPLOAD_MAX_BYTES = Math.floor(readLimit('UPLOAD_MAX_MB', MB)) || 100 * MB;
+
+// Accepted extensions and how to recognize each format from its first bytes
+const UPLOAD_FORMATS = {
+  '.mp3': header => header.toString('latin1', 0, 3) === 'ID3' || (header[0] === 0xff && (header[1] & 0xe0) === 0xe0),
+  '.wav': header => header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WAVE',
+  '.flac': header => header.toString('latin1', 0, 4) === 'fLaC',
+  '.m4a': header => header.toString('latin1', 4, 8) === 'ftyp'
+};
+
+/**
+ * Read a multipart upload: text fields plus one file streamed into stagingDir
+ * @returns {Promise<{fields: Object, file: {path: string, originalName: string, size: number}|null}>}
+ *          Rejects with statusCode 413 when the file is over UPLOAD_MAX_BYTES
+ */
+function receiveUpload(req, stagingDir) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fields: 20, fileSize: UPLOAD_MAX_BYTES } });
+    } catch (error) {
+      return reject(error); // Not multipart/form-data
+    }
+
+    const fields = {};
+    let file = null;
+    let fileWritten = Promise.resolve();
+
+    parser.on('field', (name, value) => { fields[name] = value; });
+    parser.on('file', (name, fileStream, info) => {
+      if (name !== 'file' || file) return fileStream.resume();
+
+      const stagedPath = path.join(stagingDir, 'upload' + path.extname(info.filename || '').toLowerCase());
+      file = { path: stagedPath, originalName: path.basename(info.filename || ''), size: 0 };
+      fileStream.on('data', chunk => { file.size += chunk.length; });
+      fileWritten = new Promise((resolveFile, rejectFile) => {
+        stream.pipeline(fileStream, fs.createWriteStream(stagedPath), error => {
+          if (fileStream.truncated) {
+            const tooLarge = new Error(`File is larger than ${UPLOAD_MAX_BYTES / MB}MB`);
+            tooLarge.statusCode = 413;
+            return rejectFile(tooLarge);
+          }
+          return error ? rejectFile(error) : resolveFile();
+        });
+      });
+    });
+    parser.on('error', reject);
+    parser.on('close', () => {
+      fileWritten.then(() => resolve({ fields, file }), reject);
+    });
+
+    req.pipe(parser);
+  });
+}
+
+/**
+ * Whether a staged upload's contents match its extension
+ */
+function sniffUploadFormat(filePath, extension) {
+  const header = Buffer.alloc(12);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    return bytesRead === header.length && UPLOAD_FORMATS[extension](header);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Upload a track's audio (MP3/WAV/FLAC/M4A) as multipart/form-data
+// Fields: file, artist, song, plus optional trackId, isrc, durationMs, analyze, replace
+app.post('/upload', requireRole('write'), rateLimit('upload'), async (req, res) => {
+  const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-upload-'));
+
+  try {
+    let upload;
+    try {
+      upload = await receiveUpload(req, stagingDir);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({ error: 'Could not read upload', details: error.message });
+    }
+
+    const { fields, file } = upload;
+    const { artist, song } = fields;
+    const trackId = fields.trackId || undefined;
+    const isrc = fields.isrc || undefined;
+    const durationMs = parseInt(fields.durationMs, 10) > 0 ? parseInt(fields.durationMs, 10) : undefined;
+    const analyze = fields.analyze === 'true';
+    const replace = fields.replace === 'true';
+
+    if (!artist || !song) {
+      return res.status(400).json({ error: 'Artist and song are required' });
+    }
+    if (!file || file.size === 0) {
+      return res.status(400).json({ error: 'No audio file uploaded (form field "file")' });
+    }
+
+    const extension = path.extname(file.originalName).toLowerCase();
+    if (!UPLOAD_FORMATS[extension]) {
+      return res.status(400).json({
+        error: 'Unsupported file type',
+        details: `Expected one of ${Object.keys(UPLOAD_FORMATS).join(', ')}`
+      });
+    }
+    if (!sniffUploadFormat(file.path, extension)) {
+      return res.status(400).json({ error: `File is not a valid ${extension.slice(1).toUpperCase()} file` });
+    }
+
+    // replace swaps out an existing copy, same as force on /get-mp3
+    if (replace && !hasRole(req, 'admin')) {
+      return res.status(403).json({ error: 'replace requires the admin role', role: req.auth.role, requiredRole: 'admin' });
+    }
+
+    // Same identity /check-mp3-cache looks up: the catalog's file, else the artist-song filename
+    const found = findCachedFile('audio', { artist, song, trackId, isrc });
+    const existing = found && (found.match === 'catalog' || found.match === 'exact') ? found.filename : null;
+    if (existing && !replace) {
+      return res.status(409).json({ error: 'Track already has cached audio - set replace to overwrite it', filename: existing });
+    }
+    if (existing && getBusyFiles().has(`mp3/${existing}`)) {
+      return res.status(409).json({ error: 'The cached MP3 is in use by a running job', filename: existing });
+    }
+
+    // Re-encode everything, MP3s included - ffmpeg rejects anything it can't decode
+    const normalizedPath = path.join(stagingDir, 'normalized.mp3');
+    try {
+      await convertToMp3(file.path, normalizedPath);
+    } catch (error) {
+      console.error(`❌ Upload could not be decoded (${file.originalName}):`, error.message);
+      return res.status(400).json({ error: 'Could not decode audio', details: error.message });
+    }
+
+    const mp3Filename = existing || getCacheFilename(artist, song);
+    // Replacing keeps the filename, so the file's pin and cache metadata stay
+    if (existing) {
+      console.log(`🔁 Replacing cached MP3 with upload: ${existing}`);
+    }
+    await fs.promises.copyFile(normalizedPath, path.join(MP3_DIR, mp3Filename));
+    const stats = fs.statSync(path.join(MP3_DIR, mp3Filename));
+    console.log(`📤 Uploaded ${file.originalName} → ${mp3Filename} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
+
+    touchCacheFile('mp3', mp3Filename);
+    enforceCacheLimits('mp3');
+    queueFingerprint(mp3Filename);
+    recordCatalogEntry({
+      trackId,
+      isrc,
+      artist,
+      song,
+      audioFile: mp3Filename,
+      sourceUrl: `upload:${file.originalName}`,
+      provider: 'upload',
+      durationMs
+    });
+    publishEvent('download:done', { trackId, isrc, artist, song }, {
+      jobId: null,
+      status: 'done',
+      filename: mp3Filename,
+      error: null,
+      source: 'upload'
+    });
+
+    // An analysis of the old audio no longer matches the new one - drop it, analyze or not
+    if (existing) {
+      const oldAnalysis = findCachedFile('analysis', { artist, song, trackId, isrc });
+      if (oldAnalysis && (oldAnalysis.match === 'catalog' || oldAnalysis.match === 'exact')) {
+        try {
+          fs.unlinkSync(path.join(ANALYSIS_DIR, oldAnalysis.filename));
+          forgetCacheFile('analysis', oldAnalysis.filename);
+          console.log(`🗑️ Removed analysis of the replaced audio: ${oldAnalysis.filename}`);
+        } catch (error) {
+          console.error(`❌ Could not remove stale analysis ${oldAnalysis.filename}:`, error.message);
+        }
+      }
+    }
+
+    let analysisJob = null;
+    const analysisFilename = getAnalysisFilename(artist, song);
+    if (analyze && !fs.existsSync(path.join(ANALYSIS_DIR, analysisFilename))) {
+      analysisJob = findActiveAnalysisJob(analysisFilename);
+      if (!analysisJob) {
+        analysisJob = createJob('analysis', { artist, song, trackId, isrc, durationMs, mp3Filename, analysisFilename });
+        queueAnalysisJob(analysisJob);
+      }
+    }
+
+    res.status(201).json({
+      mp3Url: `/mp3files/${encodeURIComponent(mp3Filename)}`,
+      filename: mp3Filename,
+      title: `${artist} - ${song}`,
+      artist,
+      song,
+      size: stats.size,
+      replaced: Boolean(existing),
+      analysis: analysisJob ? describeJobLocation(analysisJob) : null
+    });
+  } catch (error) {
+    console.error('❌ Upload failed:', error);
+    res.status(500).json({ error: 'Upload failed', details: error.message });
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+});
+
+// ==================== PRE-WARMING ====================
+//
+// POST /prewarm takes upcoming tracks (the user's queue, a playlist) and downloads
+// and analyzes them in the background, so they're ready before they start playing.
+// A batch works through its tracks one at a time - it never holds more than one
+// download slot or queued analysis, so interactive requests still get through.
+// Each client has one batch; a new request cancels the rest of the previous one.
+
+// Tracks accepted per request
+const PREWARM_MAX_TRACKS = readCount('PREWARM_MAX_TRACKS', 50);
+// How long a batch waits before retrying when the download queue is full
+const PREWARM_QUEUE_WAIT_MS = 5000;
+
+// All known batches, keyed by batch ID
+const prewarmBatches = new Map();
+// Latest batch ID for each client
+const prewarmBatchByClient = new Map();
+
+/**
+ * Public view of a batch with per-status counts
+ */
+function serializePrewarmBatch(batch) {
+  const counts = {};
+  batch.tracks.forEach(track => {
+    counts[track.status] = (counts[track.status] || 0) + 1;
+  });
+  return {
+    id: batch.id,
+    status: batch.status,
+    analyze: batch.analyze,
+    total: batch.tracks.length,
+    counts,
+    tracks: batch.tracks,
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt
+  };
+}
+
+/**
+ * Update one track of a batch
+ */
+function updatePrewarmTrack(batch, track, changes) {
+  Object.assign(track, changes);
+  batch.updatedAt = Date.now();
+}
+
+/**
+ * Download (unless cached) and analyze (unless cached or disabled) one track
+ * Sets the track's final status: ready, downloaded or error
+ */
+async function prewarmTrack(batch, track) {
+  const { artist, song, trackId, isrc, url, durationMs } = track;
+
+  const foundAnalysis = findCachedFile('analysis', { artist, song, trackId, isrc });
+  if (foundAnalysis && foundAnalysis.filename && !isAnalysisStale(foundAnalysis.filename)) {
+    return updatePrewarmTrack(batch, track, { status: 'ready', cached: true });
+  }
+
+  const foundAudio = findCachedFile('audio', { artist, song, trackId, isrc });
+  let mp3Filename = foundAudio && foundAudio.filename;
+
+  if (!mp3Filename) {
+    const resolved = await resolveAudioSource({ url, artist, song, search: true });
+    if (!resolved) {
+      return updatePrewarmTrack(batch, track, { status: 'error', error: 'No audio provider can handle this track' });
+    }
+
+    const cacheFilename = getCacheFilename(artist, song);
+    let job = findActiveJob(resolved.source, cacheFilename);
+    if (!job) {
+      // Wait for room rather than filling the queue ahead of interactive requests
+      while (isDownloadQueueFull() && !batch.cancelled) {
+        await new Promise(resolve => setTimeout(resolve, PREWARM_QUEUE_WAIT_MS));
+      }
+      if (batch.cancelled) {
+        return updatePrewarmTrack(batch, track, { status: 'cancelled' });
+      }
+      console.log(`🔥 Pre-warming (${resolved.provider.name}): ${artist} - ${song}`);
+      job = createJob('download', { ...resolved, artist, song, trackId, isrc, durationMs, cacheFilename, analyze: false });
+      queueDownloadJob(job);
+    }
+
+    updatePrewarmTrack(batch, track, { status: 'downloading', jobId: job.id });
+    await whenJobFinished(job);
+    if (job.status === 'error') {
+      return updatePrewarmTrack(batch, track, { status: 'error', error: job.error, details: job.details });
+    }
+    mp3Filename = job.result.filename;
+  }
+
+  if (!batch.analyze || batch.cancelled) {
+    return updatePrewarmTrack(batch, track, { status: 'downloaded' });
+  }
+
+  const analysisFilename = getAnalysisFilename(artist, song);
+  let analysisJob = findActiveAnalysisJob(analysisFilename);
+  if (!analysisJob) {
+    analysisJob = createJob('analysis', { artist, song, trackId, isrc, durationMs, mp3Filename, analysisFilename });
+    queueAnalysisJob(analysisJob);
+  }
+
+  updatePrewarmTrack(batch, track, { status: 'analyzing', jobId: analysisJob.id });
+  await whenJobFinished(analysisJob);
+  if (analysisJob.status === 'error') {
+    // The MP3 is still there - the client can analyze it itself
+    return updatePrewarmTrack(batch, track, { status: 'downloaded', error: analysisJob.error, details: analysisJob.details });
+  }
+  updatePrewarmTrack(batch, track, { status: 'ready' });
+}
+
+/**
+ * Work through a batch's tracks in order
+ */
+async function runPrewarmBatch(batch) {
+  for (const track of batch.tracks) {
+    if (batch.cancelled) {
+      updatePrewarmTrack(batch, track, { status: 'cancelled' });
+      continue;
+    }
+    try {
+      await prewarmTrack(batch, track);
+    } catch (error) {
+      console.error(`❌ Pre-warm failed for ${track.artist} - ${track.song}:`, error);
+      updatePrewarmTrack(batch, track, { status: 'error', error: 'Pre-warm failed', details: error.message });
+    }
+  }
+
+  batch.status = batch.cancelled ? 'cancelled' : 'done';
+  batch.updatedAt = Date.now();
+  const ready = batch.tracks.filter(track => track.status === 'ready').length;
+  console.log(`🔥 Pre-warm batch ${batch.id} ${batch.status}: ${ready}/${batch.tracks.length} ready`);
+  setTimeout(() => prewarmBatches.delete(batch.id), JOB_RETENTION_MS).unref();
+}
+
+/**
+ * Stop a batch after the track it's working on (that download/analysis still finishes)
+ */
+function cancelPrewarmBatch(batch) {
+  if (batch.status !== 'running') return;
+  batch.cancelled = true;
+  batch.tracks.forEach(track => {
+    if (track.status === 'pending') track.status = 'cancelled';
+  });
+  batch.updatedAt = Date.now();
+}
+
+// Download and analyze a list of tracks in the background
+app.post('/prewarm', requireRole('write'), rateLimit('prewarm'), (req, res) => {
+  const { tracks } = req.body;
+  const analyze = parseFlag(req.body.analyze, true);
+
+  // Shape is checked against the spec - only the configurable limit is left
+  if (tracks.length > PREWARM_MAX_TRACKS) {
+    return res.status(400).json({ error: `Too many tracks (max ${PREWARM_MAX_TRACKS})` });
+  }
+
+  // The previous batch from this client is out of date (queue changed, new playlist)
+  const previous = prewarmBatches.get(prewarmBatchByClient.get(req.auth.clientId));
+  if (previous) cancelPrewarmBatch(previous);
+
+  const batch = {
+    id: crypto.randomUUID(),
+    clientId: req.auth.clientId,
+    status: 'running',
+    analyze,
+    cancelled: false,
+    // pending → downloading → analyzing → ready | downloaded | error | cancelled
+    tracks: tracks.map(({ trackId, isrc, artist, song, url, durationMs }) => ({
+      trackId: trackId || null,
+      isrc: isrc || null,
+      artist,
+      song,
+      url: url || null,
+      durationMs: Number.isFinite(durationMs) ? durationMs : undefined,
+      status: 'pending',
+      jobId: null,
+      error: null
+    })),
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  prewarmBatches.set(batch.id, batch);
+  prewarmBatchByClient.set(req.auth.clientId, batch.id);
+
+  console.log(`🔥 Pre-warm batch ${batch.id}: ${batch.tracks.length} tracks${previous ? ` (replaces ${previous.id})` : ''}`);
+  runPrewarmBatch(batch);
+
+  res.status(202).json({
+    batchId: batch.id,
+    status: batch.status,
+    total: batch.tracks.length,
+    statusUrl: `/prewarm/${batch.id}`
+  });
+});
+
+// Progress of a pre-warm batch
+app.get('/prewarm/:id', requireRole('read'), (req, res) => {
+  const batch = prewarmBatches.get(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Pre-warm batch not found' });
+  }
+  res.json(serializePrewarmBatch(batch));
+});
+
+// Cancel the rest of a pre-warm batch
+app.delete('/prewarm/:id', requireRole('write'), (req, res) => {
+  const batch = prewarmBatches.get(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Pre-warm batch not found' });
+  }
+  if (batch.clientId !== req.auth.clientId && !hasRole(req, 'admin')) {
+    return res.status(403).json({ error: 'Only the client that started a batch (or an admin) can cancel it' });
+  }
+  cancelPrewarmBatch(batch);
+  res.json(serializePrewarmBatch(batch));
+});
+
+// List all analysis files
+app.get('/analysis/list', requireRole('read'), (req, res) => {
+  try {
+    const files = fs.readdirSync(ANALYSIS_DIR)
+      .filter(f => f.endsWith('.json'))
+      .map(filename => {
+        const filepath = path.join(ANALYSIS_DIR, filename);
+        const stats = fs.statSync(filepath);
+        return {
+          filename,
+          url: `/analysis/${encodeURIComponent(filename)}`,
+          size: stats.size,
+          created: stats.birthtime
+        };
+      })
+      .sort((a, b) => new Date(b.created) - new Date(a.created));
+
+    res.json({ files, count: files.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Could not list analysis files' });
+  }
+});
+
+// Delete analysis file
+app.delete('/analysis/:filename', requireRole('admin'), (req, res) => {
+  const filename = decodeURIComponent(req.params.filename);
+  const filepath = path.join(ANALYSIS_DIR, filename);
+
+  if (!fs.existsSync(filepath)) {
+    return res.status(404).json({ error: 'Analysis file not found' });
+  }
+
+  try {
+    fs.unlinkSync(filepath);
+    forgetCacheFile('analysis', filename);
+    res.json({ message: 'Analysis deleted', filename });
+  } catch (error) {
+    res.status(500).json({ error: 'Could not delete analysis file' });
+  }
+});
+
+// Pin an analysis file so quota/age eviction never removes it
+app.post('/analysis/:filename/pin', requireRole('admin'), (req, res) => {
+  const filename = pinCachedFile(req, res, 'analysis', true);
+  if (!filename) return;
+  res.json({ message: 'Analysis pinned', filename, pinned: true });
+});
+
+// Unpin an analysis file
+app.delete('/analysis/:filename/pin', requireRole('admin'), (req, res) => {
+  const filename = pinCachedFile(req, res, 'analysis', false);
+  if (!filename) return;
+  res.json({ message: 'Analysis unpinned', filename, pinned: false });
+});
+
+// ==================== AUDIO FINGERPRINTS ====================
+//
+// Every cached MP3 gets an acoustic fingerprint (see audioFingerprint.js), stored in
+// the cache metadata with the file's size and mtime so a rewritten file is fingerprinted
+// again. When two files are the same recording the newer one is marked `duplicateOf`
+// the older: catalog entries move to the original right away and the copy is deleted
+// by the cache sweep once DUPLICATE_GRACE_MS has passed (clients that were just
+// handed the copy can still fetch it). DEDUPE_AUDIO=false only reports duplicates.
+
+const DEDUPE_AUDIO = process.env.DEDUPE_AUDIO !== 'false';
+const DUPLICATE_GRACE_MS = 10 * 60 * 1000; // 10 minutes
+// Audio this far from Spotify's track length is probably another recording (live, extended, ...)
+const DURATION_MISMATCH_SECONDS = 10;
+// Files cached before fingerprinting existed are fingerprinted this long after startup
+const FINGERPRINT_BACKFILL_DELAY_MS = 30 * 1000;
+
+// Fingerprints are computed one at a time - decoding keeps a CPU core busy
+let fingerprintQueue = Promise.resolve();
+const fingerprintsPending = new Set();
+
+/**
+ * Stored fingerprint for an MP3, or null if missing or out of date
+ */
+function getStoredFingerprint(filename) {
+  const meta = cacheMeta[`mp3/${filename}`];
+  const fingerprint = meta && meta.fingerprint;
+  if (!fingerprint || fingerprint.version !== FINGERPRINT_VERSION) return null;
+  try {
+    const stats = fs.statSync(path.join(MP3_DIR, filename));
+    if (stats.size !== fingerprint.size || Math.round(stats.mtimeMs) !== fingerprint.mtimeMs) return null;
+  } catch (error) {
+    return null;
+  }
+  return fingerprint;
+}
+
+/**
+ * Fingerprinted MP3s with their metadata, oldest first
+ */
+function listFingerprintedFiles() {
+  return listCacheEntries('mp3')
+    .map(entry => ({
+      ...entry,
+      mtimeMs: fs.statSync(path.join(MP3_DIR, entry.filename)).mtimeMs,
+      fingerprint: getStoredFingerprint(entry.filename),
+      duplicateOf: (cacheMeta[`mp3/${entry.filename}`] || {}).duplicateOf || null
+    }))
+    .filter(entry => entry.fingerprint)
+    .sort((a, b) => a.mtimeMs - b.mtimeMs);
+}
+
+/**
+ * Point catalog entries that use one audio file at another
+ */
+function moveCatalogAudio(fromFilename, toFilename) {
+  let moved = 0;
+  Object.values(catalog).forEach(entry => {
+    if (entry.audioFile === fromFilename) {
+      entry.audioFile = toFilename;
+      entry.updatedAt = Date.now();
+      moved++;
+    }
+  });
+  if (moved > 0) saveCatalog();
+  return moved;
+}
+
+/**
+ * Mark an MP3 as a copy of another; the sweep deletes it after the grace period
+ */
+function markDuplicate(filename, original) {
+  const key = `mp3/${filename}`;
+  cacheMeta[key] = { ...cacheMeta[key], duplicateOf: original, duplicateSince: Date.now() };
+  saveCacheMeta();
+  const moved = moveCatalogAudio(filename, original);
+  console.log(`👯 Marked ${filename} as a duplicate of ${original}${moved ? ` (${moved} catalog entries moved)` : ''}`);
+}
+
+/**
+ * Fingerprint one MP3, store it, and mark it (or an existing file) as a duplicate
+ */
+async function fingerprintFile(filename) {
+  const mp3Path = path.join(MP3_DIR, filename);
+  if (!fs.existsSync(mp3Path) || getStoredFingerprint(filename)) return;
+
+  const stats = fs.statSync(mp3Path);
+  const fingerprint = await fingerprintInWorker(mp3Path, { ffmpegPath: getFfmpegPath() });
+  // Deleted or rewritten while we were decoding it
+  if (!fs.existsSync(mp3Path) || fs.statSync(mp3Path).mtimeMs !== stats.mtimeMs) return;
+
+  const key = `mp3/${filename}`;
+  cacheMeta[key] = {
+    ...cacheMeta[key],
+    fingerprint: { ...fingerprint, size: stats.size, mtimeMs: Math.round(stats.mtimeMs), computedAt: Date.now() }
+  };
+  saveCacheMeta();
+  console.log(`🫆 Fingerprinted ${filename} (${fingerprint.duration}s)`);
+
+  // The first (oldest) original that is the same recording
+  const original = listFingerprintedFiles().find(entry =>
+    entry.filename !== filename && !entry.duplicateOf && isSameRecording(entry.fingerprint, fingerprint)
+  );
+  if (!original) return;
+
+  console.log(`👯 ${filename} is the same recording as ${original.filename}`);
+  if (!DEDUPE_AUDIO) return;
+  // Keep whichever file was cached first
+  if (original.mtimeMs <= stats.mtimeMs) {
+    markDuplicate(filename, original.filename);
+  } else {
+    markDuplicate(original.filename, filename);
+  }
+}
+
+/**
+ * Queue an MP3 for fingerprinting (no-op if it's already queued)
+ */
+function queueFingerprint(filename) {
+  if (fingerprintsPending.has(filename)) return;
+  fingerprintsPending.add(filename);
+  fingerprintQueue = fingerprintQueue
+    .then(() => fingerprintFile(filename))
+    .catch(error => console.error(`❌ Fingerprinting ${filename} failed:`, error.message))
+    .finally(() => fingerprintsPending.delete(filename));
+}
+
+/**
+ * Delete duplicate copies whose grace period is over
+ * Copies that are pinned, in use, or whose original is gone are kept
+ * @returns {string[]} - Deleted filenames
+ */
+function removeDuplicateCopies() {
+  const busy = getBusyFiles();
+  const removed = [];
+
+  listCacheEntries('mp3').forEach(entry => {
+    const key = `mp3/${entry.filename}`;
+    const { duplicateOf, duplicateSince } = cacheMeta[key] || {};
+    if (!duplicateOf) return;
+
+    if (!fs.existsSync(path.join(MP3_DIR, duplicateOf))) {
+      // The original was evicted or deleted - this copy is the only one left
+      delete cacheMeta[key].duplicateOf;
+      delete cacheMeta[key].duplicateSince;
+      saveCacheMeta();
+      return;
+    }
+    if (entry.pinned || busy.has(key) || Date.now() - duplicateSince < DUPLICATE_GRACE_MS) return;
+
+    try {
+      fs.unlinkSync(path.join(MP3_DIR, entry.filename));
+      forgetCacheFile('mp3', entry.filename);
+      // Entries recorded against the copy during the grace period
+      moveCatalogAudio(entry.filename, duplicateOf);
+      removed.push(entry.filename);
+    } catch (error) {
+      console.error(`Could not remove duplicate ${entry.filename}:`, error.message);
+    }
+  });
+
+  if (removed.length > 0) {
+    console.log(`👯 Removed ${removed.length} duplicate MP3(s)`);
+  }
+  return removed;
 }
 
-// Check if analysis data exists
-app.get('/check-analysis-cache', (req, res) => {
-  const { artist, song } = req.query;
-  
-  if (!artist || !song) {
-    return res.status(400).json({ error: 'Artist and song are required' });
+/**
+ * Group fingerprinted MP3s that are the same recording
+ * @returns {Object[]} - [{ original, copies: [{ filename, similarity, ... }] }]
+ */
+function findDuplicateGroups() {
+  const files = listFingerprintedFiles();
+  const grouped = new Set();
+  const groups = [];
+
+  files.forEach((file, i) => {
+    if (grouped.has(file.filename)) return;
+    const copies = [];
+    for (const other of files.slice(i + 1)) {
+      if (grouped.has(other.filename)) continue;
+      const similarity = compareFingerprints(file.fingerprint, other.fingerprint);
+      if (similarity < FINGERPRINT_MATCH_THRESHOLD) continue;
+      grouped.add(other.filename);
+      const { duplicateSince } = cacheMeta[`mp3/${other.filename}`] || {};
+      copies.push({
+        filename: other.filename,
+        size: other.size,
+        duration: other.fingerprint.duration,
+        similarity,
+        markedDuplicate: other.duplicateOf === file.filename,
+        removeAfter: other.duplicateOf === file.filename ? new Date(duplicateSince + DUPLICATE_GRACE_MS) : null
+      });
+    }
+    if (copies.length) {
+      groups.push({
+        original: { filename: file.filename, size: file.size, duration: file.fingerprint.duration },
+        copies
+      });
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Catalog entries whose audio is clearly longer or shorter than the Spotify track
+ */
+function findDurationMismatches() {
+  return Object.values(catalog)
+    .filter(entry => entry.audioFile && entry.durationMs)
+    .map(entry => ({ entry, fingerprint: getStoredFingerprint(entry.audioFile) }))
+    .filter(({ entry, fingerprint }) =>
+      fingerprint && Math.abs(fingerprint.duration - entry.durationMs / 1000) > DURATION_MISMATCH_SECONDS)
+    .map(({ entry, fingerprint }) => ({
+      trackId: entry.trackId,
+      isrc: entry.isrc,
+      artist: entry.artist,
+      song: entry.song,
+      audioFile: entry.audioFile,
+      spotifyDuration: entry.durationMs / 1000,
+      audioDuration: fingerprint.duration
+    }));
+}
+
+// Fingerprint anything cached before this feature (or with an outdated fingerprint)
+setTimeout(() => {
+  const missing = listCacheEntries('mp3').filter(entry => !getStoredFingerprint(entry.filename));
+  if (missing.length > 0) {
+    console.log(`🫆 Fingerprinting ${missing.length} cached MP3(s) in the background`);
+    missing.forEach(entry => queueFingerprint(entry.filename));
   }
-  
-  const analysisFilename = getAnalysisFilename(artist, song);
-  const analysisPath = path.join(ANALYSIS_DIR, analysisFilename);
-  
-  // Try exact match first
-  if (fs.existsSync(analysisPath)) {
-    const stats = fs.statSync(analysisPath);
-    console.log(`📦 Analysis cache HIT (exact): ${analysisFilename}`);
-    return res.json({
-      cached: true,
-      filename: analysisFilename,
-      url: `/analysis/${encodeURIComponent(analysisFilename)}`,
-      artist: artist,
-      song: song,
-      size: stats.size,
-      created: stats.birthtime
+}, FINGERPRINT_BACKFILL_DELAY_MS).unref();
+
+// ==================== CACHE MANAGEMENT ENDPOINTS ====================
+
+// Cache usage and limits for each directory
+app.get('/cache/stats', requireRole('read'), (req, res) => {
+  try {
+    const stats = {};
+    Object.entries(CACHE_DIRS).forEach(([cacheType, { maxBytes, maxAgeMs }]) => {
+      const entries = listCacheEntries(cacheType);
+      stats[cacheType] = {
+        files: entries.length,
+        bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+        pinned: entries.filter(entry => entry.pinned).length,
+        maxBytes: maxBytes || null,
+        maxAgeDays: maxAgeMs ? maxAgeMs / DAY_MS : null,
+        oldestAccess: entries.length ? new Date(Math.min(...entries.map(entry => entry.lastAccess))) : null
+      };
     });
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ error: 'Could not read cache stats' });
   }
-  
-  // Try fuzzy match as fallback
-  const fuzzyMatch = findFileByFuzzyMatch(ANALYSIS_DIR, artist, song, '.json');
-  if (fuzzyMatch) {
-    const fuzzyPath = path.join(ANALYSIS_DIR, fuzzyMatch);
-    const stats = fs.statSync(fuzzyPath);
-    console.log(`📦 Analysis cache HIT (fuzzy): ${fuzzyMatch}`);
-    return res.json({
-      cached: true,
-      filename: fuzzyMatch,
-      url: `/analysis/${encodeURIComponent(fuzzyMatch)}`,
-      artist: artist,
-      song: song,
-      size: stats.size,
-      created: stats.birthtime
+});
+
+/**
+ * Every cached track: catalog entries first, then MP3s and analyses no entry points at
+ * (paired by their shared artist-song base name)
+ */
+function listCachedTracks() {
+  const files = {
+    mp3: new Map(listCacheEntries('mp3').map(entry => [entry.filename, entry])),
+    analysis: new Map(listCacheEntries('analysis').map(entry => [entry.filename, entry]))
+  };
+  const used = new Set();
+
+  const describeFile = (cacheType, filename) => {
+    const entry = filename && files[cacheType].get(filename);
+    if (!entry) return null;
+    used.add(`${cacheType}/${filename}`);
+    const urlPrefix = cacheType === 'mp3' ? '/mp3files/' : '/analysis/';
+    return {
+      filename,
+      size: entry.size,
+      modifiedAt: entry.modifiedAt,
+      lastAccess: entry.lastAccess,
+      pinned: entry.pinned,
+      url: `${urlPrefix}${encodeURIComponent(filename)}`
+    };
+  };
+
+  const tracks = Object.entries(catalog).map(([key, entry]) => ({
+    key,
+    trackId: entry.trackId || null,
+    isrc: entry.isrc || null,
+    artist: entry.artist || null,
+    song: entry.song || null,
+    sourceUrl: entry.sourceUrl || null,
+    provider: entry.provider || null,
+    durationMs: entry.durationMs || null,
+    audio: describeFile('mp3', entry.audioFile),
+    analysis: describeFile('analysis', entry.analysisFile)
+  }));
+
+  // Files no catalog entry points at (cached before the catalog, or without a track ID)
+  const orphans = new Map();
+  ['mp3', 'analysis'].forEach(cacheType => {
+    files[cacheType].forEach((entry, filename) => {
+      if (used.has(`${cacheType}/${filename}`)) return;
+      const base = filename.replace(/\.(mp3|json)$/, '');
+      const track = orphans.get(base) || {
+        key: null, trackId: null, isrc: null, artist: null, song: null,
+        sourceUrl: null, provider: null, durationMs: null, audio: null, analysis: null
+      };
+      track[cacheType === 'mp3' ? 'audio' : 'analysis'] = describeFile(cacheType, filename);
+      orphans.set(base, track);
+    });
+  });
+
+  return [...tracks, ...orphans.values()]
+    .filter(track => track.audio || track.analysis)
+    .map(track => ({
+      ...track,
+      title: track.artist && track.song
+        ? `${track.artist} - ${track.song}`
+        : (track.audio || track.analysis).filename.replace(/\.(mp3|json)$/, ''),
+      complete: Boolean(track.audio && track.analysis),
+      duplicateOf: track.audio ? (cacheMeta[`mp3/${track.audio.filename}`] || {}).duplicateOf || null : null
+    }))
+    .sort((a, b) => {
+      const newest = track => Math.max(track.audio ? track.audio.modifiedAt : 0, track.analysis ? track.analysis.modifiedAt : 0);
+      return newest(b) - newest(a);
+    });
+}
+
+// Every cached track with its audio and analysis files (cache page)
+app.get('/cache/tracks', requireRole('read'), (req, res) => {
+  try {
+    const tracks = listCachedTracks();
+    res.json({
+      tracks,
+      count: tracks.length,
+      complete: tracks.filter(track => track.complete).length
     });
+  } catch (error) {
+    console.error('❌ Could not list cached tracks:', error);
+    res.status(500).json({ error: 'Could not list cached tracks', details: error.message });
   }
-  
-  console.log(`📭 Analysis cache MISS: ${analysisFilename}`);
-  return res.json({ cached: false, expectedFilename: analysisFilename });
 });
 
-// Get analysis data
-app.get('/get-analysis', (req, res) => {
-  const { artist, song } = req.query;
-  
-  if (!artist || !song) {
-    return res.status(400).json({ error: 'Artist and song are required' });
-  }
-  
-  const analysisFilename = getAnalysisFilename(artist, song);
-  const analysisPath = path.join(ANALYSIS_DIR, analysisFilename);
-  
-  // Try exact match first
-  if (fs.existsSync(analysisPath)) {
-    try {
-      const data = fs.readFileSync(analysisPath, 'utf8');
-      const analysis = JSON.parse(data);
-      console.log(`📦 Loaded analysis (exact): ${analysisFilename}`);
-      return res.json(analysis);
-    } catch (error) {
-      console.error('❌ Failed to read analysis:', error);
-      return res.status(500).json({ error: 'Failed to read analysis data' });
-    }
-  }
-  
-  // Try fuzzy match as fallback
-  const fuzzyMatch = findFileByFuzzyMatch(ANALYSIS_DIR, artist, song, '.json');
-  if (fuzzyMatch) {
-    const fuzzyPath = path.join(ANALYSIS_DIR, fuzzyMatch);
-    try {
-      const data = fs.readFileSync(fuzzyPath, 'utf8');
-      const analysis = JSON.parse(data);
-      console.log(`📦 Loaded analysis (fuzzy): ${fuzzyMatch}`);
-      return res.json(analysis);
-    } catch (error) {
-      console.error('❌ Failed to read analysis:', error);
-      return res.status(500).json({ error: 'Failed to read analysis data' });
-    }
+// Prometheus scrape endpoint - counters, histograms and current cache/job gauges
+app.get('/metrics', requireRole('read'), (req, res) => {
+  try {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(renderMetrics());
+  } catch (error) {
+    console.error('❌ Failed to render metrics:', error);
+    res.status(500).json({ error: 'Could not collect metrics', details: error.message });
   }
-  
-  return res.status(404).json({ error: 'Analysis not found', filename: analysisFilename });
 });
 
-// Save analysis data
-app.post('/save-analysis', (req, res) => {
-  const { artist, song, data } = req.body;
-  
-  if (!artist || !song || !data) {
-    return res.status(400).json({ error: 'Artist, song, and data are required' });
+// Ranked fuzzy search over cached files - shows near misses that findCachedFile won't auto-pick
+app.get('/cache/search', requireRole('read'), (req, res) => {
+  const { q, type = 'all' } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+
+  try {
+    const sources = [
+      { type: 'mp3', dir: MP3_DIR, extension: '.mp3', urlPrefix: '/mp3files/' },
+      { type: 'analysis', dir: ANALYSIS_DIR, extension: '.json', urlPrefix: '/analysis/' }
+    ].filter(source => type === 'all' || source.type === type);
+
+    const results = [];
+    sources.forEach(source => {
+      const files = fs.readdirSync(source.dir).filter(f => f.endsWith(source.extension));
+      rankCandidates(q, files, { limit }).forEach(({ filename, score }) => {
+        results.push({ filename, type: source.type, score, url: `${source.urlPrefix}${encodeURIComponent(filename)}` });
+      });
+    });
+    results.sort((a, b) => b.score - a.score);
+
+    // Same rule findCachedFile uses: refuse when the top two of a type are too close to call
+    const ambiguous = sources.some(source => {
+      const files = results.filter(result => result.type === source.type).map(result => result.filename);
+      return findBestMatch(q, files).ambiguous;
+    });
+
+    res.json({ query: q, results: results.slice(0, limit), ambiguous });
+  } catch (error) {
+    console.error('❌ Cache search error:', error);
+    res.status(500).json({ error: 'Cache search failed', details: error.message });
   }
-  
-  const analysisFilename = getAnalysisFilename(artist, song);
-  const analysisPath = path.join(ANALYSIS_DIR, analysisFilename);
-  
+});
+
+// MP3s that are the same recording, and audio that doesn't match its Spotify track's length
+app.get('/cache/duplicates', requireRole('read'), (req, res) => {
   try {
-    fs.writeFileSync(analysisPath, JSON.stringify(data, null, 2));
-    const stats = fs.statSync(analysisPath);
-    console.log(`💾 Saved analysis: ${analysisFilename} (${(stats.size / 1024).toFixed(1)}KB)`);
+    const files = listCacheEntries('mp3');
+    const groups = findDuplicateGroups();
     res.json({
-      success: true,
-      filename: analysisFilename,
-      size: stats.size,
-      url: `/analysis/${encodeURIComponent(analysisFilename)}`
+      dedupe: DEDUPE_AUDIO,
+      groups,
+      duplicateFiles: groups.reduce((sum, group) => sum + group.copies.length, 0),
+      durationMismatches: findDurationMismatches(),
+      fingerprinted: files.filter(entry => getStoredFingerprint(entry.filename)).length,
+      pending: fingerprintsPending.size,
+      total: files.length
     });
   } catch (error) {
-    console.error('❌ Failed to save analysis:', error);
-    res.status(500).json({ error: 'Failed to save analysis data' });
+    console.error('❌ Duplicate scan failed:', error);
+    res.status(500).json({ error: 'Could not scan for duplicates', details: error.message });
   }
 });
 
-// List all analysis files
-app.get('/analysis/list', (req, res) => {
+// Enforce size/age limits now instead of waiting for the hourly sweep
+app.post('/cache/evict', requireRole('admin'), (req, res) => {
+  const evicted = enforceAllCacheLimits();
+  const duplicates = removeDuplicateCopies();
+  res.json({
+    message: 'Cache limits enforced',
+    evicted,
+    duplicates,
+    count: Object.values(evicted).reduce((sum, files) => sum + files.length, 0) + duplicates.length
+  });
+});
+
+// ==================== LIBRARY EXPORT / IMPORT ====================
+//
+// A library archive is a .tar.gz with manifest.json, analysis/*.json and optionally
+// mp3files/*.mp3. The manifest lists every file with its size and SHA-256, plus the
+// catalog entries that point at those files, so a library can seed another server.
+
+const LIBRARY_FORMAT = 'spotify-visualizer-library';
+const LIBRARY_FORMAT_VERSION = 1;
+
+// Archive folder for each cache directory
+const LIBRARY_FOLDERS = { analysis: 'analysis', mp3: 'mp3files' };
+const LIBRARY_PATH_PATTERN = /^(analysis\/[^/\\]+\.json|mp3files\/[^/\\]+\.mp3)$/;
+
+// Largest archive /library/import will unpack
+const LIBRARY_IMPORT_MAX_BYTES = readLimit('LIBRARY_IMPORT_MAX_MB', MB) || 4096 * MB;
+
+/**
+ * SHA-256 of a file, streamed so MP3s aren't read into memory
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Cache type for an archive path (analysis/x.json → analysis, mp3files/x.mp3 → mp3)
+ */
+function getLibraryFileType(archivePath) {
+  return archivePath.startsWith(`${LIBRARY_FOLDERS.analysis}/`) ? 'analysis' : 'mp3';
+}
+
+/**
+ * Describe everything that goes into an export
+ */
+async function buildLibraryManifest(includeAudio) {
+  const types = includeAudio ? ['analysis', 'mp3'] : ['analysis'];
+  const files = [];
+
+  for (const type of types) {
+    const { dir, extension } = CACHE_DIRS[type];
+    for (const filename of fs.readdirSync(dir).filter(f => f.endsWith(extension))) {
+      const filePath = path.join(dir, filename);
+      files.push({
+        path: `${LIBRARY_FOLDERS[type]}/${filename}`,
+        size: fs.statSync(filePath).size,
+        sha256: await hashFile(filePath)
+      });
+    }
+  }
+
+  // Only catalog entries whose files travel with the archive
+  const filenames = new Set(files.map(file => path.basename(file.path)));
+  const catalogEntries = Object.fromEntries(
+    Object.entries(catalog).filter(([, entry]) => filenames.has(entry.analysisFile) || filenames.has(entry.audioFile))
+  );
+
+  return {
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    analysisSchemaVersion: ANALYSIS_SCHEMA_VERSION,
+    includesAudio: includeAudio,
+    files,
+    catalog: catalogEntries
+  };
+}
+
+/**
+ * Stream a file into a tar entry, resolving once the entry is complete
+ */
+function addFileToArchive(pack, name, filePath, size) {
+  return new Promise((resolve, reject) => {
+    const entry = pack.entry({ name, size }, error => (error ? reject(error) : resolve()));
+    stream.pipeline(fs.createReadStream(filePath), entry, error => {
+      if (error) reject(error);
+    });
+  });
+}
+
+/**
+ * Whether an existing file has the same content as an imported one
+ * Analysis files are compared after migration, so an old-schema copy matches its upgraded twin
+ */
+async function isSameLibraryFile(targetPath, importedHash, importedAnalysis) {
+  if (!importedAnalysis) return await hashFile(targetPath) === importedHash;
   try {
-    const files = fs.readdirSync(ANALYSIS_DIR)
-      .filter(f => f.endsWith('.json'))
-      .map(filename => {
-        const filepath = path.join(ANALYSIS_DIR, filename);
-        const stats = fs.statSync(filepath);
-        return {
-          filename,
-          url: `/analysis/${encodeURIComponent(filename)}`,
-          size: stats.size,
-          created: stats.birthtime
-        };
-      })
-      .sort((a, b) => new Date(b.created) - new Date(a.created));
+    const existing = migrateAnalysis(JSON.parse(fs.readFileSync(targetPath, 'utf8'))).analysis;
+    return JSON.stringify(existing) === JSON.stringify(importedAnalysis);
+  } catch (error) {
+    return false;
+  }
+}
 
-    res.json({ files, count: files.length });
+/**
+ * Unpack an uploaded archive into a staging directory
+ * @returns {Promise<{manifest: Object, staged: Map<string, string>, skipped: Object[]}>}
+ *          staged maps archive paths to staged file paths
+ */
+function extractLibraryArchive(input, stagingDir) {
+  return new Promise((resolve, reject) => {
+    const extract = tar.extract();
+    const staged = new Map();
+    const skipped = [];
+    let manifest = null;
+    let totalBytes = 0;
+
+    extract.on('entry', (header, entryStream, next) => {
+      const name = header.name.replace(/^\.\//, '');
+      const skip = (reason) => {
+        if (reason) skipped.push({ path: name, reason });
+        entryStream.on('end', next);
+        entryStream.resume();
+      };
+
+      if (header.type !== 'file') return skip(null);
+
+      totalBytes += header.size;
+      if (totalBytes > LIBRARY_IMPORT_MAX_BYTES) {
+        const error = new Error(`Archive is larger than ${LIBRARY_IMPORT_MAX_BYTES / MB}MB`);
+        error.statusCode = 413;
+        return extract.destroy(error);
+      }
+
+      if (name === 'manifest.json') {
+        const chunks = [];
+        entryStream.on('data', chunk => chunks.push(chunk));
+        entryStream.on('end', () => {
+          try {
+            manifest = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            next();
+          } catch (error) {
+            extract.destroy(new Error('manifest.json is not valid JSON'));
+          }
+        });
+        return;
+      }
+
+      if (!LIBRARY_PATH_PATTERN.test(name)) return skip('Not an analysis or MP3 file');
+
+      const stagedPath = path.join(stagingDir, name.replace('/', '__'));
+      stream.pipeline(entryStream, fs.createWriteStream(stagedPath), error => {
+        if (error) return extract.destroy(error);
+        staged.set(name, stagedPath);
+        next();
+      });
+    });
+
+    stream.pipeline(input, zlib.createGunzip(), extract, error => {
+      if (error) return reject(error);
+      if (!manifest) return reject(new Error('Archive has no manifest.json'));
+      resolve({ manifest, staged, skipped });
+    });
+  });
+}
+
+/**
+ * Merge staged files and catalog entries into the library
+ * Identical files are left alone; different files with the same name are conflicts
+ * unless `overwrite` is set. `dryRun` reports without writing anything.
+ */
+async function mergeLibrary({ manifest, staged, skipped }, { overwrite, dryRun }) {
+  const report = {
+    dryRun,
+    imported: [],
+    overwritten: [],
+    unchanged: [],
+    conflicts: [],
+    invalid: [...skipped],
+    catalog: { added: 0, updated: 0, unchanged: 0, conflicts: [] }
+  };
+
+  // Filenames that will be on disk once the merge is done
+  const presentFiles = new Set();
+  const listed = new Set();
+
+  for (const file of manifest.files) {
+    listed.add(file.path);
+    const stagedPath = staged.get(file.path);
+    if (!stagedPath) {
+      report.invalid.push({ path: file.path, reason: 'Listed in manifest but missing from archive' });
+      continue;
+    }
+
+    const sha256 = await hashFile(stagedPath);
+    if (file.sha256 && file.sha256 !== sha256) {
+      report.invalid.push({ path: file.path, reason: 'Checksum does not match manifest' });
+      continue;
+    }
+
+    const type = getLibraryFileType(file.path);
+    const filename = path.basename(file.path);
+
+    // Analysis files are validated (and upgraded) exactly like /save-analysis payloads
+    let contents = null;
+    let analysis = null;
+    if (type === 'analysis') {
+      let result;
+      try {
+        result = migrateAnalysis(JSON.parse(fs.readFileSync(stagedPath, 'utf8')));
+      } catch (error) {
+        report.invalid.push({ path: file.path, reason: 'Not valid JSON' });
+        continue;
+      }
+      if (result.needsReanalysis) {
+        report.invalid.push({ path: file.path, reason: 'Analysis does not match the schema', details: result.errors });
+        continue;
+      }
+      analysis = result.analysis;
+      if (result.migrated) contents = JSON.stringify(analysis, null, 2);
+    }
+
+    const targetPath = path.join(CACHE_DIRS[type].dir, filename);
+    if (fs.existsSync(targetPath)) {
+      if (await isSameLibraryFile(targetPath, sha256, analysis)) {
+        report.unchanged.push(file.path);
+        presentFiles.add(filename);
+        continue;
+      }
+      if (!overwrite) {
+        report.conflicts.push({
+          path: file.path,
+          reason: 'A different file with this name already exists',
+          existingSize: fs.statSync(targetPath).size,
+          importedSize: contents ? Buffer.byteLength(contents) : file.size
+        });
+        continue;
+      }
+      report.overwritten.push(file.path);
+    } else {
+      report.imported.push(file.path);
+    }
+    presentFiles.add(filename);
+
+    if (!dryRun) {
+      if (contents) {
+        fs.writeFileSync(targetPath, contents);
+      } else {
+        fs.copyFileSync(stagedPath, targetPath);
+      }
+      touchCacheFile(type, filename);
+      if (type === 'mp3') queueFingerprint(filename);
+    }
+  }
+
+  for (const archivePath of staged.keys()) {
+    if (!listed.has(archivePath)) {
+      report.invalid.push({ path: archivePath, reason: 'Not listed in manifest' });
+    }
+  }
+
+  // Catalog entries only keep links to files this server actually has
+  const hasFile = (type, filename) => Boolean(filename) &&
+    (presentFiles.has(filename) || fs.existsSync(path.join(CACHE_DIRS[type].dir, filename)));
+
+  for (const entry of Object.values(manifest.catalog || {})) {
+    const key = getCatalogKey(entry);
+    if (!key) continue;
+
+    const audioFile = hasFile('mp3', entry.audioFile) ? entry.audioFile : undefined;
+    const analysisFile = hasFile('analysis', entry.analysisFile) ? entry.analysisFile : undefined;
+    const durationMs = Number.isFinite(entry.durationMs) ? entry.durationMs : undefined;
+    if (!audioFile && !analysisFile) continue;
+
+    const existing = findCatalogEntry(entry);
+    if (existing && (!audioFile || existing.audioFile === audioFile) && (!analysisFile || existing.analysisFile === analysisFile) &&
+        (!durationMs || existing.durationMs)) {
+      report.catalog.unchanged++;
+      continue;
+    }
+    const differs = existing && (
+      (audioFile && existing.audioFile && existing.audioFile !== audioFile) ||
+      (analysisFile && existing.analysisFile && existing.analysisFile !== analysisFile)
+    );
+    if (differs && !overwrite) {
+      report.catalog.conflicts.push({
+        key,
+        existing: { audioFile: existing.audioFile || null, analysisFile: existing.analysisFile || null },
+        imported: { audioFile: audioFile || null, analysisFile: analysisFile || null }
+      });
+      continue;
+    }
+
+    if (!dryRun) {
+      recordCatalogEntry({
+        trackId: entry.trackId || undefined,
+        isrc: entry.isrc || undefined,
+        artist: entry.artist,
+        song: entry.song,
+        audioFile,
+        analysisFile,
+        sourceUrl: entry.sourceUrl,
+        provider: entry.provider,
+        durationMs
+      });
+    }
+    report.catalog[existing ? 'updated' : 'added']++;
+  }
+
+  if (!dryRun) {
+    enforceAllCacheLimits();
+  }
+
+  return report;
+}
+
+// Download the analysis library (and with ?mp3=true the MP3s) as one .tar.gz
+app.get('/library/export', requireRole('read'), rateLimit('library-export'), async (req, res) => {
+  const includeAudio = req.query.mp3 === 'true';
+
+  let manifest;
+  try {
+    manifest = await buildLibraryManifest(includeAudio);
   } catch (error) {
-    res.status(500).json({ error: 'Could not list analysis files' });
+    console.error('❌ Could not build library manifest:', error);
+    return res.status(500).json({ error: 'Could not read library', details: error.message });
   }
-});
 
-// Delete analysis file
-app.delete('/analysis/:filename', (req, res) => {
-  const filename = decodeURIComponent(req.params.filename);
-  const filepath = path.join(ANALYSIS_DIR, filename);
+  const stamp = manifest.exportedAt.replace(/[-:]/g, '').replace(/\..*$/, '').replace('T', '-');
+  res.set({
+    'Content-Type': 'application/gzip',
+    'Content-Disposition': `attachment; filename="library-${stamp}.tar.gz"`
+  });
 
-  if (!fs.existsSync(filepath)) {
-    return res.status(404).json({ error: 'Analysis file not found' });
+  const pack = tar.pack();
+  stream.pipeline(pack, zlib.createGzip(), res, error => {
+    if (error) console.error('❌ Library export stream failed:', error.message);
+  });
+
+  try {
+    pack.entry({ name: 'manifest.json' }, Buffer.from(JSON.stringify(manifest, null, 2)));
+    for (const file of manifest.files) {
+      const filePath = path.join(CACHE_DIRS[getLibraryFileType(file.path)].dir, path.basename(file.path));
+      await addFileToArchive(pack, file.path, filePath, file.size);
+    }
+    pack.finalize();
+    console.log(`📦 Exported library: ${manifest.files.length} files${includeAudio ? ' (with MP3s)' : ''}`);
+  } catch (error) {
+    // Headers are already sent - cutting the stream short is all we can do
+    console.error('❌ Library export failed:', error.message);
+    pack.destroy(error);
   }
+});
+
+// Import a library archive from /library/export (raw .tar.gz request body)
+// ?overwrite=true replaces conflicting files, ?dryRun=true only reports
+app.post('/library/import', requireRole('admin'), async (req, res) => {
+  const overwrite = req.query.overwrite === 'true';
+  const dryRun = req.query.dryRun === 'true';
+  const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-import-'));
 
   try {
-    fs.unlinkSync(filepath);
-    res.json({ message: 'Analysis deleted', filename });
+    let archive;
+    try {
+      archive = await extractLibraryArchive(req, stagingDir);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({ error: 'Could not read library archive', details: error.message });
+    }
+
+    const { manifest } = archive;
+    if (manifest.format !== LIBRARY_FORMAT || !Array.isArray(manifest.files)) {
+      return res.status(400).json({ error: 'Not a library archive (manifest format missing)' });
+    }
+    if (manifest.version > LIBRARY_FORMAT_VERSION) {
+      return res.status(400).json({ error: `Unsupported library archive version ${manifest.version}` });
+    }
+
+    const report = await mergeLibrary(archive, { overwrite, dryRun });
+    console.log(`📥 ${dryRun ? 'Checked' : 'Imported'} library: ${report.imported.length} new, ${report.overwritten.length} overwritten, ${report.unchanged.length} unchanged, ${report.conflicts.length} conflicts, ${report.invalid.length} invalid`);
+    res.json(report);
   } catch (error) {
-    res.status(500).json({ error: 'Could not delete analysis file' });
+    console.error('❌ Library import failed:', error);
+    res.status(500).json({ error: 'Library import failed', details: error.message });
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
   }
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log('═══════════════════════════════════════════════════════════');
-  console.log('  🎵 YouTube to MP3 Server - Educational Research');
-  console.log('═══════════════════════════════════════════════════════════');
-  console.log(`  📡 Server running on: http://localhost:${PORT}`);
-  console.log(`  📁 MP3 files stored in: ${MP3_DIR}`);
-  console.log(`  📊 Analysis data stored in: ${ANALYSIS_DIR}`);
-  console.log('');
-  console.log('  Endpoints:');
-  console.log(`    POST /get-mp3              - Extract MP3 from YouTube URL`);
-  console.log(`    GET  /check-mp3-cache      - Check if MP3 is cached`);
-  console.log(`    GET  /mp3files/list        - List all MP3 files`);
-  console.log(`    GET  /mp3files/:file       - Download MP3 file`);
-  console.log(`    GET  /check-analysis-cache - Check if analysis is cached`);
-  console.log(`    GET  /get-analysis         - Get cached analysis data`);
-  console.log(`    POST /save-analysis        - Save analysis data`);
-  console.log(`    GET  /analysis/list        - List all analysis files`);
-  console.log(`    GET  /health               - Server health check`);
-  console.log('═══════════════════════════════════════════════════════════');
+// Unknown routes, missing static files and errors thrown by middleware (malformed JSON,
+// oversized bodies) get the error envelope too, instead of Express's HTML pages
+app.use((req, res) => {
+  res.status(404).json({ error: 'Not found', details: `${req.method} ${req.path}` });
 });
 
+app.use((error, req, res, next) => {
+  // Too late for a JSON body - Express's default handler closes the connection
+  if (res.headersSent) return next(error);
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) console.error('❌ Unhandled error:', error);
+  res.status(status).json({
+    error: status >= 500 ? 'Internal server error' : 'Could not read request body',
+    details: error.message
+  });
+});
+
+// Start the server - unless required by the tests, which listen on a port of their own
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('  🎵 YouTube to MP3 Server - Educational Research');
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log(`  📡 Server running on: http://localhost:${PORT}`);
+    console.log(`  📁 MP3 files stored in: ${MP3_DIR}`);
+    console.log(`  📊 Analysis data stored in: ${ANALYSIS_DIR}`);
+    console.log(`  🎚️ Audio providers: ${audioProviders.map(p => p.name).join(', ')} (default: ${DEFAULT_PROVIDER})`);
+    if (AUTH_ENABLED) {
+      const methods = [API_KEYS.size > 0 && `${API_KEYS.size} API key(s)`, SPOTIFY_AUTH && 'Spotify tokens'].filter(Boolean);
+      console.log(`  🔒 Auth: ${methods.join(', ')} (anonymous role: ${ANONYMOUS_ROLE})`);
+    } else {
+      console.log('  ⚠️ Auth disabled - set API_KEYS or SPOTIFY_AUTH=true before deploying');
+    }
+    console.log('');
+    console.log('  Endpoints:');
+    console.log(`    POST /get-mp3              - Extract MP3 from YouTube URL`);
+    console.log(`    GET  /check-mp3-cache      - Check if MP3 is cached`);
+    console.log(`    POST /upload               - Upload a track's audio (MP3/WAV/FLAC/M4A)`);
+    console.log(`    GET  /catalog/:trackId     - Look up cached files by Spotify track ID`);
+    console.log(`    GET  /mp3files/list        - List all MP3 files`);
+    console.log(`    GET  /mp3files/:file       - Download MP3 file`);
+    console.log(`    GET  /check-analysis-cache - Check if analysis is cached`);
+    console.log(`    GET  /get-analysis         - Get cached analysis data`);
+    console.log(`    POST /save-analysis        - Save analysis data`);
+    console.log(`    POST /analyze              - Analyze a cached MP3 on the server`);
+    console.log(`    POST /prewarm              - Download + analyze upcoming tracks in the background`);
+    console.log(`    GET  /prewarm/:id          - Pre-warm batch progress`);
+    console.log(`    GET  /events               - Library events (SSE)`);
+    console.log(`    POST /events/token         - Short-lived token for opening event streams`);
+    console.log(`    GET  /analysis/list        - List all analysis files`);
+    console.log(`    GET  /cache/stats          - Cache usage and limits`);
+    console.log(`    GET  /cache/tracks         - Cached tracks with audio/analysis files`);
+    console.log(`    GET  /cache/search         - Ranked fuzzy search of cached files`);
+    console.log(`    GET  /cache/duplicates     - Same-recording MP3s and suspect audio`);
+    console.log(`    GET  /metrics              - Prometheus metrics`);
+    console.log(`    POST /cache/evict          - Enforce cache size/age limits now`);
+    console.log(`    GET  /library/export       - Download the library as .tar.gz`);
+    console.log(`    POST /library/import       - Import a library archive`);
+    console.log(`    GET  /auth                 - Current caller's role`);
+    console.log(`    GET  /openapi.json         - OpenAPI description of every route`);
+    console.log(`    GET  /health               - Server health check`);
+    console.log('═══════════════════════════════════════════════════════════');
+  });
+}
+
 module.exports = app;
@@ -5,8 +5,11 @@ import TrackInfo from './components/TrackInfo';
 import PlaybackControls from './components/PlaybackControls';
 import UserProfile from './components/UserProfile';
 import SideMenu from './components/SideMenu';
-import { analyzeAudio, getCachedAnalysis, loadEssentia } from './audioAnalysisService';
+import CacheManager from './components/CacheManager';
+import { analyzeAudio, getCachedAnalysis } from './audioAnalysisService';
+import { warmUpAnalysisWorkers } from './analysisWorkerPool';
 import { YouTubeService } from './youtubeService';
+import { subscribeToServerEvents, isEventForTrack } from './serverEvents';
 import { 
   getWaveformStyles, 
   getWaveformStyle, 
@@ -26,6 +29,31 @@ const ts = () => {
   return `[${now.toLocaleTimeString('en-US', { hour12: false })}.${now.getMilliseconds().toString().padStart(3, '0')}]`;
 };
 
+// Upcoming queue tracks to pre-warm on the server after each track change
+const PREWARM_QUEUE_LENGTH = 5;
+
+/**
+ * Have the server download and analyze the next few tracks in the user's queue
+ */
+const prewarmUpcomingTracks = async () => {
+  try {
+    const queue = await SpotifyAPI.getQueue();
+    const upcoming = (queue?.queue || [])
+      .filter(item => item?.type === 'track' && item.artists?.length)
+      .slice(0, PREWARM_QUEUE_LENGTH)
+      .map(item => ({
+        trackId: item.id,
+        isrc: item.external_ids?.isrc,
+        durationMs: item.duration_ms,
+        artist: item.artists[0].name,
+        song: item.name
+      }));
+    await YouTubeService.prewarmTracks(upcoming);
+  } catch (error) {
+    console.warn(ts(), '⚠️ Could not pre-warm upcoming tracks:', error);
+  }
+};
+
 function App() {
   const [isLoggedIn, setIsLoggedIn] = useState(false);
   const [user, setUser] = useState(null);
@@ -34,7 +62,9 @@ function App() {
   const [versionInfo, setVersionInfo] = useState({ VERSION: '', AUTHOR: '' });
   const [analysisData, setAnalysisData] = useState(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [loadingProgress, setLoadingProgress] = useState(null);
   const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [isCacheManagerOpen, setIsCacheManagerOpen] = useState(false);
   
   // Waveform selection state
   const [waveformStyle, setWaveformStyleState] = useState(getWaveformStyle());
@@ -49,6 +79,15 @@ function App() {
   
   // Use ref to track current track ID without causing re-renders
   const currentTrackIdRef = useRef(null);
+  // Current track identity ({ trackId, isrc, durationMs, artist, song }) for matching server events
+  const currentTrackRef = useRef(null);
+  // The same identity as state, for rendering
+  const [currentTrack, setCurrentTrack] = useState(null);
+  // Latest analysis, readable from server event handlers
+  const analysisDataRef = useRef(null);
+  // Latest polled playback ({ trackId, progressMs }) - progressive analysis starts at this position
+  // and stops when the track changes (the poll skips track changes while processing)
+  const latestPlaybackRef = useRef({ trackId: null, progressMs: 0 });
   // Track if we're currently processing to prevent duplicate calls
   const isProcessingRef = useRef(false);
   // Debounce timer for track changes
@@ -64,11 +103,11 @@ function App() {
       .catch(err => console.error('Failed to load version info:', err));
   }, []);
 
-  // Preload Essentia.js WASM module when browser is idle (non-blocking)
+  // Start the analysis workers (each loads Essentia.js WASM) when browser is idle (non-blocking)
   useEffect(() => {
     const startPreload = () => {
-      loadEssentia().catch(err => 
-        console.warn('Essentia.js preload failed (will retry when needed):', err)
+      warmUpAnalysisWorkers().catch(err => 
+        console.warn('Analysis worker preload failed (will retry when needed):', err)
       );
     };
     
@@ -97,6 +136,51 @@ function App() {
     setIsLoading(false);
   }, []);
 
+  useEffect(() => {
+    analysisDataRef.current = analysisData;
+  }, [analysisData]);
+
+  // Listen for server-side downloads and analyses of the current track
+  // (pre-warming, other clients) and use them as soon as they exist
+  useEffect(() => {
+    if (!isLoggedIn) return;
+
+    return subscribeToServerEvents({
+      'analysis:saved': async (event) => {
+        const track = currentTrackRef.current;
+        // A partial (progressive) analysis is still replaced by a complete one
+        const hasFullAnalysis = () => analysisDataRef.current && !analysisDataRef.current.partial;
+        if (!isEventForTrack(event.track, track) || hasFullAnalysis()) return;
+        // Our own pipeline saves client analyses and shows them itself
+        if (event.source === 'client' && isProcessingRef.current) return;
+
+        console.log(ts(), `📡 Analysis appeared on the server (${event.source}), loading...`);
+        try {
+          const analysis = await getCachedAnalysis(track.artist, track.song, track);
+          // The track may have changed while loading
+          if (analysis && currentTrackRef.current === track && !hasFullAnalysis()) {
+            setAnalysisData(analysis);
+            setIsAnalyzing(false);
+            setLoadingProgress(null);
+            console.log(ts(), '✅ Swapped in server analysis');
+          }
+        } catch (error) {
+          console.warn(ts(), '⚠️ Could not load server analysis:', error);
+        }
+      },
+      'download:done': (event) => {
+        const track = currentTrackRef.current;
+        if (event.status !== 'done' || !isEventForTrack(event.track, track)) return;
+        if (analysisDataRef.current || isProcessingRef.current) return;
+
+        // The pipeline gave up earlier (no cache, YouTube API blocked) - the MP3 is there now,
+        // so let the next poll treat the track as new and analyze it
+        console.log(ts(), '📡 MP3 for the current track appeared on the server, retrying...');
+        currentTrackIdRef.current = null;
+      }
+    });
+  }, [isLoggedIn]);
+
   // Fetch user profile
   useEffect(() => {
     if (isLoggedIn) {
@@ -111,6 +195,7 @@ function App() {
     try {
       const state = await SpotifyAPI.getPlaybackState();
       setPlaybackState(state);
+      latestPlaybackRef.current = { trackId: state?.item?.id || null, progressMs: state?.progress_ms || 0 };
       
       if (state?.item) {
         // Only update when track changes - use ref to avoid dependency issues
@@ -133,6 +218,11 @@ function App() {
           
           const trackName = state.item.name;
           const artistName = state.item.artists[0]?.name;
+          // Exact identity for the server catalog (artist/song names are only a fuzzy fallback)
+          // durationMs lets the server flag audio that is another recording (live, extended, ...)
+          const trackIds = { trackId: state.item.id, isrc: state.item.external_ids?.isrc, durationMs: state.item.duration_ms };
+          currentTrackRef.current = { ...trackIds, artist: artistName, song: trackName };
+          setCurrentTrack(currentTrackRef.current);
           
           console.log(ts(), '🎵 Track changed:', trackName, '-', artistName);
           console.log(ts(), '   Previous ID:', previousTrackId, '→ New ID:', state.item.id);
@@ -165,11 +255,35 @@ function App() {
             // Mark as processing BEFORE any async work
             isProcessingRef.current = true;
             setIsAnalyzing(true);
+            setLoadingProgress(null);
+            
+            // Get the next tracks ready in the background (doesn't block this one)
+            prewarmUpcomingTracks();
+            
+            // Progressive analysis: draw the part around the playback position as soon as it's
+            // analyzed, the rest of the track fills in behind it
+            const progressiveOptions = {
+              getPosition: () => latestPlaybackRef.current.progressMs / 1000,
+              isCancelled: () => latestPlaybackRef.current.trackId !== state.item.id,
+              onPartial: (partial) => {
+                // Don't replace a complete analysis that arrived from the server meanwhile
+                const current = analysisDataRef.current;
+                if (state.item.id === currentTrackIdRef.current && (!current || current.partial)) {
+                  setAnalysisData(partial);
+                }
+              },
+              // Shown on the loading screen until the first window is drawn
+              onProgress: ({ overall }) => {
+                if (state.item.id === currentTrackIdRef.current) {
+                  setLoadingProgress({ status: 'analyzing', percent: overall });
+                }
+              }
+            };
             
             try {
               // STEP 1: Check if analysis data is already cached on server
               console.log(ts(), '🔍 Step 1: Checking analysis cache...');
-              const cachedAnalysis = await getCachedAnalysis(artistName, trackName);
+              const cachedAnalysis = await getCachedAnalysis(artistName, trackName, trackIds);
               
               if (cachedAnalysis) {
                 console.log(ts(), '📦 Found cached analysis! Skipping MP3 pipeline.');
@@ -182,14 +296,19 @@ function App() {
               
               // STEP 2: Check if MP3 is cached on server (even if API is blocked)
               console.log(ts(), '🔍 Step 2: Checking MP3 cache...');
-              const mp3Cache = await YouTubeService.checkServerCache(artistName, trackName);
+              const mp3Cache = await YouTubeService.checkServerCache(artistName, trackName, trackIds);
               
               if (mp3Cache) {
                 // MP3 is cached! We can analyze it even if YouTube API is blocked
                 console.log(ts(), '📦 Found cached MP3! Running analysis...');
-                const analysis = await analyzeAudio(mp3Cache.mp3Url, artistName, trackName);
+                const analysis = await analyzeAudio(mp3Cache.mp3Url, artistName, trackName, trackIds, progressiveOptions);
                 
-                if (state.item.id === currentTrackIdRef.current) {
+                if (!analysis) {
+                  console.log(ts(), '🛑 Track changed during analysis, aborting');
+                  setAnalysisData(null);
+                  setIsAnalyzing(false);
+                  isProcessingRef.current = false;
+                } else if (state.item.id === currentTrackIdRef.current) {
                   setAnalysisData(analysis);
                   setIsAnalyzing(false);
                   isProcessingRef.current = false;
@@ -211,7 +330,12 @@ function App() {
               
               // Get MP3 from YouTube via server
               console.log(ts(), '🔍 Step 3: Fetching from YouTube...');
-              const mp3Result = await YouTubeService.getMP3ForTrack(artistName, trackName);
+              const mp3Result = await YouTubeService.getMP3ForTrack(artistName, trackName, (progress) => {
+                // Ignore progress from a download that belongs to a previous track
+                if (state.item.id === currentTrackIdRef.current) {
+                  setLoadingProgress(progress);
+                }
+              }, trackIds);
               
               if (!mp3Result) {
                 if (YouTubeService.isApiBlocked()) {
@@ -233,10 +357,11 @@ function App() {
               
               // Analyze the MP3 with Essentia.js (with caching by artist/song)
               console.log(ts(), '🎼 Step 4: Analyzing audio with Essentia.js...');
-              const analysis = await analyzeAudio(mp3Result.mp3.mp3Url, artistName, trackName);
+              setLoadingProgress(null);
+              const analysis = await analyzeAudio(mp3Result.mp3.mp3Url, artistName, trackName, trackIds, progressiveOptions);
               
               // Final verify track hasn't changed
-              if (!YouTubeService.shouldContinue(artistName, trackName)) {
+              if (!analysis || !YouTubeService.shouldContinue(artistName, trackName)) {
                 console.log(ts(), '🛑 Track changed during analysis, aborting');
                 setIsAnalyzing(false);
                 isProcessingRef.current = false;
@@ -259,6 +384,8 @@ function App() {
         // No track playing - clean up state
         setAnalysisData(null);
         currentTrackIdRef.current = null;
+        currentTrackRef.current = null;
+        setCurrentTrack(null);
         
         // Cancel any pending processing
         if (trackChangeTimerRef.current) {
@@ -290,6 +417,21 @@ function App() {
     SpotifyAuth.login();
   };
 
+  // Upload audio for the current track - once cached, the pipeline picks it up like a download
+  const handleUploadAudio = async (file) => {
+    const track = currentTrackRef.current;
+    if (!track) throw new Error('No track playing');
+
+    const result = await YouTubeService.uploadAudio(file, track);
+    // Same retry as the download:done event - the next poll treats the track as new.
+    // Replacing audio removes its analysis on the server, so the shown one is stale too
+    if (currentTrackRef.current === track && (result.replaced || !analysisDataRef.current) && !isProcessingRef.current) {
+      console.log(ts(), '📤 Uploaded audio for the current track, retrying...');
+      currentTrackIdRef.current = null;
+    }
+    return result;
+  };
+
   const handleLogout = () => {
     SpotifyAuth.logout();
     setIsLoggedIn(false);
@@ -402,8 +544,17 @@ function App() {
         onWaveformSettingsChange={handleWaveformSettingsChange}
         particleSettings={particleSettingsState}
         onParticleSettingsChange={handleParticleSettingsChange}
+        onOpenCacheManager={() => {
+          setIsMenuOpen(false);
+          setIsCacheManagerOpen(true);
+        }}
+        currentTrack={currentTrack}
+        onUploadAudio={handleUploadAudio}
       />
       
+      {/* Cache Manager */}
+      <CacheManager isOpen={isCacheManagerOpen} onClose={() => setIsCacheManagerOpen(false)} />
+      
       {/* Main Content */}
       <div className="main-content">
         {isPlaying ? (
@@ -415,6 +566,7 @@ function App() {
                 isPlaying={playbackState?.is_playing}
                 progress={playbackState?.progress_ms}
                 isAnalyzing={isAnalyzing}
+                loadingProgress={loadingProgress}
                 trackId={playbackState?.item?.id}
               />
             </div>
@@ -14,9 +14,16 @@ import {
   extractHPCPChroma,
   extractPitch,
   extractRhythm,
+  extractOnsets,
   analyzeAudio,
-  getAnalysisAtTime
+  getAnalysisAtTime,
+  planSegments
 } from '../audioAnalysisService';
+import { signalEnvelope, estimateAlignment, toAnalysisTime } from '../analysisAlignment';
+import { realFFT, magnitudeSpectrum, binFrequency } from '../fft';
+import { resolveMelLayout, melBandFrequencies } from '../melFilterbank';
+import { computeMelSpectrogram, computeHPCPChroma } from '../featureExtractors';
+import { estimateMeter } from '../meterEstimation';
 
 // Test configuration
 const TEST_CONFIG = {
@@ -369,6 +376,478 @@ export async function testFullAnalysisPipeline() {
   }
 }
 
+/**
+ * Test Suite: Spotify Alignment
+ * Synthetic signal - 3s of silence before 20s of audio, aligned against a 20s Spotify track
+ */
+export async function testAlignment() {
+  console.log('\n═══════════════════════════════════════════════');
+  console.log('TEST: Spotify Alignment');
+  console.log('═══════════════════════════════════════════════');
+  
+  try {
+    const sampleRate = 8000;
+    const signal = new Float32Array(sampleRate * 23);
+    for (let i = sampleRate * 3; i < signal.length; i++) {
+      signal[i] = 0.5 * Math.sin(2 * Math.PI * 440 * i / sampleRate);
+    }
+    const envelope = signalEnvelope(signal, sampleRate);
+    
+    const alignment = estimateAlignment(envelope, 23, 20);
+    if (alignment.method !== 'silence' || Math.abs(alignment.offset - 3) > 0.05 || alignment.stretch !== 1) {
+      throw new Error(`Expected a 3s silence offset, got ${JSON.stringify(alignment)}`);
+    }
+    if (Math.abs(toAnalysisTime(alignment, 10) - 13) > 0.05) {
+      throw new Error('Spotify time was not mapped through the offset');
+    }
+    
+    // Without a Spotify duration the analysis is used as-is
+    const unaligned = estimateAlignment(envelope, 23, null);
+    if (unaligned.method !== 'none' || toAnalysisTime(unaligned, 10) !== 10) {
+      throw new Error(`Expected no alignment without a Spotify duration, got ${JSON.stringify(unaligned)}`);
+    }
+    
+    console.log('📊 Alignment:');
+    console.log(`   Method: ${alignment.method}`);
+    console.log(`   Offset: ${alignment.offset}s`);
+    console.log(`   Stretch: ${alignment.stretch}`);
+    
+    console.log('✅ PASS: Alignment estimated correctly');
+    return {
+      passed: true,
+      message: 'Alignment estimated',
+      data: { alignment }
+    };
+  } catch (error) {
+    console.error('❌ FAIL: Alignment estimation failed:', error);
+    return { passed: false, message: error.message };
+  }
+}
+
+/**
+ * Test Suite: FFT
+ * Real FFT against a direct DFT, and a sine's peak landing in the right bin
+ */
+export async function testFFT() {
+  console.log('\n═══════════════════════════════════════════════');
+  console.log('TEST: FFT');
+  console.log('═══════════════════════════════════════════════');
+  
+  try {
+    const size = 256;
+    const signal = Array.from({ length: size }, () => Math.random() - 0.5);
+    const { re, im } = realFFT(signal);
+    
+    let maxError = 0;
+    for (let k = 0; k <= size / 2; k++) {
+      let real = 0, imag = 0;
+      for (let t = 0; t < size; t++) {
+        real += signal[t] * Math.cos(-2 * Math.PI * k * t / size);
+        imag += signal[t] * Math.sin(-2 * Math.PI * k * t / size);
+      }
+      maxError = Math.max(maxError, Math.abs(real - re[k]), Math.abs(imag - im[k]));
+    }
+    if (maxError > 1e-9) {
+      throw new Error(`FFT differs from the DFT by ${maxError}`);
+    }
+    
+    // A 5kHz sine - the old downsampled DFT aliased anything this high
+    const sampleRate = 44100;
+    const frame = new Float32Array(2048).map((_, t) => Math.sin(2 * Math.PI * 5000 * t / sampleRate));
+    const spectrum = magnitudeSpectrum(frame);
+    let peak = 0;
+    for (let k = 1; k < spectrum.length; k++) {
+      if (spectrum[k] > spectrum[peak]) peak = k;
+    }
+    const peakFrequency = binFrequency(peak, frame.length, sampleRate);
+    if (Math.abs(peakFrequency - 5000) > sampleRate / frame.length) {
+      throw new Error(`Expected a peak at 5000Hz, got ${peakFrequency.toFixed(1)}Hz`);
+    }
+    
+    console.log(`📊 Max DFT error: ${maxError.toExponential(2)}`);
+    console.log(`📊 5kHz sine peak: ${peakFrequency.toFixed(1)}Hz`);
+    
+    console.log('✅ PASS: FFT matches the DFT');
+    return {
+      passed: true,
+      message: 'FFT accurate',
+      data: { maxError, peakFrequency }
+    };
+  } catch (error) {
+    console.error('❌ FAIL: FFT check failed:', error);
+    return { passed: false, message: error.message };
+  }
+}
+
+/**
+ * Test Suite: Mel Filterbank
+ * A bass tone lands in the mel band whose range holds it, with the requested band count
+ */
+export async function testMelFilterbank() {
+  console.log('\n═══════════════════════════════════════════════');
+  console.log('TEST: Mel Filterbank');
+  console.log('═══════════════════════════════════════════════');
+  
+  try {
+    const sampleRate = 44100;
+    const signal = new Float32Array(sampleRate).map((_, t) => Math.sin(2 * Math.PI * 100 * t / sampleRate));
+    const melOptions = { count: 32, fmin: 40, fmax: 8000 };
+    const frames = await extractMelSpectrogram(signal, sampleRate, melOptions);
+    
+    const layout = resolveMelLayout(melOptions, sampleRate, 2048);
+    const frequencies = melBandFrequencies(layout);
+    const bands = frames[2].bands;
+    if (bands.length !== 32) {
+      throw new Error(`Expected 32 bands, got ${bands.length}`);
+    }
+    
+    const loudest = bands.indexOf(Math.max(...bands));
+    const { low, high } = frequencies[loudest];
+    if (low > 100 || high < 100) {
+      throw new Error(`100Hz tone peaked in band ${loudest} (${low.toFixed(0)}-${high.toFixed(0)}Hz)`);
+    }
+    
+    // Mel spacing - the bass bands are narrower than the treble bands
+    const width = ({ low, high }) => high - low;
+    if (width(frequencies[0]) >= width(frequencies[frequencies.length - 1])) {
+      throw new Error('Bands are not mel-spaced');
+    }
+    
+    console.log(`📊 100Hz peak: band ${loudest} (${low.toFixed(0)}-${high.toFixed(0)}Hz)`);
+    
+    console.log('✅ PASS: Mel filterbank bands line up with frequency');
+    return {
+      passed: true,
+      message: 'Mel filterbank accurate',
+      data: { layout, loudest }
+    };
+  } catch (error) {
+    console.error('❌ FAIL: Mel filterbank check failed:', error);
+    return { passed: false, message: error.message };
+  }
+}
+
+/**
+ * Test Suite: Progressive Analysis
+ * Segment planning around the playback position and lookups into a partial analysis
+ */
+export async function testProgressiveAnalysis() {
+  console.log('\n═══════════════════════════════════════════════');
+  console.log('TEST: Progressive Analysis');
+  console.log('═══════════════════════════════════════════════');
+  
+  try {
+    const duration = 185.3;
+    const segments = planSegments(duration, 60);
+    
+    // The first segment is the window around the position
+    const [windowStart, windowEnd] = segments[0];
+    if (windowStart > 60 || windowEnd <= 60) {
+      throw new Error(`First segment ${windowStart}-${windowEnd}s does not contain the 60s position`);
+    }
+    
+    // Segments cover the whole track without overlapping
+    const sorted = [...segments].sort((a, b) => a[0] - b[0]);
+    sorted.forEach(([start, end], i) => {
+      const expectedStart = i === 0 ? 0 : sorted[i - 1][1];
+      if (Math.abs(start - expectedStart) > 1e-6 || end <= start) {
+        throw new Error(`Segments leave a gap or overlap at ${start}s: ${JSON.stringify(segments)}`);
+      }
+    });
+    if (Math.abs(sorted[sorted.length - 1][1] - duration) > 1e-6) {
+      throw new Error('Segments stop before the end of the track');
+    }
+    
+    // A partial analysis answers inside its coverage and draws quiet outside it
+    const partial = {
+      duration,
+      alignment: { offset: 0, stretch: 1, method: 'none' },
+      partial: true,
+      coverage: [[windowStart, windowEnd]],
+      features: {
+        melSpectrogram: [{ time: windowStart, bands: [1, 2] }, { time: windowEnd - 0.1, bands: [3, 4] }],
+        hpcpChroma: [],
+        pitch: [],
+        rhythm: { bpm: 120, beats: [], beatDensity: [], confidence: 0 }
+      }
+    };
+    const inside = getAnalysisAtTime(partial, 60);
+    const outside = getAnalysisAtTime(partial, 10);
+    if (!inside.mel || inside.pending) {
+      throw new Error('Expected mel data inside the analyzed window');
+    }
+    if (!outside.pending || outside.mel !== null) {
+      throw new Error('Expected a pending frame outside the analyzed window');
+    }
+    
+    console.log(`📊 Segments: ${segments.map(([start, end]) => `${start}-${end}s`).join(', ')}`);
+    
+    console.log('✅ PASS: Progressive segments planned correctly');
+    return {
+      passed: true,
+      message: 'Progressive segments planned',
+      data: { segments }
+    };
+  } catch (error) {
+    console.error('❌ FAIL: Progressive analysis planning failed:', error);
+    return { passed: false, message: error.message };
+  }
+}
+
+/**
+ * Test: Progressive onsets
+ * Segments detect onsets on their own for the partial results - the final analysis
+ * must carry the onsets of one pass over the whole track
+ */
+export async function testProgressiveOnsets() {
+  console.log('\n═══════════════════════════════════════════════');
+  console.log('TEST: Progressive Onsets');
+  console.log('═══════════════════════════════════════════════');
+  
+  try {
+    const audioBuffer = await fetchAudioBuffer(TEST_CONFIG.testMp3Path);
+    const expected = await extractOnsets(audioBufferToMono(audioBuffer), audioBuffer.sampleRate);
+    
+    // Start in the middle so the track is split into several segments
+    let partials = 0;
+    const analysisData = await analyzeAudio(TEST_CONFIG.testMp3Path, null, null, null, {
+      onPartial: () => { partials++; },
+      getPosition: () => audioBuffer.duration / 2
+    });
+    const { onsets } = analysisData.features;
+    
+    if (onsets.times.length !== expected.times.length) {
+      throw new Error(`Expected ${expected.times.length} onsets, progressive analysis has ${onsets.times.length}`);
+    }
+    const timeError = Math.max(0, ...expected.times.map((time, i) => Math.abs(onsets.times[i] - time)));
+    if (timeError > 1e-6) {
+      throw new Error(`Onset times differ from a full pass by up to ${timeError}s`);
+    }
+    if (onsets.strength.length !== expected.strength.length) {
+      throw new Error(`Strength frames differ: ${onsets.strength.length}/${expected.strength.length}`);
+    }
+    const strengthError = Math.max(0, ...expected.strength.map((frame, i) => Math.abs(onsets.strength[i].strength - frame.strength)));
+    if (strengthError > 1e-6) {
+      throw new Error(`Onset strength differs from a full pass by up to ${strengthError}`);
+    }
+    
+    console.log(`📊 ${partials} partial results, ${onsets.times.length} onsets match the full pass`);
+    
+    console.log('✅ PASS: Progressive onsets match a full pass');
+    return {
+      passed: true,
+      message: 'Progressive onsets match full pass',
+      data: { partials, onsets: onsets.times.length }
+    };
+  } catch (error) {
+    console.error('❌ FAIL: Progressive onset check failed:', error);
+    return { passed: false, message: error.message };
+  }
+}
+
+/**
+ * Test: Analysis worker pool
+ * Worker results must match the extractors run on this thread, and the caller's
+ * signal must survive the transfer
+ */
+export async function testAnalysisWorkers() {
+  console.log('\n═══════════════════════════════════════════════');
+  console.log('TEST: Analysis Workers');
+  console.log('═══════════════════════════════════════════════');
+  
+  try {
+    const sampleRate = 44100;
+    const signal = new Float32Array(sampleRate * 2).map((_, t) => Math.sin(2 * Math.PI * 440 * t / sampleRate));
+    const melOptions = { count: 24 };
+    
+    const progress = [];
+    const [melFrames, chromaFrames] = await Promise.all([
+      extractMelSpectrogram(signal, sampleRate, melOptions, (percent) => progress.push(percent)),
+      extractHPCPChroma(signal, sampleRate)
+    ]);
+    
+    if (signal.length !== sampleRate * 2) {
+      throw new Error('Signal was detached by the transfer');
+    }
+    if (!progress.length || progress[progress.length - 1] !== 100) {
+      throw new Error(`Mel progress didn't reach 100% (${progress.join(', ')})`);
+    }
+    
+    // Workers transfer Float32 columns, so compare at Float32 precision
+    const layout = resolveMelLayout(melOptions, sampleRate, 2048);
+    const expectedMel = computeMelSpectrogram(signal, sampleRate, layout);
+    const expectedChroma = computeHPCPChroma(signal, sampleRate);
+    if (melFrames.length !== expectedMel.length || chromaFrames.length !== expectedChroma.length) {
+      throw new Error(`Frame counts differ: mel ${melFrames.length}/${expectedMel.length}, chroma ${chromaFrames.length}/${expectedChroma.length}`);
+    }
+    
+    let maxError = 0;
+    melFrames.forEach((frame, i) => frame.bands.forEach((value, b) => {
+      maxError = Math.max(maxError, Math.abs(value - expectedMel[i].bands[b]) / Math.max(1, Math.abs(expectedMel[i].bands[b])));
+    }));
+    chromaFrames.forEach((frame, i) => frame.chroma.forEach((value, c) => {
+      maxError = Math.max(maxError, Math.abs(value - expectedChroma[i].chroma[c]));
+    }));
+    if (maxError > 1e-5) {
+      throw new Error(`Worker results differ from main thread (max error ${maxError})`);
+    }
+    
+    console.log(`📊 ${melFrames.length} mel + ${chromaFrames.length} chroma frames, max error ${maxError.toExponential(1)}`);
+    
+    console.log('✅ PASS: Analysis workers match the main-thread extractors');
+    return {
+      passed: true,
+      message: 'Analysis workers accurate',
+      data: { melFrames: melFrames.length, chromaFrames: chromaFrames.length, progress }
+    };
+  } catch (error) {
+    console.error('❌ FAIL: Analysis worker check failed:', error);
+    return { passed: false, message: error.message };
+  }
+}
+
+/**
+ * Test: Onset detection
+ * Noise bursts over a quiet tone - every burst should be an onset, and
+ * getAnalysisAtTime should flag it
+ */
+export async function testOnsetDetection() {
+  console.log('\n═══════════════════════════════════════════════');
+  console.log('TEST: Onset Detection');
+  console.log('═══════════════════════════════════════════════');
+  
+  try {
+    const sampleRate = 44100;
+    const hits = [0.5, 1.0, 1.25, 2.0, 3.1];
+    const signal = new Float32Array(sampleRate * 4).map((_, t) => 0.05 * Math.sin(2 * Math.PI * 220 * t / sampleRate));
+    hits.forEach(hit => {
+      const start = Math.round(hit * sampleRate);
+      for (let k = 0; k < 2000; k++) signal[start + k] += (Math.random() * 2 - 1) * Math.exp(-k / 300);
+    });
+    
+    const onsets = await extractOnsets(signal, sampleRate);
+    
+    if (onsets.times.length !== hits.length) {
+      throw new Error(`Expected ${hits.length} onsets, got ${onsets.times.length} (${onsets.times.map(t => t.toFixed(3)).join(', ')})`);
+    }
+    const maxError = Math.max(...hits.map((hit, i) => Math.abs(onsets.times[i] - hit)));
+    if (maxError > 0.02) {
+      throw new Error(`Onsets off by up to ${(maxError * 1000).toFixed(0)}ms`);
+    }
+    
+    const analysisData = {
+      duration: 4,
+      alignment: { offset: 0, stretch: 1, method: 'none' },
+      features: {
+        melSpectrogram: [],
+        hpcpChroma: [],
+        pitch: [],
+        rhythm: { bpm: 120, beats: [], beatDensity: [], confidence: 0 },
+        onsets
+      }
+    };
+    const onHit = getAnalysisAtTime(analysisData, 1.26);
+    const between = getAnalysisAtTime(analysisData, 1.6);
+    if (!onHit.onOnset || onHit.onsetStrength < 0.5) {
+      throw new Error(`Expected an onset at 1.26s (strength ${onHit.onsetStrength.toFixed(2)})`);
+    }
+    if (between.onOnset || between.onsetStrength > 0.2) {
+      throw new Error(`Unexpected onset at 1.6s (strength ${between.onsetStrength.toFixed(2)})`);
+    }
+    
+    console.log(`📊 Onsets: ${onsets.times.map(t => t.toFixed(3)).join(', ')}s, max error ${(maxError * 1000).toFixed(1)}ms`);
+    
+    console.log('✅ PASS: Onsets found at every burst');
+    return {
+      passed: true,
+      message: 'Onset detection accurate',
+      data: { times: onsets.times, maxError }
+    };
+  } catch (error) {
+    console.error('❌ FAIL: Onset detection check failed:', error);
+    return { passed: false, message: error.message };
+  }
+}
+
+/**
+ * Test: Meter estimation
+ * A waltz with a one-beat pickup - chords change and the bass hits on every third beat,
+ * starting at the second detected beat
+ */
+export async function testMeterEstimation() {
+  console.log('\n═══════════════════════════════════════════════');
+  console.log('TEST: Meter Estimation');
+  console.log('═══════════════════════════════════════════════');
+  
+  try {
+    const period = 0.5;
+    const duration = 60;
+    const beats = Array.from({ length: Math.floor(duration / period) }, (_, i) => 0.25 + i * period);
+    // Beat index 1 is the first downbeat
+    const barOf = (time) => Math.floor((Math.floor((time - 0.25) / period) - 1) / 3);
+    
+    const hpcpChroma = [];
+    for (let time = 0; time < duration; time += 0.0333) {
+      const chroma = new Array(12).fill(0.1);
+      const root = ((barOf(time) * 5) % 12 + 12) % 12;
+      chroma[root] = 1;
+      chroma[(root + 4) % 12] = 0.8;
+      hpcpChroma.push({ time, chroma });
+    }
+    const downbeatTimes = beats.filter((_, i) => i % 3 === 1);
+    const melSpectrogram = [];
+    for (let time = 0; time < duration; time += 0.1) {
+      const bass = downbeatTimes.some(beat => Math.abs(time - beat) < 0.06);
+      melSpectrogram.push({ time, bands: Array.from({ length: 40 }, (_, b) => (b < 10 && bass ? 8 : 3)) });
+    }
+    const features = {
+      melSpectrogram,
+      hpcpChroma,
+      pitch: [],
+      rhythm: { bpm: 120, beats, beatDensity: [], confidence: 1 },
+      onsets: { method: 'flux-hfc', times: [], strength: [] }
+    };
+    
+    const meter = estimateMeter(features, { scaling: 'log' });
+    if (meter.beatsPerBar !== 3) {
+      throw new Error(`Expected 3 beats per bar, got ${meter.beatsPerBar}`);
+    }
+    if (meter.downbeats[0] !== beats[1] || meter.downbeats.length !== downbeatTimes.length) {
+      throw new Error(`Downbeats start at ${meter.downbeats[0]}s (expected ${beats[1]}s), ${meter.downbeats.length} bars`);
+    }
+    
+    const analysisData = {
+      duration,
+      alignment: { offset: 0, stretch: 1, method: 'none' },
+      features: { ...features, rhythm: { ...features.rhythm, meter } }
+    };
+    const pickup = getAnalysisAtTime(analysisData, beats[0]);
+    const downbeat = getAnalysisAtTime(analysisData, beats[4]);
+    const midBar = getAnalysisAtTime(analysisData, beats[5] + period / 2);
+    if (pickup.beatInBar !== 3 || downbeat.beatInBar !== 1 || midBar.beatInBar !== 2) {
+      throw new Error(`Wrong beat in bar: pickup ${pickup.beatInBar}, downbeat ${downbeat.beatInBar}, mid-bar ${midBar.beatInBar}`);
+    }
+    if (Math.abs(midBar.barPhase - 0.5) > 0.01) {
+      throw new Error(`Expected bar phase 0.5 mid-bar, got ${midBar.barPhase.toFixed(3)}`);
+    }
+    if (downbeat.beatStrength <= getAnalysisAtTime(analysisData, beats[5]).beatStrength) {
+      throw new Error('Downbeat is not accented');
+    }
+    
+    console.log(`📊 ${meter.beatsPerBar}/bar, ${meter.downbeats.length} bars, confidence ${meter.confidence}`);
+    
+    console.log('✅ PASS: Meter and downbeats found');
+    return {
+      passed: true,
+      message: 'Meter estimation accurate',
+      data: { beatsPerBar: meter.beatsPerBar, bars: meter.downbeats.length, confidence: meter.confidence }
+    };
+  } catch (error) {
+    console.error('❌ FAIL: Meter estimation check failed:', error);
+    return { passed: false, message: error.message };
+  }
+}
+
 /**
  * Run all tests
  */
@@ -402,6 +881,30 @@ export async function runAllTests() {
   // Test 7: Full Pipeline
   results.push(await testFullAnalysisPipeline());
   
+  // Test 8: Alignment
+  results.push(await testAlignment());
+  
+  // Test 9: Progressive analysis
+  results.push(await testProgressiveAnalysis());
+  
+  // Test 10: Progressive onsets
+  results.push(await testProgressiveOnsets());
+  
+  // Test 11: FFT
+  results.push(await testFFT());
+  
+  // Test 12: Mel filterbank
+  results.push(await testMelFilterbank());
+  
+  // Test 13: Analysis workers
+  results.push(await testAnalysisWorkers());
+  
+  // Test 14: Onset detection
+  results.push(await testOnsetDetection());
+  
+  // Test 15: Meter estimation
+  results.push(await testMeterEstimation());
+  
   // Summary
   console.log('\n');
   console.log('╔═══════════════════════════════════════════════╗');
@@ -438,5 +941,13 @@ export default {
   testChromaExtraction,
   testPitchExtraction,
   testRhythmExtraction,
-  testFullAnalysisPipeline
+  testFullAnalysisPipeline,
+  testAlignment,
+  testProgressiveAnalysis,
+  testProgressiveOnsets,
+  testFFT,
+  testMelFilterbank,
+  testAnalysisWorkers,
+  testOnsetDetection,
+  testMeterEstimation
 };
@@ -0,0 +1,133 @@
+// Analysis Alignment - maps Spotify playback time onto analysis time
+// Downloaded audio often has a music-video intro, extra silence or an outro that
+// the Spotify master doesn't, so progress_ms can't be used 1:1. The alignment
+// stored in the analysis says where Spotify's 0:00 falls in the audio and how
+// fast the audio runs relative to Spotify:
+//
+//   analysisTime = offset + spotifyTime * stretch
+//
+// It is estimated from an energy envelope (leading silence, first strong onset)
+// and the Spotify duration. The envelope comes from the raw signal during analysis,
+// or from the mel spectrogram for analyses saved without an alignment.
+// See server/analysisAlignment.js - keep the two in sync.
+
+// Frames per second of an envelope built from a raw signal
+const ENVELOPE_RATE = 100;
+// Energy below this share of the loud level counts as silence
+const SILENCE_RATIO = 0.02;
+// Energy above this share of the loud level counts as the music starting
+const ONSET_RATIO = 0.25;
+// Durations closer than this (seconds) are treated as equal
+const DURATION_TOLERANCE = 0.5;
+// Largest speed difference explained by stretching (3%) - anything more is an edit
+const MAX_STRETCH = 0.03;
+
+/**
+ * RMS energy envelope of a mono signal
+ * @returns {{rate: number, values: number[]}}
+ */
+export function signalEnvelope(signal, sampleRate) {
+  const hop = Math.max(1, Math.round(sampleRate / ENVELOPE_RATE));
+  const values = [];
+  for (let start = 0; start + hop <= signal.length; start += hop) {
+    let sum = 0;
+    for (let i = start; i < start + hop; i++) sum += signal[i] * signal[i];
+    values.push(Math.sqrt(sum / hop));
+  }
+  return { rate: sampleRate / hop, values };
+}
+
+/**
+ * Energy envelope from mel spectrogram frames (10fps)
+ * @param {string} scaling - The analysis's melBands.scaling ('log' for files without one)
+ * @returns {{rate: number, values: number[]}}
+ */
+export function melEnvelope(melSpectrogram, scaling = 'log') {
+  if (!melSpectrogram || melSpectrogram.length < 2) return { rate: 10, values: [] };
+  const interval = melSpectrogram[1].time - melSpectrogram[0].time;
+  // Log bands are log10(1 + x * 100) * 10 - undo the log (or the square for power bands)
+  // so ratios mean the same as for RMS
+  const amplitude = scaling === 'power'
+    ? band => Math.sqrt(band)
+    : band => (Math.pow(10, band / 10) - 1) / 100;
+  return {
+    rate: interval > 0 ? 1 / interval : 10,
+    values: melSpectrogram.map(frame => frame.bands.reduce((sum, band) => sum + amplitude(band), 0))
+  };
+}
+
+/**
+ * Estimate the alignment between the analyzed audio and the Spotify track
+ * @param {Object} envelope - { rate, values } from signalEnvelope or melEnvelope
+ * @param {number} audioDuration - Length of the analyzed audio (seconds)
+ * @param {number|null} spotifyDuration - Spotify track length (seconds), if known
+ * @returns {Object} - { offset, stretch, method, confidence, leadingSilence, firstOnset, spotifyDuration }
+ *          method is 'none' | 'silence' | 'stretch' | 'onset'
+ */
+export function estimateAlignment(envelope, audioDuration, spotifyDuration = null) {
+  const { rate, values } = envelope;
+  const sorted = [...values].sort((a, b) => a - b);
+  const loud = sorted.length ? sorted[Math.floor(sorted.length * 0.95)] : 0;
+
+  const firstAbove = (level) => {
+    const index = values.findIndex(value => value > level);
+    return index === -1 ? 0 : index / rate;
+  };
+  let lastLoud = values.length - 1;
+  while (lastLoud > 0 && values[lastLoud] <= loud * SILENCE_RATIO) lastLoud--;
+
+  const leadingSilence = loud > 0 ? firstAbove(loud * SILENCE_RATIO) : 0;
+  const firstOnset = loud > 0 ? Math.max(leadingSilence, firstAbove(loud * ONSET_RATIO)) : 0;
+  const trailingSilence = Math.max(0, audioDuration - (lastLoud + 1) / rate);
+  const content = audioDuration - leadingSilence - trailingSilence;
+
+  const result = (offset, stretch, method, confidence) => ({
+    offset: parseFloat(offset.toFixed(3)),
+    stretch: parseFloat(stretch.toFixed(5)),
+    method,
+    confidence,
+    leadingSilence: parseFloat(leadingSilence.toFixed(3)),
+    firstOnset: parseFloat(firstOnset.toFixed(3)),
+    spotifyDuration: spotifyDuration || null
+  });
+
+  // Without the Spotify length there is nothing to compare against
+  if (!spotifyDuration) return result(0, 1, 'none', 0);
+
+  const extra = audioDuration - spotifyDuration;
+  if (Math.abs(extra) <= DURATION_TOLERANCE) {
+    return result(0, 1, 'none', 1);
+  }
+
+  // Only padding differs: the music is as long as Spotify's once the silence is gone
+  if (Math.abs(audioDuration - leadingSilence - spotifyDuration) <= DURATION_TOLERANCE ||
+      Math.abs(content - spotifyDuration) <= DURATION_TOLERANCE) {
+    return result(leadingSilence, 1, 'silence', 0.9);
+  }
+
+  // Same music at a slightly different speed (re-timed or resampled upload)
+  const ratio = content / spotifyDuration;
+  if (Math.abs(ratio - 1) <= MAX_STRETCH) {
+    return result(leadingSilence, ratio, 'stretch', 0.6);
+  }
+
+  // Extra material (video intro, outro) - assume the song starts at the first strong onset,
+  // unless that would leave less audio than the Spotify track needs
+  if (extra > 0) {
+    const offset = Math.min(firstOnset, extra);
+    return result(offset, 1, 'onset', firstOnset <= extra + DURATION_TOLERANCE ? 0.5 : 0.3);
+  }
+
+  // Audio is shorter (radio edit, cut) - the start is all we can line up
+  return result(leadingSilence, 1, 'silence', 0.3);
+}
+
+/**
+ * Convert Spotify playback time to analysis time
+ * @param {Object|null} alignment - analysisData.alignment
+ * @param {number} spotifyTime - Seconds into the Spotify track
+ */
+export function toAnalysisTime(alignment, spotifyTime) {
+  if (!alignment) return spotifyTime;
+  return alignment.offset + spotifyTime * alignment.stretch;
+}
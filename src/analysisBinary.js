@@ -0,0 +1,89 @@
+// Compact Binary Analysis Format - decoder
+// Turns the binary encoding served by /get-analysis back into the same
+// in-memory shape as the JSON analysis files.
+// See server/analysisBinary.js for the layout - keep the two in sync.
+
+export const ANALYSIS_BINARY_TYPE = 'application/x-analysis-binary';
+const BINARY_FORMAT_VERSION = 4;
+
+const MAGIC = 'SVAB';
+const PREFIX_SIZE = 12;
+
+const TYPES = {
+  uint8: { ArrayType: Uint8Array, levels: 255 },
+  uint16: { ArrayType: Uint16Array, levels: 65535 },
+  float32: { ArrayType: Float32Array, levels: null }
+};
+
+const align4 = n => Math.ceil(n / 4) * 4;
+
+/**
+ * Decode a binary analysis into { duration, sampleRate, features: {...}, ... }
+ * @param {ArrayBuffer} buffer - Response body from /get-analysis
+ * @returns {Object} - Analysis data in the same shape as the JSON files
+ */
+export function decodeAnalysisBinary(buffer) {
+  const view = new DataView(buffer);
+  const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+  if (magic !== MAGIC) {
+    throw new Error('Not a binary analysis file');
+  }
+
+  const version = view.getUint16(4, true);
+  if (version !== BINARY_FORMAT_VERSION) {
+    throw new Error(`Unsupported binary analysis version ${version}`);
+  }
+
+  const headerLength = view.getUint32(8, true);
+  const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, PREFIX_SIZE, headerLength)));
+  const dataStart = align4(PREFIX_SIZE + headerLength);
+
+  // Read a section, undoing quantization (of the logarithm, when it has a logFloor)
+  const readSection = (section) => {
+    const { ArrayType, levels } = TYPES[section.type];
+    const raw = new ArrayType(buffer, dataStart + section.offset, section.length);
+    if (section.min === undefined) return Array.from(raw);
+    const scale = (section.max - section.min) / levels;
+    if (section.logFloor !== undefined) {
+      return Array.from(raw, q => Math.max(0, 10 ** (section.min + q * scale) - section.logFloor));
+    }
+    return Array.from(raw, q => section.min + q * scale);
+  };
+
+  // Frame times come from startTime + i * interval unless they were stored
+  const readTimes = (timing) => {
+    if (timing.times) return readSection(timing.times);
+    return Array.from({ length: timing.count }, (_, i) => timing.startTime + i * timing.interval);
+  };
+
+  const readFrameArrays = (timing, values, width, key) =>
+    readTimes(timing).map((time, i) => ({ time, [key]: values.slice(i * width, (i + 1) * width) }));
+
+  const { melSpectrogram, hpcpChroma, pitch, beatDensity, onsetStrength } = header;
+
+  const pitchValues = readSection(pitch.pitch);
+  const confidenceValues = readSection(pitch.confidence);
+  const beatCounts = readSection(beatDensity.beats);
+  const strengthValues = readSection(onsetStrength.strength);
+
+  return {
+    ...header.meta,
+    features: {
+      ...header.features,
+      melSpectrogram: readFrameArrays(melSpectrogram, readSection(melSpectrogram.bands), melSpectrogram.width, 'bands'),
+      hpcpChroma: readFrameArrays(hpcpChroma, readSection(hpcpChroma.chroma), hpcpChroma.width, 'chroma'),
+      pitch: readTimes(pitch).map((time, i) => ({ time, pitch: pitchValues[i], confidence: confidenceValues[i] })),
+      rhythm: {
+        ...header.rhythm,
+        beats: readSection(header.beats),
+        meter: { ...header.meter, downbeats: readSection(header.downbeats) },
+        beatDensity: readTimes(beatDensity).map((time, i) => ({ time, beats: beatCounts[i] }))
+      },
+      onsets: {
+        ...header.onsets,
+        times: readSection(header.onsetTimes),
+        strength: readTimes(onsetStrength).map((time, i) => ({ time, strength: strengthValues[i] }))
+      }
+    }
+  };
+}
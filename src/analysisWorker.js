@@ -0,0 +1,107 @@
+// Analysis Worker - runs extractors off the main thread
+// One extractor per message; the pool (analysisWorkerPool.js) keeps workers alive
+// between messages, so Essentia's WASM module is loaded once per worker.
+//
+// In:  { id, extractor: 'mel'|'chroma'|'pitch'|'rhythm'|'onsets', signal (transferred Float32Array), sampleRate, options }
+// Out: { id, type: 'progress', percent }
+//      { id, type: 'result', result } - frame arrays packed into transferred typed arrays (see packFrames)
+//      { id, type: 'error', message }
+
+import {
+  computeMelSpectrogram,
+  computeHPCPChroma,
+  computePitch,
+  computeRhythm,
+  packFrames,
+  packedBuffers
+} from './featureExtractors';
+import { detectOnsets } from './onsetDetection';
+
+// The worker's global scope
+const scope = globalThis;
+
+let essentia = null;
+
+/**
+ * Load Essentia.js into this worker (pitch and rhythm only - mel and chroma are pure JS)
+ * Same browser-global polyfills as public/pitch-worker.js, the WASM loader expects them
+ */
+async function loadEssentia() {
+  if (essentia) return essentia;
+
+  if (typeof scope.document === 'undefined') {
+    scope.document = {
+      createElement: () => ({ style: {}, setAttribute: () => {}, appendChild: () => {} }),
+      body: { appendChild: () => {} },
+      head: { appendChild: () => {} },
+      currentScript: { src: scope.location?.href || '' },
+      getElementById: () => null,
+      getElementsByTagName: () => [],
+      querySelector: () => null,
+      querySelectorAll: () => []
+    };
+  }
+  if (typeof scope.window === 'undefined') {
+    scope.window = scope;
+  }
+
+  scope.importScripts(`${process.env.PUBLIC_URL}/essentia-wasm.web.js`, `${process.env.PUBLIC_URL}/essentia.js-core.js`);
+  const essentiaWASM = await scope.EssentiaWASM();
+  essentia = new scope.Essentia(essentiaWASM);
+  return essentia;
+}
+
+/**
+ * Run one extractor
+ * @returns {Promise<{result: Object, transfer: ArrayBuffer[]}>}
+ */
+async function runExtractor(extractor, signal, sampleRate, options, onProgress) {
+  switch (extractor) {
+    case 'mel': {
+      const packed = packFrames(computeMelSpectrogram(signal, sampleRate, options.mel, onProgress));
+      return { result: packed, transfer: packedBuffers(packed) };
+    }
+    case 'chroma': {
+      const packed = packFrames(computeHPCPChroma(signal, sampleRate, onProgress));
+      return { result: packed, transfer: packedBuffers(packed) };
+    }
+    case 'pitch': {
+      const packed = packFrames(computePitch(await loadEssentia(), signal, sampleRate));
+      return { result: packed, transfer: packedBuffers(packed) };
+    }
+    case 'rhythm': {
+      const { bpm, beats, beatDensity, confidence } = computeRhythm(await loadEssentia(), signal, sampleRate, options.duration);
+      const packedBeats = Float64Array.from(beats);
+      const packedDensity = packFrames(beatDensity);
+      return {
+        result: { bpm, confidence, beats: packedBeats, beatDensity: packedDensity },
+        transfer: [packedBeats.buffer, ...packedBuffers(packedDensity)]
+      };
+    }
+    case 'onsets': {
+      const { method, times, strength } = detectOnsets(signal, sampleRate, onProgress);
+      const packedTimes = Float64Array.from(times);
+      const packedStrength = packFrames(strength);
+      return {
+        result: { method, times: packedTimes, strength: packedStrength },
+        transfer: [packedTimes.buffer, ...packedBuffers(packedStrength)]
+      };
+    }
+    case 'warmup':
+      await loadEssentia();
+      return { result: null, transfer: [] };
+    default:
+      throw new Error(`Unknown extractor: ${extractor}`);
+  }
+}
+
+scope.onmessage = async (e) => {
+  const { id, extractor, signal, sampleRate, options = {} } = e.data;
+  try {
+    const onProgress = (percent) => scope.postMessage({ id, type: 'progress', percent });
+    const { result, transfer } = await runExtractor(extractor, signal, sampleRate, options, onProgress);
+    scope.postMessage({ id, type: 'result', result }, transfer);
+  } catch (error) {
+    scope.postMessage({ id, type: 'error', message: error.message || String(error) });
+  }
+};
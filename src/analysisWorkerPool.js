@@ -0,0 +1,127 @@
+// Analysis Worker Pool - runs feature extractors in analysis workers (analysisWorker.js)
+// Sized to the machine: navigator.hardwareConcurrency minus one core for the UI, capped
+// because every worker holds its own Essentia WASM heap. Workers start on demand and
+// stay alive between analyses; tasks wait in a queue while all of them are busy.
+
+import { unpackFrames } from './featureExtractors';
+
+const MAX_WORKERS = 4;
+export const POOL_SIZE = Math.max(1, Math.min(MAX_WORKERS, (navigator.hardwareConcurrency || 2) - 1));
+
+// { worker, task } - task is the one the worker is running, null when idle
+const workers = [];
+// Tasks waiting for a worker
+const queue = [];
+let nextTaskId = 1;
+
+/**
+ * Start a worker and wire its messages to whatever task it's running
+ */
+function createWorker() {
+  const worker = new Worker(new URL('./analysisWorker.js', import.meta.url));
+  const entry = { worker, task: null };
+
+  worker.onmessage = (e) => {
+    const { id, type, percent, result, message } = e.data;
+    const task = entry.task;
+    if (!task || task.id !== id) return;
+
+    if (type === 'progress') {
+      task.onProgress(percent);
+      return;
+    }
+
+    entry.task = null;
+    if (type === 'result') {
+      task.resolve(result);
+    } else {
+      task.reject(new Error(message));
+    }
+    runQueue();
+  };
+
+  // A crashed worker is dropped - the next task gets a fresh one
+  worker.onerror = (error) => {
+    const task = entry.task;
+    worker.terminate();
+    workers.splice(workers.indexOf(entry), 1);
+    if (task) task.reject(new Error(error.message || 'Analysis worker failed'));
+    runQueue();
+  };
+
+  workers.push(entry);
+  return entry;
+}
+
+/**
+ * Hand queued tasks to idle workers, starting workers up to POOL_SIZE
+ */
+function runQueue() {
+  while (queue.length) {
+    const entry = workers.find(w => !w.task) || (workers.length < POOL_SIZE ? createWorker() : null);
+    if (!entry) return;
+
+    const task = queue.shift();
+    entry.task = task;
+
+    // Copy at dispatch so only running tasks hold a copy - transferring detaches the buffer
+    const signal = task.signal ? new Float32Array(task.signal) : null;
+    entry.worker.postMessage(
+      { id: task.id, extractor: task.extractor, signal, sampleRate: task.sampleRate, options: task.options },
+      signal ? [signal.buffer] : []
+    );
+  }
+}
+
+/**
+ * Queue a task for the pool
+ * @returns {Promise<Object>} - The worker's (still packed) result
+ */
+function runTask(extractor, signal, sampleRate, options = {}, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    queue.push({ id: nextTaskId++, extractor, signal, sampleRate, options, onProgress, resolve, reject });
+    runQueue();
+  });
+}
+
+/**
+ * Run one extractor in the pool
+ * @param {'mel'|'chroma'|'pitch'|'rhythm'|'onsets'} extractor
+ * @param {Float32Array} signal - Mono signal (copied, the caller's array stays usable)
+ * @param {Object} options - { mel: band layout } for mel, { duration } for rhythm
+ * @param {function} onProgress - Called with a percentage (mel, chroma and onsets report as they go)
+ * @returns {Promise<Object[]|Object>} - Frames, or the rhythm / onsets result
+ */
+export async function extractInWorker(extractor, signal, sampleRate, options = {}, onProgress = () => {}) {
+  const result = await runTask(extractor, signal, sampleRate, options, onProgress);
+  onProgress(100);
+
+  if (extractor === 'rhythm') {
+    return {
+      bpm: result.bpm,
+      beats: Array.from(result.beats),
+      beatDensity: unpackFrames(result.beatDensity),
+      confidence: result.confidence
+    };
+  }
+  if (extractor === 'onsets') {
+    return {
+      method: result.method,
+      times: Array.from(result.times),
+      strength: unpackFrames(result.strength)
+    };
+  }
+  return unpackFrames(result);
+}
+
+/**
+ * Start the pool's workers and load Essentia in each, so the first analysis doesn't wait for it
+ */
+export function warmUpAnalysisWorkers() {
+  // Busy workers can't take a warmup, so each one starts a worker until the pool is full
+  const warmups = [];
+  for (let i = 0; i < POOL_SIZE; i++) {
+    warmups.push(runTask('warmup', null, null));
+  }
+  return Promise.all(warmups);
+}
@@ -3,12 +3,30 @@
 // For educational research purposes - Spotify & Google Research Project
 
 import { API_BASE_URL } from './config';
+import { ANALYSIS_BINARY_TYPE, decodeAnalysisBinary } from './analysisBinary';
+import { signalEnvelope, melEnvelope, estimateAlignment, toAnalysisTime } from './analysisAlignment';
+import { resolveMelLayout } from './melFilterbank';
+import { estimateMeter, barPosition } from './meterEstimation';
+import { FRAME_SIZE, FRAME_INTERVAL } from './featureExtractors';
+import { extractInWorker } from './analysisWorkerPool';
+import { SpotifyAuth } from './spotifyService';
 
 // Constants for audio analysis
 const SAMPLE_RATE = 44100;
-const FRAME_SIZE = 2048;
 const HOP_SIZE = 1024;
-const FRAME_INTERVAL = 0.1; // 10fps (0.1s intervals) - sufficient for smooth visualization
+
+// Analysis file format version - bump when an extractor's output changes
+// Keep in sync with server/analysisSchema.js (the server migrates older files)
+export const ANALYSIS_SCHEMA_VERSION = 5;
+
+// Frame rates recorded with each analysis (frames per second)
+const FRAME_RATES = {
+  mel: 10,
+  chroma: 30,
+  pitch: 30,
+  beatDensity: 10,
+  onsets: 30
+};
 
 // Server URL for analysis cache
 const SERVER_URL = API_BASE_URL;
@@ -21,13 +39,26 @@ const timestamp = () => {
 
 // ==================== SERVER-BASED ANALYSIS CACHE ====================
 
+/**
+ * Build lookup query params - Spotify track ID / ISRC let the server skip fuzzy matching
+ * @param {Object} track - Optional { trackId, isrc }
+ */
+function buildTrackParams(artistName, songName, track = null) {
+  const params = new URLSearchParams({ artist: artistName, song: songName });
+  if (track?.trackId) params.set('trackId', track.trackId);
+  if (track?.isrc) params.set('isrc', track.isrc);
+  return params;
+}
+
 /**
  * Check if analysis is cached on server
  */
-async function checkServerAnalysisCache(artistName, songName) {
+async function checkServerAnalysisCache(artistName, songName, track = null) {
   try {
-    const params = new URLSearchParams({ artist: artistName, song: songName });
-    const response = await fetch(`${SERVER_URL}/check-analysis-cache?${params}`);
+    const params = buildTrackParams(artistName, songName, track);
+    const response = await fetch(`${SERVER_URL}/check-analysis-cache?${params}`, {
+      headers: await SpotifyAuth.getServerAuthHeaders()
+    });
     if (!response.ok) return null;
     const data = await response.json();
     return data.cached ? data : null;
@@ -37,17 +68,57 @@ async function checkServerAnalysisCache(artistName, songName) {
   }
 }
 
+/**
+ * Spotify track length in seconds, if the track carries it
+ */
+function getSpotifyDuration(track) {
+  return track?.durationMs ? track.durationMs / 1000 : null;
+}
+
+/**
+ * Make sure an analysis is aligned against this Spotify track
+ * Older files have no alignment, and files analyzed without (or with another) Spotify
+ * duration get re-estimated from the mel spectrogram
+ */
+function ensureAlignment(analysisData, track) {
+  const spotifyDuration = getSpotifyDuration(track);
+  const current = analysisData.alignment;
+  if (current && (!spotifyDuration || current.spotifyDuration === spotifyDuration)) {
+    return analysisData;
+  }
+  const alignment = estimateAlignment(melEnvelope(analysisData.features?.melSpectrogram, analysisData.melBands?.scaling), analysisData.duration, spotifyDuration);
+  if (alignment.method !== 'none') {
+    console.log(`${timestamp()} 🎯 Aligned cached analysis (${alignment.method}): offset ${alignment.offset}s, stretch ${alignment.stretch}`);
+  }
+  return { ...analysisData, alignment };
+}
+
 /**
  * Load analysis from server cache
+ * Asks for the compact binary encoding (much smaller than JSON) and falls back to JSON
  */
-async function loadServerAnalysis(artistName, songName) {
+async function loadServerAnalysis(artistName, songName, track = null) {
   try {
-    const params = new URLSearchParams({ artist: artistName, song: songName });
-    const response = await fetch(`${SERVER_URL}/get-analysis?${params}`);
+    const params = buildTrackParams(artistName, songName, track);
+    const response = await fetch(`${SERVER_URL}/get-analysis?${params}`, {
+      headers: { Accept: `${ANALYSIS_BINARY_TYPE}, application/json;q=0.9`, ...(await SpotifyAuth.getServerAuthHeaders()) }
+    });
+    if (response.status === 409) {
+      console.warn(`${timestamp()} ⚠️ Cached analysis is stale, re-analyzing: ${artistName} - ${songName}`);
+      return null;
+    }
     if (!response.ok) return null;
-    const data = await response.json();
+    const isBinary = response.headers.get('Content-Type')?.startsWith(ANALYSIS_BINARY_TYPE);
+    const data = isBinary
+      ? decodeAnalysisBinary(await response.arrayBuffer())
+      : await response.json();
+    // Never render a file from another schema version - re-analyze instead
+    if (data.schemaVersion !== ANALYSIS_SCHEMA_VERSION) {
+      console.warn(`${timestamp()} ⚠️ Cached analysis has schema v${data.schemaVersion || 1} (expected v${ANALYSIS_SCHEMA_VERSION}), re-analyzing`);
+      return null;
+    }
     console.log(`${timestamp()} 📦 Loaded analysis from server for: ${artistName} - ${songName}`);
-    return data;
+    return ensureAlignment(data, track);
   } catch (error) {
     console.warn('Could not load server analysis:', error);
     return null;
@@ -57,14 +128,16 @@ async function loadServerAnalysis(artistName, songName) {
 /**
  * Save analysis to server cache
  */
-async function saveServerAnalysis(artistName, songName, analysisData) {
+async function saveServerAnalysis(artistName, songName, analysisData, track = null) {
   try {
     const response = await fetch(`${SERVER_URL}/save-analysis`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...(await SpotifyAuth.getServerAuthHeaders()) },
       body: JSON.stringify({
         artist: artistName,
         song: songName,
+        trackId: track?.trackId,
+        isrc: track?.isrc,
         data: analysisData
       })
     });
@@ -85,17 +158,19 @@ async function saveServerAnalysis(artistName, songName, analysisData) {
 
 /**
  * Check if analysis is cached for a track (public)
+ * @param {Object} track - Optional { trackId, isrc } for exact lookup
  */
-export async function isAnalysisCached(artistName, songName) {
-  const cached = await checkServerAnalysisCache(artistName, songName);
+export async function isAnalysisCached(artistName, songName, track = null) {
+  const cached = await checkServerAnalysisCache(artistName, songName, track);
   return cached !== null;
 }
 
 /**
  * Get cached analysis if available (public)
+ * @param {Object} track - Optional { trackId, isrc } for exact lookup
  */
-export async function getCachedAnalysis(artistName, songName) {
-  return await loadServerAnalysis(artistName, songName);
+export async function getCachedAnalysis(artistName, songName, track = null) {
+  return await loadServerAnalysis(artistName, songName, track);
 }
 
 // Essentia.js WASM modules will be loaded dynamically
@@ -191,7 +266,9 @@ export async function fetchAudioBuffer(audioUrl) {
   });
   
   try {
-    const response = await fetch(audioUrl);
+    // Our own server's files need the caller's credentials; anything else is fetched as is
+    const headers = audioUrl.startsWith(SERVER_URL) ? await SpotifyAuth.getServerAuthHeaders() : {};
+    const response = await fetch(audioUrl, { headers });
     const arrayBuffer = await response.arrayBuffer();
     const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
     
@@ -231,291 +308,318 @@ export function audioBufferToMono(audioBuffer) {
 }
 
 /**
- * Pure JavaScript FFT implementation (DFT for small sizes)
- * Avoids Essentia.js WASM crashes with Windowing/Spectrum
+ * Extract Mel Spectrogram from audio signal in an analysis worker
+ * Uses 0.1s intervals for consistent frame timing
+ * @param {Object} melOptions - Band layout { count, fmin, fmax, scaling } (see melFilterbank.js)
+ * @param {function} onProgress - Called with a percentage as frames are processed
+ * Returns: Array of frames, each containing mel band energies
  */
-function computeSpectrum(frameData) {
-  const n = frameData.length;
-  const spectrum = new Float32Array(n / 2);
-  
-  // Apply Hann window
-  const windowed = new Float32Array(n);
-  for (let i = 0; i < n; i++) {
-    const hannValue = 0.5 * (1 - Math.cos(2 * Math.PI * i / (n - 1)));
-    windowed[i] = frameData[i] * hannValue;
-  }
+export async function extractMelSpectrogram(audioSignal, sampleRate = SAMPLE_RATE, melOptions = {}, onProgress = () => {}) {
+  const layout = resolveMelLayout(melOptions, sampleRate, FRAME_SIZE);
+  console.log(`${timestamp()} 🎼 Extracting Mel Spectrogram (10fps, ${layout.count} bands ${layout.fmin}-${layout.fmax}Hz, worker)...`);
   
-  // Compute DFT magnitude spectrum (first half)
-  for (let k = 0; k < n / 2; k++) {
-    let real = 0, imag = 0;
-    for (let t = 0; t < n; t++) {
-      const angle = -2 * Math.PI * k * t / n;
-      real += windowed[t] * Math.cos(angle);
-      imag += windowed[t] * Math.sin(angle);
-    }
-    spectrum[k] = Math.sqrt(real * real + imag * imag) / n;
-  }
+  const frames = await extractInWorker('mel', audioSignal, sampleRate, { mel: layout }, onProgress);
   
-  return spectrum;
+  console.log(`${timestamp()} ✅ Extracted ${frames.length} mel spectrogram frames (10fps)`);
+  return frames;
 }
 
 /**
- * Fast spectrum computation with configurable output bins
- * More efficient for real-time visualization
+ * Extract HPCP (Harmonic Pitch Class Profile) Chroma from audio signal in an analysis worker
+ * @param {function} onProgress - Called with a percentage as frames are processed
+ * Returns: Array of frames, each containing 12 chroma values (C, C#, D, ... B)
  */
-function computeSpectrumFast(frameData, outputBins = 128) {
-  const N = frameData.length;
-  const spectrum = new Float32Array(outputBins);
-  
-  // Apply Hann window
-  const windowed = new Float32Array(N);
-  for (let i = 0; i < N; i++) {
-    const windowValue = 0.5 * (1 - Math.cos(2 * Math.PI * i / (N - 1)));
-    windowed[i] = frameData[i] * windowValue;
-  }
+export async function extractHPCPChroma(audioSignal, sampleRate = SAMPLE_RATE, onProgress = () => {}) {
+  console.log(`${timestamp()} 🎼 Extracting HPCP Chroma (30fps, worker)...`);
   
-  // Compute only the bins we need with downsampled computation
-  for (let k = 0; k < outputBins; k++) {
-    let real = 0, imag = 0;
-    const freq = k * (N / 2) / outputBins;
-    
-    // Downsample the computation for speed
-    const step = Math.max(1, Math.floor(N / 256));
-    for (let n = 0; n < N; n += step) {
-      const angle = -2 * Math.PI * freq * n / N;
-      real += windowed[n] * Math.cos(angle);
-      imag += windowed[n] * Math.sin(angle);
-    }
-    spectrum[k] = Math.sqrt(real * real + imag * imag) / (N / step);
-  }
+  const frames = await extractInWorker('chroma', audioSignal, sampleRate, {}, onProgress);
   
-  return spectrum;
+  console.log(`${timestamp()} ✅ Extracted ${frames.length} HPCP chroma frames (30fps)`);
+  return frames;
 }
 
 /**
- * Extract Mel Spectrogram from audio signal using pure JavaScript
- * Uses 0.1s intervals for consistent frame timing
- * Returns: Array of frames, each containing mel band energies
+ * Extract Pitch (fundamental frequency) with PitchMelodia in an analysis worker
+ * @param {function} onProgress - Called with 100 when done (PitchMelodia is one WASM call)
+ * Returns: Array of pitch values over time
  */
-export async function extractMelSpectrogram(audioSignal, sampleRate = SAMPLE_RATE) {
-  console.log(`${timestamp()} 🎼 Extracting Mel Spectrogram (10fps)...`);
-  
-  const frames = [];
-  const numBands = 40;
-  const totalDuration = audioSignal.length / sampleRate;
-  const numFrames = Math.floor(totalDuration / FRAME_INTERVAL);
+export async function extractPitch(audioSignal, sampleRate = SAMPLE_RATE, onProgress = () => {}) {
+  console.log(`${timestamp()} 🎼 Extracting Pitch (worker)...`);
   
-  console.log(`${timestamp()}    Processing ${numFrames} frames at 10fps from ${totalDuration.toFixed(1)}s audio...`);
+  const frames = await extractInWorker('pitch', audioSignal, sampleRate, {}, onProgress);
   
-  try {
-    for (let i = 0; i < numFrames; i++) {
-      const frameTime = i * FRAME_INTERVAL;
-      const startSample = Math.round(frameTime * sampleRate);
-      const frameData = audioSignal.slice(startSample, startSample + FRAME_SIZE);
-      
-      if (frameData.length < FRAME_SIZE) break;
-      
-      // Use fast spectrum computation
-      const spectrum = computeSpectrumFast(frameData, numBands * 2);
-      
-      // Group into mel-like bands
-      const bands = [];
-      const binsPerBand = 2;
-      for (let b = 0; b < numBands; b++) {
-        let sum = 0;
-        for (let j = 0; j < binsPerBand; j++) {
-          sum += spectrum[b * binsPerBand + j] || 0;
-        }
-        // Log scale for better visualization
-        bands.push(Math.log10(1 + sum * 100) * 10);
-      }
-      
-      frames.push({
-        time: frameTime,
-        bands: bands
-      });
-    }
-  } catch (error) {
-    console.warn('⚠️ Mel extraction error:', error.message);
-    return [];
-  }
-  
-  console.log(`${timestamp()} ✅ Extracted ${frames.length} mel spectrogram frames (10fps)`);
+  console.log(`${timestamp()} ✅ Extracted ${frames.length} pitch frames`);
   return frames;
 }
 
 /**
- * Extract HPCP (Harmonic Pitch Class Profile) Chroma from audio signal
- * Uses pure JavaScript and 0.1s intervals
- * Returns: Array of frames, each containing 12 chroma values (C, C#, D, ... B)
+ * Extract BPM and beat positions in an analysis worker
+ * Returns beat density in 0.1s intervals along with raw beat timestamps
+ * @param {function} onProgress - Called with 100 when done
  */
-export async function extractHPCPChroma(audioSignal, sampleRate = SAMPLE_RATE) {
-  console.log(`${timestamp()} 🎼 Extracting HPCP Chroma (30fps)...`);
+export async function extractRhythm(audioSignal, sampleRate = SAMPLE_RATE, duration = null, onProgress = () => {}) {
+  console.log(`${timestamp()} 🎼 Extracting Rhythm (BPM & Beats, worker)...`);
   
-  const CHROMA_INTERVAL = 0.0333; // 30fps for chroma (lighter computation)
-  const frames = [];
-  const totalDuration = audioSignal.length / sampleRate;
-  const numFrames = Math.floor(totalDuration / CHROMA_INTERVAL);
+  const rhythm = await extractInWorker('rhythm', audioSignal, sampleRate, { duration }, onProgress);
   
-  console.log(`${timestamp()}    Processing ${numFrames} chroma frames at 30fps...`);
+  console.log(`${timestamp()} ✅ Extracted BPM: ${rhythm.bpm.toFixed(1)}, ${rhythm.beats.length} beats, ${rhythm.beatDensity.length} frames`);
+  return rhythm;
+}
+
+/**
+ * Extract onset times and the onset-strength curve (spectral flux + HFC) in an analysis worker
+ * @param {function} onProgress - Called with a percentage as frames are processed
+ * Returns: { method, times, strength: [{ time, strength 0-1 }] } (see onsetDetection.js)
+ */
+export async function extractOnsets(audioSignal, sampleRate = SAMPLE_RATE, onProgress = () => {}) {
+  console.log(`${timestamp()} 🎼 Extracting Onsets (spectral flux + HFC, worker)...`);
   
-  try {
-    for (let i = 0; i < numFrames; i++) {
-      const frameTime = i * CHROMA_INTERVAL;
-      const startSample = Math.round(frameTime * sampleRate);
-      const frameData = audioSignal.slice(startSample, startSample + FRAME_SIZE);
-      
-      if (frameData.length < FRAME_SIZE) break;
-      
-      // Compute spectrum with enough resolution for chroma
-      const spectrum = computeSpectrumFast(frameData, 256);
-      
-      // Map to 12 pitch classes
-      const chroma = new Array(12).fill(0);
-      const nyquist = sampleRate / 2;
-      const numBins = spectrum.length;
-      
-      for (let bin = 1; bin < numBins; bin++) {
-        const freq = (bin / numBins) * nyquist;
-        if (freq > 60 && freq < 4000) {
-          // Convert frequency to pitch class (0-11)
-          const midiNote = 12 * Math.log2(freq / 440) + 69;
-          const pitchClass = Math.round(midiNote) % 12;
-          if (pitchClass >= 0 && pitchClass < 12) {
-            chroma[pitchClass] += spectrum[bin];
-          }
-        }
-      }
-      
-      // Normalize
-      const maxChroma = Math.max(...chroma, 0.001);
-      const normalizedChroma = chroma.map(c => c / maxChroma);
-      
-      frames.push({
-        time: frameTime,
-        chroma: normalizedChroma
-      });
-    }
-  } catch (error) {
-    console.warn('⚠️ Chroma extraction error:', error.message);
-    return [];
-  }
+  const onsets = await extractInWorker('onsets', audioSignal, sampleRate, {}, onProgress);
   
-  console.log(`${timestamp()} ✅ Extracted ${frames.length} HPCP chroma frames (10fps)`);
-  return frames;
+  console.log(`${timestamp()} ✅ Extracted ${onsets.times.length} onsets, ${onsets.strength.length} strength frames (30fps)`);
+  return onsets;
 }
 
 /**
- * Extract Pitch (fundamental frequency) using Web Worker for non-blocking processing
- * Uses PitchMelodia algorithm with optimized hop size for 0.1s intervals
- * Returns: Array of pitch values over time
+ * Run every extractor over a signal - in parallel, one per pool worker
+ * Each extractor is caught separately to prevent total failure
+ * @param {Object} options - { withRhythm - progressive chunks skip rhythm, it runs once over the whole track,
+ *                           melOptions - mel band layout,
+ *                           onProgress({ extractor, percent, overall }) - overall is the mean over the extractors }
  */
-export async function extractPitch(audioSignal, sampleRate = SAMPLE_RATE) {
-  console.log(`${timestamp()} 🎼 Extracting Pitch (Web Worker)...`);
+async function extractFeatures(audioSignal, sampleRate, duration, { withRhythm = true, melOptions = {}, onProgress = () => {} } = {}) {
+  const extractors = {
+    mel: (report) => extractMelSpectrogram(audioSignal, sampleRate, melOptions, report),
+    chroma: (report) => extractHPCPChroma(audioSignal, sampleRate, report),
+    pitch: (report) => extractPitch(audioSignal, sampleRate, report),
+    onsets: (report) => extractOnsets(audioSignal, sampleRate, report)
+  };
+  if (withRhythm) {
+    extractors.rhythm = (report) => extractRhythm(audioSignal, sampleRate, duration, report);
+  }
   
-  return new Promise((resolve, reject) => {
-    // Create worker from dedicated file in public folder
-    const worker = new Worker(`${process.env.PUBLIC_URL}/pitch-worker.js`);
-    
-    worker.onmessage = (e) => {
-      const { type, frames, totalFrames, message } = e.data;
-      
-      if (type === 'progress') {
-        console.log(`${timestamp()}    ${message}`);
-      } else if (type === 'result') {
-        console.log(`${timestamp()} ✅ Extracted ${frames.length} pitch frames`);
-        worker.terminate();
-        resolve(frames);
-      } else if (type === 'error') {
-        console.error(`❌ Pitch worker error: ${message}`);
-        worker.terminate();
-        reject(new Error(message));
-      }
+  const percents = {};
+  const names = Object.keys(extractors);
+  const results = await Promise.all(names.map(async (name) => {
+    const report = (percent) => {
+      percents[name] = percent;
+      const overall = names.reduce((sum, n) => sum + (percents[n] || 0), 0) / names.length;
+      onProgress({ extractor: name, percent, overall: Math.round(overall) });
     };
-    
-    worker.onerror = (error) => {
-      console.error(`❌ Worker error: ${error.message}`);
-      worker.terminate();
-      reject(new Error(error.message || 'Worker failed'));
-    };
-    
-    // Copy audio data and send to worker
-    const audioArray = new Float32Array(audioSignal);
-    worker.postMessage(
-      { audioSignal: audioArray, sampleRate, frameSize: FRAME_SIZE },
-      [audioArray.buffer]  // Transfer ownership for performance
-    );
-  });
+    try {
+      return await extractors[name](report);
+    } catch (error) {
+      console.warn(`⚠️ ${name} extraction failed:`, error.message);
+      return null;
+    }
+  }));
+  const extracted = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+  
+  const features = {
+    melSpectrogram: extracted.mel || [],
+    hpcpChroma: extracted.chroma || [],
+    pitch: extracted.pitch || [],
+    rhythm: extracted.rhythm || { bpm: 120, beats: [], beatDensity: [], confidence: 0 },
+    onsets: extracted.onsets || { method: 'flux-hfc', times: [], strength: [] }
+  };
+  
+  // Meter works from the other features, so it runs once they're all in
+  if (withRhythm) {
+    features.rhythm.meter = estimateMeter(features, melOptions);
+  }
+  return features;
 }
 
+// ==================== PROGRESSIVE ANALYSIS ====================
+
+// Seconds analyzed around the playback position before the first partial result
+const PROGRESSIVE_WINDOW = 20;
+// How far the first window reaches back from the playback position (seeks, sync drift)
+const PROGRESSIVE_LEAD_IN = 2;
+// The rest of the track is analyzed in chunks this long - the UI gets a frame in between
+const PROGRESSIVE_CHUNK = 30;
+
 /**
- * Extract BPM and beat positions
- * Returns beat density in 0.1s intervals along with raw beat timestamps
+ * Split a track into analysis segments: the window around the playback position first,
+ * then the rest of the track after it, then everything before it
+ * @param {number} position - Playback position in analysis time (seconds)
+ * @returns {Array<[number, number]>} - [start, end] pairs in seconds
  */
-export async function extractRhythm(audioSignal, sampleRate = SAMPLE_RATE, duration = null) {
-  if (!essentia) await loadEssentia();
-  
-  console.log(`${timestamp()} 🎼 Extracting Rhythm (BPM & Beats)...`);
-  
-  const signalVector = essentia.arrayToVector(audioSignal);
-  
-  const rhythmResult = essentia.RhythmExtractor2013(
-    signalVector,
-    208,     // maxTempo
-    'degara', // method
-    40       // minTempo
-  );
-  
-  const rawBeats = essentia.vectorToArray(rhythmResult.ticks);
-  const bpm = rhythmResult.bpm;
-  const confidence = rhythmResult.confidence;
-  
-  signalVector.delete();
-  rhythmResult.ticks.delete();
-  
-  // Calculate duration from signal if not provided
-  const audioDuration = duration || (audioSignal.length / sampleRate);
-  
-  // Filter out any beats beyond the audio duration
-  const validBeats = rawBeats.filter(t => t <= audioDuration);
-  
-  // Create 0.1s interval beat density data
-  const numFrames = Math.ceil(audioDuration / FRAME_INTERVAL);
-  const beatDensity = [];
-  
-  for (let i = 0; i < numFrames; i++) {
-    const frameStart = i * FRAME_INTERVAL;
-    const frameEnd = frameStart + FRAME_INTERVAL;
-    // Count beats in this frame
-    const beatsInFrame = validBeats.filter(t => t >= frameStart && t < frameEnd).length;
-    beatDensity.push({
-      time: frameStart,
-      beats: beatsInFrame
-    });
+export function planSegments(duration, position = 0) {
+  // Start on the 10fps grid so chunked mel frames land where a full pass puts them
+  const leadIn = Math.max(0, Math.min(position - PROGRESSIVE_LEAD_IN, duration - PROGRESSIVE_WINDOW));
+  const windowStart = Math.floor(leadIn / FRAME_INTERVAL) * FRAME_INTERVAL;
+  const windowEnd = Math.min(duration, windowStart + PROGRESSIVE_WINDOW);
+  
+  const segments = [[windowStart, windowEnd]];
+  for (let start = windowEnd; start < duration; start += PROGRESSIVE_CHUNK) {
+    segments.push([start, Math.min(duration, start + PROGRESSIVE_CHUNK)]);
+  }
+  for (let start = 0; start < windowStart; start += PROGRESSIVE_CHUNK) {
+    segments.push([start, Math.min(windowStart, start + PROGRESSIVE_CHUNK)]);
   }
+  return segments;
+}
+
+/**
+ * Analyze one segment of the signal - frame times are shifted into track time
+ * Frames starting in [start, end) are kept, the slice runs a frame past the end so they're complete
+ */
+async function extractSegmentFeatures(monoSignal, sampleRate, start, end, extractOptions) {
+  const startSample = Math.round(start * sampleRate);
+  const endSample = Math.min(monoSignal.length, Math.round(end * sampleRate) + FRAME_SIZE);
+  const segment = monoSignal.subarray(startSample, endSample);
   
-  console.log(`${timestamp()} ✅ Extracted BPM: ${bpm.toFixed(1)}, ${validBeats.length} beats, ${beatDensity.length} frames`);
+  const features = await extractFeatures(segment, sampleRate, end - start, extractOptions);
+  const shift = (frames) => frames
+    .map(frame => ({ ...frame, time: frame.time + start }))
+    .filter(frame => frame.time < end);
   
   return {
-    bpm: bpm,
-    beats: validBeats,
-    beatDensity: beatDensity,
-    confidence: confidence
+    melSpectrogram: shift(features.melSpectrogram),
+    hpcpChroma: shift(features.hpcpChroma),
+    pitch: shift(features.pitch),
+    rhythm: {
+      ...features.rhythm,
+      beats: features.rhythm.beats.map(t => t + start).filter(t => t < end),
+      beatDensity: shift(features.rhythm.beatDensity),
+      meter: features.rhythm.meter && {
+        ...features.rhythm.meter,
+        downbeats: features.rhythm.meter.downbeats.map(t => t + start).filter(t => t < end)
+      }
+    },
+    // Strength is scaled per segment and the segment's first frame can't rise -
+    // good enough to draw while the track fills in, the final pass replaces it
+    onsets: {
+      ...features.onsets,
+      times: features.onsets.times.map(t => t + start).filter(t => t < end),
+      strength: shift(features.onsets.strength)
+    }
   };
 }
 
+/**
+ * Add a segment's frames to the analysis so far, keeping every feature sorted by time
+ */
+function mergeFeatures(features, segment) {
+  const merge = (frames, more) => frames.concat(more).sort((a, b) => a.time - b.time);
+  return {
+    melSpectrogram: merge(features.melSpectrogram, segment.melSpectrogram),
+    hpcpChroma: merge(features.hpcpChroma, segment.hpcpChroma),
+    pitch: merge(features.pitch, segment.pitch),
+    rhythm: features.rhythm,
+    onsets: {
+      ...segment.onsets,
+      times: features.onsets.times.concat(segment.onsets.times).sort((a, b) => a - b),
+      strength: merge(features.onsets.strength, segment.onsets.strength)
+    }
+  };
+}
+
+/**
+ * Add [start, end] to a sorted list of covered ranges, joining ranges that touch
+ */
+function addCoverage(coverage, start, end) {
+  const ranges = [...coverage, [start, end]].sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((joined, range) => {
+    const last = joined[joined.length - 1];
+    if (last && range[0] <= last[1] + 1e-6) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      joined.push([...range]);
+    }
+    return joined;
+  }, []);
+}
+
+/**
+ * Whether an analysis has frames at a time - full analyses cover the whole track
+ * @param {number} analysisTime - Time in the analyzed audio (not Spotify time)
+ */
+export function isTimeAnalyzed(analysisData, analysisTime) {
+  if (!analysisData?.partial) return true;
+  return (analysisData.coverage || []).some(([start, end]) => analysisTime >= start && analysisTime < end);
+}
+
+/**
+ * Analyze the window around the playback position, then the rest of the track in the background
+ * onPartial gets an analysis flagged { partial: true, coverage } after every segment;
+ * rhythm from the first window and the per-segment onsets are replaced by passes over
+ * the whole track at the end, so the final analysis matches a full one
+ * @returns {Promise<Object|null>} - Merged features, null if cancelled
+ */
+async function extractFeaturesProgressively(monoSignal, sampleRate, duration, alignment, options, buildResult) {
+  const { onPartial, getPosition, isCancelled = () => false, melOptions, onProgress = () => {} } = options;
+  const spotifyPosition = typeof getPosition === 'function' ? getPosition() : 0;
+  const segments = planSegments(duration, toAnalysisTime(alignment, spotifyPosition || 0));
+  
+  let features = { melSpectrogram: [], hpcpChroma: [], pitch: [], rhythm: null, onsets: { times: [], strength: [] } };
+  let coverage = [];
+  
+  for (let i = 0; i < segments.length; i++) {
+    if (isCancelled()) {
+      console.log(`${timestamp()} 🛑 Progressive analysis cancelled (${coverage.length ? 'partial' : 'nothing'} analyzed)`);
+      return null;
+    }
+    
+    const [start, end] = segments[i];
+    console.log(`${timestamp()} 🧩 Segment ${i + 1}/${segments.length}: ${start.toFixed(1)}s - ${end.toFixed(1)}s`);
+    
+    // Only the first window gets its own rhythm - enough for beats while the rest fills in
+    // Progress runs over the whole plan - each segment is an equal share
+    const segmentProgress = ({ extractor, overall }) => {
+      onProgress({ extractor, percent: overall, overall: Math.round((i + overall / 100) / segments.length * 100) });
+    };
+    const segment = await extractSegmentFeatures(monoSignal, sampleRate, start, end, { withRhythm: i === 0, melOptions, onProgress: segmentProgress });
+    features = mergeFeatures(features, segment);
+    if (i === 0) features.rhythm = segment.rhythm;
+    coverage = addCoverage(coverage, start, end);
+    
+    onPartial({ ...buildResult(features), partial: true, coverage });
+    
+    // Let the visualizer draw with what we have before the next segment's results arrive
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  
+  if (isCancelled()) return null;
+  
+  const [rhythm, onsets] = await Promise.all([
+    extractRhythm(monoSignal, sampleRate, duration).catch(error => {
+      console.warn('⚠️ Rhythm extraction failed, keeping first window beats:', error.message);
+      return null;
+    }),
+    extractOnsets(monoSignal, sampleRate).catch(error => {
+      console.warn('⚠️ Onset extraction failed, keeping per-segment onsets:', error.message);
+      return null;
+    })
+  ]);
+  if (onsets) features.onsets = onsets;
+  if (rhythm) features.rhythm = rhythm;
+  if (features.rhythm) features.rhythm.meter = estimateMeter(features, melOptions);
+  
+  return features;
+}
+
 /**
  * Full audio analysis - extracts all features
- * Each extractor is wrapped in try-catch to prevent total failure
+ * Pass options.onPartial for progressive mode: the seconds around the playback position are
+ * analyzed first and handed over, the rest of the track follows in the background
  * 
  * @param {string} audioUrl - URL to the audio file
  * @param {string} artistName - Optional artist name for caching
  * @param {string} songName - Optional song name for caching
+ * @param {Object} track - Optional { trackId, isrc, durationMs } - the server catalogs the result by track,
+ *                         durationMs lines the analysis up with Spotify playback
+ * @param {Object} options - Optional progressive mode { onPartial(analysis), getPosition() - Spotify seconds,
+ *                           isCancelled() - stop between segments }, mel - the band layout
+ *                           { count, fmin, fmax, scaling } (defaults in melFilterbank.js), and
+ *                           onProgress({ extractor, percent, overall }) - overall is 0-100 for the whole analysis
+ * @returns {Promise<Object|null>} - The complete analysis (null if progressive mode was cancelled)
  */
-export async function analyzeAudio(audioUrl, artistName = null, songName = null) {
+export async function analyzeAudio(audioUrl, artistName = null, songName = null, track = null, options = {}) {
   // Check for cached analysis on server first (if artist/song provided)
   if (artistName && songName) {
-    const cachedAnalysis = await loadServerAnalysis(artistName, songName);
+    const cachedAnalysis = await loadServerAnalysis(artistName, songName, track);
     if (cachedAnalysis) {
       console.log(`${timestamp()} ═══════════════════════════════════════════════`);
       console.log(`${timestamp()} 📦 Using CACHED Analysis Data (from server)`);
@@ -530,83 +634,62 @@ export async function analyzeAudio(audioUrl, artistName = null, songName = null)
     }
   }
 
+  const progressive = typeof options.onPartial === 'function';
+
   console.log(`${timestamp()} ═══════════════════════════════════════════════`);
-  console.log(`${timestamp()} 🎵 Starting Full Audio Analysis`);
+  console.log(`${timestamp()} 🎵 Starting ${progressive ? 'Progressive' : 'Full'} Audio Analysis`);
   console.log(`${timestamp()} ═══════════════════════════════════════════════`);
   
   const startTime = Date.now();
   
-  // Load essentia if not loaded
-  await loadEssentia();
-  
   // Fetch and decode audio
   const audioBuffer = await fetchAudioBuffer(audioUrl);
   const monoSignal = audioBufferToMono(audioBuffer);
   
   const duration = audioBuffer.duration;
   const sampleRate = audioBuffer.sampleRate;
+  // Recorded with the analysis so visualizers can label bands in Hz
+  const melBands = resolveMelLayout(options.mel, sampleRate, FRAME_SIZE);
   
   console.log(`${timestamp()} 📊 Audio: ${duration.toFixed(2)}s @ ${sampleRate}Hz`);
   
-  // Extract features with error handling for each
-  let melSpectrogram = [];
-  let hpcpChroma = [];
-  let pitch = [];
-  let rhythm = { bpm: 120, beats: [], beatDensity: [], confidence: 0 };
+  // Where Spotify's 0:00 falls in this audio (intro, padding) and how fast it runs
+  // Estimated up front - progressive mode needs it to find the playback position in the audio
+  const alignment = estimateAlignment(signalEnvelope(monoSignal, sampleRate), duration, getSpotifyDuration(track));
   
-  // Extract rhythm first (most reliable) - pass duration for beat density calculation
-  try {
-    rhythm = await extractRhythm(monoSignal, sampleRate, duration);
-  } catch (error) {
-    console.warn('⚠️ Rhythm extraction failed:', error.message);
-  }
+  const buildResult = (features) => ({
+    schemaVersion: ANALYSIS_SCHEMA_VERSION,
+    duration,
+    sampleRate,
+    frameRates: { ...FRAME_RATES },
+    melBands,
+    alignment,
+    analysisTime: parseFloat(((Date.now() - startTime) / 1000).toFixed(2)),
+    features
+  });
   
-  // Extract pitch (reliable)
-  try {
-    pitch = await extractPitch(monoSignal, sampleRate);
-  } catch (error) {
-    console.warn('⚠️ Pitch extraction failed:', error.message);
-  }
+  const features = progressive
+    ? await extractFeaturesProgressively(monoSignal, sampleRate, duration, alignment, { ...options, melOptions: melBands }, buildResult)
+    : await extractFeatures(monoSignal, sampleRate, duration, { melOptions: melBands, onProgress: options.onProgress });
   
-  // Extract mel spectrogram (now uses pure JS, no WASM crashes)
-  try {
-    melSpectrogram = await extractMelSpectrogram(monoSignal, sampleRate);
-  } catch (error) {
-    console.warn('⚠️ Mel spectrogram extraction failed:', error.message);
-  }
+  if (!features) return null;
   
-  // Extract chroma (now uses pure JS, no WASM crashes)
-  try {
-    hpcpChroma = await extractHPCPChroma(monoSignal, sampleRate);
-  } catch (error) {
-    console.warn('⚠️ Chroma extraction failed:', error.message);
-  }
-  
-  const analysisTime = ((Date.now() - startTime) / 1000).toFixed(2);
+  const analysisResult = buildResult(features);
+  const { melSpectrogram, hpcpChroma, pitch, rhythm, onsets } = features;
   
   console.log(`${timestamp()} ═══════════════════════════════════════════════`);
-  console.log(`${timestamp()} ✅ Analysis complete in ${analysisTime}s`);
+  console.log(`${timestamp()} ✅ Analysis complete in ${analysisResult.analysisTime}s`);
   console.log(`${timestamp()}    Mel frames: ${melSpectrogram.length}`);
   console.log(`${timestamp()}    Chroma frames: ${hpcpChroma.length}`);
   console.log(`${timestamp()}    Pitch frames: ${pitch.length}`);
   console.log(`${timestamp()}    BPM: ${rhythm.bpm?.toFixed(1) || 'N/A'}`);
+  console.log(`${timestamp()}    Onsets: ${onsets.times.length}`);
+  console.log(`${timestamp()}    Alignment: ${alignment.method} (offset ${alignment.offset}s, stretch ${alignment.stretch})`);
   console.log(`${timestamp()} ═══════════════════════════════════════════════`);
-  
-  const analysisResult = {
-    duration,
-    sampleRate,
-    analysisTime: parseFloat(analysisTime),
-    features: {
-      melSpectrogram,
-      hpcpChroma,
-      pitch,
-      rhythm
-    }
-  };
 
   // Cache the analysis on server (if artist/song provided)
   if (artistName && songName) {
-    await saveServerAnalysis(artistName, songName, analysisResult);
+    await saveServerAnalysis(artistName, songName, analysisResult, track);
   }
 
   return analysisResult;
@@ -616,11 +699,36 @@ export async function analyzeAudio(audioUrl, artistName = null, songName = null)
  * Get analysis data at a specific time position with interpolation
  * Used to sync visualization with Spotify playback
  * Now interpolates between frames for smoother, more precise visualization
+ * onsetStrength (0-1) and onOnset let draw functions react to transients between beats;
+ * beatInBar (1..beatsPerBar) and barPhase (0-1 through the bar) follow the estimated meter
+ * @param {number} timeInSeconds - Spotify playback position; mapped through analysisData.alignment
  */
 export function getAnalysisAtTime(analysisData, timeInSeconds) {
   if (!analysisData || !analysisData.features) return null;
   
-  const { melSpectrogram, hpcpChroma, pitch, rhythm } = analysisData.features;
+  const { melSpectrogram, hpcpChroma, pitch, rhythm, onsets } = analysisData.features;
+  const analysisTime = toAnalysisTime(analysisData.alignment, timeInSeconds);
+  
+  // Progressive analysis hasn't reached this part of the track yet - draw it quiet
+  if (!isTimeAnalyzed(analysisData, analysisTime)) {
+    return {
+      time: timeInSeconds,
+      analysisTime,
+      mel: null,
+      chroma: null,
+      pitch: 0,
+      pitchConfidence: 0,
+      bpm: rhythm?.bpm || 120,
+      onBeat: false,
+      beatStrength: 0,
+      onsetStrength: 0,
+      onOnset: false,
+      beatsPerBar: rhythm?.meter?.beatsPerBar || 4,
+      beatInBar: 0,
+      barPhase: 0,
+      pending: true
+    };
+  }
   
   // Find surrounding frames and interpolation factor for smooth transitions
   const findFramesWithInterpolation = (frames, time) => {
@@ -670,7 +778,7 @@ export function getAnalysisAtTime(analysisData, timeInSeconds) {
   };
   
   // Check if we're on a beat - with more precision
-  const isOnBeat = (time, beats, tolerance = 0.05) => {
+  const isOnBeat = (time, beats, meter, tolerance = 0.05) => {
     if (!beats) return { onBeat: false, beatStrength: 0 };
     
     for (let i = 0; i < beats.length; i++) {
@@ -679,7 +787,8 @@ export function getAnalysisAtTime(analysisData, timeInSeconds) {
       if (diff < tolerance) {
         // Calculate beat strength based on proximity - smoother falloff
         const strength = 1 - (diff / tolerance);
-        const isDownbeat = i % 4 === 0; // Every 4th beat is stronger
+        // The first beat of the bar is stronger
+        const isDownbeat = meter ? barPosition(beats, meter, beatTime, rhythm.bpm).beatInBar === 1 : false;
         return {
           onBeat: true,
           beatStrength: strength * (isDownbeat ? 1.5 : 1),
@@ -690,18 +799,38 @@ export function getAnalysisAtTime(analysisData, timeInSeconds) {
     return { onBeat: false, beatStrength: 0 };
   };
   
+  // Check if we're on an onset - binary search, there are several per second
+  const isOnOnset = (time, times, tolerance = 0.05) => {
+    if (!times || times.length === 0) return false;
+    
+    let left = 0;
+    let right = times.length - 1;
+    while (left < right) {
+      const mid = Math.floor((left + right) / 2);
+      if (times[mid] < time) {
+        left = mid + 1;
+      } else {
+        right = mid;
+      }
+    }
+    
+    // times[left] is the first onset at or after the time - the one before may be closer
+    const nearest = left > 0 && time - times[left - 1] < Math.abs(times[left] - time) ? times[left - 1] : times[left];
+    return Math.abs(time - nearest) < tolerance;
+  };
+  
   // Get interpolated mel spectrogram
-  const melResult = findFramesWithInterpolation(melSpectrogram, timeInSeconds);
+  const melResult = findFramesWithInterpolation(melSpectrogram, analysisTime);
   const interpolatedMel = melResult.frame ? 
     interpolateArray(melResult.frame.bands, melResult.nextFrame?.bands, melResult.t) : null;
   
   // Get interpolated chroma (higher resolution, but still interpolate)
-  const chromaResult = findFramesWithInterpolation(hpcpChroma, timeInSeconds);
+  const chromaResult = findFramesWithInterpolation(hpcpChroma, analysisTime);
   const interpolatedChroma = chromaResult.frame ?
     interpolateArray(chromaResult.frame.chroma, chromaResult.nextFrame?.chroma, chromaResult.t) : null;
   
   // Get interpolated pitch
-  const pitchResult = findFramesWithInterpolation(pitch, timeInSeconds);
+  const pitchResult = findFramesWithInterpolation(pitch, analysisTime);
   const interpolatedPitch = interpolateValue(
     pitchResult.frame?.pitch, 
     pitchResult.nextFrame?.pitch, 
@@ -713,16 +842,27 @@ export function getAnalysisAtTime(analysisData, timeInSeconds) {
     pitchResult.t
   );
   
-  const beatInfo = isOnBeat(timeInSeconds, rhythm?.beats);
+  const beatInfo = isOnBeat(analysisTime, rhythm?.beats, rhythm?.meter);
+  const barInfo = rhythm?.meter
+    ? barPosition(rhythm.beats, rhythm.meter, analysisTime, rhythm.bpm)
+    : { beatInBar: 0, barPhase: 0 };
+  
+  // Onset strength isn't interpolated - frames are max-pooled, blending would blunt the peaks
+  const onsetResult = findFramesWithInterpolation(onsets?.strength, analysisTime);
   
   return {
     time: timeInSeconds,
+    analysisTime,
     mel: interpolatedMel,
     chroma: interpolatedChroma,
     pitch: interpolatedPitch,
     pitchConfidence: interpolatedConfidence,
     bpm: rhythm?.bpm || 120,
-    ...beatInfo
+    ...beatInfo,
+    onsetStrength: onsetResult.frame?.strength || 0,
+    onOnset: isOnOnset(analysisTime, onsets?.times),
+    beatsPerBar: rhythm?.meter?.beatsPerBar || 4,
+    ...barInfo
   };
 }
 
@@ -732,7 +872,8 @@ export function getAnalysisAtTime(analysisData, timeInSeconds) {
 export function createTimeLookup(analysisData, resolution = 0.02) {
   if (!analysisData) return null;
   
-  const duration = analysisData.duration;
+  // Lookup is indexed by Spotify time, which may be shorter or longer than the audio
+  const duration = analysisData.alignment?.spotifyDuration || analysisData.duration;
   const lookup = [];
   
   for (let t = 0; t < duration; t += resolution) {
@@ -751,6 +892,7 @@ export default {
   analyzeAudio,
   getAnalysisAtTime,
   createTimeLookup,
+  isTimeAnalyzed,
   extractMelSpectrogram,
   extractHPCPChroma,
   extractPitch,
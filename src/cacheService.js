@@ -0,0 +1,124 @@
+// Cache Service - server cache management for the cache page
+// Wraps the server's listing, pin, delete, download and analysis routes.
+// Every action except listing needs the admin role (write for re-analyze).
+
+import { API_BASE_URL } from './config';
+import { SpotifyAuth } from './spotifyService';
+
+/**
+ * Call a server route and return its JSON body
+ * Throws with the server's error message (and details) on failure
+ */
+async function request(path, { method = 'GET', body } = {}) {
+  const headers = { ...(await SpotifyAuth.getServerAuthHeaders()) };
+  if (body) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const details = Array.isArray(data.details) ? data.details.join('; ') : data.details;
+    throw new Error(`${data.error || `HTTP ${response.status}`}${details ? ` (${details})` : ''}`);
+  }
+  return data;
+}
+
+/**
+ * Route prefix for a cache type
+ */
+function filePath(cacheType, filename) {
+  const prefix = cacheType === 'mp3' ? '/mp3files' : '/analysis';
+  return `${prefix}/${encodeURIComponent(filename)}`;
+}
+
+export const CacheService = {
+  /**
+   * Caller's role on the server ({ authEnabled, role, via, user })
+   */
+  async getRole() {
+    return request('/auth');
+  },
+
+  /**
+   * Every cached track with its audio and analysis files
+   * @returns {Promise<{tracks: Object[], count: number, complete: number}>}
+   */
+  async listTracks() {
+    return request('/cache/tracks');
+  },
+
+  /**
+   * Cache usage and limits per directory
+   */
+  async getStats() {
+    return request('/cache/stats');
+  },
+
+  /**
+   * Download a track's audio again, replacing the cached copy
+   * Tracks first found by search (no http source URL) are searched for again
+   * @returns {Promise<Object>} - Job location (see /get-mp3)
+   */
+  async redownload(track) {
+    const url = track.sourceUrl && /^https?:\/\//.test(track.sourceUrl) ? track.sourceUrl : undefined;
+    return request('/get-mp3', {
+      method: 'POST',
+      body: {
+        url,
+        artist: track.artist,
+        song: track.song,
+        trackId: track.trackId || undefined,
+        isrc: track.isrc || undefined,
+        durationMs: track.durationMs || undefined,
+        force: true
+      }
+    });
+  },
+
+  /**
+   * Analyze a track's audio again on the server
+   * @returns {Promise<Object>} - Job location (see /analyze)
+   */
+  async reanalyze(track) {
+    return request('/analyze', {
+      method: 'POST',
+      body: {
+        artist: track.artist,
+        song: track.song,
+        trackId: track.trackId || undefined,
+        isrc: track.isrc || undefined,
+        durationMs: track.durationMs || undefined,
+        force: true
+      }
+    });
+  },
+
+  /**
+   * Delete one cached file
+   * @param {'mp3'|'analysis'} cacheType
+   */
+  async deleteFile(cacheType, filename) {
+    return request(filePath(cacheType, filename), { method: 'DELETE' });
+  },
+
+  /**
+   * Pin (never evict) or unpin a cached file
+   * @param {'mp3'|'analysis'} cacheType
+   */
+  async setPinned(cacheType, filename, pinned) {
+    return request(`${filePath(cacheType, filename)}/pin`, { method: pinned ? 'POST' : 'DELETE' });
+  },
+
+  /**
+   * Load an analysis file for the preview
+   */
+  async loadAnalysis(filename) {
+    return request(filePath('analysis', filename));
+  }
+};
+
+export default CacheService;
@@ -18,6 +18,7 @@ const AudioVisualizer = ({
   isPlaying, 
   progress, 
   isAnalyzing,
+  loadingProgress,
   trackId 
 }) => {
   const canvasRef = useRef(null);
@@ -80,11 +81,12 @@ const AudioVisualizer = ({
       return;
     }
 
-    // LOADING STATE - analyzing audio
-    if (isAnalyzing) {
+    // LOADING STATE - analyzing audio, nothing to draw yet
+    // (progressive analysis hands over partial data while isAnalyzing is still set)
+    if (isAnalyzing && !analysisData) {
       ctx.fillStyle = 'rgb(10, 10, 15)';
       ctx.fillRect(0, 0, width, height);
-      drawLoadingAnimation(ctx, width, height, timestamp / 1000, 0.5);
+      drawLoadingAnimation(ctx, width, height, timestamp / 1000, loadingProgress);
       animationIdRef.current = requestAnimationFrame(animate);
       return;
     }
@@ -117,7 +119,7 @@ const AudioVisualizer = ({
     }
 
     animationIdRef.current = requestAnimationFrame(animate);
-  }, [analysisData, isPlaying, isAnalyzing]);
+  }, [analysisData, isPlaying, isAnalyzing, loadingProgress]);
 
   // Handle canvas resize
   useEffect(() => {
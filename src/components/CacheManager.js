@@ -0,0 +1,396 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { CacheService } from '../cacheService';
+import { subscribeToServerEvents } from '../serverEvents';
+import { melBandFrequencies } from '../melFilterbank';
+import './CacheManager.css';
+
+// Wait this long after a server event before reloading, so bursts cause one reload
+const EVENT_RELOAD_DELAY = 500;
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const formatDate = (ms) => (ms ? new Date(ms).toLocaleString() : '');
+
+const trackRowKey = (track) => track.key || (track.audio || track.analysis).filename;
+
+const formatHz = (hz) => (hz >= 1000 ? `${(hz / 1000).toFixed(1)}k` : `${Math.round(hz)}`);
+
+/**
+ * Mel spectrogram heatmap with beat markers - a quick look at what an analysis contains
+ */
+const AnalysisPreview = ({ track, analysis, onClose }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const frames = analysis?.features?.melSpectrogram;
+    if (!canvas || !frames?.length) return;
+
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const bands = frames[0].bands.length;
+    const peak = Math.max(...frames.map(frame => Math.max(...frame.bands))) || 1;
+    const columnWidth = width / frames.length;
+    const rowHeight = height / bands;
+
+    ctx.fillStyle = '#0a0a0f';
+    ctx.fillRect(0, 0, width, height);
+
+    // Low bands at the bottom, brighter green for louder bands
+    frames.forEach((frame, x) => {
+      frame.bands.forEach((value, b) => {
+        const level = Math.max(0, Math.min(1, value / peak));
+        ctx.fillStyle = `rgba(30, 215, 96, ${level})`;
+        ctx.fillRect(x * columnWidth, height - (b + 1) * rowHeight, Math.ceil(columnWidth), Math.ceil(rowHeight));
+      });
+    });
+
+    const duration = analysis.duration || frames[frames.length - 1].time;
+    const beats = (analysis.features.rhythm?.beats || []).map(beat => (typeof beat === 'number' ? beat : beat.time));
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    beats.forEach(time => {
+      const x = (time / duration) * width;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, 6);
+      ctx.stroke();
+    });
+
+    // Bar lines - longer ticks on the downbeats
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    (analysis.features.rhythm?.meter?.downbeats || []).forEach(time => {
+      const x = (time / duration) * width;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, 12);
+      ctx.stroke();
+    });
+
+    // Band center frequencies up the left edge
+    if (analysis.melBands) {
+      const frequencies = melBandFrequencies(analysis.melBands);
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+      ctx.font = '10px sans-serif';
+      [0, Math.floor(bands / 2), bands - 1].forEach(b => {
+        ctx.fillText(`${formatHz(frequencies[b].center)}Hz`, 4, height - b * rowHeight - 2);
+      });
+    }
+
+    // Where Spotify's 0:00 falls in this audio
+    if (analysis.alignment?.offset) {
+      const x = (analysis.alignment.offset / duration) * width;
+      ctx.strokeStyle = '#ff5c5c';
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+  }, [analysis]);
+
+  const rhythm = analysis?.features?.rhythm;
+
+  return (
+    <div className="cache-preview">
+      <div className="cache-preview-header">
+        <span>{track.title}</span>
+        <button className="cache-btn" onClick={onClose}>Close preview</button>
+      </div>
+      {analysis ? (
+        <>
+          <canvas ref={canvasRef} width={800} height={160} className="cache-preview-canvas" />
+          <div className="cache-preview-info">
+            <span>Duration: {analysis.duration?.toFixed(1)}s</span>
+            <span>Schema: v{analysis.schemaVersion || 1}</span>
+            <span>BPM: {rhythm?.bpm?.toFixed(1) || 'N/A'}</span>
+            <span>Beats: {rhythm?.beats?.length || 0}</span>
+            {rhythm?.meter && (
+              <span>Meter: {rhythm.meter.beatsPerBar}/bar ({rhythm.meter.downbeats.length} bars, confidence {rhythm.meter.confidence})</span>
+            )}
+            {analysis.features?.onsets && (
+              <span>Onsets: {analysis.features.onsets.times.length} ({analysis.features.onsets.method})</span>
+            )}
+            <span>Mel frames: {analysis.features?.melSpectrogram?.length || 0}</span>
+            {analysis.melBands && (
+              <span>
+                Bands: {analysis.melBands.count} {analysis.melBands.scale} ({formatHz(analysis.melBands.fmin)}-{formatHz(analysis.melBands.fmax)}Hz, {analysis.melBands.scaling})
+              </span>
+            )}
+            {analysis.alignment && (
+              <span>Alignment: {analysis.alignment.method} ({analysis.alignment.offset}s, ×{analysis.alignment.stretch})</span>
+            )}
+          </div>
+        </>
+      ) : (
+        <div className="cache-preview-loading">Loading analysis...</div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Cache management page - every cached track with its audio and analysis files,
+ * and actions to re-download, re-analyze, pin, delete or preview them
+ */
+const CacheManager = ({ isOpen, onClose }) => {
+  const [tracks, setTracks] = useState([]);
+  const [role, setRole] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [isLoadingTracks, setIsLoadingTracks] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [busyKeys, setBusyKeys] = useState(new Set());
+  const [preview, setPreview] = useState(null);
+  const reloadTimerRef = useRef(null);
+
+  const isAdmin = role === 'admin';
+  const canWrite = role === 'admin' || role === 'write';
+
+  const loadTracks = useCallback(async () => {
+    setIsLoadingTracks(true);
+    try {
+      const data = await CacheService.listTracks();
+      setTracks(data.tracks);
+      setError(null);
+    } catch (err) {
+      setError(`Could not load cached tracks: ${err.message}`);
+    } finally {
+      setIsLoadingTracks(false);
+    }
+  }, []);
+
+  // Load when opened, and reload whenever the server reports a change
+  useEffect(() => {
+    if (!isOpen) return;
+
+    loadTracks();
+    CacheService.getRole()
+      .then(auth => setRole(auth.role))
+      .catch(() => setRole(null));
+
+    const scheduleReload = () => {
+      clearTimeout(reloadTimerRef.current);
+      reloadTimerRef.current = setTimeout(loadTracks, EVENT_RELOAD_DELAY);
+    };
+    const unsubscribe = subscribeToServerEvents({
+      'download:done': scheduleReload,
+      'analysis:saved': scheduleReload,
+      'cache:evicted': scheduleReload
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(reloadTimerRef.current);
+    };
+  }, [isOpen, loadTracks]);
+
+  // A track counts as pinned when all of its files are
+  const isTrackPinned = (track) =>
+    Boolean((track.audio?.pinned || !track.audio) && (track.analysis?.pinned || !track.analysis));
+
+  /**
+   * Run an action for one track, marking its row busy and reporting the outcome
+   */
+  const runAction = async (track, label, action) => {
+    const key = trackRowKey(track);
+    setBusyKeys(prev => new Set(prev).add(key));
+    try {
+      await action();
+      setNotice(`${label}: ${track.title}`);
+      await loadTracks();
+    } catch (err) {
+      setNotice(`${label} failed for ${track.title}: ${err.message}`);
+    } finally {
+      setBusyKeys(prev => {
+        const next = new Set(prev);
+        next.delete(key);
+        return next;
+      });
+    }
+  };
+
+  const handleRedownload = (track) => {
+    if (!window.confirm(`Download "${track.title}" again? The cached MP3 is replaced.`)) return;
+    runAction(track, 'Re-download started', () => CacheService.redownload(track));
+  };
+
+  const handleReanalyze = (track) => {
+    runAction(track, 'Re-analysis queued', () => CacheService.reanalyze(track));
+  };
+
+  const handleDelete = (track) => {
+    const files = [track.audio && 'MP3', track.analysis && 'analysis'].filter(Boolean).join(' and ');
+    if (!window.confirm(`Delete the ${files} for "${track.title}"?`)) return;
+    runAction(track, 'Deleted', async () => {
+      if (track.audio) await CacheService.deleteFile('mp3', track.audio.filename);
+      if (track.analysis) await CacheService.deleteFile('analysis', track.analysis.filename);
+    });
+  };
+
+  const handleTogglePin = (track) => {
+    const pinned = !isTrackPinned(track);
+    runAction(track, pinned ? 'Pinned' : 'Unpinned', async () => {
+      if (track.audio) await CacheService.setPinned('mp3', track.audio.filename, pinned);
+      if (track.analysis) await CacheService.setPinned('analysis', track.analysis.filename, pinned);
+    });
+  };
+
+  const handlePreview = async (track) => {
+    setPreview({ track, analysis: null });
+    try {
+      const analysis = await CacheService.loadAnalysis(track.analysis.filename);
+      setPreview(current => (current?.track === track ? { track, analysis } : current));
+    } catch (err) {
+      setPreview(null);
+      setNotice(`Could not load analysis for ${track.title}: ${err.message}`);
+    }
+  };
+
+  const query = filter.trim().toLowerCase();
+  const visibleTracks = query
+    ? tracks.filter(track => `${track.title} ${track.trackId || ''}`.toLowerCase().includes(query))
+    : tracks;
+  const totalBytes = tracks.reduce((sum, track) => sum + (track.audio?.size || 0) + (track.analysis?.size || 0), 0);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="cache-manager-backdrop" onClick={onClose}>
+      <div className="cache-manager" onClick={(e) => e.stopPropagation()}>
+        <div className="cache-manager-header">
+          <div>
+            <h2>Cache Manager</h2>
+            <span className="cache-manager-summary">
+              {tracks.length} tracks · {tracks.filter(track => track.complete).length} complete · {formatBytes(totalBytes)}
+              {role && ` · role: ${role}`}
+            </span>
+          </div>
+          <div className="cache-manager-toolbar">
+            <input
+              type="text"
+              className="cache-filter"
+              placeholder="Filter tracks..."
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+            />
+            <button className="cache-btn" onClick={loadTracks} disabled={isLoadingTracks}>
+              {isLoadingTracks ? 'Loading...' : 'Refresh'}
+            </button>
+            <button className="close-btn" onClick={onClose} title="Close">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <line x1="18" y1="6" x2="6" y2="18"></line>
+                <line x1="6" y1="6" x2="18" y2="18"></line>
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {!isAdmin && role && (
+          <div className="cache-notice">Signed in as <strong>{role}</strong> - actions other than preview need the admin role.</div>
+        )}
+        {error && <div className="cache-notice error">{error}</div>}
+        {notice && <div className="cache-notice" onClick={() => setNotice(null)}>{notice}</div>}
+
+        {preview && (
+          <AnalysisPreview track={preview.track} analysis={preview.analysis} onClose={() => setPreview(null)} />
+        )}
+
+        <div className="cache-table-wrapper">
+          <table className="cache-table">
+            <thead>
+              <tr>
+                <th>Track</th>
+                <th>Audio</th>
+                <th>Analysis</th>
+                <th>Source</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleTracks.map(track => {
+                const key = trackRowKey(track);
+                const isBusy = busyKeys.has(key);
+                const hasNames = Boolean(track.artist && track.song);
+                return (
+                  <tr key={key} className={isBusy ? 'busy' : ''}>
+                    <td>
+                      <div className="cache-track-title">{track.title}</div>
+                      <div className="cache-track-meta">
+                        <span className={`cache-badge ${track.complete ? 'complete' : 'partial'}`}>
+                          {track.complete ? 'Complete' : (track.audio ? 'Audio only' : 'Analysis only')}
+                        </span>
+                        {isTrackPinned(track) && <span className="cache-badge pinned">Pinned</span>}
+                        {track.duplicateOf && <span className="cache-badge duplicate" title={track.duplicateOf}>Duplicate</span>}
+                        {track.trackId && <span className="cache-track-id">{track.trackId}</span>}
+                      </div>
+                    </td>
+                    <td>
+                      {track.audio ? (
+                        <>
+                          <div>{formatBytes(track.audio.size)}</div>
+                          <div className="cache-date">{formatDate(track.audio.modifiedAt)}</div>
+                        </>
+                      ) : <span className="cache-missing">missing</span>}
+                    </td>
+                    <td>
+                      {track.analysis ? (
+                        <>
+                          <div>{formatBytes(track.analysis.size)}</div>
+                          <div className="cache-date">{formatDate(track.analysis.modifiedAt)}</div>
+                        </>
+                      ) : <span className="cache-missing">missing</span>}
+                    </td>
+                    <td className="cache-source">
+                      {track.sourceUrl && /^https?:\/\//.test(track.sourceUrl) ? (
+                        <a href={track.sourceUrl} target="_blank" rel="noopener noreferrer">{track.provider || 'link'}</a>
+                      ) : (
+                        <span title={track.sourceUrl || ''}>{track.provider || (track.sourceUrl ? 'search' : '-')}</span>
+                      )}
+                    </td>
+                    <td className="cache-actions">
+                      <button className="cache-btn" disabled={!track.analysis || isBusy} onClick={() => handlePreview(track)}>
+                        Preview
+                      </button>
+                      <button
+                        className="cache-btn"
+                        disabled={!isAdmin || !hasNames || isBusy}
+                        title={hasNames ? '' : 'Not in the catalog - artist and song unknown'}
+                        onClick={() => handleRedownload(track)}
+                      >
+                        Re-download
+                      </button>
+                      <button
+                        className="cache-btn"
+                        disabled={!canWrite || !hasNames || !track.audio || isBusy}
+                        title={hasNames ? '' : 'Not in the catalog - artist and song unknown'}
+                        onClick={() => handleReanalyze(track)}
+                      >
+                        Re-analyze
+                      </button>
+                      <button className="cache-btn" disabled={!isAdmin || isBusy} onClick={() => handleTogglePin(track)}>
+                        {isTrackPinned(track) ? 'Unpin' : 'Pin'}
+                      </button>
+                      <button className="cache-btn danger" disabled={!isAdmin || isBusy} onClick={() => handleDelete(track)}>
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+              {!visibleTracks.length && !isLoadingTracks && (
+                <tr>
+                  <td colSpan={5} className="cache-empty">{query ? 'No tracks match the filter' : 'The cache is empty'}</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CacheManager;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
 import './SideMenu.css';
 
 const SideMenu = ({ 
@@ -13,13 +13,33 @@ const SideMenu = ({
   waveformSettings,
   onWaveformSettingsChange,
   particleSettings,
-  onParticleSettingsChange
+  onParticleSettingsChange,
+  onOpenCacheManager,
+  currentTrack,
+  onUploadAudio
 }) => {
   const [isWaveformOpen, setIsWaveformOpen] = useState(false);
   const [isParticlesOpen, setIsParticlesOpen] = useState(false);
+  const [uploadStatus, setUploadStatus] = useState(null); // { state: 'uploading'|'done'|'error', message }
+  const fileInputRef = useRef(null);
   const profileImage = user?.images?.[0]?.url;
   const displayName = user?.display_name || user?.id || 'User';
 
+  // Upload the picked file as the current track's audio
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Picking the same file again should upload again
+    if (!file || !currentTrack || !onUploadAudio) return;
+
+    setUploadStatus({ state: 'uploading', message: `Uploading ${file.name}...` });
+    try {
+      await onUploadAudio(file);
+      setUploadStatus({ state: 'done', message: `Uploaded for ${currentTrack.song}` });
+    } catch (error) {
+      setUploadStatus({ state: 'error', message: error.message });
+    }
+  };
+
     // Determine Home URL based on environment
     let homeUrl = '/callback';
     if (typeof window !== 'undefined' && window.location.hostname === 'yerry262.github.io') {
@@ -220,6 +240,40 @@ const SideMenu = ({
             </div>
           </div>
           
+          <button className="menu-item" onClick={onOpenCacheManager}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <ellipse cx="12" cy="5" rx="9" ry="3"></ellipse>
+              <path d="M21 12c0 1.66-4 3-9 3s-9-1.34-9-3"></path>
+              <path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5"></path>
+            </svg>
+            <span>Cache Manager</span>
+          </button>
+          
+          {/* Upload audio for the playing track (songs YouTube doesn't have) */}
+          <button
+            className="menu-item"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={!currentTrack || uploadStatus?.state === 'uploading'}
+            title={currentTrack ? `Upload audio for ${currentTrack.artist} - ${currentTrack.song}` : 'Play a track to upload its audio'}
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+              <polyline points="17 8 12 3 7 8"></polyline>
+              <line x1="12" y1="3" x2="12" y2="15"></line>
+            </svg>
+            <span>Upload Audio</span>
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".mp3,.wav,.flac,.m4a,audio/mpeg,audio/wav,audio/flac,audio/mp4"
+            onChange={handleFileChange}
+            hidden
+          />
+          {uploadStatus && (
+            <div className={`menu-upload-status ${uploadStatus.state}`}>{uploadStatus.message}</div>
+          )}
+          
           <a href={`${process.env.PUBLIC_URL}/test-runner.html`} className="menu-item">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
               <circle cx="12" cy="12" r="3"></circle>
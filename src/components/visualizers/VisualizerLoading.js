@@ -4,6 +4,25 @@
  * MATCHES test-runner.html drawLoadingVisualization exactly
  */
 
+/**
+ * Status text for the current loading stage
+ * @param {Object} progress - Optional server download or analysis progress { status, percent }
+ */
+function getLoadingLabel(progress) {
+  switch (progress?.status) {
+    case 'queued':
+      return 'Waiting for Download';
+    case 'downloading':
+      return `Downloading Audio ${Math.floor(progress.percent || 0)}%`;
+    case 'converting':
+      return 'Converting to MP3';
+    case 'analyzing':
+      return `Analyzing Audio ${Math.floor(progress.percent || 0)}%`;
+    default:
+      return 'Analyzing Audio';
+  }
+}
+
 /**
  * Draw the loading animation - shown while analyzing audio
  * EXACT MATCH TO TEST-RUNNER
@@ -11,8 +30,9 @@
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
  * @param {number} time - Current time in seconds
+ * @param {Object} progress - Optional server download progress { status, percent }
  */
-export function drawLoadingAnimation(ctx, width, height, time) {
+export function drawLoadingAnimation(ctx, width, height, time, progress = null) {
   const centerX = width / 2;
   const centerY = height / 2;
   
@@ -70,7 +90,7 @@ export function drawLoadingAnimation(ctx, width, height, time) {
   ctx.fillStyle = '#1DB954';
   ctx.font = '16px "Orbitron", monospace';
   ctx.textAlign = 'center';
-  ctx.fillText(`Analyzing Audio${dots}`, centerX, height - 50);
+  ctx.fillText(`${getLoadingLabel(progress)}${dots}`, centerX, height - 50);
   
   // Progress bar style indicator - EXACT MATCH TO TEST-RUNNER
   const progressWidth = width * 0.4;
@@ -82,8 +102,11 @@ export function drawLoadingAnimation(ctx, width, height, time) {
   ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
   ctx.fillRect(progressX, progressY, progressWidth, progressHeight);
   
-  // Animated fill
-  const fillWidth = (Math.sin(time * 1.5) * 0.5 + 0.5) * progressWidth;
+  // Real download or analysis progress when it's reported, animated fill otherwise
+  const hasPercent = progress && ['downloading', 'analyzing'].includes(progress.status) && typeof progress.percent === 'number';
+  const fillWidth = hasPercent
+    ? (Math.min(100, progress.percent) / 100) * progressWidth
+    : (Math.sin(time * 1.5) * 0.5 + 0.5) * progressWidth;
   const gradient = ctx.createLinearGradient(progressX, 0, progressX + progressWidth, 0);
   gradient.addColorStop(0, 'rgba(29, 185, 84, 0.3)');
   gradient.addColorStop(0.5, 'rgba(29, 185, 84, 0.8)');
@@ -0,0 +1,223 @@
+// Feature Extractors - the signal-processing half of audio analysis
+// Pure functions over a mono Float32Array: nothing here touches the DOM, so they run
+// inside the analysis workers (analysisWorker.js). audioAnalysisService.js hands
+// signals to the workers through analysisWorkerPool.js.
+// See server/featureExtractors.js - keep the two in sync.
+
+import { magnitudeSpectrum, binFrequency } from './fft';
+import { resolveMelLayout, applyMelFilterbank } from './melFilterbank';
+
+export const FRAME_SIZE = 2048;
+export const FRAME_INTERVAL = 0.1; // 10fps (0.1s intervals) - sufficient for smooth visualization
+export const CHROMA_INTERVAL = 0.0333; // 30fps for chroma
+export const PITCH_INTERVAL = 0.0333; // 30fps for pitch
+
+// Frame loops report progress in steps of this many percent
+const PROGRESS_STEP = 10;
+
+/**
+ * Progress callback for a frame loop - calls onProgress(percent) every PROGRESS_STEP percent
+ */
+function frameProgress(numFrames, onProgress) {
+  let reported = 0;
+  return (i) => {
+    const percent = Math.floor(((i + 1) / numFrames) * 100);
+    if (percent >= reported + PROGRESS_STEP) {
+      reported = percent - (percent % PROGRESS_STEP);
+      onProgress(reported);
+    }
+  };
+}
+
+/**
+ * Mel spectrogram at 10fps through the triangular mel filterbank
+ * @param {Object} melOptions - Band layout { count, fmin, fmax, scaling } (see melFilterbank.js)
+ * @returns {Array<{time: number, bands: number[]}>}
+ */
+export function computeMelSpectrogram(signal, sampleRate, melOptions = {}, onProgress = () => {}) {
+  const layout = resolveMelLayout(melOptions, sampleRate, FRAME_SIZE);
+  const numFrames = Math.floor(signal.length / sampleRate / FRAME_INTERVAL);
+  const progress = frameProgress(numFrames, onProgress);
+  const frames = [];
+
+  for (let i = 0; i < numFrames; i++) {
+    const frameTime = i * FRAME_INTERVAL;
+    const startSample = Math.round(frameTime * sampleRate);
+    const frameData = signal.subarray(startSample, startSample + FRAME_SIZE);
+
+    if (frameData.length < FRAME_SIZE) break;
+
+    // Windowed FFT magnitudes through the triangular mel filters
+    const spectrum = magnitudeSpectrum(frameData);
+    frames.push({ time: frameTime, bands: applyMelFilterbank(spectrum, layout, sampleRate) });
+    progress(i);
+  }
+
+  return frames;
+}
+
+/**
+ * HPCP-style chroma at 30fps - spectrum energy folded into 12 pitch classes (C, C#, D, ... B)
+ * @returns {Array<{time: number, chroma: number[]}>}
+ */
+export function computeHPCPChroma(signal, sampleRate, onProgress = () => {}) {
+  const numFrames = Math.floor(signal.length / sampleRate / CHROMA_INTERVAL);
+  const progress = frameProgress(numFrames, onProgress);
+  const frames = [];
+
+  for (let i = 0; i < numFrames; i++) {
+    const frameTime = i * CHROMA_INTERVAL;
+    const startSample = Math.round(frameTime * sampleRate);
+    const frameData = signal.subarray(startSample, startSample + FRAME_SIZE);
+
+    if (frameData.length < FRAME_SIZE) break;
+
+    // Full-resolution spectrum - bins are ~21.5Hz apart at 44.1kHz
+    const spectrum = magnitudeSpectrum(frameData);
+
+    // Map to 12 pitch classes
+    const chroma = new Array(12).fill(0);
+    for (let bin = 1; bin < spectrum.length; bin++) {
+      const freq = binFrequency(bin, frameData.length, sampleRate);
+      if (freq > 60 && freq < 4000) {
+        // Convert frequency to pitch class (0-11)
+        const midiNote = 12 * Math.log2(freq / 440) + 69;
+        const pitchClass = Math.round(midiNote) % 12;
+        if (pitchClass >= 0 && pitchClass < 12) {
+          chroma[pitchClass] += spectrum[bin];
+        }
+      }
+    }
+
+    // Normalize
+    const maxChroma = Math.max(...chroma, 0.001);
+    frames.push({ time: frameTime, chroma: chroma.map(c => c / maxChroma) });
+    progress(i);
+  }
+
+  return frames;
+}
+
+/**
+ * Pitch (fundamental frequency) with PitchMelodia at ~30fps
+ * @param {Object} essentia - Loaded Essentia.js instance
+ * @returns {Array<{time: number, pitch: number, confidence: number}>}
+ */
+export function computePitch(essentia, signal, sampleRate) {
+  // ~30 frames per second (0.0333s intervals)
+  const hopSize = Math.round(sampleRate * PITCH_INTERVAL);
+  const signalVector = essentia.arrayToVector(signal);
+
+  // Parameters: binResolution, filterIterations, frameSize, guessUnvoiced, harmonicWeight,
+  //             hopSize, magnitudeCompression, magnitudeThreshold, maxFrequency, minDuration,
+  //             minFrequency, numberHarmonics, peakDistributionThreshold, peakFrameThreshold,
+  //             pitchContinuity, referenceFrequency, sampleRate, timeContinuity
+  const pitchResult = essentia.PitchMelodia(
+    signalVector,
+    10, 3, FRAME_SIZE, false, 0.8,
+    hopSize,
+    1, 40, 20000, 100, 80, 20, 0.9, 0.9, 27.5625, 55,
+    sampleRate,
+    100
+  );
+
+  const pitchArray = essentia.vectorToArray(pitchResult.pitch);
+  const confidenceArray = essentia.vectorToArray(pitchResult.pitchConfidence);
+
+  signalVector.delete();
+  pitchResult.pitch.delete();
+  pitchResult.pitchConfidence.delete();
+
+  const frames = [];
+  for (let i = 0; i < pitchArray.length; i++) {
+    frames.push({ time: (i * hopSize) / sampleRate, pitch: pitchArray[i], confidence: confidenceArray[i] });
+  }
+  return frames;
+}
+
+/**
+ * BPM and beat positions with RhythmExtractor2013, plus beat density in 0.1s intervals
+ * @param {Object} essentia - Loaded Essentia.js instance
+ * @param {number} duration - Audio duration (defaults to the signal length)
+ * @returns {{bpm: number, beats: number[], beatDensity: Object[], confidence: number}}
+ */
+export function computeRhythm(essentia, signal, sampleRate, duration = null) {
+  const signalVector = essentia.arrayToVector(signal);
+
+  const rhythmResult = essentia.RhythmExtractor2013(
+    signalVector,
+    208,     // maxTempo
+    'degara', // method
+    40       // minTempo
+  );
+
+  const rawBeats = essentia.vectorToArray(rhythmResult.ticks);
+  const { bpm, confidence } = rhythmResult;
+
+  signalVector.delete();
+  rhythmResult.ticks.delete();
+
+  const audioDuration = duration || (signal.length / sampleRate);
+
+  // Filter out any beats beyond the audio duration
+  // (plain array - a Float32Array would be saved to JSON as an object)
+  const beats = Array.from(rawBeats).filter(t => t <= audioDuration);
+
+  // Count beats per 0.1s frame
+  const numFrames = Math.ceil(audioDuration / FRAME_INTERVAL);
+  const beatDensity = [];
+  for (let i = 0; i < numFrames; i++) {
+    const frameStart = i * FRAME_INTERVAL;
+    const frameEnd = frameStart + FRAME_INTERVAL;
+    beatDensity.push({
+      time: frameStart,
+      beats: beats.filter(t => t >= frameStart && t < frameEnd).length
+    });
+  }
+
+  return { bpm, beats, beatDensity, confidence };
+}
+
+// ==================== TRANSFER PACKING ====================
+// Frame arrays cross the worker boundary as typed-array columns, so they can be
+// transferred instead of structured-cloned object by object.
+
+/**
+ * Pack frames ({ time, ...numbers or fixed-width number arrays }) into typed-array columns
+ * @returns {{length: number, times: Float64Array, columns: Array<{name, width, values: Float32Array}>}}
+ */
+export function packFrames(frames) {
+  const first = frames[0] || {};
+  const columns = Object.keys(first).filter(name => name !== 'time').map(name => {
+    const width = Array.isArray(first[name]) ? first[name].length : 0;
+    const values = new Float32Array(frames.length * Math.max(1, width));
+    frames.forEach((frame, i) => {
+      if (width) values.set(frame[name], i * width);
+      else values[i] = frame[name];
+    });
+    return { name, width, values };
+  });
+  return { length: frames.length, times: Float64Array.from(frames, frame => frame.time), columns };
+}
+
+/**
+ * Rebuild frames from packFrames output
+ */
+export function unpackFrames({ length, times, columns }) {
+  const frames = [];
+  for (let i = 0; i < length; i++) {
+    const frame = { time: times[i] };
+    columns.forEach(({ name, width, values }) => {
+      frame[name] = width ? Array.from(values.subarray(i * width, (i + 1) * width)) : values[i];
+    });
+    frames.push(frame);
+  }
+  return frames;
+}
+
+/**
+ * Buffers of a packed result, for postMessage's transfer list
+ */
+export function packedBuffers(packed) {
+  return [packed.times.buffer, ...packed.columns.map(column => column.values.buffer)];
+}
@@ -0,0 +1,168 @@
+// FFT - radix-2 real-input FFT for the spectral extractors
+// Replaces the sample-skipping DFT (computeSpectrumFast), which aliased everything
+// above a few kHz and still cost O(N·bins) per frame. A real frame of N samples is
+// packed into N/2 complex values, run through an iterative radix-2 FFT and split
+// back into the N/2 + 1 bins of the real spectrum: bin k sits at k * sampleRate / N Hz.
+//
+// Twiddles, bit-reversal tables and analysis windows are computed once per size
+// and reused for every frame.
+// See server/fft.js - keep the two in sync.
+
+// Cached per FFT size
+const plans = new Map();
+// Cached per `${type}:${size}`
+const windows = new Map();
+
+const WINDOW_FUNCTIONS = {
+  rectangular: () => 1,
+  hann: (i, n) => 0.5 * (1 - Math.cos(2 * Math.PI * i / (n - 1))),
+  hamming: (i, n) => 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (n - 1)),
+  blackman: (i, n) => 0.42 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)) + 0.08 * Math.cos(4 * Math.PI * i / (n - 1))
+};
+
+/**
+ * Analysis window of a given size (symmetric, same Hann as the old DFT)
+ * @param {'hann'|'hamming'|'blackman'|'rectangular'} type
+ * @returns {Float32Array} - Shared, don't modify
+ */
+export function getWindow(type, size) {
+  const key = `${type}:${size}`;
+  let window = windows.get(key);
+  if (window) return window;
+
+  const fn = WINDOW_FUNCTIONS[type];
+  if (!fn) throw new Error(`Unknown window type: ${type}`);
+  window = new Float32Array(size);
+  for (let i = 0; i < size; i++) window[i] = fn(i, size);
+  windows.set(key, window);
+  return window;
+}
+
+/**
+ * Twiddles and bit-reversal table for a real FFT of `size` samples
+ */
+function getPlan(size) {
+  let plan = plans.get(size);
+  if (plan) return plan;
+
+  if (!Number.isInteger(size) || size < 4 || (size & (size - 1)) !== 0) {
+    throw new Error(`FFT size must be a power of two >= 4, got ${size}`);
+  }
+
+  const half = size / 2;
+  const bits = Math.log2(half);
+
+  const reverse = new Uint32Array(half);
+  for (let i = 0; i < half; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+    reverse[i] = r;
+  }
+
+  // e^(-2πik/half) for the half-size complex FFT
+  const cos = new Float64Array(half / 2);
+  const sin = new Float64Array(half / 2);
+  for (let k = 0; k < half / 2; k++) {
+    cos[k] = Math.cos(2 * Math.PI * k / half);
+    sin[k] = -Math.sin(2 * Math.PI * k / half);
+  }
+
+  // e^(-2πik/size) for splitting the packed result into the real spectrum
+  const splitCos = new Float64Array(half);
+  const splitSin = new Float64Array(half);
+  for (let k = 0; k < half; k++) {
+    splitCos[k] = Math.cos(2 * Math.PI * k / size);
+    splitSin[k] = -Math.sin(2 * Math.PI * k / size);
+  }
+
+  plan = {
+    size, half, reverse, cos, sin, splitCos, splitSin,
+    re: new Float64Array(half),
+    im: new Float64Array(half)
+  };
+  plans.set(size, plan);
+  return plan;
+}
+
+/**
+ * FFT of a real signal
+ * @param {Float32Array|number[]} input - Length must be a power of two
+ * @param {Float32Array} [window] - Multiplied into the input (same length)
+ * @returns {{re: Float64Array, im: Float64Array}} - The N/2 + 1 non-negative frequency bins
+ */
+export function realFFT(input, window = null) {
+  const plan = getPlan(input.length);
+  const { half, reverse, cos, sin, splitCos, splitSin, re, im } = plan;
+
+  // Pack even samples as real, odd samples as imaginary parts (bit-reversed order)
+  for (let i = 0; i < half; i++) {
+    const j = reverse[i];
+    re[j] = window ? input[2 * i] * window[2 * i] : input[2 * i];
+    im[j] = window ? input[2 * i + 1] * window[2 * i + 1] : input[2 * i + 1];
+  }
+
+  // Iterative radix-2 butterflies
+  for (let len = 2; len <= half; len <<= 1) {
+    const span = len >> 1;
+    const stride = half / len;
+    for (let start = 0; start < half; start += len) {
+      for (let j = 0; j < span; j++) {
+        const wr = cos[j * stride];
+        const wi = sin[j * stride];
+        const a = start + j;
+        const b = a + span;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+
+  // Split: X[k] = E[k] + e^(-2πik/N) * O[k], from Z[k] and conj(Z[half - k])
+  const outRe = new Float64Array(half + 1);
+  const outIm = new Float64Array(half + 1);
+  for (let k = 0; k <= half; k++) {
+    const zr = re[k % half];
+    const zi = im[k % half];
+    const cr = re[(half - k) % half];
+    const ci = -im[(half - k) % half];
+
+    const er = (zr + cr) / 2;
+    const ei = (zi + ci) / 2;
+    const or = (zi - ci) / 2;
+    const oi = -(zr - cr) / 2;
+
+    const wr = k < half ? splitCos[k] : -1;
+    const wi = k < half ? splitSin[k] : 0;
+    outRe[k] = er + wr * or - wi * oi;
+    outIm[k] = ei + wr * oi + wi * or;
+  }
+
+  return { re: outRe, im: outIm };
+}
+
+/**
+ * Windowed magnitude spectrum of one frame, normalized by the frame length
+ * @param {Float32Array|number[]} frame - Length must be a power of two
+ * @param {string} windowType - See getWindow
+ * @returns {Float32Array} - N/2 + 1 magnitudes, bin k at k * sampleRate / N Hz
+ */
+export function magnitudeSpectrum(frame, windowType = 'hann') {
+  const n = frame.length;
+  const { re, im } = realFFT(frame, getWindow(windowType, n));
+  const spectrum = new Float32Array(re.length);
+  for (let k = 0; k < re.length; k++) {
+    spectrum[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]) / n;
+  }
+  return spectrum;
+}
+
+/**
+ * Center frequency of an FFT bin in Hz
+ */
+export function binFrequency(bin, fftSize, sampleRate) {
+  return bin * sampleRate / fftSize;
+}
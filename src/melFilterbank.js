@@ -0,0 +1,127 @@
+// Mel Filterbank - triangular mel-spaced bands over an FFT spectrum
+// Band edges are spaced evenly on the mel scale (HTK: mel = 2595 * log10(1 + hz / 700))
+// between fmin and fmax, so the bass gets narrow bands and the treble wide ones.
+// Each band is the triangle-weighted mean power of the FFT bins under it.
+//
+// The layout is recorded with every analysis as `melBands`:
+//   { scale: 'mel', count, fmin, fmax, scaling, fftSize }
+// scale 'linear' (equal-width bands from 0 Hz to Nyquist, the layout before the
+// filterbank) is also understood - melBandFrequencies handles both, for labelling bands in Hz.
+// See server/melFilterbank.js - keep the two in sync.
+
+export const DEFAULT_MEL_OPTIONS = {
+  count: 40,
+  fmin: 30,
+  fmax: 16000, // MP3 encoders cut most content above ~16kHz
+  scaling: 'log'
+};
+
+export const MEL_SCALINGS = ['log', 'power'];
+
+// Cached per layout and FFT size
+const filterbanks = new Map();
+
+export function hzToMel(hz) {
+  return 2595 * Math.log10(1 + hz / 700);
+}
+
+export function melToHz(mel) {
+  return 700 * (Math.pow(10, mel / 2595) - 1);
+}
+
+/**
+ * Resolve options into the layout recorded with the analysis
+ * fmax is clamped to Nyquist, fmin to just below fmax
+ * @param {Object} options - Any of { count, fmin, fmax, scaling }, defaults from DEFAULT_MEL_OPTIONS
+ */
+export function resolveMelLayout(options = {}, sampleRate, fftSize) {
+  const { count, fmin, fmax, scaling } = { ...DEFAULT_MEL_OPTIONS, ...options };
+
+  if (!Number.isInteger(count) || count < 1) throw new Error(`Mel band count must be a positive integer, got ${count}`);
+  if (!MEL_SCALINGS.includes(scaling)) throw new Error(`Unknown mel scaling: ${scaling}`);
+
+  const top = Math.min(fmax, sampleRate / 2);
+  const bottom = Math.max(0, Math.min(fmin, top - 1));
+  return { scale: 'mel', count, fmin: bottom, fmax: top, scaling, fftSize };
+}
+
+/**
+ * Lower edge, center and upper edge (Hz) of every band in a layout
+ * @param {Object} melBands - An analysis's `melBands`
+ * @returns {Array<{low: number, center: number, high: number}>}
+ */
+export function melBandFrequencies(melBands) {
+  const { scale, count, fmin, fmax } = melBands;
+
+  if (scale === 'linear') {
+    const width = (fmax - fmin) / count;
+    return Array.from({ length: count }, (_, b) => ({
+      low: fmin + b * width,
+      center: fmin + (b + 0.5) * width,
+      high: fmin + (b + 1) * width
+    }));
+  }
+
+  // count + 2 points: each band runs from the previous center to the next one
+  const melMin = hzToMel(fmin);
+  const step = (hzToMel(fmax) - melMin) / (count + 1);
+  return Array.from({ length: count }, (_, b) => ({
+    low: melToHz(melMin + b * step),
+    center: melToHz(melMin + (b + 1) * step),
+    high: melToHz(melMin + (b + 2) * step)
+  }));
+}
+
+/**
+ * Triangular filters for a layout: per band, the first FFT bin and its weights
+ * Weights sum to 1, so a band is a weighted mean and wide treble bands don't outweigh the bass
+ */
+function getFilterbank(layout, sampleRate) {
+  const { count, fmin, fmax, fftSize } = layout;
+  const key = `${count}:${fmin}:${fmax}:${fftSize}:${sampleRate}`;
+  let filters = filterbanks.get(key);
+  if (filters) return filters;
+
+  const binHz = sampleRate / fftSize;
+  const lastBin = fftSize / 2;
+
+  filters = melBandFrequencies(layout).map(({ low, center, high }) => {
+    const first = Math.max(0, Math.ceil(low / binHz));
+    const last = Math.min(lastBin, Math.floor(high / binHz));
+    const weights = [];
+    for (let bin = first; bin <= last; bin++) {
+      const hz = bin * binHz;
+      weights.push(hz <= center
+        ? (center > low ? (hz - low) / (center - low) : 1)
+        : (high > center ? (high - hz) / (high - center) : 1));
+    }
+
+    // Bass bands can be narrower than one bin - use the bin nearest the center
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total <= 0) {
+      return { start: Math.min(lastBin, Math.round(center / binHz)), weights: [1] };
+    }
+    return { start: first, weights: weights.map(w => w / total) };
+  });
+
+  filterbanks.set(key, filters);
+  return filters;
+}
+
+/**
+ * Mel band values for one frame
+ * @param {Float32Array} spectrum - Magnitudes from magnitudeSpectrum (fftSize / 2 + 1 bins)
+ * @param {Object} layout - From resolveMelLayout
+ * @returns {number[]} - 'power': mean power per band; 'log': log10(1 + rms * 100) * 10,
+ *                       the scale the linear bands used (analysisAlignment's melEnvelope undoes it)
+ */
+export function applyMelFilterbank(spectrum, layout, sampleRate) {
+  return getFilterbank(layout, sampleRate).map(({ start, weights }) => {
+    let power = 0;
+    for (let i = 0; i < weights.length; i++) {
+      const magnitude = spectrum[start + i];
+      power += weights[i] * magnitude * magnitude;
+    }
+    return layout.scaling === 'power' ? power : Math.log10(1 + Math.sqrt(power) * 100) * 10;
+  });
+}
@@ -0,0 +1,284 @@
+// Meter Estimation - beats per bar and where the bars start
+// RhythmExtractor2013 only finds beats. Downbeats are picked from features the
+// analysis already has, scored per beat:
+//   - harmonic change: chords tend to change on the one (chroma before vs after the beat)
+//   - bass: kick drums and bass notes land on strong beats (lowest mel bands)
+//   - attack: onset strength at the beat
+// Each cue is z-scored over the track and the weighted sum is the beat's downbeat salience.
+// For each candidate meter a Viterbi pass walks the beats through bar positions
+// 1..beatsPerBar - advancing is free, jumping costs JUMP_PENALTY, so a dropped or extra
+// beat from the beat tracker costs one jump instead of shifting every later bar.
+// The meter whose downbeats stand out most from the other beats wins.
+//
+// Stored with every analysis as `features.rhythm.meter`:
+//   { beatsPerBar, downbeats: [seconds], confidence 0-1 }
+// `downbeats` are a subset of `rhythm.beats` and are the bar boundaries.
+// Only stored features are used, so older files get the same estimate when upgraded.
+// See server/meterEstimation.js - keep the two in sync.
+
+export const METERS = [3, 4];
+const DEFAULT_BEATS_PER_BAR = 4;
+
+// Weights of the downbeat cues
+const CHROMA_WEIGHT = 0.5;
+const BASS_WEIGHT = 0.25;
+const ONSET_WEIGHT = 0.25;
+
+// Fraction of the mel bands (from the bottom) that count as bass
+const BASS_BANDS = 0.25;
+// Onset strength is the max within this distance of the beat (seconds)
+const ONSET_WINDOW = 0.05;
+// Viterbi cost of a bar position that doesn't follow from the previous beat (z units)
+const JUMP_PENALTY = 4;
+// A meter other than the default must beat its contrast by this much
+const METER_MARGIN = 0.1;
+// Contrast (z units) that counts as full confidence
+const FULL_CONTRAST = 1;
+
+/**
+ * Index of the last frame at or before a time (-1 if none) - frames sorted by time
+ */
+function frameIndexAt(frames, time) {
+  let left = 0;
+  let right = frames.length - 1;
+  let found = -1;
+  while (left <= right) {
+    const mid = (left + right) >> 1;
+    if (frames[mid].time <= time) {
+      found = mid;
+      left = mid + 1;
+    } else {
+      right = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Index of the last value at or before a time (-1 if none) - sorted numbers
+ */
+function indexAt(values, time) {
+  let left = 0;
+  let right = values.length - 1;
+  let found = -1;
+  while (left <= right) {
+    const mid = (left + right) >> 1;
+    if (values[mid] <= time) {
+      found = mid;
+      left = mid + 1;
+    } else {
+      right = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Scale values to zero mean and unit variance (all zeros if they don't vary)
+ */
+function zScores(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+  const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (values.length || 1);
+  const deviation = Math.sqrt(variance);
+  return values.map(v => (deviation > 0 ? (v - mean) / deviation : 0));
+}
+
+/**
+ * Mean chroma vector of the frames in [start, end)
+ */
+function meanChroma(hpcpChroma, start, end) {
+  const sum = new Array(12).fill(0);
+  let count = 0;
+  for (let i = Math.max(0, frameIndexAt(hpcpChroma, start)); i < hpcpChroma.length && hpcpChroma[i].time < end; i++) {
+    if (hpcpChroma[i].time < start) continue;
+    hpcpChroma[i].chroma.forEach((value, c) => { sum[c] += value; });
+    count++;
+  }
+  return count ? sum.map(value => value / count) : null;
+}
+
+/**
+ * Cosine distance between two chroma vectors (0 = same harmony, 1 = nothing in common)
+ */
+function chromaDistance(a, b) {
+  if (!a || !b) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let c = 0; c < 12; c++) {
+    dot += a[c] * b[c];
+    normA += a[c] * a[c];
+    normB += b[c] * b[c];
+  }
+  return normA > 0 && normB > 0 ? 1 - dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Downbeat salience of every beat (z units)
+ * @param {Object} features - Analysis features: rhythm.beats, hpcpChroma, melSpectrogram, onsets
+ * @param {Object} melBands - The analysis's band layout (power bands are log-compressed first)
+ */
+export function downbeatSalience(features, melBands = {}) {
+  const beats = features.rhythm.beats;
+  const { hpcpChroma = [], melSpectrogram = [], onsets } = features;
+  const strength = (onsets && onsets.strength) || [];
+  const toLog = melBands.scaling === 'power'
+    ? power => Math.log10(1 + Math.sqrt(power) * 100) * 10
+    : value => value;
+
+  const chromaChange = beats.map((beat, i) => {
+    const previous = i > 0 ? beats[i - 1] : beat - (beats[1] - beat || 0.5);
+    const next = i + 1 < beats.length ? beats[i + 1] : beat + (beat - previous);
+    return chromaDistance(meanChroma(hpcpChroma, previous, beat), meanChroma(hpcpChroma, beat, next));
+  });
+
+  const bass = beats.map(beat => {
+    const frame = melSpectrogram[frameIndexAt(melSpectrogram, beat)];
+    if (!frame) return 0;
+    const count = Math.max(1, Math.round(frame.bands.length * BASS_BANDS));
+    let sum = 0;
+    for (let b = 0; b < count; b++) sum += toLog(frame.bands[b]);
+    return sum / count;
+  });
+
+  const attack = beats.map(beat => {
+    let max = 0;
+    for (let i = Math.max(0, frameIndexAt(strength, beat - ONSET_WINDOW)); i < strength.length && strength[i].time <= beat + ONSET_WINDOW; i++) {
+      max = Math.max(max, strength[i].strength);
+    }
+    return max;
+  });
+
+  const chromaZ = zScores(chromaChange);
+  const bassZ = zScores(bass);
+  const attackZ = zScores(attack);
+  return beats.map((_, i) => CHROMA_WEIGHT * chromaZ[i] + BASS_WEIGHT * bassZ[i] + ONSET_WEIGHT * attackZ[i]);
+}
+
+/**
+ * Most likely bar position (0 = downbeat) of every beat for one meter
+ * Rewards downbeats on salient beats; advancing one position per beat is free
+ * @returns {number[]} - Position of each beat, 0..beatsPerBar - 1
+ */
+function viterbiPositions(salience, beatsPerBar) {
+  const n = salience.length;
+  const emission = (i, position) => (position === 0 ? salience[i] : 0);
+
+  let scores = Array.from({ length: beatsPerBar }, (_, position) => emission(0, position));
+  const back = [];
+
+  for (let i = 1; i < n; i++) {
+    const best = Math.max(...scores);
+    const nextScores = new Array(beatsPerBar);
+    const pointers = new Array(beatsPerBar);
+    for (let position = 0; position < beatsPerBar; position++) {
+      const previous = (position + beatsPerBar - 1) % beatsPerBar;
+      const advance = scores[previous];
+      const jump = best - JUMP_PENALTY;
+      if (advance >= jump) {
+        nextScores[position] = advance + emission(i, position);
+        pointers[position] = previous;
+      } else {
+        nextScores[position] = jump + emission(i, position);
+        pointers[position] = scores.indexOf(best);
+      }
+    }
+    scores = nextScores;
+    back.push(pointers);
+  }
+
+  const positions = new Array(n);
+  positions[n - 1] = scores.indexOf(Math.max(...scores));
+  for (let i = n - 1; i > 0; i--) {
+    positions[i - 1] = back[i - 1][positions[i]];
+  }
+  return positions;
+}
+
+/**
+ * How far the downbeats stand out: mean salience of downbeats minus that of the other beats
+ */
+function downbeatContrast(salience, positions) {
+  let downSum = 0;
+  let downCount = 0;
+  let otherSum = 0;
+  let otherCount = 0;
+  positions.forEach((position, i) => {
+    if (position === 0) {
+      downSum += salience[i];
+      downCount++;
+    } else {
+      otherSum += salience[i];
+      otherCount++;
+    }
+  });
+  if (!downCount || !otherCount) return 0;
+  return downSum / downCount - otherSum / otherCount;
+}
+
+/**
+ * Estimate beats per bar and the downbeats of an analysis
+ * @param {Object} features - Analysis features (rhythm.beats plus chroma, mel and onsets)
+ * @param {Object} melBands - The analysis's band layout
+ * @returns {{beatsPerBar: number, downbeats: number[], confidence: number}}
+ */
+export function estimateMeter(features, melBands = {}) {
+  const beats = (features.rhythm && features.rhythm.beats) || [];
+
+  // Too few beats to tell - bars of four from the first beat
+  if (beats.length < DEFAULT_BEATS_PER_BAR * 2) {
+    return {
+      beatsPerBar: DEFAULT_BEATS_PER_BAR,
+      downbeats: beats.filter((_, i) => i % DEFAULT_BEATS_PER_BAR === 0),
+      confidence: 0
+    };
+  }
+
+  const salience = downbeatSalience(features, melBands);
+  const candidates = METERS.map(beatsPerBar => {
+    const positions = viterbiPositions(salience, beatsPerBar);
+    const margin = beatsPerBar === DEFAULT_BEATS_PER_BAR ? 0 : METER_MARGIN;
+    return { beatsPerBar, positions, contrast: downbeatContrast(salience, positions), margin };
+  });
+  const best = candidates.reduce((a, b) => (b.contrast - b.margin > a.contrast - a.margin ? b : a));
+
+  return {
+    beatsPerBar: best.beatsPerBar,
+    downbeats: beats.filter((_, i) => best.positions[i] === 0),
+    confidence: parseFloat(Math.max(0, Math.min(1, best.contrast / FULL_CONTRAST)).toFixed(3))
+  };
+}
+
+/**
+ * Position of a time in its bar
+ * @param {number[]} beats - rhythm.beats
+ * @param {Object} meter - rhythm.meter
+ * @param {number} bpm - Tempo, for the length of the bars before the first and after the last downbeat
+ * @returns {{beatInBar: number, barPhase: number}} - beatInBar counts from 1 (0 before the first beat),
+ *          barPhase runs 0-1 from one downbeat to the next
+ */
+export function barPosition(beats, meter, time, bpm = 120) {
+  const { beatsPerBar, downbeats } = meter;
+  const beatIndex = indexAt(beats, time);
+  const barLength = (60 / (bpm || 120)) * beatsPerBar;
+  if (!downbeats.length) return { beatInBar: 0, barPhase: 0 };
+
+  const bar = indexAt(downbeats, time);
+  const barStart = bar >= 0 ? downbeats[bar] : downbeats[0] - barLength;
+  const barEnd = bar + 1 < downbeats.length ? downbeats[bar + 1] : barStart + barLength;
+  const barPhase = Math.max(0, Math.min(0.999, (time - barStart) / (barEnd - barStart)));
+
+  if (beatIndex < 0) return { beatInBar: 0, barPhase };
+
+  // Downbeats are beats - count beats from the bar's first one (or back from the
+  // first downbeat for a pickup)
+  let beatInBar;
+  if (bar >= 0) {
+    const downbeatIndex = indexAt(beats, downbeats[bar] + 1e-4);
+    beatInBar = ((beatIndex - downbeatIndex) % beatsPerBar) + 1;
+  } else {
+    const firstDownbeatIndex = indexAt(beats, downbeats[0] + 1e-4);
+    beatInBar = beatsPerBar - ((firstDownbeatIndex - beatIndex - 1) % beatsPerBar);
+  }
+  return { beatInBar, barPhase };
+}
@@ -0,0 +1,211 @@
+// Onset Detection - note and drum attacks between (and on) the beats
+// The detection function runs at 100 frames per second over short 1024-sample frames:
+// half-wave rectified spectral flux of the log-compressed spectrum (any band getting
+// louder) plus the rise in high-frequency content (HFC, bins weighted by index, so
+// snares and hi-hats stand out). Both are scaled by a high percentile and averaged.
+//
+// Stored with every analysis as `features.onsets`:
+//   { method, times: [seconds], strength: [{ time, strength 0-1 }] }
+// `strength` is the detection function max-pooled onto the ONSET_INTERVAL grid, so a
+// transient never falls between two stored frames; `times` are the picked peaks.
+// Files from before onset detection get method 'mel-flux': the same peak picking over
+// flux of their 10fps mel frames (see melFluxOnsets).
+// See server/onsetDetection.js - keep the two in sync.
+
+import { magnitudeSpectrum } from './fft';
+
+export const ONSET_FRAME_SIZE = 1024;
+export const ONSET_INTERVAL = 0.0333; // 30fps strength curve
+const ONSET_HOP = 0.01; // 100 detection frames per second
+
+// Log compression of magnitudes before the flux: log(1 + LOG_GAMMA * magnitude)
+const LOG_GAMMA = 1000;
+// Values are divided by this percentile of the curve, then clipped to 1
+const NORMALIZE_PERCENTILE = 0.99;
+
+// Peak picking (seconds, strength)
+const PEAK_RADIUS = 0.03;        // a peak is the largest value within this distance
+const THRESHOLD_BEFORE = 0.1;    // adaptive threshold: mean of the curve from here...
+const THRESHOLD_AFTER = 0.03;    // ...to here around the candidate
+const THRESHOLD_DELTA = 0.05;    // how far a peak must rise above that mean
+const MIN_STRENGTH = 0.1;
+const MIN_GAP = 0.05;            // no two onsets closer than this
+
+// Frame loops report progress in steps of this many percent
+const PROGRESS_STEP = 10;
+
+/**
+ * Scale a curve by its NORMALIZE_PERCENTILE value, clipped to 0-1
+ * A percentile rather than the max, so one huge hit doesn't flatten everything else
+ * (sparse curves - a few hits in silence - fall back to the max)
+ */
+function normalizeCurve(curve) {
+  const sorted = Float32Array.from(curve).sort();
+  const reference = sorted[Math.floor((sorted.length - 1) * NORMALIZE_PERCENTILE)] || sorted[sorted.length - 1] || 0;
+  if (reference <= 0) return curve.map(() => 0);
+  return curve.map(value => Math.min(1, value / reference));
+}
+
+/**
+ * Onset detection function: combined spectral flux and HFC rise, 0-1
+ * @returns {{curve: Float32Array, frameRate: number, offset: number}} - curve[i] belongs
+ *          to time offset + i / frameRate (the center of detection frame i)
+ */
+export function onsetDetectionFunction(signal, sampleRate, onProgress = () => {}) {
+  const hopSize = Math.round(sampleRate * ONSET_HOP);
+  const numFrames = Math.max(0, Math.floor((signal.length - ONSET_FRAME_SIZE) / hopSize) + 1);
+  const flux = new Float32Array(numFrames);
+  const hfcRise = new Float32Array(numFrames);
+
+  let previousLog = null;
+  let previousHfc = 0;
+  let reported = 0;
+
+  for (let i = 0; i < numFrames; i++) {
+    const spectrum = magnitudeSpectrum(signal.subarray(i * hopSize, i * hopSize + ONSET_FRAME_SIZE));
+    const logSpectrum = spectrum.map(magnitude => Math.log1p(LOG_GAMMA * magnitude));
+
+    let hfc = 0;
+    for (let bin = 1; bin < spectrum.length; bin++) {
+      hfc += bin * spectrum[bin] * spectrum[bin];
+    }
+
+    // The first frame has nothing to rise from
+    if (previousLog) {
+      let sum = 0;
+      for (let bin = 0; bin < logSpectrum.length; bin++) {
+        const rise = logSpectrum[bin] - previousLog[bin];
+        if (rise > 0) sum += rise;
+      }
+      flux[i] = sum;
+      hfcRise[i] = Math.max(0, hfc - previousHfc);
+    }
+    previousLog = logSpectrum;
+    previousHfc = hfc;
+
+    const percent = Math.floor(((i + 1) / numFrames) * 100);
+    if (percent >= reported + PROGRESS_STEP) {
+      reported = percent - (percent % PROGRESS_STEP);
+      onProgress(reported);
+    }
+  }
+
+  const normalizedFlux = normalizeCurve(flux);
+  const normalizedHfc = normalizeCurve(hfcRise);
+  return {
+    curve: normalizedFlux.map((value, i) => (value + normalizedHfc[i]) / 2),
+    frameRate: sampleRate / hopSize,
+    offset: ONSET_FRAME_SIZE / 2 / sampleRate
+  };
+}
+
+/**
+ * Pick onset times from a detection function: local maxima above an adaptive threshold
+ * @param {{curve, frameRate, offset}} odf - From onsetDetectionFunction (or melFluxOnsets)
+ * @returns {number[]} - Onset times in seconds
+ */
+export function pickOnsets({ curve, frameRate, offset }) {
+  const radius = Math.max(1, Math.round(PEAK_RADIUS * frameRate));
+  const before = Math.max(1, Math.round(THRESHOLD_BEFORE * frameRate));
+  const after = Math.max(1, Math.round(THRESHOLD_AFTER * frameRate));
+  const onsets = [];
+
+  for (let i = 0; i < curve.length; i++) {
+    const value = curve[i];
+    if (value < MIN_STRENGTH) continue;
+
+    let isPeak = true;
+    for (let j = Math.max(0, i - radius); j <= Math.min(curve.length - 1, i + radius); j++) {
+      // Ties go to the first frame of a plateau
+      if (curve[j] > value || (curve[j] === value && j < i)) {
+        isPeak = false;
+        break;
+      }
+    }
+    if (!isPeak) continue;
+
+    let sum = 0;
+    const from = Math.max(0, i - before);
+    const to = Math.min(curve.length - 1, i + after);
+    for (let j = from; j <= to; j++) sum += curve[j];
+    if (value < sum / (to - from + 1) + THRESHOLD_DELTA) continue;
+
+    const time = offset + i / frameRate;
+    if (onsets.length && time - onsets[onsets.length - 1] < MIN_GAP) continue;
+    onsets.push(time);
+  }
+
+  return onsets;
+}
+
+/**
+ * Max-pool a detection function onto a regular grid
+ * @param {number} duration - Seconds of audio the grid covers
+ * @param {number} interval - Grid spacing in seconds
+ * @returns {Array<{time: number, strength: number}>}
+ */
+export function strengthFrames({ curve, frameRate, offset }, duration, interval) {
+  const numFrames = Math.floor(duration / interval);
+  const frames = Array.from({ length: numFrames }, (_, i) => ({ time: i * interval, strength: 0 }));
+  for (let i = 0; i < curve.length; i++) {
+    const index = Math.floor((offset + i / frameRate) / interval);
+    if (index < numFrames && curve[i] > frames[index].strength) {
+      frames[index].strength = curve[i];
+    }
+  }
+  return frames;
+}
+
+/**
+ * Onset strength curve and onset times for a signal
+ * @returns {{method: 'flux-hfc', times: number[], strength: Object[]}}
+ */
+export function detectOnsets(signal, sampleRate, onProgress = () => {}) {
+  const odf = onsetDetectionFunction(signal, sampleRate, onProgress);
+  return {
+    method: 'flux-hfc',
+    times: pickOnsets(odf),
+    strength: strengthFrames(odf, signal.length / sampleRate, ONSET_INTERVAL)
+  };
+}
+
+/**
+ * Approximate onsets from an existing mel spectrogram - for analyses made before
+ * onset detection, whose audio isn't at hand. Coarse (10fps) and blind to anything
+ * the mel bands average away, but it lines up with the bigger hits.
+ * @param {Array<{time, bands}>} melSpectrogram - Frames on a regular grid
+ * @param {Object} melBands - The analysis's band layout ('power' bands are log-compressed first)
+ * @returns {{method: 'mel-flux', times: number[], strength: Object[]}}
+ */
+export function melFluxOnsets(melSpectrogram, melBands, duration, sampleRate) {
+  if (melSpectrogram.length < 2) return { method: 'mel-flux', times: [], strength: [] };
+
+  const interval = melSpectrogram[1].time - melSpectrogram[0].time;
+  const toLog = melBands.scaling === 'power'
+    ? power => Math.log10(1 + Math.sqrt(power) * 100) * 10
+    : value => value;
+
+  const flux = new Float32Array(melSpectrogram.length);
+  for (let i = 1; i < melSpectrogram.length; i++) {
+    const bands = melSpectrogram[i].bands;
+    const previous = melSpectrogram[i - 1].bands;
+    let sum = 0;
+    for (let b = 0; b < bands.length; b++) {
+      const rise = toLog(bands[b]) - toLog(previous[b]);
+      if (rise > 0) sum += rise;
+    }
+    flux[i] = sum;
+  }
+
+  const odf = {
+    curve: normalizeCurve(flux),
+    frameRate: 1 / interval,
+    // Mel frame times are frame starts - the flux belongs to the frame center
+    offset: melSpectrogram[0].time + (melBands.fftSize || 2048) / 2 / sampleRate
+  };
+  return {
+    method: 'mel-flux',
+    times: pickOnsets(odf),
+    strength: strengthFrames(odf, duration, interval)
+  };
+}
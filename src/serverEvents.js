@@ -0,0 +1,109 @@
+// Server Events - live library updates from the server's /events stream
+// Tells the app about downloads and analyses it didn't start itself (pre-warming,
+// other clients), so a track's analysis can be shown as soon as it exists.
+
+import { API_BASE_URL } from './config';
+import { SpotifyAuth } from './spotifyService';
+
+// Events the server publishes (see server/README.md - Event Stream)
+export const SERVER_EVENT_TYPES = ['download:progress', 'download:done', 'analysis:saved', 'cache:evicted'];
+
+// Wait before reopening a stream the server closed for good (e.g. its token expired)
+const RECONNECT_DELAY = 5000;
+
+/**
+ * Open a server event stream (/events, /jobs/:id/events)
+ * EventSource can't send the Authorization header, so a signed-in user first trades it
+ * for a short-lived token that goes in the URL (POST /events/token)
+ * @param {string} path - Stream route, e.g. '/events'
+ * @returns {Promise<EventSource>}
+ */
+export async function openEventSource(path) {
+  const headers = await SpotifyAuth.getServerAuthHeaders();
+  if (!headers.Authorization) {
+    return new EventSource(`${API_BASE_URL}${path}`);
+  }
+
+  const response = await fetch(`${API_BASE_URL}/events/token`, { method: 'POST', headers });
+  if (!response.ok) throw new Error(`Could not get an event stream token: HTTP ${response.status}`);
+  const { token } = await response.json();
+  const separator = path.includes('?') ? '&' : '?';
+  return new EventSource(`${API_BASE_URL}${path}${separator}access_token=${encodeURIComponent(token)}`);
+}
+
+/**
+ * Whether an event belongs to a track - by Spotify ID or ISRC, then by artist and song
+ * @param {Object} eventTrack - The event's track ({ trackId, isrc, artist, song })
+ * @param {Object} track - { trackId, isrc, artist, song }
+ */
+export function isEventForTrack(eventTrack, track) {
+  if (!eventTrack || !track) return false;
+  if (eventTrack.trackId && track.trackId) return eventTrack.trackId === track.trackId;
+  if (eventTrack.isrc && track.isrc) return eventTrack.isrc.toUpperCase() === track.isrc.toUpperCase();
+
+  const same = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+  return same(eventTrack.artist, track.artist) && same(eventTrack.song, track.song);
+}
+
+/**
+ * Subscribe to server events
+ * EventSource reconnects on its own after the network drops. When the server refuses the
+ * reconnect (a restart invalidates tokens) the stream is reopened with a fresh token.
+ * @param {Object} handlers - { 'analysis:saved': (data) => {}, ... } keyed by event type
+ * @returns {function} - Call to unsubscribe
+ */
+export function subscribeToServerEvents(handlers) {
+  if (typeof EventSource === 'undefined') {
+    console.warn('⚠️ EventSource not supported - live server events disabled');
+    return () => {};
+  }
+
+  let source = null;
+  let reconnectTimer = null;
+  let closed = false;
+
+  const reconnect = () => {
+    if (closed) return;
+    reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+  };
+
+  const connect = async () => {
+    try {
+      const opened = await openEventSource('/events');
+      if (closed) {
+        opened.close();
+        return;
+      }
+      source = opened;
+    } catch (error) {
+      console.warn('⚠️ Could not open server event stream:', error);
+      reconnect();
+      return;
+    }
+
+    SERVER_EVENT_TYPES.forEach(type => {
+      if (!handlers[type]) return;
+      source.addEventListener(type, (e) => {
+        try {
+          handlers[type](JSON.parse(e.data));
+        } catch (error) {
+          console.warn(`⚠️ Could not handle server event ${type}:`, error);
+        }
+      });
+    });
+
+    source.addEventListener('error', () => {
+      if (source.readyState !== EventSource.CLOSED) return; // Reconnecting on its own
+      source.close();
+      reconnect();
+    });
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    if (source) source.close();
+  };
+}
@@ -139,6 +139,12 @@ export const SpotifyAuth = {
     return token;
   },
   
+  // Authorization header for our backend - it verifies the Spotify token to authorize writes
+  async getServerAuthHeaders() {
+    const token = await this.getValidToken();
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+  },
+  
   // Logout
   logout() {
     localStorage.removeItem('access_token');
@@ -200,6 +206,11 @@ export const SpotifyAPI = {
     return this.request('/me/player/currently-playing');
   },
   
+  // Get the user's upcoming queue
+  async getQueue() {
+    return this.request('/me/player/queue');
+  },
+  
   // Playback controls
   async play() {
     return this.request('/me/player/play', { method: 'PUT' });
@@ -10,6 +10,8 @@
 // 6. Generate visualization
 
 import { API_BASE_URL } from './config';
+import { SpotifyAuth } from './spotifyService';
+import { openEventSource } from './serverEvents';
 
 // Get YouTube API key from environment variable
 const YOUTUBE_API_KEY = process.env.REACT_APP_YOUTUBE_API_KEY;
@@ -23,6 +25,9 @@ if (!YOUTUBE_API_KEY) {
 const CACHE_KEY_PREFIX = 'yt_cache_';
 const CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days for YouTube URL cache
 const RATE_LIMIT_MIN_INTERVAL = 2000; // Minimum 2 seconds between YouTube API calls
+const JOB_POLL_INTERVAL = 1000; // Download job status polling when SSE is unavailable
+const SERVER_MAX_RETRIES = 3; // Retries when the server answers 429 (rate limit / full download queue)
+const SERVER_MAX_RETRY_WAIT = 60000; // Never wait longer than this for one retry
 
 // ==================== STATE ====================
 
@@ -43,6 +48,9 @@ let lastApiCallTime = 0;
 // Processing lock to prevent concurrent requests
 let processingLock = false;
 
+// Track IDs of the last pre-warm request (skip re-sending an unchanged queue)
+let lastPrewarmKey = null;
+
 // ==================== HELPER FUNCTIONS ====================
 
 /**
@@ -189,17 +197,22 @@ export const YouTubeService = {
   },
 
   /**
-   * Check if MP3 is already cached on server (by artist-song filename)
+   * Check if MP3 is already cached on server (by track ID or artist-song filename)
    * This is called BEFORE any YouTube API call!
+   * @param {Object} track - Optional { trackId, isrc } for exact catalog lookup
    */
-  async checkServerCache(artistName, songName) {
+  async checkServerCache(artistName, songName, track = null) {
     try {
       const params = new URLSearchParams({
         artist: artistName,
         song: songName
       });
+      if (track?.trackId) params.set('trackId', track.trackId);
+      if (track?.isrc) params.set('isrc', track.isrc);
       
-      const response = await fetch(`${API_BASE_URL}/check-mp3-cache?${params}`);
+      const response = await fetch(`${API_BASE_URL}/check-mp3-cache?${params}`, {
+        headers: await SpotifyAuth.getServerAuthHeaders()
+      });
       if (!response.ok) return null;
       
       const data = await response.json();
@@ -356,7 +369,8 @@ export const YouTubeService = {
   async clearOldMP3s() {
     try {
       const response = await fetch(`${API_BASE_URL}/clear-mp3s`, {
-        method: 'POST'
+        method: 'POST',
+        headers: await SpotifyAuth.getServerAuthHeaders()
       });
       const data = await response.json();
       console.log('🗑️ Cleared old MP3s:', data);
@@ -367,27 +381,85 @@ export const YouTubeService = {
     }
   },
 
+  /**
+   * Upload a track's audio file (MP3/WAV/FLAC/M4A) for songs YouTube doesn't have
+   * The server re-encodes it and caches it under the track, so the normal pipeline finds it
+   * @param {File} file - Audio file picked by the user
+   * @param {Object} track - { artist, song, trackId, isrc, durationMs }
+   * @param {Object} options - { replace } - replace overwrites cached audio (admin only)
+   * @returns {Promise<Object>} - { mp3Url, filename, size, replaced, analysis }
+   * @throws {Error} - With the server's error message (unsupported file, too large, ...)
+   */
+  async uploadAudio(file, track, options = {}) {
+    const form = new FormData();
+    form.append('artist', track.artist);
+    form.append('song', track.song);
+    if (track.trackId) form.append('trackId', track.trackId);
+    if (track.isrc) form.append('isrc', track.isrc);
+    if (track.durationMs) form.append('durationMs', String(track.durationMs));
+    if (options.replace) form.append('replace', 'true');
+    form.append('file', file, file.name);
+
+    const response = await fetch(`${API_BASE_URL}/upload`, {
+      method: 'POST',
+      headers: await SpotifyAuth.getServerAuthHeaders(),
+      body: form
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const details = Array.isArray(data.details) ? data.details.join('; ') : data.details;
+      throw new Error(`${data.error || `HTTP ${response.status}`}${details ? ` (${details})` : ''}`);
+    }
+    console.log(`📤 Uploaded ${file.name} as ${data.filename}`);
+    return { ...data, mp3Url: `${API_BASE_URL}${data.mp3Url}` };
+  },
+
   /**
    * Get MP3 from YouTube video via backend server
    * Now includes artist/song for proper cache filename
+   * The server answers cache hits immediately; otherwise it starts a download
+   * job and we follow its progress until the MP3 is ready
+   * Pass a null URL to let the server pick a source on its own (e.g. a local library)
+   * @param {function} onProgress - Optional callback receiving { status, percent }
+   * @param {Object} options - { quiet, track } - quiet suppresses the log when no source is
+   *                            available; track is { trackId, isrc } for the server catalog
    */
-  async getMP3(youtubeUrl, artistName, songName, clearOld = false) {
+  async getMP3(youtubeUrl, artistName, songName, clearOld = false, onProgress = null, options = {}) {
     try {
-      const response = await fetch(`${API_BASE_URL}/get-mp3`, {
+      const requestMP3 = async () => fetch(`${API_BASE_URL}/get-mp3`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(await SpotifyAuth.getServerAuthHeaders())
         },
         body: JSON.stringify({ 
           url: youtubeUrl, 
           artist: artistName,
           song: songName,
+          trackId: options.track?.trackId,
+          isrc: options.track?.isrc,
+          durationMs: options.track?.durationMs,
           clearOld 
         })
       });
 
+      // Rate limited or the download queue is full - wait as long as the server asks, then retry
+      let response = await requestMP3();
+      for (let attempt = 1; response.status === 429 && attempt <= SERVER_MAX_RETRIES; attempt++) {
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+        const waitMs = Math.min((retryAfter > 0 ? retryAfter : 5) * 1000, SERVER_MAX_RETRY_WAIT);
+        console.warn(`🚦 MP3 server busy (429), retrying in ${waitMs / 1000}s (${attempt}/${SERVER_MAX_RETRIES})`);
+        if (onProgress) onProgress({ status: 'queued', percent: 0 });
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+        response = await requestMP3();
+      }
+
       if (!response.ok) {
-        console.error(`MP3 server error: HTTP ${response.status}`);
+        // 400 with quiet just means no provider could handle a URL-less request
+        if (!(options.quiet && response.status === 400)) {
+          console.error(`MP3 server error: HTTP ${response.status}`);
+        }
         return null;
       }
 
@@ -404,6 +476,17 @@ export const YouTubeService = {
         return null;
       }
 
+      // Download started in the background - wait for the job to finish
+      if (data.jobId) {
+        console.log(`⏳ MP3 download job started: ${data.jobId}`);
+        const job = await this.waitForJob(data, onProgress);
+        if (!job || job.status !== 'done') {
+          console.error('MP3 extraction error:', job?.error || 'job did not finish', job?.details || '');
+          return null;
+        }
+        data = job.result;
+      }
+
       if (data.mp3Url) {
         if (data.cached) {
           console.log('📦 Using cached MP3 from server');
@@ -425,6 +508,59 @@ export const YouTubeService = {
     }
   },
 
+  /**
+   * Follow a server download job until it is done or has failed
+   * Uses the SSE stream when available, falling back to polling the status route
+   * @returns {Promise<object|null>} - Final job state
+   */
+  waitForJob(jobInfo, onProgress = null) {
+    const report = (job) => {
+      if (onProgress) onProgress({ status: job.status, percent: job.percent });
+    };
+
+    const poll = async () => {
+      while (true) {
+        const response = await fetch(`${API_BASE_URL}${jobInfo.statusUrl}`, {
+          headers: await SpotifyAuth.getServerAuthHeaders()
+        });
+        if (!response.ok) return null;
+        const job = await response.json();
+        report(job);
+        if (job.status === 'done' || job.status === 'error') return job;
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+      }
+    };
+
+    if (typeof EventSource === 'undefined') {
+      return poll();
+    }
+
+    return openEventSource(jobInfo.eventsUrl).then(source => new Promise((resolve) => {
+      const finish = (e) => {
+        source.close();
+        const job = JSON.parse(e.data);
+        report(job);
+        resolve(job);
+      };
+
+      source.addEventListener('progress', (e) => report(JSON.parse(e.data)));
+      source.addEventListener('done', finish);
+      // Named "error" events carry job data; connection errors don't
+      source.addEventListener('error', (e) => {
+        if (e.data) {
+          finish(e);
+          return;
+        }
+        console.warn('⚠️ Lost job event stream, falling back to polling');
+        source.close();
+        poll().then(resolve).catch(() => resolve(null));
+      });
+    }), (error) => {
+      console.warn('⚠️ Could not open job event stream, polling instead:', error);
+      return poll().catch(() => null);
+    });
+  },
+
   /**
    * Main function: Get MP3 from artist and song name
    * 
@@ -435,13 +571,15 @@ export const YouTubeService = {
    * 4. If not cached → Search YouTube for video URL
    * 5. Download MP3 via yt-dlp (server saves as artist-song.mp3)
    * 6. Return MP3 info for analysis
+   * @param {function} onProgress - Optional download progress callback (see getMP3)
+   * @param {Object} track - Optional { trackId, isrc } for exact server cache lookup
    */
-  async getMP3ForTrack(artistName, songName) {
+  async getMP3ForTrack(artistName, songName, onProgress = null, track = null) {
     // Check if API is blocked first
     if (apiBlocked) {
       console.warn('🚫 YouTube API is blocked, checking server cache only...');
       // Still try server cache even if API is blocked
-      const serverCache = await this.checkServerCache(artistName, songName);
+      const serverCache = await this.checkServerCache(artistName, songName, track);
       if (serverCache) {
         return {
           artist: artistName,
@@ -476,7 +614,7 @@ export const YouTubeService = {
     try {
       // STEP 1: Check server MP3 cache FIRST (before any YouTube API call!)
       console.log('📦 Step 1: Checking server MP3 cache...');
-      const serverCache = await this.checkServerCache(artistName, songName);
+      const serverCache = await this.checkServerCache(artistName, songName, track);
       
       if (serverCache && serverCache.cached) {
         console.log('✅ MP3 found in server cache - SKIPPING YouTube API!');
@@ -505,6 +643,31 @@ export const YouTubeService = {
         };
       }
       
+      // STEP 1b: Let the server find the track without a URL (e.g. its local music library)
+      console.log('📚 Step 1b: Checking server audio library...');
+      const libraryMp3 = await this.getMP3(null, artistName, songName, false, onProgress, { quiet: true, track });
+      
+      if (libraryMp3) {
+        console.log('✅ MP3 provided by server library - SKIPPING YouTube API!');
+        
+        if (!this.shouldContinue(artistName, songName)) {
+          console.log('🛑 Track changed, aborting');
+          processingLock = false;
+          return null;
+        }
+        
+        lastCompletedTrack = { artist, song };
+        currentProcessingTrack = null;
+        processingLock = false;
+        
+        return {
+          artist: artistName,
+          song: songName,
+          youtube: null,
+          mp3: libraryMp3
+        };
+      }
+      
       // STEP 2: Search YouTube for video URL (only if not in server cache)
       console.log('🔍 Step 2: Searching YouTube for video...');
       const videoInfo = await this.searchVideo(artistName, songName);
@@ -533,7 +696,7 @@ export const YouTubeService = {
       // STEP 3: Download MP3 via server (saves as artist-song.mp3)
       // Note: clearOld=false to keep all cached MP3s
       console.log('📥 Step 3: Downloading MP3...');
-      const mp3Info = await this.getMP3(videoInfo.url, artistName, songName, false);
+      const mp3Info = await this.getMP3(videoInfo.url, artistName, songName, false, onProgress, { track });
       
       if (!mp3Info) {
         console.error('Could not extract MP3');
@@ -571,6 +734,50 @@ export const YouTubeService = {
     }
   },
 
+  /**
+   * Ask the server to download and analyze upcoming tracks in the background
+   * Known YouTube URLs are passed along; the server searches for the rest itself,
+   * so pre-warming never spends YouTube API quota
+   * @param {Object[]} tracks - [{ trackId, isrc, durationMs, artist, song }]
+   * @returns {Promise<Object|null>} - { batchId, total, statusUrl }, or null if skipped/failed
+   */
+  async prewarmTracks(tracks) {
+    const key = tracks.map(track => track.trackId || `${track.artist}|${track.song}`).join(',');
+    if (!tracks.length || key === lastPrewarmKey) return null;
+    lastPrewarmKey = key;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/prewarm`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await SpotifyAuth.getServerAuthHeaders())
+        },
+        body: JSON.stringify({
+          tracks: tracks.map(track => ({
+            ...track,
+            url: loadFromLocalStorage(getCacheKey(track.artist, track.song))?.url
+          }))
+        })
+      });
+
+      if (!response.ok) {
+        // Read-only clients can't pre-warm - not worth more than a warning
+        console.warn(`⚠️ Pre-warm request failed: HTTP ${response.status}`);
+        lastPrewarmKey = null;
+        return null;
+      }
+
+      const data = await response.json();
+      console.log(`🔥 Pre-warming ${data.total} upcoming tracks on the server`);
+      return data;
+    } catch (error) {
+      console.warn('Could not pre-warm tracks:', error);
+      lastPrewarmKey = null;
+      return null;
+    }
+  },
+
   /**
    * Get cache statistics (useful for debugging)
    */